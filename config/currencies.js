@@ -0,0 +1,19 @@
+// config/currencies.js
+
+/**
+ * Currencies projects, payments, invoices and exchange rates may use (ISO 4217 codes).
+ * Add a code here before using it anywhere else.
+ */
+export const CURRENCIES = {
+  USD: "US Dollar",
+  GBP: "British Pound",
+  PKR: "Pakistani Rupee",
+  EUR: "Euro",
+};
+
+export const CURRENCY_CODES = Object.keys(CURRENCIES);
+
+// Amounts recorded before projects carried a currency are in US dollars
+export const DEFAULT_CURRENCY = "USD";
+
+export const isKnownCurrency = (code) => typeof code === "string" && CURRENCY_CODES.includes(code);
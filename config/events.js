@@ -0,0 +1,248 @@
+// config/events.js
+
+// Domain events (utils/events.js) and the notification each one sends by default.
+// templates hold title/message per locale (config/locales.js); they and `link` are filled
+// from the event data plus `actor` (the user who caused it) through {{path}} placeholders,
+// e.g. {{task.title}}. Admins can override a template per event and locale
+// (models/NotificationTemplate.js); type and priority are fixed here.
+export const EVENTS = {
+  "task.assigned": {
+    description: "A task was created for or reassigned to someone",
+    type: "task",
+    priority: "normal",
+    link: "/tasks/{{task._id}}",
+    templates: {
+      en: { title: "New task assigned", message: '{{actor.name}} assigned you "{{task.title}}"' },
+      ur: { title: "نیا کام تفویض ہوا", message: '{{actor.name}} نے آپ کو "{{task.title}}" تفویض کیا' },
+    },
+  },
+  "task.status_changed": {
+    description: "A task moved to another status",
+    type: "task",
+    priority: "normal",
+    link: "/tasks/{{task._id}}",
+    templates: {
+      en: { title: "Task status changed", message: '{{actor.name}} moved "{{task.title}}" from {{from}} to {{to}}' },
+      ur: { title: "کام کی حیثیت تبدیل ہوئی", message: '{{actor.name}} نے "{{task.title}}" کو {{from}} سے {{to}} میں منتقل کیا' },
+    },
+  },
+  "task.response_added": {
+    description: "The assignee posted a progress update, issue or question on a task",
+    type: "task",
+    priority: "normal",
+    link: "/tasks/{{task._id}}",
+    templates: {
+      en: { title: "Task update", message: "{{actor.name}} added a {{response.type}} update to task: {{task.title}}" },
+      ur: { title: "کام کی اپ ڈیٹ", message: '{{actor.name}} نے کام "{{task.title}}" پر {{response.type}} اپ ڈیٹ شامل کی' },
+    },
+  },
+  "report.submitted": {
+    description: "An employee submitted a daily report",
+    type: "report",
+    priority: "normal",
+    link: "/reports/{{report._id}}",
+    templates: {
+      en: { title: "Daily report submitted", message: "{{actor.name}} has submitted their daily report" },
+      ur: { title: "روزانہ رپورٹ جمع ہوئی", message: "{{actor.name}} نے اپنی روزانہ رپورٹ جمع کرا دی ہے" },
+    },
+  },
+  "report.feedback_added": {
+    description: "A reviewer left feedback on a report",
+    type: "report",
+    priority: "normal",
+    link: "/reports/{{report._id}}",
+    templates: {
+      en: { title: "Feedback on your report", message: "{{actor.name}} left feedback on your {{report.type}} report: {{feedback.comment}}" },
+      ur: { title: "آپ کی رپورٹ پر رائے", message: "{{actor.name}} نے آپ کی {{report.type}} رپورٹ پر رائے دی: {{feedback.comment}}" },
+    },
+  },
+  "report.stage_entered": {
+    description: "A report entered a stage of its approval workflow (notifies the stage's approvers)",
+    type: "report",
+    priority: "normal",
+    link: "/reports/{{report._id}}",
+    templates: {
+      en: { title: "Report awaiting your approval", message: 'A {{report.type}} report is waiting for your approval at "{{stage}}"' },
+      ur: { title: "رپورٹ آپ کی منظوری کی منتظر", message: '{{report.type}} رپورٹ "{{stage}}" پر آپ کی منظوری کی منتظر ہے' },
+    },
+  },
+  "report.changes_requested": {
+    description: "An approver asked for changes to a report in a workflow",
+    type: "report",
+    priority: "high",
+    link: "/reports/{{report._id}}",
+    templates: {
+      en: { title: "Changes requested on your report", message: "{{stage}}: {{comment}}" },
+      ur: { title: "آپ کی رپورٹ میں تبدیلیاں درکار", message: "{{stage}}: {{comment}}" },
+    },
+  },
+  "report.rejected": {
+    description: "An approver rejected a report in a workflow",
+    type: "report",
+    priority: "high",
+    link: "/reports/{{report._id}}",
+    templates: {
+      en: { title: "Report rejected", message: "{{stage}}: {{comment}}" },
+      ur: { title: "رپورٹ مسترد ہو گئی", message: "{{stage}}: {{comment}}" },
+    },
+  },
+  "report.approved": {
+    description: "A report passed the last stage of its workflow",
+    type: "report",
+    priority: "normal",
+    link: "/reports/{{report._id}}",
+    templates: {
+      en: { title: "Report approved", message: "Your {{report.type}} report was approved." },
+      ur: { title: "رپورٹ منظور ہو گئی", message: "آپ کی {{report.type}} رپورٹ منظور ہو گئی۔" },
+    },
+  },
+  "report.missing": {
+    description: "An employee did not submit a daily report for a working day (sent by the missing report job)",
+    type: "report",
+    priority: "normal",
+    link: "/reports",
+    templates: {
+      en: { title: "Daily report missing", message: "You did not submit a daily report for {{date}}." },
+      ur: { title: "روزانہ رپورٹ جمع نہیں ہوئی", message: "آپ نے {{date}} کی روزانہ رپورٹ جمع نہیں کرائی۔" },
+    },
+  },
+  "report.missing_team": {
+    description: "A team member did not submit a daily report (notifies their team lead)",
+    type: "report",
+    priority: "high",
+    link: "/reports",
+    templates: {
+      en: {
+        title: "Team member missed a daily report",
+        message: "{{employee.name}} did not submit a daily report for {{date}} (working days missed in a row: {{consecutiveMisses}}).",
+      },
+      ur: {
+        title: "ٹیم رکن کی روزانہ رپورٹ جمع نہیں ہوئی",
+        message: "{{employee.name}} نے {{date}} کی روزانہ رپورٹ جمع نہیں کرائی (مسلسل چھوٹے کام کے دن: {{consecutiveMisses}})۔",
+      },
+    },
+  },
+  "report.missing_escalated": {
+    description: "An employee's missed daily reports reached reports.escalateAfterDays (notifies admins)",
+    type: "report",
+    priority: "urgent",
+    link: "/reports",
+    templates: {
+      en: {
+        title: "Daily reports missing",
+        message: "{{employee.name}} has not submitted a daily report for {{consecutiveMisses}} working days in a row (since {{streakStart}}).",
+      },
+      ur: {
+        title: "روزانہ رپورٹس جمع نہیں ہوئیں",
+        message: "{{employee.name}} نے {{streakStart}} سے مسلسل {{consecutiveMisses}} کام کے دنوں کی روزانہ رپورٹ جمع نہیں کرائی۔",
+      },
+    },
+  },
+  "asset.assigned": {
+    description: "An asset was handed to a user",
+    type: "asset",
+    priority: "normal",
+    link: "/assets/{{asset._id}}",
+    templates: {
+      en: { title: "Asset assigned", message: "{{asset.name}} ({{asset.serialNumber}}) was assigned to you" },
+      ur: { title: "اثاثہ تفویض ہوا", message: "{{asset.name}} ({{asset.serialNumber}}) آپ کو تفویض کیا گیا ہے" },
+    },
+  },
+  "asset.return_requested": {
+    description: "A user asked to hand an asset back",
+    type: "asset",
+    priority: "normal",
+    link: "/assets/{{asset._id}}",
+    templates: {
+      en: {
+        title: "Asset return requested",
+        message: "{{actor.name}} asked to return {{asset.name}} ({{asset.serialNumber}}): {{asset.returnReason}}",
+      },
+      ur: {
+        title: "اثاثہ واپسی کی درخواست",
+        message: "{{actor.name}} نے {{asset.name}} ({{asset.serialNumber}}) واپس کرنے کی درخواست کی: {{asset.returnReason}}",
+      },
+    },
+  },
+  "asset.returned": {
+    description: "An asset was returned, by its holder or forced by an admin",
+    type: "asset",
+    priority: "normal",
+    link: "/assets/{{asset._id}}",
+    templates: {
+      en: { title: "Asset returned", message: "{{asset.name}} ({{asset.serialNumber}}) was taken back from you by {{actor.name}}" },
+      ur: { title: "اثاثہ واپس لے لیا گیا", message: "{{actor.name}} نے {{asset.name}} ({{asset.serialNumber}}) آپ سے واپس لے لیا" },
+    },
+  },
+  "project.picked": {
+    description: "A team lead claimed an open project",
+    type: "info",
+    priority: "normal",
+    link: "/projects/{{project._id}}",
+    templates: {
+      en: { title: "Project picked", message: "{{actor.name}} picked up {{project.projectName}}" },
+      ur: { title: "پروجیکٹ منتخب ہوا", message: "{{actor.name}} نے {{project.projectName}} کی ذمہ داری لے لی" },
+    },
+  },
+  "payment.recorded": {
+    description: "A payment was recorded on a project",
+    type: "info",
+    priority: "normal",
+    link: "/projects/{{project._id}}",
+    templates: {
+      en: {
+        title: "Payment recorded",
+        message: "{{actor.name}} recorded a payment of {{payment.amount}} {{payment.currency}} on {{project.projectName}}",
+      },
+      ur: {
+        title: "ادائیگی درج ہوئی",
+        message: "{{actor.name}} نے {{project.projectName}} پر {{payment.amount}} {{payment.currency}} کی ادائیگی درج کی",
+      },
+    },
+  },
+  "time_entry.rejected": {
+    description: "Manual time entries on a project were rejected ({{entries}} lists them)",
+    type: "warning",
+    priority: "normal",
+    link: "/projects/{{project._id}}",
+    templates: {
+      en: { title: "Time entries rejected", message: "{{actor.name}} rejected time on {{project.projectName}}:\n{{entries}}" },
+      ur: { title: "وقت کے اندراجات مسترد", message: "{{actor.name}} نے {{project.projectName}} پر وقت کے اندراجات مسترد کر دیے:\n{{entries}}" },
+    },
+  },
+  "timesheet.submitted": {
+    description: "A weekly timesheet was submitted for approval",
+    type: "info",
+    priority: "normal",
+    link: "/timesheets/{{sheet._id}}",
+    templates: {
+      en: { title: "Timesheet submitted", message: "{{actor.name}} submitted {{sheet.totalHours}}h for the week of {{sheet.weekStart}}" },
+      ur: { title: "ٹائم شیٹ جمع ہوئی", message: "{{actor.name}} نے {{sheet.weekStart}} والے ہفتے کے {{sheet.totalHours}} گھنٹے جمع کرائے" },
+    },
+  },
+  "timesheet.approved": {
+    description: "A submitted timesheet was approved",
+    type: "info",
+    priority: "normal",
+    link: "/timesheets/{{sheet._id}}",
+    templates: {
+      en: { title: "Timesheet approved", message: "Your timesheet for the week of {{sheet.weekStart}} was approved. {{sheet.reviewComment}}" },
+      ur: { title: "ٹائم شیٹ منظور ہو گئی", message: "{{sheet.weekStart}} والے ہفتے کی آپ کی ٹائم شیٹ منظور ہو گئی۔ {{sheet.reviewComment}}" },
+    },
+  },
+  "timesheet.rejected": {
+    description: "A submitted timesheet was sent back",
+    type: "warning",
+    priority: "normal",
+    link: "/timesheets/{{sheet._id}}",
+    templates: {
+      en: { title: "Timesheet rejected", message: "Your timesheet for the week of {{sheet.weekStart}} was rejected: {{sheet.reviewComment}}" },
+      ur: { title: "ٹائم شیٹ مسترد ہو گئی", message: "{{sheet.weekStart}} والے ہفتے کی آپ کی ٹائم شیٹ مسترد کر دی گئی: {{sheet.reviewComment}}" },
+    },
+  },
+};
+
+export const EVENT_NAMES = Object.keys(EVENTS);
+
+// Own keys only, so names like "constructor" or "__proto__" are not taken for events
+export const isKnownEvent = (name) => typeof name === "string" && Object.hasOwn(EVENTS, name);
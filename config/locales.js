@@ -0,0 +1,40 @@
+// config/locales.js
+
+// Languages notifications and their emails are written in (User.locale)
+//   intl  locale used to format dates and numbers
+//   dir   text direction of emails
+export const LOCALES = {
+  en: { name: "English", intl: "en-US", dir: "ltr" },
+  ur: { name: "اردو", intl: "ur-PK", dir: "rtl" },
+};
+
+export const LOCALE_CODES = Object.keys(LOCALES);
+export const DEFAULT_LOCALE = "en";
+
+// Fixed wording around notifications (email links, digests); {{count}} placeholders
+export const STRINGS = {
+  en: {
+    "email.open": "Open",
+    "priority.high": "HIGH",
+    "priority.urgent": "URGENT",
+    "digest.hourly": "Hourly digest",
+    "digest.daily": "Daily digest",
+    "digest.quiet-hours": "While you were away",
+    "digest.mixed": "Notification digest",
+    "digest.one": "1 notification",
+    "digest.many": "{{count}} notifications",
+    "digest.more": "…and {{count}} more",
+  },
+  ur: {
+    "email.open": "کھولیں",
+    "priority.high": "اہم",
+    "priority.urgent": "فوری",
+    "digest.hourly": "گھنٹہ وار خلاصہ",
+    "digest.daily": "روزانہ خلاصہ",
+    "digest.quiet-hours": "آپ کی غیر موجودگی میں",
+    "digest.mixed": "اطلاعات کا خلاصہ",
+    "digest.one": "1 اطلاع",
+    "digest.many": "{{count}} اطلاعات",
+    "digest.more": "…اور {{count}} مزید",
+  },
+};
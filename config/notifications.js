@@ -0,0 +1,13 @@
+// config/notifications.js
+
+// Notification kinds and urgency (models/Notification.js)
+export const NOTIFICATION_TYPES = ["info", "warning", "alert", "task", "report", "asset"];
+export const NOTIFICATION_PRIORITIES = ["low", "normal", "high", "urgent"];
+
+// How a receiver gets a notification of a type (models/NotificationPreference.js)
+//   immediate  pushed as soon as it is sent
+//   hourly     collected into a digest at the top of the hour
+//   daily      collected into a digest at the user's digest hour
+export const DELIVERY_MODES = ["immediate", "hourly", "daily"];
+
+export const priorityRank = (priority) => NOTIFICATION_PRIORITIES.indexOf(priority || "normal");
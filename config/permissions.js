@@ -0,0 +1,186 @@
+// config/permissions.js
+
+/**
+ * Central permission registry.
+ * Every access check in routes/controllers uses one of these keys; roles are just
+ * named sets of them (see models/Role.js). Add new keys here, never inline.
+ * Grants may use wildcards: "*" (everything) or "project:*" (everything under project:).
+ */
+export const PERMISSIONS = {
+  // Users & teams
+  "user:read": "List and view user accounts",
+  "user:create": "Create user accounts",
+  "user:update": "Edit user accounts",
+  "user:delete": "Delete user accounts",
+  "user:promote": "Promote users to team lead",
+  "user:invite": "Invite new users by email (employees into own team unless user:create is held)",
+  "team:read": "View employees and team members",
+  "team:manage": "Add or remove members of own team",
+
+  // Roles
+  "role:manage": "Create roles and edit role permissions",
+
+  // Projects
+  "project:read": "View all projects",
+  "project:read:own": "View projects the user leads or is assigned to",
+  "project:create": "Create projects",
+  "project:update": "Edit projects",
+  "project:delete": "Delete projects",
+  "project:assign": "Assign team leads and employees to projects",
+  "project:pick": "Pick or release unassigned projects",
+  "project:lead": "Use team lead dashboards for led projects",
+  "project:status": "Update project client status",
+  "project:group:read": "View project groups",
+  "project:group:manage": "Create, edit and delete project groups",
+  "project:finance:read": "View project financial details and payments",
+  "project:finance:write": "Manage project details, payments and milestones",
+  "project:time:write": "Add, edit and delete project time entries",
+  "project:time:approve": "Approve or reject time entries (team leads: on projects they lead)",
+  "project:time:reopen": "Reopen approved or invoiced time entries so they can be changed",
+
+  // Timesheets
+  "timesheet:log": "Log time on own weekly timesheet and submit it",
+  "timesheet:review": "Approve or reject submitted timesheets (team leads: their team's)",
+  "timesheet:reopen": "Reopen submitted or approved timesheets and review any timesheet",
+
+  // Invoices
+  "invoice:read": "View and download client invoices",
+  "invoice:manage": "Create, send and void invoices and record invoice payments",
+  "finance:rates:manage": "Maintain currency exchange rates",
+
+  // Tasks
+  "task:manage": "Create, edit and delete tasks",
+  "task:assign": "Assign and reassign tasks",
+  "task:work": "Work on assigned tasks (status, responses, time logs)",
+  "task:override": "Start tasks whose prerequisites are incomplete (audited)",
+  "employee:self": "Use the employee workspace (/api/employee and the employee task views)",
+
+  // Reports
+  "report:create": "Create reports",
+  "report:submit:daily": "Submit daily reports",
+  "report:forward": "Submit reports up the hierarchy",
+  "report:read:team": "View reports of other users",
+  "report:read:all": "View every report in the system",
+  "report:review": "Review, complete and give feedback on reports",
+  "report:rollup": "Generate weekly/monthly roll-ups of a team's daily reports",
+  "report:compliance": "View daily report compliance (own team, or everyone with report:read:all)",
+  "report:workflow:manage": "Define multi-stage approval workflows per report type",
+  "report:template:manage": "Define report templates with structured fields",
+
+  // Assets
+  "asset:read": "View all assets, stats and return reports",
+  "asset:manage": "Create, edit and delete assets",
+  "asset:assign": "Assign assets and force returns",
+  "asset:own": "View and return own assets",
+
+  // Notifications
+  "notification:send": "Send notifications to allowed recipients",
+  "notification:send:team": "Send notifications to employees and team members",
+  "notification:broadcast": "Send notifications to all team leads or all users",
+  "notification:admin": "View, edit, export and purge any notification",
+
+  // Admin
+  "admin:stats": "View the admin dashboard statistics",
+  "audit:read": "Search and export the audit log",
+  "trash:manage": "View, restore and permanently delete records in the trash",
+  "settings:manage": "Change system settings and security policies",
+};
+
+/**
+ * Built-in roles. Used to seed the Role collection and as a fallback
+ * while a role has not been stored yet.
+ */
+export const DEFAULT_ROLES = {
+  admin: {
+    description: "Full access",
+    permissions: ["*"],
+  },
+  teamlead: {
+    description: "Leads projects and a team of employees",
+    permissions: [
+      "user:invite",
+      "team:read",
+      "team:manage",
+      "project:read",
+      "project:read:own",
+      "project:pick",
+      "project:lead",
+      "project:status",
+      "project:group:read",
+      "project:finance:read",
+      "project:time:write",
+      "project:time:approve",
+      "timesheet:log",
+      "timesheet:review",
+      "task:manage",
+      "task:assign",
+      "task:work",
+      "task:override",
+      "report:create",
+      "report:forward",
+      "report:read:team",
+      "report:review",
+      "report:rollup",
+      "report:compliance",
+      "asset:own",
+      "notification:send",
+      "notification:send:team",
+    ],
+  },
+  employee: {
+    description: "Works on assigned tasks",
+    permissions: [
+      "project:read:own",
+      "task:work",
+      "employee:self",
+      "timesheet:log",
+      "report:create",
+      "report:submit:daily",
+      "report:forward",
+      "asset:own",
+      "notification:send",
+    ],
+  },
+  hr: {
+    description: "People operations",
+    permissions: [
+      "user:read",
+      "team:read",
+      "report:read:team",
+      "report:read:all",
+      "report:compliance",
+      "asset:read",
+      "asset:own",
+      "notification:send",
+      "notification:send:team",
+    ],
+  },
+  finance: {
+    description: "Billing and payments",
+    permissions: [
+      "project:read",
+      "project:finance:read",
+      "project:finance:write",
+      "invoice:read",
+      "invoice:manage",
+      "finance:rates:manage",
+      "asset:own",
+      "notification:send",
+    ],
+  },
+};
+
+// Roles that cannot be deleted (application logic depends on them)
+export const SYSTEM_ROLES = ["admin", "teamlead", "employee"];
+
+/**
+ * @desc Check a permission key (or wildcard) against the registry
+ */
+export const isValidPermission = (permission) => {
+  if (permission === "*") return true;
+  if (permission.endsWith(":*")) {
+    const prefix = permission.slice(0, -1);
+    return Object.keys(PERMISSIONS).some((key) => key.startsWith(prefix));
+  }
+  return Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+};
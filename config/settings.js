@@ -0,0 +1,103 @@
+// config/settings.js
+import { isKnownCurrency } from "./currencies.js";
+
+/**
+ * Admin-editable runtime settings (stored in the Setting collection).
+ * Each key declares its default, a description and a validator for PUT /api/admin/settings/:key.
+ */
+const positiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+export const SETTINGS = {
+  "auth.twoFactorRequiredRoles": {
+    default: [],
+    description: "Roles that must enroll in two-factor authentication before they can log in",
+    validate: (value) => Array.isArray(value) && value.every((role) => typeof role === "string"),
+  },
+
+  "auth.publicRegistration": {
+    default: false,
+    description: "Allow self sign-up through POST /api/auth/register (accounts are always employees)",
+    validate: (value) => typeof value === "boolean",
+  },
+
+  // Account lockout (per account) — lock time doubles with every consecutive lock
+  "auth.lockoutThreshold": {
+    default: 5,
+    description: "Failed logins in a row before an account is locked",
+    validate: positiveInteger,
+  },
+  "auth.lockoutBaseMinutes": {
+    default: 5,
+    description: "Length of the first lock; each further lock doubles it",
+    validate: positiveInteger,
+  },
+  "auth.lockoutMaxMinutes": {
+    default: 24 * 60,
+    description: "Upper bound for a single lock",
+    validate: positiveInteger,
+  },
+
+  // Throttling per IP address
+  "auth.ipFailureLimit": {
+    default: 20,
+    description: "Failed logins allowed from one IP address within the window",
+    validate: positiveInteger,
+  },
+  "auth.ipFailureWindowMinutes": {
+    default: 15,
+    description: "Window used to count failed logins per IP address",
+    validate: positiveInteger,
+  },
+
+  // Trash (soft-deleted projects, tasks, users and reports)
+  "trash.retentionDays": {
+    default: 30,
+    description: "Days a deleted record stays restorable before it is purged for good",
+    validate: positiveInteger,
+  },
+
+  // Missing daily reports (jobs/missingReports.js)
+  "reports.escalateAfterDays": {
+    default: 3,
+    description: "Working days in a row without a daily report before admins are notified",
+    validate: positiveInteger,
+  },
+
+  // Project finance (utils/currency.js)
+  "finance.baseCurrency": {
+    default: "USD",
+    description: "Currency cross-project totals are reported in, and the default for new projects",
+    validate: isKnownCurrency,
+  },
+
+  // Invoices (models/Invoice.js)
+  "invoices.numberPrefix": {
+    default: "INV",
+    description: "Prefix of invoice numbers (INV-2025-0001)",
+    validate: (value) => typeof value === "string" && /^[A-Z0-9]{1,10}$/.test(value),
+  },
+  "invoices.paymentTermsDays": {
+    default: 14,
+    description: "Days between an invoice's issue date and its default due date",
+    validate: positiveInteger,
+  },
+  "invoices.defaultTaxRate": {
+    default: 0,
+    description: "Tax rate in percent applied to new invoices unless one is given",
+    validate: (value) => typeof value === "number" && value >= 0 && value <= 100,
+  },
+
+  // Notification delivery channels (utils/notificationChannels.js)
+  "notifications.deliveryMaxAttempts": {
+    default: 5,
+    description: "Attempts at an email or webhook delivery before it is marked failed",
+    validate: positiveInteger,
+  },
+  "notifications.retryBaseMinutes": {
+    default: 1,
+    description: "Wait before the first retry of a failed delivery; each further retry doubles it",
+    validate: positiveInteger,
+  },
+};
+
+export const isKnownSetting = (key) => Object.prototype.hasOwnProperty.call(SETTINGS, key);
@@ -2,6 +2,23 @@
 import { Project, ProjectDetails, ProjectGroup } from "../models/Project.js";
 import Task from "../models/Task.js";
 import User from "../models/User.js";
+import Invoice from "../models/Invoice.js";
+import { recordAudit, snapshot } from "../utils/audit.js";
+import { emitEvent } from "../utils/events.js";
+import { invoicePaymentError, invoiceAllocationError, reserveInvoicePayment, syncInvoicePayments } from "../utils/invoices.js";
+import { getBaseCurrency, convertPayment, paymentsTotal, recalculateProjectTotals, currencyOf } from "../utils/currency.js";
+import { isKnownCurrency } from "../config/currencies.js";
+import { userCan } from "../utils/permissions.js";
+import {
+  EDITABLE_TIME_ENTRY_FIELDS,
+  TIME_ENTRY_DECISIONS,
+  timeEntryLockReason,
+  refreshProjectHours,
+  reviewTimeEntry,
+  reopenTimeEntry,
+  notifyRejectedEntries
+} from "../utils/timeEntries.js";
+import { checkStartAllowed, blockedStartResponse } from "../utils/taskDependencies.js";
 
 /* ------------------- PROJECT CRUD ------------------- */
 
@@ -30,6 +47,7 @@ export const addProject = async (req, res) => {
       estimatedHours,
       milestones,
       onboardingDate,
+      currency,
       visibleToTeamLeads = true
     } = req.body;
 
@@ -55,6 +73,13 @@ export const addProject = async (req, res) => {
       });
     }
 
+    if (currency !== undefined && !isKnownCurrency(currency)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Unknown currency "${currency}"` 
+      });
+    }
+
     // Initialize amounts based on category
     let initialTotalAmount = 0;
     let initialPaidAmount = 0;
@@ -75,6 +100,7 @@ export const addProject = async (req, res) => {
       projectPlatform,
       profile,
       category,
+      currency: currency || await getBaseCurrency(),
       priority: priority || "medium",
       fixedAmount: category === "fixed" ? (parseFloat(fixedAmount) || 0) : 0,
       paymentSchedule: paymentSchedule || "upfront",
@@ -89,6 +115,8 @@ export const addProject = async (req, res) => {
       createdBy: req.user._id,
     });
 
+    await recordAudit(req, { action: "project.create", entityType: "Project", after: project });
+
     res.status(201).json({ 
       success: true, 
       message: "Project created successfully",
@@ -205,7 +233,25 @@ export const getProjectById = async (req, res) => {
  */
 export const updateProject = async (req, res) => {
   try {
-    const updatedProject = await Project.findByIdAndUpdate(
+    const before = await Project.findById(req.params.id).lean();
+
+    // A new project currency re-converts the payments; check every rate exists first
+    const { currency } = req.body;
+    const currencyChanged = before && currency !== undefined && currency !== currencyOf(before);
+    if (currencyChanged) {
+      if (!isKnownCurrency(currency)) {
+        return res.status(400).json({ success: false, message: `Unknown currency "${currency}"` });
+      }
+      if (await Invoice.exists({ project: before._id, status: { $ne: "void" } })) {
+        return res.status(409).json({ success: false, message: "Void the project's invoices before changing its currency" });
+      }
+      const check = Project.hydrate(before);
+      check.currency = currency;
+      const missingRate = await recalculateProjectTotals(check);
+      if (missingRate) return res.status(422).json({ success: false, message: missingRate });
+    }
+
+    let updatedProject = await Project.findByIdAndUpdate(
       req.params.id, 
       { ...req.body, updatedBy: req.user._id }, 
       {
@@ -222,6 +268,13 @@ export const updateProject = async (req, res) => {
       });
     }
 
+    if (currencyChanged) {
+      await recalculateProjectTotals(updatedProject);
+      updatedProject = await updatedProject.save();
+    }
+
+    await recordAudit(req, { action: "project.update", entityType: "Project", before, after: updatedProject });
+
     res.status(200).json({ 
       success: true, 
       message: "Project updated successfully",
@@ -244,7 +297,7 @@ export const updateProject = async (req, res) => {
  */
 export const deleteProject = async (req, res) => {
   try {
-    const project = await Project.findByIdAndDelete(req.params.id);
+    const project = await Project.findById(req.params.id);
     
     if (!project) {
       return res.status(404).json({ 
@@ -253,13 +306,23 @@ export const deleteProject = async (req, res) => {
       });
     }
 
-    // Also delete associated project details and tasks
-    await ProjectDetails.deleteOne({ project: req.params.id });
-    await Task.deleteMany({ project: req.params.id });
+    // Move to trash; its tasks go with it (details, payments and time entries are kept for a restore)
+    const before = snapshot(project);
+    await project.softDelete(req.user._id);
+    const { modifiedCount: trashedTasks } = await Task.softDeleteMany({ project: project._id }, req.user._id, project._id);
+
+    await recordAudit(req, {
+      action: "project.delete",
+      entityType: "Project",
+      before,
+      after: project,
+      metadata: { trashedTasks },
+    });
 
     res.status(200).json({ 
       success: true, 
-      message: "Project deleted successfully" 
+      message: "Project moved to trash",
+      trashedTasks
     });
   } catch (error) {
     console.error("Delete project error:", error);
@@ -317,6 +380,13 @@ export const addProjectDetails = async (req, res) => {
       onBoardDate: onBoardDate ? new Date(onBoardDate) : undefined
     });
 
+    await recordAudit(req, {
+      action: "project_details.create",
+      entityType: "ProjectDetails",
+      after: projectDetails,
+      metadata: { project: projectId },
+    });
+
     res.status(201).json({ 
       success: true, 
       message: "Project details added successfully",
@@ -385,6 +455,8 @@ export const updateProjectDetails = async (req, res) => {
   try {
     const { detailId } = req.params;
 
+    const before = await ProjectDetails.findById(detailId).lean();
+
     const updatedDetails = await ProjectDetails.findByIdAndUpdate(
       detailId, 
       req.body, 
@@ -401,6 +473,14 @@ export const updateProjectDetails = async (req, res) => {
       });
     }
 
+    await recordAudit(req, {
+      action: "project_details.update",
+      entityType: "ProjectDetails",
+      before,
+      after: updatedDetails,
+      metadata: { project: updatedDetails.project },
+    });
+
     res.status(200).json({ 
       success: true, 
       message: "Project details updated successfully",
@@ -434,6 +514,13 @@ export const deleteProjectDetails = async (req, res) => {
       });
     }
 
+    await recordAudit(req, {
+      action: "project_details.delete",
+      entityType: "ProjectDetails",
+      before: details,
+      metadata: { project: details.project },
+    });
+
     res.status(200).json({ 
       success: true, 
       message: "Project details deleted successfully" 
@@ -485,6 +572,8 @@ export const addProjectGroup = async (req, res) => {
       createdBy: req.user._id,
     });
 
+    await recordAudit(req, { action: "project_group.create", entityType: "ProjectGroup", after: group });
+
     const populatedGroup = await ProjectGroup.findById(group._id)
       .populate("mainProject", "projectName clientName")
       .populate("projects", "projectName clientName")
@@ -554,6 +643,8 @@ export const getAllProjectGroups = async (req, res) => {
  */
 export const updateProjectGroup = async (req, res) => {
   try {
+    const before = await ProjectGroup.findById(req.params.groupId).lean();
+
     const updatedGroup = await ProjectGroup.findByIdAndUpdate(
       req.params.groupId, 
       req.body, 
@@ -572,6 +663,8 @@ export const updateProjectGroup = async (req, res) => {
       });
     }
 
+    await recordAudit(req, { action: "project_group.update", entityType: "ProjectGroup", before, after: updatedGroup });
+
     res.status(200).json({ 
       success: true, 
       message: "Project group updated successfully",
@@ -603,6 +696,8 @@ export const deleteProjectGroup = async (req, res) => {
       });
     }
 
+    await recordAudit(req, { action: "project_group.delete", entityType: "ProjectGroup", before: group });
+
     res.status(200).json({ 
       success: true, 
       message: "Project group deleted successfully" 
@@ -620,14 +715,14 @@ export const deleteProjectGroup = async (req, res) => {
 /* ------------------- PAYMENTS ------------------- */
 
 /**
- * @desc Add Payment with proper calculation
+ * @desc Add Payment with proper calculation (invoiceId applies it to that invoice)
  * @route POST /api/projects/:projectId/payments
  * @access Private (Admin)
  */
 export const addPayment = async (req, res) => {
   try {
     const { projectId } = req.params;
-    const { amount, paymentMethod = "bank-transfer", notes, milestoneId } = req.body;
+    const { amount, currency, paymentMethod = "bank-transfer", notes, milestoneId, invoiceId } = req.body;
 
     if (!amount || amount <= 0) {
       return res.status(400).json({ 
@@ -636,6 +731,13 @@ export const addPayment = async (req, res) => {
       });
     }
 
+    if (currency !== undefined && !isKnownCurrency(currency)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Unknown currency "${currency}"` 
+      });
+    }
+
     const project = await Project.findById(projectId);
     if (!project) {
       return res.status(404).json({ 
@@ -644,10 +746,27 @@ export const addPayment = async (req, res) => {
       });
     }
 
+    // Payments in another currency count towards the project at the day's rate
+    const payment = { amount: parseFloat(amount), currency, paymentDate: new Date() };
+    const missingRate = await convertPayment(project, payment);
+    if (missingRate) return res.status(422).json({ success: false, message: missingRate });
+
+    let invoice = null;
+    if (invoiceId) {
+      invoice = await Invoice.findById(invoiceId);
+      if (!invoice) return res.status(404).json({ success: false, message: "Invoice not found" });
+      const problem = invoicePaymentError(invoice, project, payment.projectAmount);
+      if (problem) return res.status(409).json({ success: false, message: problem });
+
+      // Reserve the amount on the invoice first; a parallel payment may have used the balance
+      if (!(await reserveInvoicePayment(invoice, payment.projectAmount, payment.paymentDate))) {
+        return res.status(409).json({ success: false, message: "The invoice balance changed meanwhile; reload the invoice and try again" });
+      }
+    }
+
     // Calculate current totals before adding payment
     if (project.category === "hourly") {
-      project.actualHours = project.timeEntries.reduce((total, entry) => total + (entry.hours || 0), 0);
-      project.totalAmount = project.hourlyRate * project.actualHours;
+      await refreshProjectHours(project);
     } else if (project.category === "milestone") {
       project.totalAmount = project.milestones.reduce((total, milestone) => total + (milestone.amount || 0), 0);
     } else if (project.category === "fixed") {
@@ -656,27 +775,43 @@ export const addPayment = async (req, res) => {
 
     // Add payment
     project.payments.push({
-      amount: parseFloat(amount),
+      ...payment,
       paymentMethod,
       notes,
       milestoneId,
+      invoiceId,
       addedBy: req.user._id,
-      paymentDate: new Date(),
     });
 
     // Recalculate paid and pending amounts
-    project.paidAmount = project.payments.reduce((total, payment) => total + (payment.amount || 0), 0);
+    project.paidAmount = paymentsTotal(project.payments);
     project.pendingAmount = project.totalAmount - project.paidAmount;
 
     // Update milestone status if milestone payment
     if (milestoneId) {
       const milestone = project.milestones.id(milestoneId);
-      if (milestone && parseFloat(amount) >= milestone.amount) {
+      if (milestone && payment.projectAmount >= milestone.amount) {
         milestone.status = "completed";
       }
     }
 
-    await project.save();
+    try {
+      await project.save();
+    } catch (err) {
+      if (invoice) await reserveInvoicePayment(invoice, -payment.projectAmount);
+      throw err;
+    }
+
+    const newPayment = project.payments[project.payments.length - 1];
+    await emitEvent(req, "payment.recorded", { project, payment: newPayment }, {
+      audit: {
+        action: "payment.create",
+        entityType: "Payment",
+        entityId: newPayment._id,
+        after: newPayment,
+        metadata: { project: project._id, projectName: project.projectName, invoice: invoiceId || null, paidAmount: project.paidAmount, pendingAmount: project.pendingAmount },
+      },
+    });
 
     res.status(200).json({ 
       success: true, 
@@ -718,13 +853,40 @@ export const updatePayment = async (req, res) => {
       });
     }
 
+    const before = snapshot(payment);
+    const previousInvoiceId = payment.invoiceId;
+    if (req.body.currency !== undefined && !isKnownCurrency(req.body.currency)) {
+      return res.status(400).json({ success: false, message: `Unknown currency "${req.body.currency}"` });
+    }
     Object.assign(payment, req.body);
+
+    // Amount, currency or date may have changed
+    const missingRate = await convertPayment(project, payment);
+    if (missingRate) return res.status(422).json({ success: false, message: missingRate });
+
+    // The invoice the payment now applies to must still be able to take it
+    if (payment.invoiceId) {
+      const invoice = await Invoice.findById(payment.invoiceId);
+      if (!invoice) return res.status(404).json({ success: false, message: "Invoice not found" });
+      const problem = invoiceAllocationError(invoice, project);
+      if (problem) return res.status(409).json({ success: false, message: problem });
+    }
     
     // Recalculate paid amount
-    project.paidAmount = project.payments.reduce((total, payment) => total + (payment.amount || 0), 0);
+    project.paidAmount = paymentsTotal(project.payments);
     project.pendingAmount = project.totalAmount - project.paidAmount;
     
     await project.save();
+    await syncInvoicePayments(project, [previousInvoiceId, payment.invoiceId]);
+
+    await recordAudit(req, {
+      action: "payment.update",
+      entityType: "Payment",
+      entityId: payment._id,
+      before,
+      after: payment,
+      metadata: { project: project._id, projectName: project.projectName, paidAmount: project.paidAmount, pendingAmount: project.pendingAmount },
+    });
 
     res.status(200).json({ 
       success: true, 
@@ -767,13 +929,24 @@ export const deletePayment = async (req, res) => {
       });
     }
 
+    const before = snapshot(payment);
+    const { invoiceId } = payment;
     payment.deleteOne();
     
     // Recalculate amounts
-    project.paidAmount = project.payments.reduce((total, payment) => total + (payment.amount || 0), 0);
+    project.paidAmount = paymentsTotal(project.payments);
     project.pendingAmount = project.totalAmount - project.paidAmount;
     
     await project.save();
+    await syncInvoicePayments(project, [invoiceId]);
+
+    await recordAudit(req, {
+      action: "payment.delete",
+      entityType: "Payment",
+      entityId: paymentId,
+      before,
+      metadata: { project: project._id, projectName: project.projectName, paidAmount: project.paidAmount, pendingAmount: project.pendingAmount },
+    });
 
     res.status(200).json({ 
       success: true, 
@@ -798,11 +971,14 @@ export const deletePayment = async (req, res) => {
 export const addMilestonePayment = async (req, res) => {
   try {
     const { projectId, milestoneId } = req.params;
-    const { amount, paymentMethod, notes } = req.body;
+    const { amount, currency, paymentMethod, notes } = req.body;
 
     if (!amount || amount <= 0) {
       return res.status(400).json({ success: false, message: "Valid amount is required" });
     }
+    if (currency !== undefined && !isKnownCurrency(currency)) {
+      return res.status(400).json({ success: false, message: `Unknown currency "${currency}"` });
+    }
 
     const project = await Project.findById(projectId);
     if (!project) return res.status(404).json({ success: false, message: "Project not found" });
@@ -810,23 +986,35 @@ export const addMilestonePayment = async (req, res) => {
     const milestone = project.milestones.id(milestoneId);
     if (!milestone) return res.status(404).json({ success: false, message: "Milestone not found" });
 
+    const payment = { amount: parseFloat(amount), currency, paymentDate: new Date() };
+    const missingRate = await convertPayment(project, payment);
+    if (missingRate) return res.status(422).json({ success: false, message: missingRate });
+
     project.payments.push({
-      amount: parseFloat(amount),
+      ...payment,
       paymentMethod,
       notes,
       milestoneId,
       addedBy: req.user._id,
-      paymentDate: new Date(),
     });
 
-    if (parseFloat(amount) >= milestone.amount) milestone.status = "completed";
+    if (payment.projectAmount >= milestone.amount) milestone.status = "completed";
 
     // Recalculate amounts
-    project.paidAmount = project.payments.reduce((total, payment) => total + (payment.amount || 0), 0);
+    project.paidAmount = paymentsTotal(project.payments);
     project.pendingAmount = project.totalAmount - project.paidAmount;
 
     await project.save();
 
+    const newPayment = project.payments[project.payments.length - 1];
+    await recordAudit(req, {
+      action: "payment.create",
+      entityType: "Payment",
+      entityId: newPayment._id,
+      after: newPayment,
+      metadata: { project: project._id, projectName: project.projectName, milestone: milestoneId, paidAmount: project.paidAmount, pendingAmount: project.pendingAmount },
+    });
+
     res.status(200).json({ success: true, message: "Milestone payment added", project });
   } catch (error) {
     res.status(500).json({ success: false, message: "Error adding milestone payment", error: error.message });
@@ -890,15 +1078,20 @@ export const addTimeEntry = async (req, res) => {
       addedBy: req.user._id
     });
 
-    // Recalculate totals for hourly projects
-    project.actualHours = project.timeEntries.reduce((total, entry) => total + (entry.hours || 0), 0);
-    if (req.user.role === "admin") {
-      project.totalAmount = project.hourlyRate * project.actualHours;
-      project.pendingAmount = project.totalAmount - project.paidAmount;
-    }
+    // New entries are pending approval, so only actualHours moves
+    await refreshProjectHours(project);
 
     await project.save();
 
+    const newEntry = project.timeEntries[project.timeEntries.length - 1];
+    await recordAudit(req, {
+      action: "time_entry.create",
+      entityType: "TimeEntry",
+      entityId: newEntry._id,
+      after: newEntry,
+      metadata: { project: project._id, actualHours: project.actualHours },
+    });
+
     // Remove financial data for teamlead response
     let responseProject = project.toObject();
     if (req.user.role === "teamlead") {
@@ -956,19 +1149,40 @@ export const updateTimeEntry = async (req, res) => {
       });
     }
 
-    Object.assign(timeEntry, req.body);
+    const locked = timeEntryLockReason(timeEntry);
+    if (locked) {
+      return res.status(409).json({ 
+        success: false, 
+        message: locked 
+      });
+    }
+
+    const before = snapshot(timeEntry);
+    EDITABLE_TIME_ENTRY_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) timeEntry[field] = req.body[field];
+    });
+
+    // An edited rejected entry goes back to pending
+    if (timeEntry.rejectedAt) {
+      timeEntry.rejectedBy = undefined;
+      timeEntry.rejectedAt = undefined;
+      timeEntry.rejectionReason = undefined;
+    }
     
     // Recalculate totals for hourly projects
-    if (project.category === "hourly") {
-      project.actualHours = project.timeEntries.reduce((total, entry) => total + (entry.hours || 0), 0);
-      if (req.user.role === "admin") {
-        project.totalAmount = project.hourlyRate * project.actualHours;
-        project.pendingAmount = project.totalAmount - project.paidAmount;
-      }
-    }
+    await refreshProjectHours(project);
     
     await project.save();
 
+    await recordAudit(req, {
+      action: "time_entry.update",
+      entityType: "TimeEntry",
+      entityId: timeEntry._id,
+      before,
+      after: timeEntry,
+      metadata: { project: project._id, actualHours: project.actualHours },
+    });
+
     // Remove financial data for teamlead response
     let responseProject = project.toObject();
     if (req.user.role === "teamlead") {
@@ -1027,19 +1241,30 @@ export const deleteTimeEntry = async (req, res) => {
       });
     }
 
+    const locked = timeEntryLockReason(timeEntry);
+    if (locked) {
+      return res.status(409).json({ 
+        success: false, 
+        message: locked 
+      });
+    }
+
+    const before = snapshot(timeEntry);
     timeEntry.deleteOne();
     
     // Recalculate totals for hourly projects
-    if (project.category === "hourly") {
-      project.actualHours = project.timeEntries.reduce((total, entry) => total + (entry.hours || 0), 0);
-      if (req.user.role === "admin") {
-        project.totalAmount = project.hourlyRate * project.actualHours;
-        project.pendingAmount = project.totalAmount - project.paidAmount;
-      }
-    }
+    await refreshProjectHours(project);
     
     await project.save();
 
+    await recordAudit(req, {
+      action: "time_entry.delete",
+      entityType: "TimeEntry",
+      entityId: timeEntryId,
+      before,
+      metadata: { project: project._id, actualHours: project.actualHours },
+    });
+
     // Remove financial data for teamlead response
     let responseProject = project.toObject();
     if (req.user.role === "teamlead") {
@@ -1066,6 +1291,262 @@ export const deleteTimeEntry = async (req, res) => {
   }
 };
 
+/* ------------------- TIME ENTRY APPROVAL ------------------- */
+
+// Validate { decision, reason } of a review request → error message or null
+const reviewRequestError = ({ decision, reason }) => {
+  if (!TIME_ENTRY_DECISIONS.includes(decision)) return `decision must be ${TIME_ENTRY_DECISIONS.join(" or ")}`;
+  if (decision === "reject" && !reason?.trim()) return "A reason is required to reject time entries";
+  return null;
+};
+
+// Team leads review entries on the projects they lead only
+const findReviewableProject = (req, projectId) => {
+  const query = { _id: projectId };
+  if (req.user.role === "teamlead") query.teamLead = req.user._id;
+  return Project.findOne(query);
+};
+
+// Apply one decision to several entries of a project → { reviewed, skipped }
+const reviewEntries = async (req, project, timeEntryIds, decision, reason) => {
+  const canOverride = await userCan(req.user, "project:time:reopen");
+  const reviewed = [];
+  const skipped = [];
+
+  for (const timeEntryId of timeEntryIds) {
+    const entry = project.timeEntries.id(timeEntryId);
+    if (!entry) {
+      skipped.push({ timeEntryId, message: "Time entry not found" });
+      continue;
+    }
+    const before = snapshot(entry);
+    const problem = reviewTimeEntry(entry, decision, req.user, { reason, canOverride });
+    if (problem) skipped.push({ timeEntryId, message: problem });
+    else reviewed.push({ entry, before });
+  }
+
+  if (reviewed.length) {
+    await refreshProjectHours(project);
+    await project.save();
+
+    for (const { entry, before } of reviewed) {
+      await recordAudit(req, {
+        action: decision === "approve" ? "time_entry.approve" : "time_entry.reject",
+        entityType: "TimeEntry",
+        entityId: entry._id,
+        before,
+        after: entry,
+        metadata: { project: project._id, reason: reason || undefined },
+      });
+    }
+    if (decision === "reject") await notifyRejectedEntries(req, project, reviewed.map((r) => r.entry));
+  }
+
+  return { reviewed: reviewed.map((r) => r.entry), skipped };
+};
+
+/**
+ * @desc Time entries waiting for approval on the projects the user may review
+ * @route GET /api/projects/time-entries/pending
+ * @access Private (project:time:approve)
+ */
+export const getPendingTimeEntries = async (req, res) => {
+  try {
+    const query = { category: "hourly", timeEntries: { $elemMatch: { approved: { $ne: true }, rejectedAt: null } } };
+    if (req.user.role === "teamlead") query.teamLead = req.user._id;
+    if (req.query.projectId) query._id = req.query.projectId;
+
+    const projects = await Project.find(query)
+      .select("projectName clientName teamLead timeEntries")
+      .populate("timeEntries.addedBy", "name email");
+
+    const result = projects.map((project) => {
+      const entries = project.timeEntries.filter((e) => !e.approved && !e.rejectedAt);
+      return {
+        _id: project._id,
+        projectName: project.projectName,
+        clientName: project.clientName,
+        pendingHours: entries.reduce((total, entry) => total + (entry.hours || 0), 0),
+        timeEntries: entries,
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      count: result.reduce((total, p) => total + p.timeEntries.length, 0),
+      projects: result
+    });
+  } catch (error) {
+    console.error("Get pending time entries error:", error);
+    res.status(500).json({ 
+      success: false, 
+      message: "Error fetching pending time entries", 
+      error: error.message 
+    });
+  }
+};
+
+/**
+ * @desc Approve or reject a single time entry ({ decision: "approve" | "reject", reason })
+ * @route POST /api/projects/:projectId/time-entries/:timeEntryId/review
+ * @access Private (project:time:approve)
+ */
+export const reviewTimeEntryById = async (req, res) => {
+  try {
+    const { projectId, timeEntryId } = req.params;
+    const { decision, reason } = req.body;
+
+    const invalid = reviewRequestError(req.body);
+    if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+    const project = await findReviewableProject(req, projectId);
+    if (!project) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "Project not found or access denied" 
+      });
+    }
+
+    const { reviewed, skipped } = await reviewEntries(req, project, [timeEntryId], decision, reason);
+    if (skipped.length) {
+      const { message } = skipped[0];
+      return res.status(message === "Time entry not found" ? 404 : 409).json({ success: false, message });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: decision === "approve" ? "Time entry approved" : "Time entry rejected",
+      timeEntry: reviewed[0],
+      billableHours: project.billableHours
+    });
+  } catch (error) {
+    console.error("Review time entry error:", error);
+    res.status(500).json({ 
+      success: false, 
+      message: "Error reviewing time entry", 
+      error: error.message 
+    });
+  }
+};
+
+/**
+ * @desc Approve or reject several time entries of a project ({ timeEntryIds, decision, reason });
+ *       entries that cannot be reviewed are skipped and listed
+ * @route POST /api/projects/:projectId/time-entries/review
+ * @access Private (project:time:approve)
+ */
+export const reviewTimeEntriesBulk = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { timeEntryIds, decision, reason } = req.body;
+
+    if (!Array.isArray(timeEntryIds) || !timeEntryIds.length) {
+      return res.status(400).json({ 
+        success: false, 
+        message: "timeEntryIds must be a non-empty array" 
+      });
+    }
+
+    const invalid = reviewRequestError(req.body);
+    if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+    const project = await findReviewableProject(req, projectId);
+    if (!project) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "Project not found or access denied" 
+      });
+    }
+
+    const { reviewed, skipped } = await reviewEntries(req, project, [...new Set(timeEntryIds.map(String))], decision, reason);
+
+    res.status(200).json({
+      success: true,
+      message: `${reviewed.length} time ${reviewed.length === 1 ? "entry" : "entries"} ${decision === "approve" ? "approved" : "rejected"}`,
+      reviewed: reviewed.map((entry) => entry._id),
+      skipped,
+      billableHours: project.billableHours
+    });
+  } catch (error) {
+    console.error("Bulk review time entries error:", error);
+    res.status(500).json({ 
+      success: false, 
+      message: "Error reviewing time entries", 
+      error: error.message 
+    });
+  }
+};
+
+/**
+ * @desc Reopen an approved or invoiced time entry so it can be edited again (back to pending)
+ * @route POST /api/projects/:projectId/time-entries/:timeEntryId/reopen
+ * @access Private (project:time:reopen)
+ */
+export const reopenTimeEntryById = async (req, res) => {
+  try {
+    const { projectId, timeEntryId } = req.params;
+    const { reason } = req.body;
+
+    if (!reason?.trim()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: "A reason is required to reopen a time entry" 
+      });
+    }
+
+    const project = await Project.findById(projectId);
+    if (!project) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "Project not found" 
+      });
+    }
+
+    const timeEntry = project.timeEntries.id(timeEntryId);
+    if (!timeEntry) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "Time entry not found" 
+      });
+    }
+
+    const before = snapshot(timeEntry);
+    const problem = await reopenTimeEntry(timeEntry, req.user, reason.trim());
+    if (problem) {
+      return res.status(409).json({ 
+        success: false, 
+        message: problem 
+      });
+    }
+
+    await refreshProjectHours(project);
+    await project.save();
+
+    await recordAudit(req, {
+      action: "time_entry.reopen",
+      entityType: "TimeEntry",
+      entityId: timeEntry._id,
+      before,
+      after: timeEntry,
+      metadata: { project: project._id, reason: reason.trim(), invoice: before.invoice || undefined },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Time entry reopened",
+      timeEntry,
+      billableHours: project.billableHours
+    });
+  } catch (error) {
+    console.error("Reopen time entry error:", error);
+    res.status(500).json({ 
+      success: false, 
+      message: "Error reopening time entry", 
+      error: error.message 
+    });
+  }
+};
+
 /* ------------------- MILESTONES ------------------- */
 
 /**
@@ -1119,6 +1600,15 @@ export const addMilestone = async (req, res) => {
 
     await project.save();
 
+    const newMilestone = project.milestones[project.milestones.length - 1];
+    await recordAudit(req, {
+      action: "milestone.create",
+      entityType: "Milestone",
+      entityId: newMilestone._id,
+      after: newMilestone,
+      metadata: { project: project._id, totalAmount: project.totalAmount },
+    });
+
     res.status(201).json({ 
       success: true, 
       message: "Milestone added successfully", 
@@ -1159,6 +1649,7 @@ export const updateMilestone = async (req, res) => {
       });
     }
 
+    const before = snapshot(milestone);
     Object.assign(milestone, req.body);
     
     // Recalculate totals for milestone projects
@@ -1169,6 +1660,15 @@ export const updateMilestone = async (req, res) => {
     
     await project.save();
 
+    await recordAudit(req, {
+      action: "milestone.update",
+      entityType: "Milestone",
+      entityId: milestone._id,
+      before,
+      after: milestone,
+      metadata: { project: project._id, totalAmount: project.totalAmount },
+    });
+
     res.status(200).json({ 
       success: true, 
       message: "Milestone updated successfully",
@@ -1210,6 +1710,7 @@ export const deleteMilestone = async (req, res) => {
       });
     }
 
+    const before = snapshot(milestone);
     milestone.deleteOne();
     
     // Recalculate totals for milestone projects
@@ -1220,6 +1721,14 @@ export const deleteMilestone = async (req, res) => {
     
     await project.save();
 
+    await recordAudit(req, {
+      action: "milestone.delete",
+      entityType: "Milestone",
+      entityId: milestoneId,
+      before,
+      metadata: { project: project._id, totalAmount: project.totalAmount },
+    });
+
     res.status(200).json({ 
       success: true, 
       message: "Milestone deleted successfully", 
@@ -1259,7 +1768,8 @@ export const updateClientStatus = async (req, res) => {
       query.teamLead = req.user._id;
     }
 
-    const project = await Project.findOneAndUpdate(
+    const before = await Project.findOne(query).lean();
+    const project = before && await Project.findOneAndUpdate(
       query,
       { clientStatus },
       { new: true, runValidators: true }
@@ -1272,6 +1782,8 @@ export const updateClientStatus = async (req, res) => {
       });
     }
 
+    await recordAudit(req, { action: "project.client_status_change", entityType: "Project", before, after: project });
+
     res.status(200).json({ 
       success: true, 
       message: "Client status updated successfully", 
@@ -1306,7 +1818,8 @@ export const assignTeamLead = async (req, res) => {
       });
     }
 
-    const project = await Project.findByIdAndUpdate(
+    const before = await Project.findById(projectId).lean();
+    const project = before && await Project.findByIdAndUpdate(
       projectId,
       { teamLead },
       { new: true }
@@ -1319,6 +1832,8 @@ export const assignTeamLead = async (req, res) => {
       });
     }
 
+    await recordAudit(req, { action: "project.assign_teamlead", entityType: "Project", before, after: project });
+
     res.status(200).json({ 
       success: true, 
       message: "Team Lead assigned successfully",
@@ -1351,7 +1866,8 @@ export const assignEmployees = async (req, res) => {
       });
     }
 
-    const project = await Project.findByIdAndUpdate(
+    const before = await Project.findById(projectId).lean();
+    const project = before && await Project.findByIdAndUpdate(
       projectId,
       { employees },
       { new: true }
@@ -1364,6 +1880,8 @@ export const assignEmployees = async (req, res) => {
       });
     }
 
+    await recordAudit(req, { action: "project.assign_employees", entityType: "Project", before, after: project });
+
     res.status(200).json({ 
       success: true, 
       message: "Employees assigned successfully",
@@ -1398,26 +1916,27 @@ export const recalculateProject = async (req, res) => {
       });
     }
 
-    // Recalculate based on category
-    if (project.category === "hourly") {
-      project.actualHours = project.timeEntries.reduce((total, entry) => total + (entry.hours || 0), 0);
-      project.totalAmount = project.hourlyRate * project.actualHours;
-    } else if (project.category === "milestone") {
-      project.totalAmount = project.milestones.reduce((total, milestone) => total + (milestone.amount || 0), 0);
-    } else if (project.category === "fixed") {
-      project.totalAmount = project.fixedAmount || 0;
-    }
+    const before = snapshot(project);
 
-    // Recalculate payments
-    project.paidAmount = project.payments.reduce((total, payment) => total + (payment.amount || 0), 0);
-    project.pendingAmount = project.totalAmount - project.paidAmount;
+    // Totals by category; every payment is converted again at its payment date's rate
+    const missingRate = await recalculateProjectTotals(project);
+    if (missingRate) {
+      return res.status(422).json({ 
+        success: false, 
+        message: missingRate 
+      });
+    }
 
     await project.save();
+    await syncInvoicePayments(project, project.payments.map((payment) => payment.invoiceId));
+
+    await recordAudit(req, { action: "project.recalculate", entityType: "Project", before, after: project });
 
     res.status(200).json({
       success: true,
       message: "Project totals recalculated successfully",
       project: {
+        currency: currencyOf(project),
         totalAmount: project.totalAmount,
         paidAmount: project.paidAmount,
         pendingAmount: project.pendingAmount,
@@ -1706,6 +2225,8 @@ export const pickProject = async (req, res) => {
       });
     }
 
+    const before = snapshot(project);
+
     // Assign team lead
     project.teamLead = teamLeadId;
     if (project.status === "pending") {
@@ -1715,6 +2236,8 @@ export const pickProject = async (req, res) => {
 
     await project.save();
 
+    await emitEvent(req, "project.picked", { project }, { audit: { action: "project.pick", entityType: "Project", before, after: project } });
+
     // Reload project with only safe fields
     const updatedProject = await Project.findById(id)
       .populate("teamLead", "name email role")
@@ -1779,6 +2302,8 @@ export const releaseProject = async (req, res) => {
       });
     }
 
+    const before = snapshot(project);
+
     // Release the project
     project.teamLead = null;
     project.status = "pending"; // Reset to pending for other teamleads to pick
@@ -1794,6 +2319,14 @@ export const releaseProject = async (req, res) => {
 
     await project.save();
 
+    await recordAudit(req, {
+      action: "project.release",
+      entityType: "Project",
+      before,
+      after: project,
+      metadata: reason ? { reason } : null,
+    });
+
     res.status(200).json({
       success: true,
       message: "Project released successfully. It's now available for other team leads to pick.",
@@ -2345,7 +2878,13 @@ export const updateEmployeeTaskStatus = async (req, res) => {
       });
     }
 
+    const gate = await checkStartAllowed(req, task, status);
+    if (!gate.allowed) {
+      return res.status(409).json(blockedStartResponse(gate.blockedBy));
+    }
+
     // Update task status
+    const before = snapshot(task);
     const previousStatus = task.status;
     task.status = status;
 
@@ -2370,6 +2909,8 @@ export const updateEmployeeTaskStatus = async (req, res) => {
 
     await task.save();
 
+    await recordAudit(req, { action: "task.status_change", entityType: "Task", before, after: task });
+
     // Return updated task with populated fields
     const updatedTask = await Task.findById(taskId)
       .populate("project", "projectName clientName")
@@ -2437,6 +2978,7 @@ export const addEmployeeTaskResponse = async (req, res) => {
     }
 
     // Add employee response
+    const before = snapshot(task);
     task.employeeResponses.push({
       message: message.trim(),
       type,
@@ -2458,6 +3000,8 @@ export const addEmployeeTaskResponse = async (req, res) => {
 
     await task.save();
 
+    await recordAudit(req, { action: "task.response_add", entityType: "Task", before, after: task });
+
     // Return updated task with populated fields
     const updatedTask = await Task.findById(taskId)
       .populate("project", "projectName clientName")
@@ -2687,24 +3231,13 @@ export const assignEmployeesToProject = async (req, res) => {
       .populate("employees", "name firstName lastName email role")
       .populate("createdBy", "name email");
 
-    // Log the assignment change for audit purposes
-    console.log(`Team Lead ${req.user.email} updated employee assignments for project ${project.projectName}:`, {
-      previousCount: project.employees?.length || 0,
-      newCount: employeeIds.length,
-      assignedEmployees: employeeIds
-    });
-
-    // Create activity log (if you have an activity logging system)
-    // await ActivityLog.create({
-    //   user: req.user._id,
-    //   action: 'assign_employees',
-    //   resource: 'project',
-    //   resourceId: projectId,
-    //   details: {
-    //     employeeCount: employeeIds.length,
-    //     employeeIds: employeeIds
-    //   }
-    // });
+    await recordAudit(req, {
+      action: "project.assign_employees",
+      entityType: "Project",
+      before: project,
+      after: updatedProject,
+      metadata: { previousCount: project.employees?.length || 0, newCount: employeeIds.length },
+    });
 
     res.status(200).json({
       success: true,
@@ -3154,6 +3687,14 @@ export const removeEmployeeFromProject = async (req, res) => {
       );
     }
 
+    await recordAudit(req, {
+      action: "project.remove_employee",
+      entityType: "Project",
+      before: project,
+      after: updatedProject,
+      metadata: { employee: employee._id, unassignedTasks: tasksToUpdate.map((t) => t._id) },
+    });
+
     const employeeName = employee.name || 
       (employee.firstName && employee.lastName ? `${employee.firstName} ${employee.lastName}` : employee.email);
 
@@ -3,6 +3,16 @@
 import Task from "../models/Task.js";
 import User from "../models/User.js";
 import { Project } from "../models/Project.js";
+import { recordAudit, snapshot } from "../utils/audit.js";
+import { emitEvent } from "../utils/events.js";
+import { userCan } from "../utils/permissions.js";
+import { logTaskTime } from "../utils/timesheets.js";
+import {
+  validateDependencies,
+  checkStartAllowed,
+  blockedStartResponse,
+  buildDependencyGraph,
+} from "../utils/taskDependencies.js";
 /**
  * @desc Create a new task (Teamlead/Admin only)
  */
@@ -99,8 +109,14 @@ export const logTime = async (req, res) => {
     // Calculate total time in minutes
     const totalMinutes = Math.round((new Date(endTime) - new Date(startTime)) / (1000 * 60));
 
+    // Hours go on the week's timesheet; the log keeps the work history
+    const logged = await logTaskTime(req.user, task, { startTime, endTime, description });
+    if (logged.error) return res.status(logged.status).json({ success: false, message: logged.error });
+
     // Add log entry
+    const before = snapshot(task);
     task.logs.push({
+      update: description || "Time logged",
       startTime,
       endTime,
       totalTime: totalMinutes,
@@ -109,8 +125,10 @@ export const logTime = async (req, res) => {
     });
 
     await task.save();
+    await recordAudit(req, { action: "task.log_time", entityType: "Task", before, after: task, metadata: { minutes: totalMinutes, timesheetEntry: logged.entry._id } });
 
-    return res.status(200).json({ success: true, message: "Time logged successfully", task });
+    const updated = await Task.findById(taskId);
+    return res.status(200).json({ success: true, message: "Time logged successfully", task: updated, timesheetEntry: logged.entry });
   } catch (err) {
     console.error("LogTime Error:", err);
     return res.status(500).json({ success: false, message: "Error logging time", error: err.message });
@@ -200,7 +218,7 @@ export const createTask = async (req, res) => {
       return res.status(403).json({ success: false, message: "Not authorized to create tasks" });
     }
 
-    const { title, description, specialInstructions, assignedTo, project, dueDate, projectLink, priority } = req.body;
+    const { title, description, specialInstructions, assignedTo, project, dueDate, projectLink, priority, dependsOn, estimatedHours } = req.body;
 
     if (!title || !description) {
       return res.status(400).json({ success: false, message: "Title and description are required" });
@@ -225,10 +243,18 @@ export const createTask = async (req, res) => {
       dueDate,
       projectLink,
       priority: priority || "medium",
+      estimatedHours,
+      dependsOn: dependsOn || [],
       createdBy: req.user._id,
     });
 
+    const dependencyError = await validateDependencies(newTask, newTask.dependsOn);
+    if (dependencyError) return res.status(400).json({ success: false, message: dependencyError });
+
     await newTask.save();
+    await recordAudit(req, { action: "task.create", entityType: "Task", after: newTask });
+    if (newTask.assignedTo) await emitEvent(req, "task.assigned", { task: newTask });
+
     const populatedTask = await Task.findById(newTask._id)
       .populate("assignedTo", "name email")
       .populate("project", "projectName clientName")
@@ -318,8 +344,26 @@ export const updateTask = async (req, res) => {
       return res.status(403).json({ success: false, message: "You can only update your own tasks" });
     }
 
+    if (req.body.dependsOn !== undefined || req.body.project !== undefined) {
+      const candidate = { _id: task._id, project: req.body.project ?? task.project };
+      const dependencyError = await validateDependencies(candidate, req.body.dependsOn ?? task.dependsOn);
+      if (dependencyError) return res.status(400).json({ success: false, message: dependencyError });
+    }
+
+    const gate = await checkStartAllowed(req, task, req.body.status);
+    if (!gate.allowed) return res.status(409).json(blockedStartResponse(gate.blockedBy));
+
+    const before = snapshot(task);
     Object.assign(task, req.body);
     await task.save();
+    await recordAudit(req, { action: "task.update", entityType: "Task", before, after: task });
+    if (task.assignedTo && String(task.assignedTo) !== String(before.assignedTo)) {
+      await emitEvent(req, "task.assigned", { task });
+    }
+    if (task.status !== before.status) {
+      await emitEvent(req, "task.status_changed", { task, from: before.status, to: task.status });
+    }
+
     const updatedTask = await Task.findById(task._id)
       .populate("assignedTo", "name email")
       .populate("project", "projectName clientName deadline")
@@ -350,8 +394,11 @@ export const deleteTask = async (req, res) => {
       return res.status(403).json({ success: false, message: "You can only delete your own tasks" });
     }
 
-    await Task.findByIdAndDelete(req.params.taskId);
-    res.status(200).json({ success: true, message: "Task deleted" });
+    const before = snapshot(task);
+    await task.softDelete(req.user._id);
+    await recordAudit(req, { action: "task.delete", entityType: "Task", before, after: task });
+
+    res.status(200).json({ success: true, message: "Task moved to trash" });
   } catch (err) {
     console.error("DeleteTask Error:", err);
     res.status(500).json({ success: false, message: "Error deleting task", error: err.message });
@@ -374,8 +421,11 @@ export const reassignTask = async (req, res) => {
     const task = await Task.findById(req.params.taskId);
     if (!task) return res.status(404).json({ success: false, message: "Task not found" });
 
+    const before = snapshot(task);
     task.assignedTo = req.body.newAssignedTo;
     await task.save();
+    await emitEvent(req, "task.assigned", { task }, { audit: { action: "task.reassign", entityType: "Task", before, after: task } });
+
     res.status(200).json({ success: true, message: "Task reassigned", task });
   } catch (err) {
     console.error("ReassignTask Error:", err);
@@ -396,8 +446,10 @@ export const addEmployeeResponse = async (req, res) => {
     if (req.user.role !== "employee" || task.assignedTo.toString() !== req.user._id.toString())
       return res.status(403).json({ success: false, message: "Not authorized" });
 
+    const before = snapshot(task);
     task.employeeResponses.push({ message: req.body.message, type: req.body.type || "progress", createdBy: req.user._id });
     await task.save();
+    await recordAudit(req, { action: "task.response_add", entityType: "Task", before, after: task });
 
     res.status(200).json({ success: true, message: "Response added", task });
   } catch (err) {
@@ -415,8 +467,10 @@ export const addLog = async (req, res) => {
     const task = await Task.findById(req.params.taskId);
     if (!task) return res.status(404).json({ success: false, message: "Task not found" });
 
+    const before = snapshot(task);
     task.logs.push({ ...req.body, updatedBy: req.user._id });
     await task.save();
+    await recordAudit(req, { action: "task.log_add", entityType: "Task", before, after: task });
 
     res.status(200).json({ success: true, message: "Log added", task });
   } catch (err) {
@@ -434,11 +488,16 @@ export const markComplete = async (req, res) => {
     const task = await Task.findById(req.params.taskId);
     if (!task) return res.status(404).json({ success: false, message: "Task not found" });
 
+    const before = snapshot(task);
     task.status = "completed";
     task.completedBy = req.user._id;
     task.completedAt = new Date();
 
     await task.save();
+    await emitEvent(req, "task.status_changed", { task, from: before.status, to: task.status }, {
+      audit: { action: "task.status_change", entityType: "Task", before, after: task },
+    });
+
     res.status(200).json({ success: true, message: "Task marked complete", task });
   } catch (err) {
     console.error("MarkComplete Error:", err);
@@ -478,8 +537,15 @@ export const updateTaskStatusByEmployee = async (req, res) => {
 
     if (task.assignedTo.toString() !== req.user._id.toString()) return res.status(403).json({ success: false, message: "Not authorized" });
 
+    const gate = await checkStartAllowed(req, task, req.body.status);
+    if (!gate.allowed) return res.status(409).json(blockedStartResponse(gate.blockedBy));
+
+    const before = snapshot(task);
     task.status = req.body.status;
     await task.save();
+    await emitEvent(req, "task.status_changed", { task, from: before.status, to: task.status }, {
+      audit: { action: "task.status_change", entityType: "Task", before, after: task },
+    });
 
     res.status(200).json({ success: true, message: "Task status updated", task });
   } catch (err) {
@@ -487,3 +553,71 @@ export const updateTaskStatusByEmployee = async (req, res) => {
     res.status(500).json({ success: false, message: "Error updating status", error: err.message });
   }
 };
+
+/**
+ * @desc Replace a task's prerequisites (same project only, no cycles)
+ * @route PUT /api/tasks/:taskId/dependencies
+ * @access Private (task:manage)
+ */
+export const setTaskDependencies = async (req, res) => {
+  try {
+    const { dependsOn } = req.body;
+    if (!Array.isArray(dependsOn)) {
+      return res.status(400).json({ success: false, message: "dependsOn must be an array of task ids" });
+    }
+
+    const task = await Task.findById(req.params.taskId);
+    if (!task) return res.status(404).json({ success: false, message: "Task not found" });
+
+    if (req.user.role === "teamlead" && task.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ success: false, message: "You can only update your own tasks" });
+    }
+
+    const dependencyError = await validateDependencies(task, dependsOn);
+    if (dependencyError) return res.status(400).json({ success: false, message: dependencyError });
+
+    const before = snapshot(task);
+    task.dependsOn = [...new Set(dependsOn.map(String))];
+    await task.save();
+    await recordAudit(req, { action: "task.dependencies_update", entityType: "Task", before, after: task });
+
+    const updatedTask = await Task.findById(task._id).populate("dependsOn", "title status assignedTo");
+    res.status(200).json({ success: true, message: "Dependencies updated", task: updatedTask });
+  } catch (err) {
+    console.error("SetTaskDependencies Error:", err);
+    res.status(500).json({ success: false, message: "Error updating dependencies", error: err.message });
+  }
+};
+
+/**
+ * @desc Dependency graph and critical path of a project's tasks
+ * @route GET /api/tasks/project/:projectId/graph
+ * @access Private (project:lead — own projects; project:read — any)
+ */
+export const getProjectDependencyGraph = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.projectId).select("projectName teamLead deadline");
+    if (!project) return res.status(404).json({ success: false, message: "Project not found" });
+
+    const leadsProject = project.teamLead && project.teamLead.toString() === req.user._id.toString();
+    if (!leadsProject && !(await userCan(req.user, "project:read"))) {
+      return res.status(403).json({ success: false, message: "You can only view graphs of projects you lead" });
+    }
+
+    const tasks = await Task.find({ project: project._id })
+      .select("title status priority assignedTo dueDate estimatedHours actualHours dependsOn")
+      .populate("assignedTo", "name email")
+      .lean();
+
+    const graph = buildDependencyGraph(tasks);
+
+    res.status(200).json({
+      success: true,
+      project: { _id: project._id, projectName: project.projectName, deadline: project.deadline },
+      ...graph,
+    });
+  } catch (err) {
+    console.error("GetProjectDependencyGraph Error:", err);
+    res.status(500).json({ success: false, message: "Error building dependency graph", error: err.message });
+  }
+};
@@ -59,9 +59,10 @@ if (password && password.trim() !== "") {
 
 export const deleteUser = async (req, res) => {
   try {
-    const deleted = await User.findByIdAndDelete(req.params.id);
+    const deleted = await User.findById(req.params.id);
     if (!deleted) return res.status(404).json({ message: "User not found" });
-    res.json({ message: "User deleted successfully" });
+    await deleted.softDelete(req.user?._id);
+    res.json({ message: "User moved to trash" });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -111,9 +112,11 @@ export const updateProject = async (req, res) => {
 
 export const deleteProject = async (req, res) => {
   try {
-    const deleted = await Project.findByIdAndDelete(req.params.id);
+    const deleted = await Project.findById(req.params.id);
     if (!deleted) return res.status(404).json({ message: "Project not found" });
-    res.json({ message: "Project deleted successfully" });
+    await deleted.softDelete(req.user?._id);
+    await Task.softDeleteMany({ project: deleted._id }, req.user?._id, deleted._id);
+    res.json({ message: "Project moved to trash" });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -150,9 +153,10 @@ export const updateTask = async (req, res) => {
 
 export const deleteTask = async (req, res) => {
   try {
-    const deleted = await Task.findByIdAndDelete(req.params.id);
+    const deleted = await Task.findById(req.params.id);
     if (!deleted) return res.status(404).json({ message: "Task not found" });
-    res.json({ message: "Task deleted successfully" });
+    await deleted.softDelete(req.user?._id);
+    res.json({ message: "Task moved to trash" });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -0,0 +1,489 @@
+// controllers/analyticsController.js
+import mongoose from "mongoose";
+import { Project } from "../models/Project.js";
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import Asset from "../models/Asset.js";
+import Report from "../models/Report.js";
+import WorkCalendar, { dayKey } from "../models/WorkCalendar.js";
+import { workingDaysBetween } from "../utils/reportCompliance.js";
+import { createRateLookup, convertRows, getBaseCurrency } from "../utils/currency.js";
+import { DEFAULT_CURRENCY, isKnownCurrency } from "../config/currencies.js";
+
+// 🔹 Centralized error handling
+const handleError = (res, err, message = "Server error") => {
+  console.error("AnalyticsController Error:", err);
+  return res.status(500).json({ success: false, message, error: err.message });
+};
+
+// Buckets are computed in the server's time zone, like the rest of the day-based logic
+const TIMEZONE = process.env.TZ || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const BUCKET_FORMATS = { day: "%Y-%m-%d", week: "%G-W%V", month: "%Y-%m" };
+const MAX_BUCKETS = 400;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const bucketOf = (bucket, field) => ({
+  $dateToString: { format: BUCKET_FORMATS[bucket], date: field, timezone: TIMEZONE },
+});
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// ISO week key matching %G-W%V
+const isoWeekKey = (date) => {
+  const d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  const weekday = (d.getDay() + 6) % 7;
+  d.setDate(d.getDate() - weekday + 3); // Thursday of this week decides the year
+  const firstThursday = new Date(d.getFullYear(), 0, 4);
+  const week = 1 + Math.round(((d - firstThursday) / DAY_MS - 3 + ((firstThursday.getDay() + 6) % 7)) / 7);
+  return `${d.getFullYear()}-W${pad(week)}`;
+};
+
+const keyOf = (bucket, date) => {
+  if (bucket === "month") return `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+  if (bucket === "week") return isoWeekKey(date);
+  return dayKey(date);
+};
+
+// Every bucket key in [from, to] so series have no holes
+const bucketKeys = (bucket, from, to) => {
+  const keys = [];
+  const step = { day: 1, week: 7 }[bucket];
+  let d = bucket === "month" ? new Date(from.getFullYear(), from.getMonth(), 1) : new Date(from.getFullYear(), from.getMonth(), from.getDate());
+  while (d <= to) {
+    const key = keyOf(bucket, d);
+    if (keys[keys.length - 1] !== key) keys.push(key);
+    d = bucket === "month" ? new Date(d.getFullYear(), d.getMonth() + 1, 1) : new Date(d.getFullYear(), d.getMonth(), d.getDate() + step);
+  }
+  const last = keyOf(bucket, to);
+  if (keys[keys.length - 1] !== last) keys.push(last);
+  return keys;
+};
+
+const round2 = (n) => Math.round((n || 0) * 100) / 100;
+
+// Rows [{ _id: bucketKey, ...values }] → full series with zeros
+const toSeries = (keys, rows, fields) => {
+  const byKey = new Map(rows.map((r) => [r._id, r]));
+  return keys.map((bucket) => {
+    const row = byKey.get(bucket) || {};
+    return { bucket, ...Object.fromEntries(fields.map((f) => [f, round2(row[f])])) };
+  });
+};
+
+const parseRange = (query) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  if (query.to && !/T/.test(query.to)) to.setHours(23, 59, 59, 999); // plain date = whole day
+  const from = query.from ? new Date(query.from) : new Date(to.getFullYear() - 1, to.getMonth() + 1, 1);
+  return { from, to };
+};
+
+/* ----------------------- SECTIONS ----------------------- */
+
+const projectSeries = async ({ bucket, from, to, projectMatch }) => {
+  const [started, completed] = await Promise.all([
+    Project.aggregate([
+      { $match: { ...projectMatch, createdAt: { $lte: to } } },
+      { $addFields: { startedOn: { $ifNull: ["$pickedAt", "$createdAt"] } } },
+      { $match: { startedOn: { $gte: from, $lte: to } } },
+      { $group: { _id: bucketOf(bucket, "$startedOn"), started: { $sum: 1 } } },
+    ]),
+    Project.aggregate([
+      { $match: { ...projectMatch, status: "completed" } },
+      { $addFields: { completedOn: { $ifNull: ["$completedAt", "$updatedAt"] } } },
+      { $match: { completedOn: { $gte: from, $lte: to } } },
+      { $group: { _id: bucketOf(bucket, "$completedOn"), completed: { $sum: 1 } } },
+    ]),
+  ]);
+  return { started, completed };
+};
+
+// Billed: approved hourly time entries (hours × rate), completed milestones, and fixed-price
+// projects when they start. Collected: payments by payment date (in project currency).
+// Amounts are summed per project currency, then converted into `currency` at the rates in
+// effect on the range's end date; currencies without a rate are left out and listed.
+const revenueSeries = async ({ bucket, from, to, projectMatch, currency }) => {
+  const inRange = { $gte: from, $lte: to };
+  const projectCurrency = { $ifNull: ["$currency", DEFAULT_CURRENCY] };
+  const key = (dateField) => ({ bucket: bucketOf(bucket, dateField), currency: projectCurrency });
+  const [result] = await Project.aggregate([
+    { $match: projectMatch },
+    {
+      $facet: {
+        hourly: [
+          { $match: { category: "hourly", "timeEntries.date": inRange } },
+          { $unwind: "$timeEntries" },
+          { $match: { "timeEntries.approved": true, "timeEntries.date": inRange } },
+          { $group: { _id: key("$timeEntries.date"), billed: { $sum: { $multiply: ["$timeEntries.hours", "$hourlyRate"] } } } },
+        ],
+        milestones: [
+          { $match: { "milestones.completedDate": inRange } },
+          { $unwind: "$milestones" },
+          { $match: { "milestones.status": "completed", "milestones.completedDate": inRange } },
+          { $group: { _id: key("$milestones.completedDate"), billed: { $sum: "$milestones.amount" } } },
+        ],
+        fixed: [
+          { $match: { category: "fixed" } },
+          { $addFields: { startedOn: { $ifNull: ["$pickedAt", "$createdAt"] } } },
+          { $match: { startedOn: inRange } },
+          {
+            $group: {
+              _id: key("$startedOn"),
+              billed: { $sum: { $cond: [{ $gt: ["$fixedAmount", 0] }, "$fixedAmount", "$totalAmount"] } },
+            },
+          },
+        ],
+        collected: [
+          { $match: { "payments.paymentDate": inRange } },
+          { $unwind: "$payments" },
+          { $match: { "payments.paymentDate": inRange } },
+          {
+            $group: {
+              _id: key("$payments.paymentDate"),
+              collected: { $sum: { $ifNull: ["$payments.projectAmount", "$payments.amount"] } },
+              payments: { $sum: 1 },
+            },
+          },
+        ],
+        outstanding: [
+          { $match: { status: { $nin: ["cancelled", "archived"] } } },
+          { $group: { _id: projectCurrency, total: { $sum: "$totalAmount" }, paid: { $sum: "$paidAmount" }, pending: { $sum: "$pendingAmount" } } },
+        ],
+      },
+    },
+  ]);
+
+  const lookup = await createRateLookup();
+  const missing = new Set();
+
+  // Rows keyed by { bucket, currency } → one row per bucket in the target currency
+  const convertByBucket = async (rows, amountFields, countFields = []) => {
+    const buckets = new Map();
+    for (const row of rows) {
+      const rate = await lookup(row._id.currency, currency, to);
+      if (rate === null) {
+        missing.add(row._id.currency);
+        continue;
+      }
+      const acc = buckets.get(row._id.bucket) || { _id: row._id.bucket };
+      amountFields.forEach((f) => (acc[f] = (acc[f] || 0) + (row[f] || 0) * rate));
+      countFields.forEach((f) => (acc[f] = (acc[f] || 0) + (row[f] || 0)));
+      buckets.set(row._id.bucket, acc);
+    }
+    return [...buckets.values()];
+  };
+
+  const [billed, collected, outstanding] = await Promise.all([
+    convertByBucket([...result.hourly, ...result.milestones, ...result.fixed], ["billed"]),
+    convertByBucket(result.collected, ["collected"], ["payments"]),
+    convertRows(
+      result.outstanding.map(({ _id, ...amounts }) => ({ currency: _id, ...amounts })),
+      ["total", "paid", "pending"],
+      currency,
+      to,
+      lookup
+    ),
+  ]);
+  outstanding.missing.forEach((c) => missing.add(c));
+
+  return {
+    billed,
+    collected,
+    outstanding: {
+      ...outstanding.totals,
+      byCurrency: result.outstanding.map(({ _id, ...amounts }) => ({ currency: _id, ...amounts })),
+    },
+    missingRates: [...missing],
+  };
+};
+
+// Completed tasks per bucket and assignee; cycle time runs from startedAt (or createdAt) to completion
+const taskSeries = async ({ bucket, from, to, taskMatch }) => {
+  const [throughput, overdue] = await Promise.all([
+    Task.aggregate([
+      {
+        $match: {
+          ...taskMatch,
+          status: "completed",
+          $or: [{ completedAt: { $gte: from, $lte: to } }, { completedAt: null, updatedAt: { $gte: from, $lte: to } }],
+        },
+      },
+      {
+        $addFields: {
+          completedOn: { $ifNull: ["$completedAt", "$updatedAt"] },
+          startedOn: { $ifNull: ["$startedAt", "$createdAt"] },
+        },
+      },
+      {
+        $group: {
+          _id: { bucket: bucketOf(bucket, "$completedOn"), assignee: "$assignedTo" },
+          completed: { $sum: 1 },
+          cycleHours: { $sum: { $divide: [{ $subtract: ["$completedOn", "$startedOn"] }, 3600000] } },
+          late: { $sum: { $cond: [{ $and: ["$dueDate", { $gt: ["$completedOn", "$dueDate"] }] }, 1, 0] } },
+        },
+      },
+    ]),
+    Task.aggregate([
+      { $match: { ...taskMatch, status: { $ne: "completed" }, dueDate: { $lt: new Date() } } },
+      { $group: { _id: { assignee: "$assignedTo", priority: "$priority" }, count: { $sum: 1 } } },
+    ]),
+  ]);
+  return { throughput, overdue };
+};
+
+const assetStats = async ({ bucket, from, to, memberIds }) => {
+  const match = { isDeleted: { $ne: true } };
+  if (memberIds) match.assignedTo = { $in: memberIds };
+
+  const [byType, movements] = await Promise.all([
+    Asset.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: "$type",
+          total: { $sum: 1 },
+          assigned: { $sum: { $cond: [{ $eq: ["$assignmentStatus", "assigned"] }, 1, 0] } },
+          outOfService: { $sum: { $cond: [{ $in: ["$conditionStatus", ["repair", "broken"]] }, 1, 0] } },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]),
+    Asset.aggregate([
+      { $match: { ...match, "history.timestamp": { $gte: from, $lte: to } } },
+      { $unwind: "$history" },
+      { $match: { "history.timestamp": { $gte: from, $lte: to }, "history.action": { $in: ["assigned", "returned"] } } },
+      {
+        $group: {
+          _id: bucketOf(bucket, "$history.timestamp"),
+          assigned: { $sum: { $cond: [{ $eq: ["$history.action", "assigned"] }, 1, 0] } },
+          returned: { $sum: { $cond: [{ $eq: ["$history.action", "returned"] }, 1, 0] } },
+        },
+      },
+    ]),
+  ]);
+  return { byType, movements };
+};
+
+// Daily reports per bucket and distinct report days per employee (for compliance)
+const reportStats = async ({ bucket, from, to, employeeIds }) => {
+  const match = { type: "daily", createdAt: { $gte: from, $lte: to }, createdBy: { $in: employeeIds } };
+  const [submitted, days] = await Promise.all([
+    Report.aggregate([
+      { $match: match },
+      { $group: { _id: bucketOf(bucket, "$createdAt"), submitted: { $sum: 1 } } },
+    ]),
+    Report.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: "$createdBy",
+          days: { $addToSet: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt", timezone: TIMEZONE } } },
+        },
+      },
+    ]),
+  ]);
+  return { submitted, days };
+};
+
+/**
+ * @desc    Admin analytics dashboard: time-bucketed series for projects, revenue, task throughput
+ *          and cycle time per team, overdue tasks, asset utilization and daily report compliance.
+ *          Query: from, to (default: the last 12 months), bucket = day | week | month (default month),
+ *          teamLead (limit everything to one team), currency (revenue currency; default finance.baseCurrency).
+ * @route   GET /api/admin/analytics
+ * @access  admin:stats
+ */
+export const getAnalyticsDashboard = async (req, res) => {
+  try {
+    const bucket = req.query.bucket || "month";
+    if (!BUCKET_FORMATS[bucket]) {
+      return res.status(400).json({ success: false, message: "bucket must be day, week or month" });
+    }
+
+    const { from, to } = parseRange(req.query);
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+      return res.status(400).json({ success: false, message: "Invalid date range" });
+    }
+    const currency = req.query.currency ? String(req.query.currency).toUpperCase() : await getBaseCurrency();
+    if (!isKnownCurrency(currency)) {
+      return res.status(400).json({ success: false, message: `Unknown currency "${currency}"` });
+    }
+
+    const keys = bucketKeys(bucket, from, to);
+    if (keys.length > MAX_BUCKETS) {
+      return res.status(400).json({
+        success: false,
+        message: `Too many ${bucket} buckets (${keys.length}); use a larger bucket or a shorter range`,
+      });
+    }
+
+    // Team filter: the lead plus their members
+    const { teamLead } = req.query;
+    let lead = null;
+    if (teamLead) {
+      if (!mongoose.Types.ObjectId.isValid(teamLead)) {
+        return res.status(400).json({ success: false, message: "Invalid team lead id" });
+      }
+      lead = await User.findOne({ _id: teamLead, role: "teamlead" }).select("name").lean();
+      if (!lead) return res.status(404).json({ success: false, message: "Team lead not found" });
+    }
+
+    const users = await User.find().select("name role teamLead createdAt isActive").lean();
+    const teamOf = (user) => (user?.role === "teamlead" ? String(user._id) : user?.teamLead ? String(user.teamLead) : "unassigned");
+    const usersById = new Map(users.map((u) => [String(u._id), u]));
+    const inScope = lead ? users.filter((u) => teamOf(u) === String(lead._id)) : users;
+    const memberIds = lead ? inScope.map((u) => u._id) : null;
+    const employees = inScope.filter((u) => u.role === "employee" && u.isActive !== false);
+
+    const projectMatch = lead ? { teamLead: lead._id } : {};
+    const taskMatch = lead ? { assignedTo: { $in: memberIds } } : {};
+    const scope = { bucket, from, to, projectMatch, taskMatch, memberIds, currency };
+
+    const [projects, revenue, tasks, assets, reports, calendars] = await Promise.all([
+      projectSeries(scope),
+      revenueSeries(scope),
+      taskSeries(scope),
+      assetStats(scope),
+      reportStats({ ...scope, employeeIds: employees.map((e) => e._id) }),
+      WorkCalendar.forTeamLeads([...new Set(employees.filter((e) => e.teamLead).map((e) => String(e.teamLead)))]),
+    ]);
+
+    // Teams: throughput, cycle time and overdue counts folded by the assignee's team
+    const teams = new Map();
+    const teamRow = (key) => {
+      if (!teams.has(key)) {
+        teams.set(key, {
+          teamLead: key === "unassigned" ? null : key,
+          name: key === "unassigned" ? "No team" : usersById.get(key)?.name || "Unknown",
+          completed: 0,
+          cycleHours: 0,
+          late: 0,
+          overdue: 0,
+          expectedReports: 0,
+          submittedReports: 0,
+        });
+      }
+      return teams.get(key);
+    };
+
+    const throughputByBucket = new Map();
+    tasks.throughput.forEach((row) => {
+      const team = teamRow(teamOf(usersById.get(String(row._id.assignee))));
+      team.completed += row.completed;
+      team.cycleHours += row.cycleHours;
+      team.late += row.late;
+
+      const b = throughputByBucket.get(row._id.bucket) || { _id: row._id.bucket, completed: 0, cycleHours: 0, late: 0 };
+      b.completed += row.completed;
+      b.cycleHours += row.cycleHours;
+      b.late += row.late;
+      throughputByBucket.set(row._id.bucket, b);
+    });
+
+    const overdueByPriority = {};
+    let overdueTotal = 0;
+    tasks.overdue.forEach((row) => {
+      teamRow(teamOf(usersById.get(String(row._id.assignee)))).overdue += row.count;
+      overdueByPriority[row._id.priority || "none"] = (overdueByPriority[row._id.priority || "none"] || 0) + row.count;
+      overdueTotal += row.count;
+    });
+
+    // Compliance: report days on the team calendar's working days
+    const daysByUser = new Map(reports.days.map((r) => [String(r._id), new Set(r.days)]));
+    const today = new Date();
+    employees.forEach((employee) => {
+      const calendar = calendars.get(employee.teamLead ? String(employee.teamLead) : "default");
+      const start = new Date(Math.max(from, new Date(employee.createdAt || from)));
+      const end = new Date(Math.min(to, today));
+      const expected = workingDaysBetween(calendar, start, end);
+      const submitted = daysByUser.get(String(employee._id)) || new Set();
+      const team = teamRow(teamOf(employee));
+      team.expectedReports += expected.length;
+      team.submittedReports += expected.filter((d) => submitted.has(dayKey(d))).length;
+    });
+
+    const teamList = [...teams.values()]
+      .map(({ cycleHours, ...team }) => ({
+        ...team,
+        avgCycleHours: team.completed ? round2(cycleHours / team.completed) : null,
+        reportCompliance: team.expectedReports ? round2((team.submittedReports / team.expectedReports) * 100) : null,
+      }))
+      .sort((a, b) => b.completed - a.completed);
+
+    const sum = (rows, field) => round2(rows.reduce((s, r) => s + (r[field] || 0), 0));
+    const expectedReports = teamList.reduce((s, t) => s + t.expectedReports, 0);
+    const submittedReports = teamList.reduce((s, t) => s + t.submittedReports, 0);
+    const startedSeries = toSeries(keys, projects.started, ["started"]);
+    const completedSeries = toSeries(keys, projects.completed, ["completed"]);
+    const billedSeries = toSeries(keys, revenue.billed, ["billed"]);
+    const collectedSeries = toSeries(keys, revenue.collected, ["collected"]);
+    const assetTotals = { total: sum(assets.byType, "total"), assigned: sum(assets.byType, "assigned"), outOfService: sum(assets.byType, "outOfService") };
+
+    res.json({
+      success: true,
+      range: { from, to },
+      bucket,
+      timezone: TIMEZONE,
+      teamLead: lead ? { _id: lead._id, name: lead.name } : null,
+      projects: {
+        series: startedSeries.map((row, i) => ({ ...row, completed: completedSeries[i].completed })),
+        totals: { started: sum(projects.started, "started"), completed: sum(projects.completed, "completed") },
+      },
+      revenue: {
+        currency,
+        missingRates: revenue.missingRates,
+        series: billedSeries.map((row, i) => ({ ...row, collected: collectedSeries[i].collected })),
+        totals: { billed: sum(revenue.billed, "billed"), collected: sum(revenue.collected, "collected") },
+        outstanding: {
+          total: round2(revenue.outstanding.total),
+          paid: round2(revenue.outstanding.paid),
+          pending: round2(revenue.outstanding.pending),
+          byCurrency: revenue.outstanding.byCurrency.map(({ currency: code, total, paid, pending }) => ({
+            currency: code,
+            total: round2(total),
+            paid: round2(paid),
+            pending: round2(pending),
+          })),
+        },
+      },
+      tasks: {
+        series: toSeries(keys, [...throughputByBucket.values()], ["completed", "cycleHours", "late"]).map(({ cycleHours, ...row }) => ({
+          ...row,
+          avgCycleHours: row.completed ? round2(cycleHours / row.completed) : null,
+        })),
+        overdue: { total: overdueTotal, byPriority: overdueByPriority },
+        byTeam: teamList.map(({ expectedReports, submittedReports, reportCompliance, ...team }) => team),
+      },
+      assets: {
+        byType: assets.byType.map((row) => ({
+          type: row._id,
+          total: row.total,
+          assigned: row.assigned,
+          outOfService: row.outOfService,
+          utilization: row.total ? round2((row.assigned / row.total) * 100) : null,
+        })),
+        totals: { ...assetTotals, utilization: assetTotals.total ? round2((assetTotals.assigned / assetTotals.total) * 100) : null },
+        movements: toSeries(keys, assets.movements, ["assigned", "returned"]),
+      },
+      reports: {
+        series: toSeries(keys, reports.submitted, ["submitted"]),
+        compliance: {
+          expected: expectedReports,
+          submitted: submittedReports,
+          rate: expectedReports ? round2((submittedReports / expectedReports) * 100) : null,
+          byTeam: teamList
+            .filter((t) => t.expectedReports)
+            .map(({ teamLead: id, name, expectedReports: expected, submittedReports: done, reportCompliance: rate }) => ({
+              teamLead: id,
+              name,
+              expected,
+              submitted: done,
+              rate,
+            })),
+        },
+      },
+    });
+  } catch (err) {
+    handleError(res, err, "Error building analytics dashboard");
+  }
+};
@@ -1,5 +1,8 @@
 import Asset from "../models/Asset.js";
 import User from "../models/User.js";
+import { userCan } from "../utils/permissions.js";
+import { recordAudit, snapshot } from "../utils/audit.js";
+import { emitEvent } from "../utils/events.js";
 
 // 🔹 Centralized error handling
 const handleError = (res, err, message = "Server error") => {
@@ -10,12 +13,13 @@ const handleError = (res, err, message = "Server error") => {
 // ✅ Create asset (Admin only)
 export const createAsset = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
+    if (!(await userCan(req.user, "asset:manage"))) {
       return res.status(403).json({ success: false, message: "Access denied" });
     }
 
     const newAsset = new Asset(req.body);
     await newAsset.save();
+    await recordAudit(req, { action: "asset.create", entityType: "Asset", after: newAsset });
     return res.status(201).json({ success: true, data: newAsset });
   } catch (err) {
     if (err.code === 11000) {
@@ -31,7 +35,7 @@ export const createAsset = async (req, res) => {
 // ✅ Get ALL assets (Admin only)
 export const getAssets = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
+    if (!(await userCan(req.user, "asset:read"))) {
       return res.status(403).json({ success: false, message: "Access denied" });
     }
     const assets = await Asset.find().populate("assignedTo", "name email role");
@@ -76,7 +80,7 @@ export const getAssetById = async (req, res) => {
 // ✅ Assign asset to user (Admin only)
 export const assignAsset = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
+    if (!(await userCan(req.user, "asset:assign"))) {
       return res.status(403).json({ success: false, message: "Access denied" });
     }
 
@@ -92,10 +96,12 @@ export const assignAsset = async (req, res) => {
       return res.status(400).json({ success: false, message: "Asset is already assigned" });
     }
 
+    const before = snapshot(asset);
     asset.assignedTo = userId;
     asset.assignmentStatus = "assigned";
     asset.assignmentDate = new Date();
     await asset.save();
+    await emitEvent(req, "asset.assigned", { asset }, { audit: { action: "asset.assign", entityType: "Asset", before, after: asset } });
 
     return res.status(200).json({ success: true, message: "Asset assigned successfully", data: asset });
   } catch (err) {
@@ -111,14 +117,19 @@ export const returnAsset = async (req, res) => {
 
     if (!asset) return res.status(404).json({ success: false, message: "Asset not found" });
 
-    if (String(asset.assignedTo) !== String(req.user._id) && req.user.role !== "admin") {
+    if (String(asset.assignedTo) !== String(req.user._id) && !(await userCan(req.user, "asset:assign"))) {
       return res.status(403).json({ success: false, message: "You cannot return this asset" });
     }
 
+    const before = snapshot(asset);
+    const previousAssignee = asset.assignedTo;
     asset.assignedTo = null;
     asset.assignmentStatus = "unassigned";
     asset.returnDate = new Date();
     await asset.save();
+    await emitEvent(req, "asset.returned", { asset, previousAssignee }, {
+      audit: { action: "asset.return", entityType: "Asset", before, after: asset },
+    });
 
     return res.status(200).json({ success: true, message: "Asset returned successfully", data: asset });
   } catch (err) {
@@ -129,12 +140,16 @@ export const returnAsset = async (req, res) => {
 // ✅ Update asset (Admin only)
 export const updateAsset = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
+    if (!(await userCan(req.user, "asset:manage"))) {
       return res.status(403).json({ success: false, message: "Access denied" });
     }
 
+    const before = await Asset.findById(req.params.assetId).lean();
+    if (!before) return res.status(404).json({ success: false, message: "Asset not found" });
+
     const updatedAsset = await Asset.findByIdAndUpdate(req.params.assetId, req.body, { new: true, runValidators: true });
     if (!updatedAsset) return res.status(404).json({ success: false, message: "Asset not found" });
+    await recordAudit(req, { action: "asset.update", entityType: "Asset", before, after: updatedAsset });
 
     return res.status(200).json({ success: true, data: updatedAsset });
   } catch (err) {
@@ -145,12 +160,13 @@ export const updateAsset = async (req, res) => {
 // ✅ Delete asset (Admin only)
 export const deleteAsset = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
+    if (!(await userCan(req.user, "asset:manage"))) {
       return res.status(403).json({ success: false, message: "Access denied" });
     }
 
     const deletedAsset = await Asset.findByIdAndDelete(req.params.assetId);
     if (!deletedAsset) return res.status(404).json({ success: false, message: "Asset not found" });
+    await recordAudit(req, { action: "asset.delete", entityType: "Asset", before: deletedAsset });
 
     return res.status(200).json({ success: true, message: "Asset deleted successfully" });
   } catch (err) {
@@ -203,7 +219,7 @@ export const searchAssets = async (req, res) => {
 // ✅ Get all returned assets (Admin only) - for return tracking dashboard
 export const getReturnedAssets = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
+    if (!(await userCan(req.user, "asset:read"))) {
       return res.status(403).json({ success: false, message: "Access denied" });
     }
 
@@ -225,7 +241,7 @@ export const getReturnedAssets = async (req, res) => {
 // ✅ Get asset return statistics (Admin only)
 export const getAssetReturnStats = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
+    if (!(await userCan(req.user, "asset:read"))) {
       return res.status(403).json({ success: false, message: "Access denied" });
     }
 
@@ -263,7 +279,7 @@ export const getAssetReturnStats = async (req, res) => {
 // ✅ Get overdue assets (assigned for too long) - Admin only
 export const getOverdueAssets = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
+    if (!(await userCan(req.user, "asset:read"))) {
       return res.status(403).json({ success: false, message: "Access denied" });
     }
 
@@ -290,7 +306,7 @@ export const getOverdueAssets = async (req, res) => {
 // ✅ Force return asset (Admin only) - for when employee doesn't return
 export const forceReturnAsset = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
+    if (!(await userCan(req.user, "asset:assign"))) {
       return res.status(403).json({ success: false, message: "Access denied" });
     }
 
@@ -306,6 +322,7 @@ export const forceReturnAsset = async (req, res) => {
 
     // Store previous assignment info before clearing
     const previousAssignee = asset.assignedTo;
+    const before = snapshot(asset);
     
     asset.assignedTo = null;
     asset.assignmentStatus = "unassigned";
@@ -314,6 +331,9 @@ export const forceReturnAsset = async (req, res) => {
     asset.returnType = "forced"; // Track that this was a forced return
     
     await asset.save();
+    await emitEvent(req, "asset.returned", { asset, previousAssignee, reason }, {
+      audit: { action: "asset.force_return", entityType: "Asset", before, after: asset, metadata: { reason } },
+    });
 
     return res.status(200).json({ 
       success: true, 
@@ -329,7 +349,7 @@ export const forceReturnAsset = async (req, res) => {
 // ✅ Get return report (detailed return information) - Admin only  
 export const getReturnReport = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
+    if (!(await userCan(req.user, "asset:read"))) {
       return res.status(403).json({ success: false, message: "Access denied" });
     }
 
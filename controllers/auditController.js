@@ -0,0 +1,151 @@
+// controllers/auditController.js
+import mongoose from "mongoose";
+import AuditLog from "../models/AuditLog.js";
+
+const MAX_EXPORT_ROWS = 10000;
+
+// 🔹 Centralized error handling
+const handleError = (res, err, message = "Server error") => {
+  console.error("AuditController Error:", err);
+  return res.status(500).json({ success: false, message, error: err.message });
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Query filters shared by search and export → { filter } or { error }:
+ *   actor, entityType, entityId, from, to, ip
+ *   action — exact ("payment.update") or a prefix ending with "." ("payment.")
+ */
+const FILTER_KEYS = ["actor", "action", "entityType", "entityId", "from", "to", "ip"];
+
+const buildAuditFilter = (query) => {
+  // A repeated parameter (?action=a&action=b) arrives as an array
+  const repeated = FILTER_KEYS.find((key) => query[key] !== undefined && typeof query[key] !== "string");
+  if (repeated) return { error: `${repeated} can only be given once` };
+
+  const { actor, action, entityType, entityId, from, to, ip } = query;
+  const filter = {};
+
+  if (actor && mongoose.Types.ObjectId.isValid(actor)) filter.actor = actor;
+  if (action) {
+    filter.action = action.endsWith(".")
+      ? { $regex: `^${escapeRegex(action)}` }
+      : action;
+  }
+  if (entityType) filter.entityType = entityType;
+  if (entityId && mongoose.Types.ObjectId.isValid(entityId)) filter.entityId = entityId;
+  if (ip) filter.ip = ip;
+  if (from || to) {
+    filter.createdAt = {};
+    for (const [key, value, op] of [["from", from, "$gte"], ["to", to, "$lte"]]) {
+      if (!value) continue;
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) return { error: `${key} must be a valid date` };
+      filter.createdAt[op] = date;
+    }
+  }
+
+  return { filter };
+};
+
+/**
+ * @desc    Search the audit log (filters: actor, action, entityType, entityId, ip, from, to)
+ * @route   GET /api/admin/audit
+ * @access  audit:read
+ */
+export const getAuditLogs = async (req, res) => {
+  try {
+    const { filter, error } = buildAuditFilter(req.query);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      logs,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (err) {
+    handleError(res, err, "Error fetching audit log");
+  }
+};
+
+// Cells a spreadsheet would read as a formula are prefixed with ' to keep them text
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const summarizeChanges = (changes = []) =>
+  changes.map((c) => `${c.field}: ${JSON.stringify(c.from)} -> ${JSON.stringify(c.to)}`).join("; ");
+
+/**
+ * @desc    Export the filtered audit log as CSV (same filters as search)
+ * @route   GET /api/admin/audit/export
+ * @access  audit:read
+ */
+export const exportAuditLogs = async (req, res) => {
+  try {
+    const { filter, error } = buildAuditFilter(req.query);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    // One row more than the cap tells whether the export was cut off
+    const logs = await AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(MAX_EXPORT_ROWS + 1)
+      .lean();
+    const truncated = logs.length > MAX_EXPORT_ROWS;
+    if (truncated) logs.length = MAX_EXPORT_ROWS;
+
+    const header = [
+      "timestamp",
+      "actorName",
+      "actorEmail",
+      "actorRole",
+      "action",
+      "entityType",
+      "entityId",
+      "changes",
+      "metadata",
+      "ip",
+    ];
+    const rows = logs.map((log) => [
+      log.createdAt?.toISOString(),
+      log.actorName,
+      log.actorEmail,
+      log.actorRole,
+      log.action,
+      log.entityType,
+      log.entityId,
+      summarizeChanges(log.changes),
+      log.metadata,
+      log.ip,
+    ]);
+
+    const csv = [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\r\n");
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    // Newest MAX_EXPORT_ROWS only: narrow the from/to range to export the rest
+    res.setHeader("X-Export-Truncated", String(truncated));
+    res.setHeader("X-Export-Limit", String(MAX_EXPORT_ROWS));
+    res.send(csv);
+  } catch (err) {
+    handleError(res, err, "Error exporting audit log");
+  }
+};
@@ -1,23 +1,233 @@
 // controllers/authController.js
 import User from "../models/User.js";
+import Session from "../models/Session.js";
 import jwt from "jsonwebtoken";
 import crypto from "crypto";
 import bcrypt from "bcryptjs";
+import Setting from "../models/Setting.js";
+import LoginAttempt from "../models/LoginAttempt.js";
+import Invitation from "../models/Invitation.js";
+import { schemas } from "../middleware/validation.js";
+import { sendEmail } from "../utils/mailer.js";
+import {
+  generateSecret,
+  matchTOTPStep,
+  buildOtpAuthUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} from "../utils/totp.js";
+
+const RESET_TOKEN_TTL_MINUTES = 15;
+const PENDING_2FA_TTL = "5m";
+const TWO_FACTOR_FIELDS = "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes";
 
 /* ----------------------- Helper ----------------------- */
-const generateToken = (res, userId) => {
-  const token = jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: "7d",
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+const cookieOptions = () => ({
+  httpOnly: true, // prevent JS access
+  secure: process.env.NODE_ENV === "production", // only https in prod
+  sameSite: process.env.NODE_ENV === "production" ? "strict" : "lax", // 👈 important for dev
+});
+
+const REFRESH_COOKIE_PATH = "/api/auth";
+
+const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
   });
 
+// Write access + refresh cookies for a session and return both tokens
+const setAuthCookies = (res, userId, session, refreshToken) => {
+  const token = signAccessToken(userId, session._id);
+  const decoded = jwt.decode(token);
+
   res.cookie("token", token, {
-    httpOnly: true, // prevent JS access
-    secure: process.env.NODE_ENV === "production", // only https in prod
-    sameSite: process.env.NODE_ENV === "production" ? "strict" : "lax", // 👈 important for dev
-    maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+    ...cookieOptions(),
+    maxAge: decoded.exp * 1000 - Date.now(),
   });
 
-  return token;
+  res.cookie("refreshToken", refreshToken, {
+    ...cookieOptions(),
+    path: REFRESH_COOKIE_PATH,
+    maxAge: session.expiresAt.getTime() - Date.now(),
+  });
+
+  return { token, refreshToken };
+};
+
+// Start a new server-side session for a user and issue tokens
+const generateToken = async (req, res, userId) => {
+  const session = new Session({
+    user: userId,
+    refreshTokenHash: "pending",
+    userAgent: req.get("user-agent"),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+  });
+  const refreshToken = session.rotateRefreshToken();
+  await session.save();
+
+  return setAuthCookies(res, userId, session, refreshToken);
+};
+
+const clearAuthCookies = (res) => {
+  res.clearCookie("token", cookieOptions());
+  res.clearCookie("refreshToken", { ...cookieOptions(), path: REFRESH_COOKIE_PATH });
+};
+
+const sessionView = (session, currentSessionId) => ({
+  _id: session._id,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  revokedAt: session.revokedAt,
+  isCurrent: currentSessionId ? session._id.toString() === currentSessionId.toString() : false,
+});
+
+/* ----------------------- Lockout Helpers ----------------------- */
+
+const getLockoutPolicy = async () => {
+  const values = await Setting.getValues([
+    "auth.lockoutThreshold",
+    "auth.lockoutBaseMinutes",
+    "auth.lockoutMaxMinutes",
+    "auth.ipFailureLimit",
+    "auth.ipFailureWindowMinutes",
+  ]);
+
+  return {
+    threshold: values["auth.lockoutThreshold"],
+    baseMinutes: values["auth.lockoutBaseMinutes"],
+    maxMinutes: values["auth.lockoutMaxMinutes"],
+    ipLimit: values["auth.ipFailureLimit"],
+    ipWindowMinutes: values["auth.ipFailureWindowMinutes"],
+  };
+};
+
+const isIpThrottled = async (req, policy) => {
+  const since = new Date(Date.now() - policy.ipWindowMinutes * 60 * 1000);
+  return (await LoginAttempt.countRecentFailuresByIp(req.ip, since)) >= policy.ipLimit;
+};
+
+const lockedResponse = (res, lockedUntil) => {
+  res.set("Retry-After", String(Math.max(1, Math.ceil((lockedUntil - Date.now()) / 1000))));
+  return res.status(423).json({
+    success: false,
+    message: "Account temporarily locked after repeated failed logins",
+    lockedUntil,
+  });
+};
+
+// Full login succeeded: clear lockout counters, stamp lastLogin, audit
+const markLoginSuccess = async (req, user, stage) => {
+  user.resetLoginFailures();
+  user.lastLogin = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  await LoginAttempt.record(req, { email: user.email, user, stage, success: true, reason: "success" });
+};
+
+// Issue a session and send the standard login payload
+const completeLogin = async (req, res, user, stage = "password") => {
+  await markLoginSuccess(req, user, stage);
+  const { token, refreshToken } = await generateToken(req, res, user._id);
+
+  res.json({
+    success: true,
+    token, // optional, cookie is main storage
+    refreshToken,
+    user: { id: user._id, name: user.name, role: user.role },
+  });
+};
+
+/* ----------------------- 2FA Helpers ----------------------- */
+
+// Short-lived token proving the password step passed; purpose is "2fa-verify" or "2fa-enroll"
+const signPendingToken = (userId, purpose) =>
+  jwt.sign({ id: userId, purpose }, process.env.JWT_SECRET, { expiresIn: PENDING_2FA_TTL });
+
+const loadPendingUser = async (pendingToken, purpose) => {
+  if (!pendingToken) return null;
+  try {
+    const decoded = jwt.verify(pendingToken, process.env.JWT_SECRET);
+    if (decoded.purpose !== purpose) return null;
+    const user = await User.findById(decoded.id).select(TWO_FACTOR_FIELDS);
+    return user && user.isActive ? user : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+const isTwoFactorRequired = async (user) => {
+  const roles = await Setting.getValue("auth.twoFactorRequiredRoles");
+  return Array.isArray(roles) && roles.includes(user.role);
+};
+
+// Create a pending secret; becomes active only after a valid code is confirmed
+const startEnrollment = async (user) => {
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = encryptSecret(secret);
+  await user.save();
+
+  return { secret, otpauthUrl: buildOtpAuthUri({ secret, accountName: user.email }) };
+};
+
+// Confirm the pending secret with a code; returns fresh recovery codes or null
+const finishEnrollment = async (user, code) => {
+  if (!user.twoFactor.pendingSecret) return null;
+
+  const secret = decryptSecret(user.twoFactor.pendingSecret);
+  const step = matchTOTPStep(secret, code);
+  if (step === null) return null;
+
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.lastUsedStep = step;
+  await user.save();
+
+  return recoveryCodes;
+};
+
+// Accept a TOTP code once: its time step must be newer than the last accepted one
+// (a single conditional update, so parallel requests cannot both use it)
+const claimTOTP = async (user, code) => {
+  const step = matchTOTPStep(decryptSecret(user.twoFactor.secret), code);
+  if (step === null) return false;
+
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id, $or: [{ "twoFactor.lastUsedStep": null }, { "twoFactor.lastUsedStep": { $lt: step } }] },
+    { $set: { "twoFactor.lastUsedStep": step } }
+  );
+  return modifiedCount === 1;
+};
+
+// Check a TOTP code or consume a recovery code; returns the method used or null
+const checkSecondFactor = async (user, { code, recoveryCode }) => {
+  if (!user.twoFactor?.enabled || !user.twoFactor.secret) return null;
+
+  if (code && (await claimTOTP(user, code))) return "totp";
+
+  if (recoveryCode) {
+    // Pulled only if still there, so one code cannot be spent twice
+    const hashed = hashRecoveryCode(recoveryCode);
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, "twoFactor.recoveryCodes": hashed },
+      { $pull: { "twoFactor.recoveryCodes": hashed } }
+    );
+    if (modifiedCount === 1) return "recovery-code";
+  }
+
+  return null;
 };
 
 /* ----------------------- Auth Controllers ----------------------- */
@@ -25,40 +235,181 @@ const generateToken = (res, userId) => {
 // @desc Login user
 export const login = async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { password } = req.body;
+    const email = String(req.body.email || "").toLowerCase().trim();
+    const policy = await getLockoutPolicy();
+
+    if (await isIpThrottled(req, policy)) {
+      await LoginAttempt.record(req, { email, success: false, reason: "ip-throttled" });
+      res.set("Retry-After", String(policy.ipWindowMinutes * 60));
+      return res.status(429).json({
+        success: false,
+        message: "Too many failed login attempts from this address, please try again later",
+      });
+    }
 
     const user = await User.findOne({ email });
+
+    // Locked accounts are refused before the password is even checked
+    if (user?.isLocked) {
+      await LoginAttempt.record(req, { email, user, success: false, reason: "account-locked" });
+      return lockedResponse(res, user.lockout.lockedUntil);
+    }
+
     if (!user || !(await user.matchPassword(password))) {
+      await LoginAttempt.record(req, { email, user, success: false, reason: "invalid-credentials" });
+
+      if (user) {
+        const lockedUntil = await user.registerFailedLogin(policy);
+        if (lockedUntil) return lockedResponse(res, lockedUntil);
+      }
+
       return res.status(401).json({ success: false, message: "Invalid credentials" });
     }
 
-    const token = generateToken(res, user._id);
+    if (!user.isActive) {
+      await LoginAttempt.record(req, { email, user, success: false, reason: "account-inactive" });
+      return res.status(403).json({ success: false, message: "Account is deactivated" });
+    }
+
+    // Step two required: hand back a pending token instead of a session
+    if (user.twoFactor?.enabled) {
+      await LoginAttempt.record(req, { email, user, stage: "password", success: false, reason: "password-ok" });
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        pendingToken: signPendingToken(user._id, "2fa-verify"),
+        message: "Enter the code from your authenticator app",
+      });
+    }
+
+    if (await isTwoFactorRequired(user)) {
+      return res.json({
+        success: true,
+        twoFactorSetupRequired: true,
+        pendingToken: signPendingToken(user._id, "2fa-enroll"),
+        message: "Two-factor authentication is required for your role, set it up to continue",
+      });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// @desc Login step two: verify TOTP (or recovery) code with the pending token
+export const verifyLoginTwoFactor = async (req, res) => {
+  try {
+    const { pendingToken, code, recoveryCode } = req.body;
+
+    const user = await loadPendingUser(pendingToken, "2fa-verify");
+    if (!user) {
+      return res.status(401).json({ success: false, message: "Login session expired, please sign in again" });
+    }
+
+    if (user.isLocked) {
+      await LoginAttempt.record(req, { email: user.email, user, stage: "2fa", success: false, reason: "account-locked" });
+      return lockedResponse(res, user.lockout.lockedUntil);
+    }
+
+    const method = await checkSecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      await LoginAttempt.record(req, { email: user.email, user, stage: "2fa", success: false, reason: "invalid-code" });
+
+      const lockedUntil = await user.registerFailedLogin(await getLockoutPolicy());
+      if (lockedUntil) return lockedResponse(res, lockedUntil);
+
+      return res.status(401).json({ success: false, message: "Invalid authentication code" });
+    }
+
+    await completeLogin(req, res, user, "2fa");
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Error verifying code", error: err.message });
+  }
+};
+
+// @desc Mandatory enrollment during login: get a secret using the pending token
+export const setupLoginTwoFactor = async (req, res) => {
+  try {
+    const user = await loadPendingUser(req.body.pendingToken, "2fa-enroll");
+    if (!user) {
+      return res.status(401).json({ success: false, message: "Login session expired, please sign in again" });
+    }
+
+    const provisioning = await startEnrollment(user);
+    res.json({ success: true, ...provisioning });
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Error starting two-factor setup", error: err.message });
+  }
+};
+
+// @desc Mandatory enrollment during login: confirm code, then log in
+export const enableLoginTwoFactor = async (req, res) => {
+  try {
+    const { pendingToken, code } = req.body;
+
+    const user = await loadPendingUser(pendingToken, "2fa-enroll");
+    if (!user) {
+      return res.status(401).json({ success: false, message: "Login session expired, please sign in again" });
+    }
+
+    const recoveryCodes = await finishEnrollment(user, code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ success: false, message: "Invalid authentication code" });
+    }
+
+    await markLoginSuccess(req, user, "2fa");
+    const { token, refreshToken } = await generateToken(req, res, user._id);
 
     res.json({
       success: true,
-      token, // optional, cookie is main storage
+      message: "Two-factor authentication enabled",
+      recoveryCodes, // shown once
+      token,
+      refreshToken,
       user: { id: user._id, name: user.name, role: user.role },
     });
   } catch (err) {
-    res.status(500).json({ success: false, message: err.message });
+    res.status(500).json({ success: false, message: "Error enabling two-factor authentication", error: err.message });
   }
 };
 
-// @desc Register new user
+// @desc Register new user (only when public registration is enabled; always an employee)
 export const register = async (req, res) => {
-  const { name, email, password, role, cnic, phone } = req.body;
-
   try {
-    if (await User.findOne({ email })) {
+    if (!(await Setting.getValue("auth.publicRegistration"))) {
+      return res.status(403).json({
+        success: false,
+        message: "Public registration is disabled, ask an administrator for an invitation",
+      });
+    }
+
+    // Role is never taken from the request body
+    const { name, email, password, cnic, phone } = req.body;
+    const { error, value } = schemas.createUser.validate({ name, email, password, cnic, phone, role: "employee" });
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    if (await User.findOne({ email: value.email })) {
       return res.status(400).json({ success: false, message: "User already exists with this email" });
     }
 
-    if (await User.findOne({ cnic })) {
+    if (await User.findOne({ cnic: value.cnic })) {
       return res.status(400).json({ success: false, message: "CNIC already registered" });
     }
 
-    const user = await User.create({ name, email, password, role, cnic, phone });
-    generateToken(res, user._id);
+    // Deleted accounts keep their email/CNIC until purged
+    if (await User.findTrashedWith(value)) {
+      return res.status(409).json({
+        success: false,
+        message: "A deleted account uses this email or CNIC; restore it from the trash instead",
+      });
+    }
+
+    const user = await User.create(value);
+    await generateToken(req, res, user._id);
 
     res.status(201).json({
       success: true,
@@ -70,6 +421,117 @@ export const register = async (req, res) => {
   }
 };
 
+// @desc Look up an invitation from its emailed link
+export const getInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findByToken(req.params.token);
+    if (!invitation) {
+      return res.status(404).json({ success: false, message: "Invitation is invalid, expired or already used" });
+    }
+
+    await invitation.populate("teamLead", "name email");
+
+    res.json({
+      success: true,
+      invitation: {
+        email: invitation.email,
+        name: invitation.name,
+        role: invitation.role,
+        teamLead: invitation.teamLead,
+        expiresAt: invitation.expiresAt,
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Error loading invitation", error: err.message });
+  }
+};
+
+// @desc Accept an invitation: set password + CNIC/phone, account gets the preset role and team lead
+export const acceptInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findByToken(req.params.token);
+    if (!invitation) {
+      return res.status(404).json({ success: false, message: "Invitation is invalid, expired or already used" });
+    }
+
+    const { password, cnic, phone } = req.body;
+    const { error, value } = schemas.createUser.validate({
+      name: req.body.name || invitation.name,
+      email: invitation.email,
+      password,
+      cnic,
+      phone,
+      role: invitation.role,
+    });
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    if (await User.findOne({ email: value.email })) {
+      return res.status(400).json({ success: false, message: "User already exists with this email" });
+    }
+
+    if (await User.findOne({ cnic: value.cnic })) {
+      return res.status(400).json({ success: false, message: "CNIC already registered" });
+    }
+
+    // Deleted accounts keep their email/CNIC until purged
+    if (await User.findTrashedWith(value)) {
+      return res.status(409).json({
+        success: false,
+        message: "A deleted account uses this email or CNIC; restore it from the trash instead",
+      });
+    }
+
+    // Claim the link atomically so it can only ever be used once
+    const claimed = await Invitation.findOneAndUpdate(
+      { _id: invitation._id, tokenHash: invitation.tokenHash, status: "pending" },
+      { status: "accepted", acceptedAt: new Date(), tokenHash: null },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({ success: false, message: "Invitation has already been used" });
+    }
+
+    let user;
+    try {
+      user = await User.create({ ...value, teamLead: invitation.teamLead });
+    } catch (createErr) {
+      // Give the invitee another try with the same link
+      await Invitation.updateOne(
+        { _id: invitation._id },
+        { status: "pending", acceptedAt: null, tokenHash: invitation.tokenHash }
+      );
+      throw createErr;
+    }
+
+    claimed.acceptedUser = user._id;
+    await claimed.save();
+
+    const response = {
+      success: true,
+      message: "Invitation accepted, account created",
+      user: { _id: user._id, name: user.name, email: user.email, role: user.role },
+    };
+
+    // Roles under the 2FA policy enroll before their first session
+    if (await isTwoFactorRequired(user)) {
+      return res.status(201).json({
+        ...response,
+        twoFactorSetupRequired: true,
+        pendingToken: signPendingToken(user._id, "2fa-enroll"),
+      });
+    }
+
+    await markLoginSuccess(req, user, "password");
+    const tokens = await generateToken(req, res, user._id);
+
+    res.status(201).json({ ...response, ...tokens });
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Error accepting invitation", error: err.message });
+  }
+};
+
 // @desc Get current logged-in user
 export const getMe = async (req, res) => {
   try {
@@ -86,33 +548,58 @@ export const getMe = async (req, res) => {
   }
 };
 
-// @desc Forgot password (send reset link)
-export const forgotPassword = async (req, res) => {
-  try {
-    const { email } = req.body;
-    const user = await User.findOne({ email });
-
-    if (!user) {
-      return res.status(404).json({ success: false, message: "User with this email not found" });
-    }
+// Issue a reset token and mail the link; the token is cleared again if the mail fails
+const sendPasswordResetEmail = async (user) => {
+  const resetToken = user.createPasswordResetToken(RESET_TOKEN_TTL_MINUTES);
+  await user.save();
 
-    // Generate reset token
-    const resetToken = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: "15m" });
-    const resetUrl = `${process.env.CLIENT_URL}/reset-password/${resetToken}`;
+  const resetUrl = `${process.env.CLIENT_URL}/reset-password/${resetToken}`;
 
-    // TODO: implement sendEmail utility
+  try {
     await sendEmail({
       to: user.email,
       subject: "Password Reset Request",
+      text: `Reset your password (valid for ${RESET_TOKEN_TTL_MINUTES} mins): ${resetUrl}`,
       html: `
         <h3>Password Reset</h3>
-        <p>Click the link below to reset your password (valid for 15 mins):</p>
+        <p>Click the link below to reset your password (valid for ${RESET_TOKEN_TTL_MINUTES} mins):</p>
         <a href="${resetUrl}" target="_blank">${resetUrl}</a>
+        <p>If you did not request this, you can ignore this email.</p>
       `,
     });
+  } catch (mailErr) {
+    // Don't leave a usable token around if the link never went out
+    console.error("Password reset email error:", mailErr);
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save();
+  }
+};
+
+// @desc Forgot password (send reset link)
+// Always answers with the same message so the endpoint can't be used to probe for accounts
+export const forgotPassword = async (req, res) => {
+  const genericResponse = {
+    success: true,
+    message: "If an account exists for this email, a password reset link has been sent",
+  };
+
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ success: false, message: "Email is required" });
+    }
 
-    res.json({ success: true, message: "Password reset link sent to email" });
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+
+    // Answer before any token or mail work: a slower reply would tell callers which emails have accounts
+    res.json(genericResponse);
+
+    if (user) {
+      sendPasswordResetEmail(user).catch((err) => console.error("Password reset error:", err));
+    }
   } catch (err) {
+    console.error("Forgot password error:", err);
     res.status(500).json({ success: false, message: "Server error" });
   }
 };
@@ -123,6 +610,10 @@ export const resetPassword = async (req, res) => {
   const { password } = req.body;
 
   try {
+    if (!password || password.length < 6) {
+      return res.status(400).json({ success: false, message: "Password must be at least 6 characters" });
+    }
+
     const resetPasswordToken = crypto.createHash("sha256").update(token).digest("hex");
 
     const user = await User.findOne({
@@ -140,23 +631,254 @@ export const resetPassword = async (req, res) => {
 
     await user.save();
 
+    // A reset invalidates every existing login
+    await Session.revokeAllForUser(user._id, "password-reset");
+
     res.json({ success: true, message: "Password reset successful" });
   } catch (err) {
     res.status(500).json({ success: false, message: "Error resetting password" });
   }
 };
 
-// @desc Logout user
+// @desc Logout user (revokes the current session)
 export const logout = async (req, res) => {
   try {
-    res.clearCookie("token", {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: process.env.NODE_ENV === "production" ? "strict" : "lax",
-    });
+    // The refresh cookie identifies the session even after the access token has expired
+    const parsed = Session.parseRefreshToken(req.cookies?.refreshToken || req.body?.refreshToken);
+    const session = parsed ? await Session.findById(parsed.sessionId) : null;
+    if (session?.isActive && session.matchesRefreshToken(parsed.secret)) {
+      await session.revoke("logout");
+    }
+
+    // Access token still valid (optionalProtect): also end the session it belongs to
+    if (req.authSession?.isActive && String(req.authSession._id) !== String(session?._id)) {
+      await req.authSession.revoke("logout");
+    }
+
+    clearAuthCookies(res);
 
     res.json({ success: true, message: "Logged out successfully" });
   } catch (err) {
+    clearAuthCookies(res);
     res.status(500).json({ success: false, message: "Server error" });
   }
 };
+
+/* ----------------------- Two-Factor Controllers ----------------------- */
+
+// @desc Two-factor status of the logged-in user
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    res.json({
+      success: true,
+      twoFactor: {
+        enabled: !!user.twoFactor?.enabled,
+        enabledAt: user.twoFactor?.enabledAt || null,
+        recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0,
+        required: await isTwoFactorRequired(user),
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Error fetching two-factor status", error: err.message });
+  }
+};
+
+// @desc Start enrollment: returns secret + otpauth URL for the QR code
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ success: false, message: "Two-factor authentication is already enabled" });
+    }
+
+    const provisioning = await startEnrollment(user);
+    res.json({ success: true, ...provisioning });
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Error starting two-factor setup", error: err.message });
+  }
+};
+
+// @desc Confirm enrollment with a code; returns recovery codes once
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ success: false, message: "Two-factor authentication is already enabled" });
+    }
+
+    const recoveryCodes = await finishEnrollment(user, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ success: false, message: "Invalid authentication code or setup not started" });
+    }
+
+    // Sessions opened with only a password are no longer good enough
+    await Session.revokeAllForUser(user._id, "2fa-enabled", req.authSession?._id);
+
+    res.json({ success: true, message: "Two-factor authentication enabled", recoveryCodes });
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Error enabling two-factor authentication", error: err.message });
+  }
+};
+
+// @desc Turn 2FA off (password + current code required)
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ success: false, message: "Two-factor authentication is not enabled" });
+    }
+
+    if (await isTwoFactorRequired(user)) {
+      return res.status(403).json({ success: false, message: "Two-factor authentication is mandatory for your role" });
+    }
+
+    if (!password || !(await user.matchPassword(password))) {
+      return res.status(401).json({ success: false, message: "Invalid password" });
+    }
+
+    if (!(await checkSecondFactor(user, { code, recoveryCode }))) {
+      return res.status(401).json({ success: false, message: "Invalid authentication code" });
+    }
+
+    user.twoFactor = { enabled: false, enabledAt: null };
+    await user.save();
+
+    res.json({ success: true, message: "Two-factor authentication disabled" });
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Error disabling two-factor authentication", error: err.message });
+  }
+};
+
+// @desc Replace recovery codes (current code required)
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ success: false, message: "Two-factor authentication is not enabled" });
+    }
+
+    if (!(await claimTOTP(user, req.body.code))) {
+      return res.status(401).json({ success: false, message: "Invalid authentication code" });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+
+    res.json({ success: true, recoveryCodes });
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Error generating recovery codes", error: err.message });
+  }
+};
+
+/* ----------------------- Session Controllers ----------------------- */
+
+// @desc Rotate refresh token and issue a new access token
+export const refresh = async (req, res) => {
+  try {
+    const presented = req.cookies?.refreshToken || req.body?.refreshToken;
+    const parsed = Session.parseRefreshToken(presented);
+
+    if (!parsed) {
+      return res.status(401).json({ success: false, message: "Refresh token missing or malformed" });
+    }
+
+    const session = await Session.findById(parsed.sessionId);
+    if (!session || !session.isActive) {
+      clearAuthCookies(res);
+      return res.status(401).json({ success: false, message: "Session expired or revoked" });
+    }
+
+    // An old (already rotated) token being replayed means it leaked: kill the session
+    if (!session.matchesRefreshToken(parsed.secret)) {
+      await session.revoke("refresh-token-reuse");
+      clearAuthCookies(res);
+      return res.status(401).json({ success: false, message: "Refresh token reuse detected, session revoked" });
+    }
+
+    const user = await User.findById(session.user).select("name role isActive");
+    if (!user || !user.isActive) {
+      await session.revoke("user-inactive");
+      clearAuthCookies(res);
+      return res.status(401).json({ success: false, message: "Not authorized, account inactive" });
+    }
+
+    session.ip = req.ip;
+    session.userAgent = req.get("user-agent") || session.userAgent;
+    const refreshToken = session.rotateRefreshToken();
+    await session.save();
+
+    const tokens = setAuthCookies(res, user._id, session, refreshToken);
+
+    res.json({
+      success: true,
+      ...tokens,
+      user: { id: user._id, name: user.name, role: user.role },
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Error refreshing session", error: err.message });
+  }
+};
+
+// @desc List sessions of the logged-in user
+export const getSessions = async (req, res) => {
+  try {
+    const { includeRevoked } = req.query;
+    const filter = { user: req.user._id };
+    if (includeRevoked !== "true") {
+      filter.revokedAt = null;
+      filter.expiresAt = { $gt: new Date() };
+    }
+
+    const sessions = await Session.find(filter).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map((s) => sessionView(s, req.authSession?._id)),
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Error fetching sessions", error: err.message });
+  }
+};
+
+// @desc Revoke one of the logged-in user's sessions
+export const revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.sessionId, user: req.user._id });
+    if (!session) {
+      return res.status(404).json({ success: false, message: "Session not found" });
+    }
+
+    if (!session.revokedAt) {
+      await session.revoke("user-revoked");
+    }
+
+    if (req.authSession && session._id.equals(req.authSession._id)) {
+      clearAuthCookies(res);
+    }
+
+    res.json({ success: true, message: "Session revoked" });
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Error revoking session", error: err.message });
+  }
+};
+
+// @desc Revoke every session except the current one
+export const revokeOtherSessions = async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, "user-revoked", req.authSession?._id);
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} session(s) revoked`,
+      revokedCount: result.modifiedCount,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Error revoking sessions", error: err.message });
+  }
+};
@@ -0,0 +1,189 @@
+// controllers/complianceController.js
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import WorkCalendar from "../models/WorkCalendar.js";
+import MissingReport from "../models/MissingReport.js";
+import { userCan } from "../utils/permissions.js";
+import { recordAudit, snapshot } from "../utils/audit.js";
+import { submittedDays, complianceFor, startOfDay, addDays } from "../utils/reportCompliance.js";
+
+// 🔹 Centralized error handling
+const handleError = (res, err, message = "Server error") => {
+  console.error("ComplianceController Error:", err);
+  return res.status(500).json({ success: false, message, error: err.message });
+};
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * @desc    Daily report compliance per employee: expected/submitted/missed working days,
+ *          streaks and gaps. Team leads see their own team; report:read:all sees everyone
+ *          (optionally ?teamLead=). Range: ?from=&to= (default last 30 days, to inclusive).
+ * @route   GET /api/reports/compliance
+ * @access  report:compliance
+ */
+export const getReportCompliance = async (req, res) => {
+  try {
+    const { teamLead, user } = req.query;
+    const to = req.query.to ? addDays(startOfDay(req.query.to), 1) : addDays(startOfDay(new Date()), 1);
+    const from = req.query.from ? startOfDay(req.query.from) : addDays(to, -DEFAULT_RANGE_DAYS);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+      return res.status(400).json({ success: false, message: "Invalid date range" });
+    }
+    if (to - from > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ success: false, message: `Date range cannot exceed ${MAX_RANGE_DAYS} days` });
+    }
+
+    const filter = { role: "employee", isActive: true };
+    if (await userCan(req.user, "report:read:all")) {
+      if (teamLead) filter.teamLead = teamLead;
+    } else {
+      filter.teamLead = req.user._id;
+    }
+    if (user) filter._id = user;
+
+    const employees = await User.find(filter).select("name email teamLead createdAt").sort({ name: 1 }).lean();
+    const ids = employees.map((e) => e._id);
+
+    const teamLeadIds = [...new Set(employees.filter((e) => e.teamLead).map((e) => String(e.teamLead)))];
+    const calendars = await WorkCalendar.forTeamLeads(teamLeadIds);
+    const submitted = await submittedDays(ids, from, to);
+    const escalations = await MissingReport.aggregate([
+      { $match: { user: { $in: ids }, date: { $gte: from, $lt: to }, escalatedAt: { $ne: null } } },
+      { $group: { _id: "$user", count: { $sum: 1 } } },
+    ]);
+    const escalatedByUser = new Map(escalations.map((e) => [String(e._id), e.count]));
+
+    const users = employees.map((employee) => ({
+      user: { _id: employee._id, name: employee.name, email: employee.email, teamLead: employee.teamLead },
+      escalations: escalatedByUser.get(String(employee._id)) || 0,
+      ...complianceFor({
+        user: employee,
+        calendar: calendars.get(employee.teamLead ? String(employee.teamLead) : "default"),
+        submitted: submitted.get(String(employee._id)),
+        from,
+        to,
+      }),
+    }));
+
+    const expected = users.reduce((s, u) => s + u.expectedDays, 0);
+    const done = users.reduce((s, u) => s + u.submittedDays, 0);
+
+    res.json({
+      success: true,
+      range: { from, to: addDays(to, -1) },
+      summary: {
+        employees: users.length,
+        expectedDays: expected,
+        submittedDays: done,
+        missedDays: expected - done,
+        complianceRate: expected ? Math.round((done / expected) * 1000) / 10 : null,
+      },
+      users,
+    });
+  } catch (err) {
+    handleError(res, err, "Error building report compliance");
+  }
+};
+
+/**
+ * @desc    List working-day calendars (the organisation default and per-team overrides)
+ * @route   GET /api/admin/work-calendars
+ * @access  settings:manage
+ */
+export const getWorkCalendars = async (req, res) => {
+  try {
+    const calendars = await WorkCalendar.find().populate("teamLead", "name email").sort({ teamLead: 1 }).lean();
+    const hasDefault = calendars.some((c) => !c.teamLead);
+
+    res.json({
+      success: true,
+      calendars: hasDefault ? calendars : [new WorkCalendar({ teamLead: null }).toObject(), ...calendars],
+    });
+  } catch (err) {
+    handleError(res, err, "Error fetching work calendars");
+  }
+};
+
+/**
+ * @desc    Create or replace a calendar. :teamLeadId is a team lead's id or "default".
+ *          Body: { workingDays: [0-6], holidays: [{ date, name }] }
+ * @route   PUT /api/admin/work-calendars/:teamLeadId
+ * @access  settings:manage
+ */
+export const updateWorkCalendar = async (req, res) => {
+  try {
+    const { teamLeadId } = req.params;
+    const { workingDays, holidays = [] } = req.body;
+
+    let teamLead = null;
+    if (teamLeadId !== "default") {
+      if (!mongoose.Types.ObjectId.isValid(teamLeadId)) {
+        return res.status(400).json({ success: false, message: "Invalid team lead id" });
+      }
+      teamLead = await User.findOne({ _id: teamLeadId, role: "teamlead" }).select("_id");
+      if (!teamLead) return res.status(404).json({ success: false, message: "Team lead not found" });
+    }
+
+    if (
+      !Array.isArray(workingDays) ||
+      !workingDays.every((d) => Number.isInteger(d) && d >= 0 && d <= 6)
+    ) {
+      return res.status(400).json({ success: false, message: "workingDays must be a list of weekdays 0 (Sunday) – 6 (Saturday)" });
+    }
+    if (!Array.isArray(holidays) || holidays.some((h) => !h?.date || isNaN(new Date(h.date).getTime()))) {
+      return res.status(400).json({ success: false, message: "Each holiday needs a valid date" });
+    }
+
+    let calendar = await WorkCalendar.findOne({ teamLead: teamLead?._id ?? null });
+    const before = calendar ? snapshot(calendar) : null;
+    if (!calendar) calendar = new WorkCalendar({ teamLead: teamLead?._id ?? null });
+
+    calendar.workingDays = [...new Set(workingDays)].sort();
+    calendar.holidays = holidays.map((h) => ({ date: startOfDay(h.date), name: h.name }));
+    calendar.updatedBy = req.user._id;
+    await calendar.save();
+
+    await recordAudit(req, {
+      action: before ? "work_calendar.update" : "work_calendar.create",
+      entityType: "WorkCalendar",
+      entityId: calendar._id,
+      before,
+      after: calendar,
+    });
+
+    res.json({ success: true, message: "Work calendar saved", calendar });
+  } catch (err) {
+    handleError(res, err, "Error saving work calendar");
+  }
+};
+
+/**
+ * @desc    Remove a team's calendar (the team falls back to the default)
+ * @route   DELETE /api/admin/work-calendars/:teamLeadId
+ * @access  settings:manage
+ */
+export const deleteWorkCalendar = async (req, res) => {
+  try {
+    const { teamLeadId } = req.params;
+    if (teamLeadId === "default" || !mongoose.Types.ObjectId.isValid(teamLeadId)) {
+      return res.status(400).json({ success: false, message: "Only team calendars can be removed" });
+    }
+
+    const calendar = await WorkCalendar.findOneAndDelete({ teamLead: teamLeadId });
+    if (!calendar) return res.status(404).json({ success: false, message: "Work calendar not found" });
+
+    await recordAudit(req, {
+      action: "work_calendar.delete",
+      entityType: "WorkCalendar",
+      entityId: calendar._id,
+      before: calendar,
+    });
+
+    res.json({ success: true, message: "Work calendar removed" });
+  } catch (err) {
+    handleError(res, err, "Error removing work calendar");
+  }
+};
@@ -5,6 +5,11 @@ import Report from "../models/Report.js";
 import User from "../models/User.js";
 import Asset from "../models/Asset.js";
 import Notification from "../models/Notification.js";
+import { checkStartAllowed, blockedStartResponse } from "../utils/taskDependencies.js";
+import { applyReportTemplate } from "../utils/reportTemplates.js";
+import { logTaskTime } from "../utils/timesheets.js";
+import { snapshot } from "../utils/audit.js";
+import { emitEvent } from "../utils/events.js";
 
 // Helper function for error handling
 const handleError = (res, err, message = "Server error") => {
@@ -245,7 +250,12 @@ export const logTimeOnTask = async (req, res) => {
       });
     }
 
-    // Use the model's addLog method
+    // Hours go on the week's timesheet; the log keeps the work history
+    const logged = await logTaskTime(req.user, task, { startTime, endTime, description: update });
+    if (logged.error) {
+      return res.status(logged.status).json({ success: false, message: logged.error });
+    }
+
     await task.addLog({
       update: update.trim(),
       startTime: new Date(startTime),
@@ -254,8 +264,8 @@ export const logTimeOnTask = async (req, res) => {
       updatedBy: req.user._id
     });
 
-    // Update task status to in-progress if it's pending
-    if (task.status === 'pending') {
+    // Update task status to in-progress if it's pending (and nothing blocks it)
+    if (task.status === 'pending' && (await task.incompletePrerequisites()).length === 0) {
       task.status = 'in-progress';
       await task.save();
     }
@@ -268,7 +278,8 @@ export const logTimeOnTask = async (req, res) => {
       success: true,
       message: "Time logged successfully",
       task: updatedTask,
-      totalHours: updatedTask.actualHours
+      totalHours: updatedTask.actualHours,
+      timesheetEntry: logged.entry
     });
   } catch (error) {
     return handleError(res, error, "Error logging time");
@@ -305,6 +316,12 @@ export const updateTaskStatus = async (req, res) => {
       });
     }
 
+    const gate = await checkStartAllowed(req, task, status);
+    if (!gate.allowed) {
+      return res.status(409).json(blockedStartResponse(gate.blockedBy));
+    }
+
+    const before = snapshot(task);
     task.status = status;
     
     // Add employee response when changing status
@@ -317,6 +334,9 @@ export const updateTaskStatus = async (req, res) => {
     }
 
     await task.save();
+    await emitEvent(req, "task.status_changed", { task, from: before.status, to: status }, {
+      audit: { action: "task.status_change", entityType: "Task", before, after: task },
+    });
 
     const updatedTask = await Task.findById(taskId)
       .populate("project", "projectName")
@@ -369,6 +389,7 @@ export const addTaskResponse = async (req, res) => {
       });
     }
 
+    const before = snapshot(task);
     task.employeeResponses.push({
       message: message.trim(),
       type,
@@ -376,24 +397,15 @@ export const addTaskResponse = async (req, res) => {
     });
 
     await task.save();
+    await emitEvent(req, "task.response_added", { task, response: { type, message: message.trim() } }, {
+      audit: { action: "task.response_add", entityType: "Task", before, after: task },
+      priority: type === 'issue' ? 'high' : undefined
+    });
 
     const updatedTask = await Task.findById(taskId)
       .populate("employeeResponses.createdBy", "name email")
       .populate("project", "projectName");
 
-    // Send notification to task creator
-    if (task.createdBy) {
-      await Notification.create({
-        sender: req.user._id,
-        receivers: [task.createdBy],
-        title: "Task Update",
-        message: `${req.user.name} added a ${type} update to task: ${task.title}`,
-        type: type === 'issue' ? 'warning' : 'info',
-        actionLink: `/tasks/${taskId}`,
-        meta: { taskId, responseType: type }
-      });
-    }
-
     res.status(200).json({
       success: true,
       message: "Response added successfully",
@@ -539,7 +551,18 @@ export const getMyReports = async (req, res) => {
  */
 export const submitDailyReport = async (req, res) => {
   try {
-    const { content, tasksCompleted = 0, tasksPending = 0, projectStats } = req.body;
+    const { tasksCompleted = 0, tasksPending = 0, projectStats } = req.body;
+
+    // Active template: validate structured answers (content is rendered from them when left empty)
+    const templated = await applyReportTemplate(req.user, "daily", req.body);
+    if (templated.error) {
+      return res.status(templated.status).json({
+        success: false,
+        message: templated.error,
+        errors: templated.errors
+      });
+    }
+    const { content } = templated;
 
     if (!content || content.trim().length === 0) {
       return res.status(400).json({
@@ -594,24 +617,19 @@ export const submitDailyReport = async (req, res) => {
       tasksCompleted: Math.max(0, parseInt(tasksCompleted) || 0),
       tasksPending: Math.max(0, parseInt(tasksPending) || 0),
       projectStats: actualStats,
-      status: "submitted"
+      status: "submitted",
+      template: templated.template?._id,
+      templateVersion: templated.template?.version,
+      answers: templated.answers
     });
 
     const populatedReport = await Report.findById(report._id)
       .populate("createdBy", "name email role");
 
-    // Send notification to team lead if exists
-    if (req.user.teamLead) {
-      await Notification.create({
-        sender: req.user._id,
-        receivers: [req.user.teamLead],
-        title: "Daily Report Submitted",
-        message: `${req.user.name} has submitted their daily report`,
-        type: 'info',
-        actionLink: `/reports/${report._id}`,
-        meta: { reportId: report._id, reportType: 'daily' }
-      });
-    }
+    // Lets the team lead know (if the user has one)
+    await emitEvent(req, "report.submitted", { report, teamLead: req.user.teamLead }, {
+      audit: { action: "report.create", entityType: "Report", after: report }
+    });
 
     res.status(201).json({
       success: true,
@@ -630,9 +648,9 @@ export const submitDailyReport = async (req, res) => {
  */
 export const createReport = async (req, res) => {
   try {
-    const { type, content, tasksCompleted = 0, tasksPending = 0, projectStats } = req.body;
+    const { type, tasksCompleted = 0, tasksPending = 0, projectStats } = req.body;
 
-    if (!type || !content) {
+    if (!type) {
       return res.status(400).json({
         success: false,
         message: "Report type and content are required"
@@ -646,6 +664,24 @@ export const createReport = async (req, res) => {
       });
     }
 
+    // Active template: validate structured answers (content is rendered from them when left empty)
+    const templated = await applyReportTemplate(req.user, type, req.body);
+    if (templated.error) {
+      return res.status(templated.status).json({
+        success: false,
+        message: templated.error,
+        errors: templated.errors
+      });
+    }
+    const { content } = templated;
+
+    if (!content || content.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Report type and content are required"
+      });
+    }
+
     const validatedProjectStats = projectStats ? {
       done: Math.max(0, parseInt(projectStats.done) || 0),
       inProgress: Math.max(0, parseInt(projectStats.inProgress) || 0),
@@ -659,7 +695,10 @@ export const createReport = async (req, res) => {
       content: content.trim(),
       tasksCompleted: Math.max(0, parseInt(tasksCompleted) || 0),
       tasksPending: Math.max(0, parseInt(tasksPending) || 0),
-      projectStats: validatedProjectStats
+      projectStats: validatedProjectStats,
+      template: templated.template?._id,
+      templateVersion: templated.template?.version,
+      answers: templated.answers
     });
 
     const populatedReport = await Report.findById(report._id)
@@ -878,7 +917,11 @@ export const requestAssetReturn = async (req, res) => {
     }
 
     // Use the model method
+    const before = snapshot(asset);
     await asset.requestReturn(req.user._id, reason, notes);
+    await emitEvent(req, "asset.return_requested", { asset }, {
+      audit: { action: "asset.return_request", entityType: "Asset", before, after: asset }
+    });
 
     res.status(200).json({
       success: true,
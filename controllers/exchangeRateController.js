@@ -0,0 +1,174 @@
+// controllers/exchangeRateController.js
+import mongoose from "mongoose";
+import ExchangeRate from "../models/ExchangeRate.js";
+import { CURRENCIES, isKnownCurrency } from "../config/currencies.js";
+import { createRateLookup, getBaseCurrency, missingRateMessage, round2 } from "../utils/currency.js";
+import { recordAudit, snapshot } from "../utils/audit.js";
+
+// 🔹 Centralized error handling
+const handleError = (res, err, message = "Server error") => {
+  console.error("ExchangeRateController Error:", err);
+  if (err.code === 11000) {
+    return res.status(409).json({ success: false, message: "A rate for this pair and effective date already exists" });
+  }
+  if (err.name === "ValidationError") {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+  return res.status(500).json({ success: false, message, error: err.message });
+};
+
+const parseDate = (value) => {
+  const date = value ? new Date(value) : new Date();
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * @desc    List exchange rates (?from=&to=) with the supported currencies and base currency
+ * @route   GET /api/admin/exchange-rates
+ * @access  project:finance:read
+ */
+export const getExchangeRates = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.from) filter.from = String(req.query.from).toUpperCase();
+    if (req.query.to) filter.to = String(req.query.to).toUpperCase();
+
+    const rates = await ExchangeRate.find(filter)
+      .populate("createdBy", "name email")
+      .sort({ from: 1, to: 1, effectiveDate: -1 });
+
+    res.json({ success: true, baseCurrency: await getBaseCurrency(), currencies: CURRENCIES, rates });
+  } catch (err) {
+    handleError(res, err, "Error fetching exchange rates");
+  }
+};
+
+/**
+ * @desc    Add a rate for a currency pair from an effective date (1 from = rate × to)
+ * @route   POST /api/admin/exchange-rates
+ * @body    { from, to, rate, effectiveDate?, notes? }
+ * @access  finance:rates:manage
+ */
+export const createExchangeRate = async (req, res) => {
+  try {
+    const { rate, notes } = req.body;
+    const from = String(req.body.from || "").toUpperCase();
+    const to = String(req.body.to || "").toUpperCase();
+    if (!isKnownCurrency(from) || !isKnownCurrency(to)) {
+      return res.status(400).json({ success: false, message: `Currencies must be one of ${Object.keys(CURRENCIES).join(", ")}` });
+    }
+    const effectiveDate = parseDate(req.body.effectiveDate);
+    if (!effectiveDate) return res.status(400).json({ success: false, message: "Invalid effectiveDate" });
+
+    const exchangeRate = await ExchangeRate.create({
+      from,
+      to,
+      rate: Number(rate),
+      effectiveDate,
+      notes,
+      createdBy: req.user._id,
+    });
+
+    await recordAudit(req, {
+      action: "exchange_rate.create",
+      entityType: "ExchangeRate",
+      entityId: exchangeRate._id,
+      after: exchangeRate,
+    });
+
+    res.status(201).json({ success: true, message: "Exchange rate added", exchangeRate });
+  } catch (err) {
+    handleError(res, err, "Error adding exchange rate");
+  }
+};
+
+/**
+ * @desc    Correct a rate or its effective date. Projects pick it up on their next recalculation.
+ * @route   PUT /api/admin/exchange-rates/:id
+ * @access  finance:rates:manage
+ */
+export const updateExchangeRate = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: "Invalid exchange rate id" });
+    }
+    const exchangeRate = await ExchangeRate.findById(req.params.id);
+    if (!exchangeRate) return res.status(404).json({ success: false, message: "Exchange rate not found" });
+
+    const before = snapshot(exchangeRate);
+    if (req.body.rate !== undefined) exchangeRate.rate = Number(req.body.rate);
+    if (req.body.effectiveDate !== undefined) {
+      const effectiveDate = parseDate(req.body.effectiveDate);
+      if (!effectiveDate) return res.status(400).json({ success: false, message: "Invalid effectiveDate" });
+      exchangeRate.effectiveDate = effectiveDate;
+    }
+    if (req.body.notes !== undefined) exchangeRate.notes = req.body.notes;
+    exchangeRate.updatedBy = req.user._id;
+    await exchangeRate.save();
+
+    await recordAudit(req, {
+      action: "exchange_rate.update",
+      entityType: "ExchangeRate",
+      entityId: exchangeRate._id,
+      before,
+      after: exchangeRate,
+    });
+
+    res.json({ success: true, message: "Exchange rate updated", exchangeRate });
+  } catch (err) {
+    handleError(res, err, "Error updating exchange rate");
+  }
+};
+
+/**
+ * @desc    Delete a rate
+ * @route   DELETE /api/admin/exchange-rates/:id
+ * @access  finance:rates:manage
+ */
+export const deleteExchangeRate = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: "Invalid exchange rate id" });
+    }
+    const exchangeRate = await ExchangeRate.findByIdAndDelete(req.params.id);
+    if (!exchangeRate) return res.status(404).json({ success: false, message: "Exchange rate not found" });
+
+    await recordAudit(req, {
+      action: "exchange_rate.delete",
+      entityType: "ExchangeRate",
+      entityId: exchangeRate._id,
+      before: exchangeRate,
+    });
+
+    res.json({ success: true, message: "Exchange rate deleted" });
+  } catch (err) {
+    handleError(res, err, "Error deleting exchange rate");
+  }
+};
+
+/**
+ * @desc    Convert an amount with the rate in effect on a date (?amount=&from=&to=&date=)
+ * @route   GET /api/admin/exchange-rates/convert
+ * @access  project:finance:read
+ */
+export const convertCurrency = async (req, res) => {
+  try {
+    const amount = Number(req.query.amount);
+    const from = String(req.query.from || "").toUpperCase();
+    const to = String(req.query.to || (await getBaseCurrency())).toUpperCase();
+    const date = parseDate(req.query.date);
+    if (!Number.isFinite(amount)) return res.status(400).json({ success: false, message: "Valid amount is required" });
+    if (!isKnownCurrency(from) || !isKnownCurrency(to)) {
+      return res.status(400).json({ success: false, message: `Currencies must be one of ${Object.keys(CURRENCIES).join(", ")}` });
+    }
+    if (!date) return res.status(400).json({ success: false, message: "Invalid date" });
+
+    const lookup = await createRateLookup();
+    const rate = await lookup(from, to, date);
+    if (rate === null) return res.status(422).json({ success: false, message: missingRateMessage(from, to, date) });
+
+    res.json({ success: true, from, to, date, rate, amount, converted: round2(amount * rate) });
+  } catch (err) {
+    handleError(res, err, "Error converting amount");
+  }
+};
@@ -0,0 +1,206 @@
+// controllers/invitationController.js
+import Invitation from "../models/Invitation.js";
+import User from "../models/User.js";
+import { sendEmail } from "../utils/mailer.js";
+import { userCan, isKnownRole } from "../utils/permissions.js";
+
+const DEFAULT_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS) || 7;
+const MAX_TTL_DAYS = 30;
+
+// 🔹 Centralized error handling
+const handleError = (res, err, message = "Server error") => {
+  console.error("InvitationController Error:", err);
+  if (err.name === "ValidationError") {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+  return res.status(500).json({ success: false, message, error: err.message });
+};
+
+const sendInvitationEmail = async (invitation, token, inviter) => {
+  const acceptUrl = `${process.env.CLIENT_URL}/accept-invitation/${token}`;
+  const expires = invitation.expiresAt.toDateString();
+
+  await sendEmail({
+    to: invitation.email,
+    subject: "You're invited to Task Manager",
+    text: `${inviter.name} invited you to join as ${invitation.role}. Accept before ${expires}: ${acceptUrl}`,
+    html: `
+      <h3>You're invited</h3>
+      <p>${inviter.name} invited you to join Task Manager as <b>${invitation.role}</b>.</p>
+      <p>Set your password and complete your profile here (link valid until ${expires}, usable once):</p>
+      <a href="${acceptUrl}" target="_blank">${acceptUrl}</a>
+    `,
+  });
+};
+
+/**
+ * @desc    Invite someone by email with a preset role and team lead
+ * @route   POST /api/invitations
+ * @access  user:invite (without user:create only employees into the inviter's own team)
+ */
+export const createInvitation = async (req, res) => {
+  try {
+    const { email, name, expiresInDays } = req.body;
+    let { role = "employee", teamLead = null } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ success: false, message: "Email is required" });
+    }
+    const normalizedEmail = String(email).toLowerCase().trim();
+
+    // Inviters who cannot create arbitrary users may only onboard their own employees
+    if (!(await userCan(req.user, "user:create"))) {
+      if (role !== "employee") {
+        return res.status(403).json({ success: false, message: "You can only invite employees" });
+      }
+      teamLead = req.user.role === "teamlead" ? req.user._id : null;
+    }
+
+    role = String(role).toLowerCase().trim();
+    if (!(await isKnownRole(role))) {
+      return res.status(400).json({ success: false, message: `Unknown role "${role}"` });
+    }
+
+    if (teamLead) {
+      const lead = await User.findById(teamLead);
+      if (!lead || lead.role !== "teamlead") {
+        return res.status(400).json({ success: false, message: "Team lead must be a user with teamlead role" });
+      }
+    }
+
+    if (await User.findOne({ email: normalizedEmail })) {
+      return res.status(400).json({ success: false, message: "A user with this email already exists" });
+    }
+
+    if (await User.findTrashedWith({ email: normalizedEmail })) {
+      return res.status(409).json({
+        success: false,
+        message: "A deleted account uses this email; restore it from the trash instead",
+      });
+    }
+
+    const days = Math.min(Math.max(parseInt(expiresInDays) || DEFAULT_TTL_DAYS, 1), MAX_TTL_DAYS);
+
+    // Only the newest invitation for an address stays valid
+    await Invitation.updateMany(
+      { email: normalizedEmail, status: "pending" },
+      { status: "revoked", revokedAt: new Date(), revokedBy: req.user._id, tokenHash: null }
+    );
+
+    const invitation = new Invitation({
+      email: normalizedEmail,
+      name,
+      role,
+      teamLead,
+      invitedBy: req.user._id,
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    });
+    const token = invitation.issueToken();
+    await invitation.save();
+
+    await sendInvitationEmail(invitation, token, req.user);
+
+    res.status(201).json({ success: true, message: "Invitation sent", invitation });
+  } catch (err) {
+    handleError(res, err, "Error creating invitation");
+  }
+};
+
+/**
+ * @desc    List invitations (filters: status, email)
+ * @route   GET /api/invitations
+ * @access  user:invite (only own invitations without user:read)
+ */
+export const getInvitations = async (req, res) => {
+  try {
+    const { status, email } = req.query;
+    const filter = {};
+
+    if (!(await userCan(req.user, "user:read"))) filter.invitedBy = req.user._id;
+    if (email) filter.email = String(email).toLowerCase().trim();
+
+    if (status === "expired") {
+      filter.status = "pending";
+      filter.expiresAt = { $lte: new Date() };
+    } else if (status === "pending") {
+      filter.status = "pending";
+      filter.expiresAt = { $gt: new Date() };
+    } else if (status) {
+      filter.status = status;
+    }
+
+    const invitations = await Invitation.find(filter)
+      .populate("invitedBy", "name email role")
+      .populate("teamLead", "name email")
+      .populate("acceptedUser", "name email")
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, count: invitations.length, invitations });
+  } catch (err) {
+    handleError(res, err, "Error fetching invitations");
+  }
+};
+
+const findManageableInvitation = async (req) => {
+  const invitation = await Invitation.findById(req.params.id);
+  if (!invitation) return null;
+
+  const isOwner = invitation.invitedBy.toString() === req.user._id.toString();
+  if (!isOwner && !(await userCan(req.user, "user:create"))) return null;
+
+  return invitation;
+};
+
+/**
+ * @desc    Revoke a pending invitation
+ * @route   DELETE /api/invitations/:id
+ * @access  user:invite (own invitations) / user:create (any)
+ */
+export const revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await findManageableInvitation(req);
+    if (!invitation) {
+      return res.status(404).json({ success: false, message: "Invitation not found" });
+    }
+    if (invitation.status !== "pending") {
+      return res.status(400).json({ success: false, message: `Invitation already ${invitation.status}` });
+    }
+
+    invitation.status = "revoked";
+    invitation.revokedAt = new Date();
+    invitation.revokedBy = req.user._id;
+    invitation.tokenHash = null;
+    await invitation.save();
+
+    res.json({ success: true, message: "Invitation revoked", invitation });
+  } catch (err) {
+    handleError(res, err, "Error revoking invitation");
+  }
+};
+
+/**
+ * @desc    Re-send a pending (or expired) invitation with a fresh link and expiry
+ * @route   POST /api/invitations/:id/resend
+ * @access  user:invite (own invitations) / user:create (any)
+ */
+export const resendInvitation = async (req, res) => {
+  try {
+    const invitation = await findManageableInvitation(req);
+    if (!invitation) {
+      return res.status(404).json({ success: false, message: "Invitation not found" });
+    }
+    if (invitation.status !== "pending") {
+      return res.status(400).json({ success: false, message: `Invitation already ${invitation.status}` });
+    }
+
+    invitation.expiresAt = new Date(Date.now() + DEFAULT_TTL_DAYS * 24 * 60 * 60 * 1000);
+    const token = invitation.issueToken(); // old link stops working
+    await invitation.save();
+
+    await sendInvitationEmail(invitation, token, req.user);
+
+    res.json({ success: true, message: "Invitation re-sent", invitation });
+  } catch (err) {
+    handleError(res, err, "Error re-sending invitation");
+  }
+};
@@ -0,0 +1,509 @@
+// controllers/invoiceController.js
+import mongoose from "mongoose";
+import Invoice, { INVOICE_STATUSES } from "../models/Invoice.js";
+import Project from "../models/Project.js";
+import Setting from "../models/Setting.js";
+import { sendEmail } from "../utils/mailer.js";
+import { recordAudit, snapshot } from "../utils/audit.js";
+import {
+  unbilledItems,
+  scheduleParts,
+  buildInvoiceLines,
+  parseManualLines,
+  claimInvoiceSources,
+  unclaimInvoiceSources,
+  schedulePartBilled,
+  releaseInvoiceSources,
+  invoicePaymentError,
+  reserveInvoicePayment,
+  nextInvoiceNumber,
+  renderInvoiceHtml,
+  renderInvoicePdf,
+} from "../utils/invoices.js";
+import { round2, currencyOf, convertPayment, paymentsTotal } from "../utils/currency.js";
+import { isKnownCurrency } from "../config/currencies.js";
+
+// 🔹 Centralized error handling
+const handleError = (res, err, message = "Server error") => {
+  console.error("InvoiceController Error:", err);
+  if (err.name === "ValidationError") {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+  return res.status(500).json({ success: false, message, error: err.message });
+};
+
+const findInvoice = (id) =>
+  mongoose.Types.ObjectId.isValid(id) ? Invoice.findById(id) : null;
+
+// Discount from a request body → { discount } or { error }
+const parseDiscount = (discount) => {
+  if (discount === undefined) return {};
+  if (discount === null) return { discount: { type: "amount", value: 0 } };
+  const type = discount.type || "amount";
+  const value = Number(discount.value);
+  if (!["percent", "amount"].includes(type)) return { error: 'discount.type must be "percent" or "amount"' };
+  if (!Number.isFinite(value) || value < 0) return { error: "discount.value must be zero or more" };
+  if (type === "percent" && value > 100) return { error: "A percent discount cannot exceed 100" };
+  return { discount: { type, value } };
+};
+
+const parseTaxRate = (taxRate) => {
+  if (taxRate === undefined) return {};
+  const value = Number(taxRate);
+  if (!Number.isFinite(value) || value < 0 || value > 100) return { error: "taxRate must be between 0 and 100" };
+  return { taxRate: value };
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+
+/**
+ * @desc    List invoices (?project=&status=&overdue=true)
+ * @route   GET /api/invoices
+ * @access  invoice:read
+ */
+export const getInvoices = async (req, res) => {
+  try {
+    const { project, status, overdue } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    if (status && !INVOICE_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `status must be one of ${INVOICE_STATUSES.join(", ")}` });
+    }
+
+    const filter = {};
+    if (project) filter.project = project;
+    if (status) filter.status = status;
+    if (overdue === "true") Object.assign(filter, { status: "sent", dueDate: { $lt: new Date() } });
+
+    const [invoices, total] = await Promise.all([
+      Invoice.find(filter)
+        .populate("project", "projectName clientName category")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Invoice.countDocuments(filter),
+    ]);
+
+    res.json({ success: true, invoices, pagination: { page, limit, total, pages: Math.ceil(total / limit) } });
+  } catch (err) {
+    handleError(res, err, "Error fetching invoices");
+  }
+};
+
+/**
+ * @desc    Unbilled time entries, milestones and schedule parts of a project
+ * @route   GET /api/invoices/unbilled/:projectId
+ * @access  invoice:read
+ */
+export const getUnbilledItems = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.projectId);
+    if (!project) return res.status(404).json({ success: false, message: "Project not found" });
+
+    const items = await unbilledItems(project);
+    const hours = items.timeEntries.reduce((sum, e) => sum + (e.hours || 0), 0);
+    const amount =
+      hours * (project.hourlyRate || 0) +
+      items.milestones.reduce((sum, m) => sum + (m.amount || 0), 0) +
+      items.scheduleParts.reduce((sum, p) => sum + p.amount, 0);
+
+    res.json({
+      success: true,
+      project: { _id: project._id, projectName: project.projectName, category: project.category, paymentSchedule: project.paymentSchedule, currency: currencyOf(project) },
+      ...items,
+      schedule: await scheduleParts(project),
+      totals: { hours: round2(hours), amount: round2(amount) },
+    });
+  } catch (err) {
+    handleError(res, err, "Error fetching unbilled items");
+  }
+};
+
+/**
+ * @desc    Create a draft invoice from a project's unbilled work
+ * @route   POST /api/invoices
+ * @body    { projectId, timeEntryIds?, milestoneIds?, from?, to?, part?, lineItems?, taxRate?, discount?, dueDate?, notes? }
+ * @access  invoice:manage
+ */
+export const createInvoice = async (req, res) => {
+  try {
+    const { projectId, timeEntryIds, milestoneIds, from, to, part, lineItems, dueDate, notes } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(projectId)) {
+      return res.status(400).json({ success: false, message: "Valid projectId is required" });
+    }
+
+    const project = await Project.findById(projectId);
+    if (!project) return res.status(404).json({ success: false, message: "Project not found" });
+
+    const manual = parseManualLines(lineItems);
+    const discount = parseDiscount(req.body.discount);
+    const tax = parseTaxRate(req.body.taxRate);
+    const invalid = manual.error || discount.error || tax.error;
+    if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+    const built = await buildInvoiceLines(project, { timeEntryIds, milestoneIds, from, to, part });
+    if (built.error) return res.status(built.status).json({ success: false, message: built.error });
+
+    const items = [...built.lineItems, ...manual.lines];
+    if (!items.length) {
+      return res.status(400).json({ success: false, message: "Nothing to invoice on this project" });
+    }
+
+    const [termsDays, defaultTaxRate] = await Promise.all([
+      Setting.getValue("invoices.paymentTermsDays"),
+      Setting.getValue("invoices.defaultTaxRate"),
+    ]);
+    const issueDate = new Date();
+
+    const invoice = new Invoice({
+      project: project._id,
+      billingType: built.billingType,
+      currency: currencyOf(project),
+      client: { name: project.clientName, email: project.clientEmail, phone: project.clientPhone },
+      schedulePart: built.schedulePart,
+      lineItems: items,
+      discount: discount.discount,
+      taxRate: tax.taxRate ?? defaultTaxRate,
+      issueDate,
+      dueDate: dueDate ? new Date(dueDate) : addDays(issueDate, termsDays),
+      notes,
+      createdBy: req.user._id,
+    });
+
+    // Every conflict is settled before a number is taken, so refused invoices leave no gaps
+    await invoice.validate({ pathsToSkip: ["number"] });
+
+    const partBilled = "This part of the payment schedule has already been invoiced";
+    if (await schedulePartBilled(project, built.schedulePart)) {
+      return res.status(409).json({ success: false, message: partBilled });
+    }
+
+    // Another request may have billed the same entries or milestones since they were read
+    if (!(await claimInvoiceSources(project, invoice))) {
+      return res.status(409).json({
+        success: false,
+        message: "Some of these items were invoiced meanwhile; reload the unbilled items and try again",
+      });
+    }
+
+    try {
+      invoice.number = await nextInvoiceNumber(issueDate);
+      await invoice.save();
+    } catch (err) {
+      await unclaimInvoiceSources(project, invoice);
+      // Partial unique index: one live invoice per schedule part (a parallel request won)
+      if (err.code === 11000 && err.keyPattern?.["schedulePart.part"]) {
+        return res.status(409).json({ success: false, message: partBilled });
+      }
+      throw err;
+    }
+
+    await recordAudit(req, {
+      action: "invoice.create",
+      entityType: "Invoice",
+      entityId: invoice._id,
+      after: invoice,
+      metadata: { project: project._id, number: invoice.number, total: invoice.total },
+    });
+
+    res.status(201).json({ success: true, message: "Invoice created", invoice });
+  } catch (err) {
+    handleError(res, err, "Error creating invoice");
+  }
+};
+
+/**
+ * @desc    Get an invoice with the payments applied to it
+ * @route   GET /api/invoices/:id
+ * @access  invoice:read
+ */
+export const getInvoiceById = async (req, res) => {
+  try {
+    const invoice = await findInvoice(req.params.id)?.populate("project", "projectName clientName category payments");
+    if (!invoice) return res.status(404).json({ success: false, message: "Invoice not found" });
+
+    const payments = (invoice.project?.payments || []).filter((p) => String(p.invoiceId) === String(invoice._id));
+    const result = invoice.toObject();
+    if (result.project) delete result.project.payments;
+
+    res.json({ success: true, invoice: result, payments });
+  } catch (err) {
+    handleError(res, err, "Error fetching invoice");
+  }
+};
+
+/**
+ * @desc    Edit a draft invoice (manual lines, tax, discount, due date, notes, client email)
+ * @route   PUT /api/invoices/:id
+ * @access  invoice:manage
+ */
+export const updateInvoice = async (req, res) => {
+  try {
+    const invoice = await findInvoice(req.params.id);
+    if (!invoice) return res.status(404).json({ success: false, message: "Invoice not found" });
+    if (invoice.status !== "draft") {
+      return res.status(409).json({ success: false, message: "Only draft invoices can be edited" });
+    }
+
+    const discount = parseDiscount(req.body.discount);
+    const tax = parseTaxRate(req.body.taxRate);
+    const manual = req.body.lineItems !== undefined ? parseManualLines(req.body.lineItems) : {};
+    const invalid = manual.error || discount.error || tax.error;
+    if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+    const before = snapshot(invoice);
+
+    // Billed sources stay; sent lineItems replace the manual lines
+    if (manual.lines) {
+      invoice.lineItems = [...invoice.lineItems.filter((item) => item.source !== "manual"), ...manual.lines];
+    }
+    if (discount.discount) invoice.discount = discount.discount;
+    if (tax.taxRate !== undefined) invoice.taxRate = tax.taxRate;
+    if (req.body.dueDate !== undefined) invoice.dueDate = req.body.dueDate ? new Date(req.body.dueDate) : undefined;
+    if (req.body.notes !== undefined) invoice.notes = req.body.notes;
+    if (req.body.clientEmail !== undefined) invoice.client.email = req.body.clientEmail;
+    invoice.updatedBy = req.user._id;
+
+    await invoice.save();
+
+    await recordAudit(req, { action: "invoice.update", entityType: "Invoice", entityId: invoice._id, before, after: invoice });
+
+    res.json({ success: true, message: "Invoice updated", invoice });
+  } catch (err) {
+    handleError(res, err, "Error updating invoice");
+  }
+};
+
+/**
+ * @desc    Delete a draft invoice; its time entries / milestones become billable again
+ * @route   DELETE /api/invoices/:id
+ * @access  invoice:manage
+ */
+export const deleteInvoice = async (req, res) => {
+  try {
+    const invoice = await findInvoice(req.params.id);
+    if (!invoice) return res.status(404).json({ success: false, message: "Invoice not found" });
+    if (invoice.status !== "draft") {
+      return res.status(409).json({ success: false, message: "Only draft invoices can be deleted; void sent invoices instead" });
+    }
+
+    const project = await Project.findById(invoice.project);
+    if (project) {
+      releaseInvoiceSources(project, invoice);
+      await project.save();
+    }
+
+    const before = snapshot(invoice);
+    await invoice.deleteOne();
+
+    await recordAudit(req, { action: "invoice.delete", entityType: "Invoice", entityId: invoice._id, before });
+
+    res.json({ success: true, message: "Invoice deleted" });
+  } catch (err) {
+    handleError(res, err, "Error deleting invoice");
+  }
+};
+
+/**
+ * @desc    Mark an invoice as sent, emailing it (HTML + PDF) to the client unless email=false
+ * @route   POST /api/invoices/:id/send
+ * @body    { email?: boolean, to?: string }
+ * @access  invoice:manage
+ */
+export const sendInvoice = async (req, res) => {
+  try {
+    const invoice = await findInvoice(req.params.id)?.populate("project", "projectName");
+    if (!invoice) return res.status(404).json({ success: false, message: "Invoice not found" });
+    if (invoice.status !== "draft") {
+      return res.status(409).json({ success: false, message: `Invoice is already ${invoice.status}` });
+    }
+
+    const before = snapshot(invoice);
+    const to = req.body.to || invoice.client.email;
+    const email = req.body.email !== false;
+    if (email && !to) {
+      return res.status(400).json({ success: false, message: "The client has no email address; pass `to` or email=false" });
+    }
+
+    invoice.status = "sent";
+    invoice.sentAt = new Date();
+    invoice.updatedBy = req.user._id;
+
+    if (email) {
+      invoice.sentTo = to;
+      await sendEmail({
+        to,
+        subject: `Invoice ${invoice.number} from Task Manager`,
+        text: `Please find invoice ${invoice.number} for ${invoice.currency} ${invoice.total.toFixed(2)} attached. Due ${invoice.dueDate ? invoice.dueDate.toDateString() : "on receipt"}.`,
+        html: renderInvoiceHtml(invoice),
+        attachments: [{ filename: `${invoice.number}.pdf`, content: await renderInvoicePdf(invoice), contentType: "application/pdf" }],
+      });
+    }
+
+    await invoice.save();
+
+    await recordAudit(req, {
+      action: "invoice.send",
+      entityType: "Invoice",
+      entityId: invoice._id,
+      before,
+      after: invoice,
+      metadata: { sentTo: invoice.sentTo || null },
+    });
+
+    res.json({ success: true, message: email ? `Invoice sent to ${to}` : "Invoice marked as sent", invoice });
+  } catch (err) {
+    handleError(res, err, "Error sending invoice");
+  }
+};
+
+/**
+ * @desc    Void an invoice without payments; its billed work becomes billable again
+ * @route   POST /api/invoices/:id/void
+ * @body    { reason }
+ * @access  invoice:manage
+ */
+export const voidInvoice = async (req, res) => {
+  try {
+    const invoice = await findInvoice(req.params.id);
+    if (!invoice) return res.status(404).json({ success: false, message: "Invoice not found" });
+    if (invoice.status === "void") return res.status(409).json({ success: false, message: "Invoice is already void" });
+    if (invoice.amountPaid > 0) {
+      return res.status(409).json({ success: false, message: "Remove the payments applied to this invoice before voiding it" });
+    }
+
+    const before = snapshot(invoice);
+    const project = await Project.findById(invoice.project);
+    if (project) {
+      releaseInvoiceSources(project, invoice);
+      await project.save();
+    }
+
+    invoice.status = "void";
+    invoice.voidedAt = new Date();
+    invoice.voidedBy = req.user._id;
+    invoice.voidReason = req.body.reason;
+    invoice.updatedBy = req.user._id;
+    await invoice.save();
+
+    await recordAudit(req, { action: "invoice.void", entityType: "Invoice", entityId: invoice._id, before, after: invoice });
+
+    res.json({ success: true, message: "Invoice voided", invoice });
+  } catch (err) {
+    handleError(res, err, "Error voiding invoice");
+  }
+};
+
+/**
+ * @desc    Record a client payment against an invoice (stored with the project's payments).
+ *          A payment in another currency is converted at the rate of its payment date.
+ * @route   POST /api/invoices/:id/payments
+ * @body    { amount, currency?, paymentMethod?, transactionId?, notes?, paymentDate? }
+ * @access  invoice:manage
+ */
+export const recordInvoicePayment = async (req, res) => {
+  try {
+    const { amount, currency, paymentMethod = "bank-transfer", transactionId, notes, paymentDate } = req.body;
+    const value = parseFloat(amount);
+    if (!value || value <= 0) {
+      return res.status(400).json({ success: false, message: "Valid amount is required" });
+    }
+    if (currency !== undefined && !isKnownCurrency(currency)) {
+      return res.status(400).json({ success: false, message: `Unknown currency "${currency}"` });
+    }
+
+    const invoice = await findInvoice(req.params.id);
+    if (!invoice) return res.status(404).json({ success: false, message: "Invoice not found" });
+
+    const project = await Project.findById(invoice.project);
+    if (!project) return res.status(404).json({ success: false, message: "Project not found" });
+
+    const payment = {
+      amount: value,
+      currency,
+      paymentDate: paymentDate ? new Date(paymentDate) : new Date(),
+    };
+    const missingRate = await convertPayment(project, payment);
+    if (missingRate) return res.status(422).json({ success: false, message: missingRate });
+
+    const problem = invoicePaymentError(invoice, project, payment.projectAmount);
+    if (problem) return res.status(409).json({ success: false, message: problem });
+
+    // Reserve the amount on the invoice first; a parallel payment may have used the balance
+    const before = snapshot(invoice);
+    const updated = await reserveInvoicePayment(invoice, payment.projectAmount, payment.paymentDate);
+    if (!updated) {
+      return res.status(409).json({ success: false, message: "The invoice balance changed meanwhile; reload the invoice and try again" });
+    }
+
+    project.payments.push({
+      ...payment,
+      paymentMethod,
+      transactionId,
+      notes: notes || `Invoice ${invoice.number}`,
+      invoiceId: invoice._id,
+      addedBy: req.user._id,
+    });
+
+    // Recalculate paid and pending amounts
+    project.paidAmount = paymentsTotal(project.payments);
+    project.pendingAmount = project.totalAmount - project.paidAmount;
+    try {
+      await project.save();
+    } catch (err) {
+      await reserveInvoicePayment(invoice, -payment.projectAmount);
+      throw err;
+    }
+
+    const newPayment = project.payments[project.payments.length - 1];
+
+    await recordAudit(req, {
+      action: "payment.create",
+      entityType: "Payment",
+      entityId: newPayment._id,
+      after: newPayment,
+      metadata: { project: project._id, projectName: project.projectName, invoice: invoice._id, number: invoice.number, paidAmount: project.paidAmount, pendingAmount: project.pendingAmount },
+    });
+    await recordAudit(req, { action: "invoice.payment", entityType: "Invoice", entityId: invoice._id, before, after: updated });
+
+    res.status(201).json({ success: true, message: "Payment recorded", payment: newPayment, invoice: updated });
+  } catch (err) {
+    handleError(res, err, "Error recording invoice payment");
+  }
+};
+
+/**
+ * @desc    Invoice as an HTML page
+ * @route   GET /api/invoices/:id/html
+ * @access  invoice:read
+ */
+export const getInvoiceHtml = async (req, res) => {
+  try {
+    const invoice = await findInvoice(req.params.id)?.populate("project", "projectName");
+    if (!invoice) return res.status(404).json({ success: false, message: "Invoice not found" });
+
+    res.type("html").send(renderInvoiceHtml(invoice));
+  } catch (err) {
+    handleError(res, err, "Error rendering invoice");
+  }
+};
+
+/**
+ * @desc    Invoice as a PDF download
+ * @route   GET /api/invoices/:id/pdf
+ * @access  invoice:read
+ */
+export const getInvoicePdf = async (req, res) => {
+  try {
+    const invoice = await findInvoice(req.params.id)?.populate("project", "projectName");
+    if (!invoice) return res.status(404).json({ success: false, message: "Invoice not found" });
+
+    const pdf = await renderInvoicePdf(invoice);
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${invoice.number}.pdf"`);
+    res.send(pdf);
+  } catch (err) {
+    handleError(res, err, "Error rendering invoice");
+  }
+};
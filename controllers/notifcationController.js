@@ -1,6 +1,13 @@
 // controllers/notificationController.js
+import mongoose from "mongoose";
 import Notification from "../models/Notification.js";
 import User from "../models/User.js";
+import Session from "../models/Session.js";
+import NotificationPreference from "../models/NotificationPreference.js";
+import { DELIVERY_MODES, NOTIFICATION_TYPES } from "../config/notifications.js";
+import { LOCALES, LOCALE_CODES, DEFAULT_LOCALE } from "../config/locales.js";
+import { userCan } from "../utils/permissions.js";
+import { addStream, writeEvent, pushToUsers, HEARTBEAT_MS } from "../utils/notificationStream.js";
 
 // ✅ Helper: consistent error response
 const handleError = (res, err, message = "Server error") => {
@@ -8,6 +15,92 @@ const handleError = (res, err, message = "Server error") => {
   return res.status(500).json({ success: false, message, error: err.message });
 };
 
+// Most notifications replayed to a reconnecting stream; clients page through /my for the rest
+const CATCH_UP_LIMIT = 100;
+
+const unreadCountFor = (userId) => Notification.countDocuments({ receivers: userId, readBy: { $ne: userId } });
+
+// ✅ Helper: sync read state to the user's open tabs ({ ids } or { all }, read)
+const syncReadState = (userId, change) =>
+  unreadCountFor(userId)
+    .then((unreadCount) => pushToUsers([userId], { event: "notification.read", data: { ...change, unreadCount } }))
+    .catch((err) => console.error("Notification read sync failed:", err.message));
+
+// ✅ Helper: tell receivers a notification changed or disappeared
+const pushChange = (notification, event) =>
+  pushToUsers(notification.receivers, {
+    event,
+    data: event === "notification.deleted" ? { _id: notification._id } : notification.toObject(),
+  });
+
+// ✅ Live notifications over Server-Sent Events
+// GET /api/notifications/stream (JWT as for every route; ?token= for EventSource clients)
+// Reconnects send Last-Event-ID (or ?since=<notification id>) and get what they missed first.
+export const streamNotifications = async (req, res) => {
+  const userId = req.user._id;
+  const cursor = req.get("Last-Event-ID") || req.query.since;
+  if (cursor && !mongoose.Types.ObjectId.isValid(cursor)) {
+    return res.status(400).json({ success: false, message: "Invalid cursor" });
+  }
+
+  let heartbeat;
+  try {
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write("retry: 5000\n\n");
+
+    // Keep proxies from timing out; a logged out or revoked session ends the stream.
+    // Started before any await so the close handler below always has it to clear.
+    heartbeat = setInterval(async () => {
+      try {
+        res.write(": ping\n\n");
+        res.flush?.();
+        const session = await Session.findById(req.authSession._id);
+        if (!session?.isActive) res.end();
+      } catch (err) {
+        console.error("Notification stream heartbeat failed:", err.message);
+      }
+    }, HEARTBEAT_MS);
+
+    // Register before catching up so nothing sent meanwhile is lost (clients dedupe by _id)
+    const removeStream = addStream(userId, res);
+    res.on("close", () => {
+      clearInterval(heartbeat);
+      removeStream();
+    });
+
+    let missed = [];
+    if (cursor) {
+      missed = await Notification.find({ receivers: userId, _id: { $gt: cursor } })
+        .populate("sender", "name username role")
+        .sort({ _id: 1 })
+        .limit(CATCH_UP_LIMIT);
+      missed.forEach((n) =>
+        writeEvent(res, {
+          event: "notification",
+          id: String(n._id),
+          data: { ...n.toObject(), isRead: n.readBy.some((id) => id.equals(userId)) },
+        })
+      );
+    }
+
+    writeEvent(res, {
+      event: "ready",
+      data: { unreadCount: await unreadCountFor(userId), caughtUp: missed.length, hasMore: missed.length === CATCH_UP_LIMIT },
+    });
+  } catch (err) {
+    clearInterval(heartbeat);
+    if (!res.headersSent) return handleError(res, err, "Error opening notification stream");
+    console.error("Notification stream error:", err);
+    res.end();
+  }
+};
+
 // ✅ Send notification to specific users
 export const sendNotification = async (req, res) => {
   try {
@@ -21,7 +114,7 @@ export const sendNotification = async (req, res) => {
     }
 
     const sender = req.user._id;
-    const newNotif = await Notification.create({
+    const newNotif = await Notification.send({
       sender,
       receivers,
       message: message.trim(),
@@ -30,6 +123,10 @@ export const sendNotification = async (req, res) => {
       expiresAt: expiresAt || undefined,
     });
 
+    if (!newNotif) {
+      return res.status(200).json({ success: true, message: "All receivers have turned this kind of notification off", data: null });
+    }
+
     await newNotif.populate("sender", "name username role");
 
     return res.status(201).json({
@@ -45,10 +142,10 @@ export const sendNotification = async (req, res) => {
 // ✅ Employee: Get available recipients (employees and teamleads only)
 export const getRecipientsForEmployee = async (req, res) => {
   try {
-    if (req.user.role !== "employee") {
+    if (!(await userCan(req.user, "notification:send"))) {
       return res.status(403).json({ 
         success: false, 
-        message: "Only employees can access this endpoint" 
+        message: "Not permitted to access this endpoint" 
       });
     }
 
@@ -96,6 +193,78 @@ export const getAllUsers1 = async (req, res) => {
   }
 };
 
+// ✅ Own notification preferences (defaults when none are stored)
+// GET /api/notifications/preferences
+export const getMyPreferences = async (req, res) => {
+  try {
+    const preference =
+      (await NotificationPreference.findOne({ user: req.user._id })) || new NotificationPreference({ user: req.user._id });
+
+    return res.json({
+      success: true,
+      data: preference,
+      locale: req.user.locale || DEFAULT_LOCALE,
+      types: NOTIFICATION_TYPES,
+      deliveryModes: DELIVERY_MODES,
+      locales: LOCALES,
+    });
+  } catch (err) {
+    return handleError(res, err, "Error fetching notification preferences");
+  }
+};
+
+// ✅ Update own notification preferences
+// PUT /api/notifications/preferences
+// { types: { task: { enabled, delivery } }, minPriority, quietHours: { enabled, start, end },
+//   email: { enabled, minPriority, types }, timezone, dailyDigestHour, locale }
+// locale is kept on the user: the language notifications and emails are written in
+export const updateMyPreferences = async (req, res) => {
+  try {
+    const { types, minPriority, quietHours, email, timezone, dailyDigestHour, locale } = req.body;
+    if (locale !== undefined && !LOCALE_CODES.includes(locale)) {
+      return res.status(400).json({ success: false, message: `locale must be one of ${LOCALE_CODES.join(", ")}` });
+    }
+    const preference =
+      (await NotificationPreference.findOne({ user: req.user._id })) || new NotificationPreference({ user: req.user._id });
+
+    if (types && typeof types === "object") {
+      Object.entries(types).forEach(([type, setting]) => {
+        const current = preference.settingsFor(type);
+        preference.types.set(type, { ...current, ...setting });
+      });
+    }
+    if (minPriority !== undefined) preference.minPriority = minPriority;
+    if (quietHours && typeof quietHours === "object") {
+      ["enabled", "start", "end"].forEach((key) => {
+        if (quietHours[key] !== undefined) preference.quietHours[key] = quietHours[key];
+      });
+    }
+    if (email && typeof email === "object") {
+      ["enabled", "minPriority", "types"].forEach((key) => {
+        if (email[key] !== undefined) preference.email[key] = email[key];
+      });
+    }
+    if (timezone !== undefined) preference.timezone = timezone;
+    if (dailyDigestHour !== undefined) preference.dailyDigestHour = dailyDigestHour;
+
+    await preference.save();
+    if (locale !== undefined && locale !== req.user.locale) {
+      await User.updateOne({ _id: req.user._id }, { locale });
+    }
+    return res.json({
+      success: true,
+      message: "Notification preferences saved",
+      data: preference,
+      locale: locale ?? (req.user.locale || DEFAULT_LOCALE),
+    });
+  } catch (err) {
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    return handleError(res, err, "Error saving notification preferences");
+  }
+};
+
 // ✅ Get notifications for current user (with pagination + filters)
 // ✅ Get notifications for current user (with pagination + filters) - FIXED
 export const getMyNotifications = async (req, res) => {
@@ -176,6 +345,7 @@ export const markRead = async (req, res) => {
       return res.status(404).json({ success: false, message: "Notification not found or access denied" });
     }
 
+    syncReadState(req.user._id, { ids: [notif._id], read: true });
     return res.json({ success: true, message: "Notification marked as read", data: notif });
   } catch (err) {
     return handleError(res, err, "Error marking notification as read");
@@ -195,6 +365,7 @@ export const markUnread = async (req, res) => {
       return res.status(404).json({ success: false, message: "Notification not found or access denied" });
     }
 
+    syncReadState(req.user._id, { ids: [notif._id], read: false });
     return res.json({ success: true, message: "Notification marked as unread", data: notif });
   } catch (err) {
     return handleError(res, err, "Error marking notification as unread");
@@ -213,6 +384,7 @@ export const bulkMarkRead = async (req, res) => {
       { _id: { $in: notificationIds }, receivers: req.user._id, readBy: { $ne: req.user._id } },
       { $addToSet: { readBy: req.user._id } }
     );
+    syncReadState(req.user._id, { ids: notificationIds, read: true });
 
     return res.json({
       success: true,
@@ -231,6 +403,7 @@ export const markAllRead = async (req, res) => {
       { receivers: req.user._id, readBy: { $ne: req.user._id } },
       { $addToSet: { readBy: req.user._id } }
     );
+    syncReadState(req.user._id, { all: true, read: true });
 
     return res.json({
       success: true,
@@ -247,7 +420,7 @@ export const updateNotification = async (req, res) => {
   try {
     const { message, type, priority } = req.body;
     let filter = { _id: req.params.id };
-    if (req.user.role !== "admin") filter.sender = req.user._id;
+    if (!(await userCan(req.user, "notification:admin"))) filter.sender = req.user._id;
 
     const updateData = {};
     if (message) updateData.message = message.trim();
@@ -260,6 +433,7 @@ export const updateNotification = async (req, res) => {
     if (!notif) {
       return res.status(404).json({ success: false, message: "Notification not found or access denied" });
     }
+    pushChange(notif, "notification.updated");
 
     return res.json({ success: true, message: "Notification updated successfully", data: notif });
   } catch (err) {
@@ -271,12 +445,13 @@ export const updateNotification = async (req, res) => {
 export const deleteNotification = async (req, res) => {
   try {
     let filter = { _id: req.params.id };
-    if (req.user.role !== "admin") filter.sender = req.user._id;
+    if (!(await userCan(req.user, "notification:admin"))) filter.sender = req.user._id;
 
     const notif = await Notification.findOneAndDelete(filter);
     if (!notif) {
       return res.status(404).json({ success: false, message: "Notification not found or access denied" });
     }
+    pushChange(notif, "notification.deleted");
 
     return res.json({ success: true, message: "Notification deleted successfully" });
   } catch (err) {
@@ -289,10 +464,10 @@ export const deleteNotification = async (req, res) => {
 
 export const adminGetAllNotifications = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
+    if (!(await userCan(req.user, "notification:admin"))) {
       return res.status(403).json({ 
         success: false, 
-        message: "Only admin can view all notifications" 
+        message: "Not permitted to view all notifications" 
       });
     }
 
@@ -409,7 +584,7 @@ export const sendNotificationToEmployees = async (req, res) => {
     }
 
     const receivers = employees.map((e) => e._id);
-    const notif = await Notification.create({
+    const notif = await Notification.send({
       sender: req.user._id,
       receivers,
       message: message.trim(),
@@ -418,11 +593,15 @@ export const sendNotificationToEmployees = async (req, res) => {
       expiresAt: expiresAt || undefined,
     });
 
+    if (!notif) {
+      return res.status(200).json({ success: true, message: "All receivers have turned this kind of notification off", data: null });
+    }
+
     await notif.populate("sender", "name username role");
 
     return res.status(201).json({
       success: true,
-      message: `Notification sent to ${receivers.length} employees`,
+      message: `Notification sent to ${notif.receivers.length} employees`,
       data: notif,
     });
   } catch (err) {
@@ -444,7 +623,7 @@ export const sendNotificationToTeamLeads = async (req, res) => {
     }
 
     const receivers = teamLeads.map((t) => t._id);
-    const notif = await Notification.create({
+    const notif = await Notification.send({
       sender: req.user._id,
       receivers,
       message: message.trim(),
@@ -453,11 +632,15 @@ export const sendNotificationToTeamLeads = async (req, res) => {
       expiresAt: expiresAt || undefined,
     });
 
+    if (!notif) {
+      return res.status(200).json({ success: true, message: "All receivers have turned this kind of notification off", data: null });
+    }
+
     await notif.populate("sender", "name username role");
 
     return res.status(201).json({
       success: true,
-      message: `Notification sent to ${receivers.length} team leads`,
+      message: `Notification sent to ${notif.receivers.length} team leads`,
       data: notif,
     });
   } catch (err) {
@@ -482,7 +665,7 @@ export const sendNotificationToAllUsers = async (req, res) => {
     }
 
     const receivers = users.map((u) => u._id);
-    const notif = await Notification.create({
+    const notif = await Notification.send({
       sender: req.user._id,
       receivers,
       message: message.trim(),
@@ -491,11 +674,15 @@ export const sendNotificationToAllUsers = async (req, res) => {
       expiresAt: expiresAt || undefined,
     });
 
+    if (!notif) {
+      return res.status(200).json({ success: true, message: "All receivers have turned this kind of notification off", data: null });
+    }
+
     await notif.populate("sender", "name username role");
 
     return res.status(201).json({
       success: true,
-      message: `Notification sent to ${receivers.length} users`,
+      message: `Notification sent to ${notif.receivers.length} users`,
       data: notif,
     });
   } catch (err) {
@@ -507,8 +694,8 @@ export const sendNotificationToAllUsers = async (req, res) => {
 // ✅ TeamLead: Get all users (except self)
 export const getAllUsersForTeamLead = async (req, res) => {
   try {
-    if (req.user.role !== "teamlead") {
-      return res.status(403).json({ success: false, message: "Only team leads can access this" });
+    if (!(await userCan(req.user, "notification:send:team"))) {
+      return res.status(403).json({ success: false, message: "Not permitted to access this" });
     }
 
     const users = await User.find({ _id: { $ne: req.user._id } }).select("name username email role");
@@ -575,6 +762,7 @@ export const adminMarkNotificationRead = async (req, res) => {
     if (!notification.readBy.includes(req.user._id)) {
       notification.readBy.push(req.user._id);
       await notification.save();
+      syncReadState(req.user._id, { ids: [notification._id], read: true });
     }
 
     res.status(200).json({
@@ -609,6 +797,7 @@ export const adminMarkNotificationUnread = async (req, res) => {
       userId => !userId.equals(req.user._id)
     );
     await notification.save();
+    syncReadState(req.user._id, { ids: [notification._id], read: false });
 
     res.status(200).json({
       success: true,
@@ -635,6 +824,7 @@ export const adminBulkMarkRead = async (req, res) => {
         {},
         { $addToSet: { readBy: req.user._id } }
       );
+      syncReadState(req.user._id, { all: true, read: true });
 
       res.status(200).json({
         success: true,
@@ -646,6 +836,7 @@ export const adminBulkMarkRead = async (req, res) => {
         { _id: { $in: notificationIds } },
         { $addToSet: { readBy: req.user._id } }
       );
+      syncReadState(req.user._id, { ids: notificationIds, read: true });
 
       res.status(200).json({
         success: true,
@@ -672,6 +863,7 @@ export const adminBulkMarkUnread = async (req, res) => {
         {},
         { $pull: { readBy: req.user._id } }
       );
+      syncReadState(req.user._id, { all: true, read: false });
 
       res.status(200).json({
         success: true,
@@ -683,6 +875,7 @@ export const adminBulkMarkUnread = async (req, res) => {
         { _id: { $in: notificationIds } },
         { $pull: { readBy: req.user._id } }
       );
+      syncReadState(req.user._id, { ids: notificationIds, read: false });
 
       res.status(200).json({
         success: true,
@@ -705,6 +898,7 @@ export const adminMarkAllNotificationsRead = async (req, res) => {
       {},
       { $addToSet: { readBy: req.user._id } }
     );
+    syncReadState(req.user._id, { all: true, read: true });
 
     res.status(200).json({
       success: true,
@@ -756,7 +950,7 @@ export const sendNotificationToSpecificUsers = async (req, res) => {
     }
 
     const validUserIds = users.map(u => u._id);
-    const notification = await Notification.create({
+    const notification = await Notification.send({
       sender: req.user._id,
       receivers: validUserIds,
       message: message.trim(),
@@ -765,11 +959,15 @@ export const sendNotificationToSpecificUsers = async (req, res) => {
       expiresAt: expiresAt || undefined,
     });
 
+    if (!notification) {
+      return res.status(200).json({ success: true, message: "All receivers have turned this kind of notification off", data: null });
+    }
+
     await notification.populate("sender", "name username role");
 
     return res.status(201).json({
       success: true,
-      message: `Notification sent to ${validUserIds.length} users`,
+      message: `Notification sent to ${notification.receivers.length} users`,
       data: notification,
     });
   } catch (err) {
@@ -780,10 +978,10 @@ export const sendNotificationToSpecificUsers = async (req, res) => {
 // ✅ TeamLead: Get team lead specific notifications
 export const getTeamLeadNotifications = async (req, res) => {
   try {
-    if (req.user.role !== "teamlead") {
+    if (!(await userCan(req.user, "notification:send:team"))) {
       return res.status(403).json({ 
         success: false, 
-        message: "Only team leads can access this endpoint" 
+        message: "Not permitted to access this endpoint" 
       });
     }
 
@@ -835,10 +1033,10 @@ export const getTeamLeadNotifications = async (req, res) => {
 // ✅ TeamLead: Send notification to team members
 export const sendNotificationToTeamMembers = async (req, res) => {
   try {
-    if (req.user.role !== "teamlead") {
+    if (!(await userCan(req.user, "notification:send:team"))) {
       return res.status(403).json({ 
         success: false, 
-        message: "Only team leads can send to team members" 
+        message: "Not permitted to send to team members" 
       });
     }
 
@@ -860,7 +1058,7 @@ export const sendNotificationToTeamMembers = async (req, res) => {
     }
 
     const receivers = teamMembers.map(member => member._id);
-    const notification = await Notification.create({
+    const notification = await Notification.send({
       sender: req.user._id,
       receivers,
       message: message.trim(),
@@ -869,11 +1067,15 @@ export const sendNotificationToTeamMembers = async (req, res) => {
       expiresAt: expiresAt || undefined,
     });
 
+    if (!notification) {
+      return res.status(200).json({ success: true, message: "All receivers have turned this kind of notification off", data: null });
+    }
+
     await notification.populate("sender", "name username role");
 
     return res.status(201).json({
       success: true,
-      message: `Notification sent to ${receivers.length} team members`,
+      message: `Notification sent to ${notification.receivers.length} team members`,
       data: notification,
     });
   } catch (err) {
@@ -884,10 +1086,10 @@ export const sendNotificationToTeamMembers = async (req, res) => {
 // ✅ Employee: Send notification to colleagues
 export const sendNotificationToColleagues = async (req, res) => {
   try {
-    if (req.user.role !== "employee") {
+    if (!(await userCan(req.user, "notification:send"))) {
       return res.status(403).json({ 
         success: false, 
-        message: "Only employees can send to colleagues" 
+        message: "Not permitted to send to colleagues" 
       });
     }
 
@@ -924,7 +1126,7 @@ export const sendNotificationToColleagues = async (req, res) => {
       });
     }
 
-    const notification = await Notification.create({
+    const notification = await Notification.send({
       sender: req.user._id,
       receivers,
       message: message.trim(),
@@ -933,11 +1135,15 @@ export const sendNotificationToColleagues = async (req, res) => {
       expiresAt: expiresAt || undefined,
     });
 
+    if (!notification) {
+      return res.status(200).json({ success: true, message: "All receivers have turned this kind of notification off", data: null });
+    }
+
     await notification.populate("sender", "name username role");
 
     return res.status(201).json({
       success: true,
-      message: `Notification sent to ${receivers.length} colleagues`,
+      message: `Notification sent to ${notification.receivers.length} colleagues`,
       data: notification,
     });
   } catch (err) {
@@ -948,10 +1154,10 @@ export const sendNotificationToColleagues = async (req, res) => {
 // ✅ Admin: Delete any notification
 export const adminDeleteNotification = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
+    if (!(await userCan(req.user, "notification:admin"))) {
       return res.status(403).json({ 
         success: false, 
-        message: "Only admin can delete any notification" 
+        message: "Not permitted to delete any notification" 
       });
     }
 
@@ -962,6 +1168,7 @@ export const adminDeleteNotification = async (req, res) => {
         message: "Notification not found" 
       });
     }
+    pushChange(notification, "notification.deleted");
 
     return res.json({ 
       success: true, 
@@ -975,10 +1182,10 @@ export const adminDeleteNotification = async (req, res) => {
 // ✅ Admin: Update any notification
 export const adminUpdateNotification = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
+    if (!(await userCan(req.user, "notification:admin"))) {
       return res.status(403).json({ 
         success: false, 
-        message: "Only admin can update any notification" 
+        message: "Not permitted to update any notification" 
       });
     }
 
@@ -1002,6 +1209,7 @@ export const adminUpdateNotification = async (req, res) => {
         message: "Notification not found" 
       });
     }
+    pushChange(notification, "notification.updated");
 
     return res.json({ 
       success: true, 
@@ -1016,10 +1224,10 @@ export const adminUpdateNotification = async (req, res) => {
 // ✅ Admin: Get notification analytics
 export const getNotificationAnalytics = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
+    if (!(await userCan(req.user, "notification:admin"))) {
       return res.status(403).json({ 
         success: false, 
-        message: "Only admin can view analytics" 
+        message: "Not permitted to view analytics" 
       });
     }
 
@@ -1157,10 +1365,10 @@ export const getNotificationAnalytics = async (req, res) => {
 // ✅ Admin: Export notifications
 export const exportNotifications = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
+    if (!(await userCan(req.user, "notification:admin"))) {
       return res.status(403).json({ 
         success: false, 
-        message: "Only admin can export notifications" 
+        message: "Not permitted to export notifications" 
       });
     }
 
@@ -1222,10 +1430,10 @@ export const exportNotifications = async (req, res) => {
 // ✅ Admin: Get notification history
 export const getNotificationHistory = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
+    if (!(await userCan(req.user, "notification:admin"))) {
       return res.status(403).json({ 
         success: false, 
-        message: "Only admin can view notification history" 
+        message: "Not permitted to view notification history" 
       });
     }
 
@@ -1281,10 +1489,10 @@ export const getNotificationHistory = async (req, res) => {
 // ✅ Admin: Purge old notifications
 export const purgeOldNotifications = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
+    if (!(await userCan(req.user, "notification:admin"))) {
       return res.status(403).json({ 
         success: false, 
-        message: "Only admin can purge notifications" 
+        message: "Not permitted to purge notifications" 
       });
     }
 
@@ -0,0 +1,230 @@
+// controllers/notificationChannelController.js
+import mongoose from "mongoose";
+import Webhook from "../models/Webhook.js";
+import NotificationDelivery, { DELIVERY_CHANNELS, DELIVERY_STATUSES } from "../models/NotificationDelivery.js";
+import { postWebhook, webhookBodyFor, processDelivery } from "../utils/notificationChannels.js";
+import { recordAudit, snapshot } from "../utils/audit.js";
+
+// 🔹 Centralized error handling
+const handleError = (res, err, message = "Server error") => {
+  console.error("NotificationChannelController Error:", err);
+  if (err.name === "ValidationError") {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+  return res.status(500).json({ success: false, message, error: err.message });
+};
+
+const WEBHOOK_FIELDS = ["name", "url", "format", "secret", "types", "minPriority", "events", "active"];
+
+const pick = (body) => Object.fromEntries(WEBHOOK_FIELDS.filter((f) => body[f] !== undefined).map((f) => [f, body[f]]));
+
+const findWebhook = (id) => (mongoose.Types.ObjectId.isValid(id) ? Webhook.findById(id) : null);
+
+/**
+ * @desc    List outbound webhooks
+ * @route   GET /api/notifications/admin/webhooks
+ * @access  notification:admin
+ */
+export const getWebhooks = async (req, res) => {
+  try {
+    const webhooks = await Webhook.find().populate("createdBy", "name email").sort({ createdAt: -1 });
+    res.json({ success: true, webhooks });
+  } catch (err) {
+    handleError(res, err, "Error fetching webhooks");
+  }
+};
+
+/**
+ * @desc    Add a webhook that receives matching notifications and the domain events it lists
+ * @route   POST /api/notifications/admin/webhooks
+ * @body    { name, url, format: "slack" | "generic", secret?, types?, minPriority?, events?, active? }
+ * @access  notification:admin
+ */
+export const createWebhook = async (req, res) => {
+  try {
+    const webhook = await Webhook.create({ ...pick(req.body), createdBy: req.user._id });
+
+    await recordAudit(req, {
+      action: "webhook.create",
+      entityType: "Webhook",
+      entityId: webhook._id,
+      after: webhook,
+    });
+
+    res.status(201).json({ success: true, message: "Webhook added", webhook });
+  } catch (err) {
+    handleError(res, err, "Error adding webhook");
+  }
+};
+
+/**
+ * @desc    Change a webhook (secret: null removes it)
+ * @route   PUT /api/notifications/admin/webhooks/:id
+ * @access  notification:admin
+ */
+export const updateWebhook = async (req, res) => {
+  try {
+    const webhook = await findWebhook(req.params.id);
+    if (!webhook) return res.status(404).json({ success: false, message: "Webhook not found" });
+
+    const before = snapshot(webhook);
+    Object.assign(webhook, pick(req.body));
+    if (req.body.secret === null) webhook.secret = undefined;
+    webhook.updatedBy = req.user._id;
+    await webhook.save();
+
+    await recordAudit(req, {
+      action: "webhook.update",
+      entityType: "Webhook",
+      entityId: webhook._id,
+      before,
+      after: webhook,
+    });
+
+    res.json({ success: true, message: "Webhook updated", webhook });
+  } catch (err) {
+    handleError(res, err, "Error updating webhook");
+  }
+};
+
+/**
+ * @desc    Delete a webhook (its pending deliveries fail on their next attempt)
+ * @route   DELETE /api/notifications/admin/webhooks/:id
+ * @access  notification:admin
+ */
+export const deleteWebhook = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: "Webhook not found" });
+    }
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+    if (!webhook) return res.status(404).json({ success: false, message: "Webhook not found" });
+
+    await recordAudit(req, {
+      action: "webhook.delete",
+      entityType: "Webhook",
+      entityId: webhook._id,
+      before: webhook,
+    });
+
+    res.json({ success: true, message: "Webhook deleted" });
+  } catch (err) {
+    handleError(res, err, "Error deleting webhook");
+  }
+};
+
+/**
+ * @desc    Post a sample notification to a webhook and report the response (not logged as a delivery)
+ * @route   POST /api/notifications/admin/webhooks/:id/test
+ * @access  notification:admin
+ */
+export const testWebhook = async (req, res) => {
+  try {
+    const webhook = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Webhook.findById(req.params.id).select("+secret")
+      : null;
+    if (!webhook) return res.status(404).json({ success: false, message: "Webhook not found" });
+
+    const sample = {
+      _id: new mongoose.Types.ObjectId(),
+      title: "Test notification",
+      message: `Test from ${req.user.name}: this webhook is reachable.`,
+      type: "info",
+      priority: "normal",
+      sender: { _id: req.user._id, name: req.user.name },
+      receivers: [],
+      createdAt: new Date(),
+    };
+
+    try {
+      const { responseStatus } = await postWebhook(webhook, webhookBodyFor(webhook, sample));
+      res.json({ success: true, message: "Webhook responded", responseStatus });
+    } catch (err) {
+      res.status(502).json({ success: false, message: err.message, responseStatus: err.responseStatus });
+    }
+  } catch (err) {
+    handleError(res, err, "Error testing webhook");
+  }
+};
+
+/**
+ * @desc    Delivery log (?status=&channel=&notification=&event=&webhook=&page=&limit=)
+ * @route   GET /api/notifications/admin/deliveries
+ * @access  notification:admin
+ */
+export const getDeliveries = async (req, res) => {
+  try {
+    const { status, channel, notification, event, webhook } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const filter = {};
+    if (status) {
+      if (!DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, message: `status must be one of ${DELIVERY_STATUSES.join(", ")}` });
+      }
+      filter.status = status;
+    }
+    if (channel) {
+      if (!DELIVERY_CHANNELS.includes(channel)) {
+        return res.status(400).json({ success: false, message: `channel must be one of ${DELIVERY_CHANNELS.join(", ")}` });
+      }
+      filter.channel = channel;
+    }
+    if (notification) filter.notification = notification;
+    if (event) filter.event = event;
+    if (webhook) filter.webhook = webhook;
+
+    const [deliveries, total] = await Promise.all([
+      NotificationDelivery.find(filter)
+        .populate("notification", "title type priority createdAt")
+        .populate("user", "name email")
+        .populate("webhook", "name format")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      NotificationDelivery.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      deliveries,
+      pagination: { current: page, pages: Math.ceil(total / limit), total, limit },
+    });
+  } catch (err) {
+    handleError(res, err, "Error fetching deliveries");
+  }
+};
+
+/**
+ * @desc    Attempt a failed or pending delivery again now
+ * @route   POST /api/notifications/admin/deliveries/:id/retry
+ * @access  notification:admin
+ */
+export const retryDelivery = async (req, res) => {
+  try {
+    const delivery = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await NotificationDelivery.findById(req.params.id)
+      : null;
+    if (!delivery) return res.status(404).json({ success: false, message: "Delivery not found" });
+    if (delivery.status === "sent") {
+      return res.status(409).json({ success: false, message: "Delivery was already sent" });
+    }
+
+    // A manual retry gets a fresh set of attempts
+    delivery.status = "pending";
+    delivery.attempts = 0;
+    await processDelivery(delivery);
+
+    await recordAudit(req, {
+      action: "notification_delivery.retry",
+      entityType: "NotificationDelivery",
+      entityId: delivery._id,
+      metadata: { channel: delivery.channel, target: delivery.target, status: delivery.status },
+    });
+
+    res.json({ success: true, message: `Delivery ${delivery.status}`, delivery });
+  } catch (err) {
+    handleError(res, err, "Error retrying delivery");
+  }
+};
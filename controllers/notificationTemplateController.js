@@ -0,0 +1,154 @@
+// controllers/notificationTemplateController.js
+import NotificationTemplate from "../models/NotificationTemplate.js";
+import { EVENTS, EVENT_NAMES, isKnownEvent } from "../config/events.js";
+import { LOCALES, LOCALE_CODES, DEFAULT_LOCALE } from "../config/locales.js";
+import { templateFor, renderTemplate, variablesOf } from "../utils/notificationTemplates.js";
+import { recordAudit, snapshot } from "../utils/audit.js";
+
+// 🔹 Centralized error handling
+const handleError = (res, err, message = "Server error") => {
+  console.error("NotificationTemplateController Error:", err);
+  if (err.name === "ValidationError") {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+  return res.status(500).json({ success: false, message, error: err.message });
+};
+
+const TEMPLATE_FIELDS = ["title", "message", "enabled"];
+
+// Why a request's event or locale cannot be used → { status, message } or null
+const targetError = (event, locale) => {
+  if (!isKnownEvent(event)) return { status: 404, message: `Unknown event "${event}"` };
+  if (!LOCALE_CODES.includes(locale)) return { status: 400, message: `locale must be one of ${LOCALE_CODES.join(", ")}` };
+  return null;
+};
+
+/**
+ * @desc    Domain events with the notification template each one uses per locale
+ * @route   GET /api/notifications/admin/events
+ * @access  notification:admin
+ */
+export const getEventTemplates = async (req, res) => {
+  try {
+    const events = await Promise.all(
+      EVENT_NAMES.map(async (event) => {
+        const { templates } = EVENTS[event];
+        return {
+          event,
+          description: EVENTS[event].description,
+          variables: variablesOf(...Object.values(templates).flatMap((t) => [t.title, t.message])),
+          templates: await Promise.all(
+            LOCALE_CODES.map(async (locale) => ({
+              ...(await templateFor(event, locale)),
+              defaults: templates[locale] || templates[DEFAULT_LOCALE],
+            }))
+          ),
+        };
+      })
+    );
+    res.json({ success: true, events, locales: LOCALES });
+  } catch (err) {
+    handleError(res, err, "Error fetching event templates");
+  }
+};
+
+/**
+ * @desc    Override the notification an event sends in one locale
+ * @route   PUT /api/notifications/admin/events/:event/templates/:locale
+ * @body    { title?, message?, enabled? }   {{path}} placeholders, e.g. {{task.title}}, {{actor.name}}
+ * @access  notification:admin
+ */
+export const updateEventTemplate = async (req, res) => {
+  try {
+    const { event, locale } = req.params;
+    const invalid = targetError(event, locale);
+    if (invalid) return res.status(invalid.status).json({ success: false, message: invalid.message });
+
+    const template = (await NotificationTemplate.findOne({ event, locale })) || new NotificationTemplate({ event, locale });
+    const before = template.isNew ? null : snapshot(template);
+    TEMPLATE_FIELDS.filter((f) => req.body[f] !== undefined).forEach((f) => template.set(f, req.body[f]));
+    template.updatedBy = req.user._id;
+    await template.save();
+
+    await recordAudit(req, {
+      action: "notification_template.update",
+      entityType: "NotificationTemplate",
+      entityId: template._id,
+      before,
+      after: template,
+    });
+
+    res.json({ success: true, message: "Template saved", template: await templateFor(event, locale) });
+  } catch (err) {
+    handleError(res, err, "Error saving template");
+  }
+};
+
+/**
+ * @desc    Go back to the default notification of an event in one locale
+ * @route   DELETE /api/notifications/admin/events/:event/templates/:locale
+ * @access  notification:admin
+ */
+export const resetEventTemplate = async (req, res) => {
+  try {
+    const { event, locale } = req.params;
+    const invalid = targetError(event, locale);
+    if (invalid) return res.status(invalid.status).json({ success: false, message: invalid.message });
+
+    const template = await NotificationTemplate.findOneAndDelete({ event, locale });
+    if (template) {
+      await recordAudit(req, {
+        action: "notification_template.reset",
+        entityType: "NotificationTemplate",
+        entityId: template._id,
+        before: template,
+      });
+    }
+
+    res.json({ success: true, message: "Template reset to default", template: await templateFor(event, locale) });
+  } catch (err) {
+    handleError(res, err, "Error resetting template");
+  }
+};
+
+/**
+ * @desc    Render an event's notification without sending it. Uses the stored template unless
+ *          title/message are given (to try out an edit); placeholders `data` does not fill are
+ *          left in place and listed in `missing`.
+ * @route   POST /api/notifications/admin/events/:event/preview
+ * @body    { locale?, title?, message?, data?: { task: { title }, ... } }
+ * @access  notification:admin
+ */
+export const previewEventTemplate = async (req, res) => {
+  try {
+    const { event } = req.params;
+    const { locale = DEFAULT_LOCALE, title, message, data = {} } = req.body;
+    const invalid = targetError(event, locale);
+    if (invalid) return res.status(invalid.status).json({ success: false, message: invalid.message });
+    if (typeof data !== "object" || Array.isArray(data)) {
+      return res.status(400).json({ success: false, message: "data must be an object" });
+    }
+
+    const template = await templateFor(event, locale);
+    const draft = { title: title ?? template.title, message: message ?? template.message };
+    const context = { actor: { _id: req.user._id, name: req.user.name }, ...data };
+    const missing = variablesOf(draft.title, draft.message).filter((path) =>
+      renderTemplate(`{{${path}}}`, context, locale) === ""
+    );
+
+    res.json({
+      success: true,
+      preview: {
+        locale,
+        title: renderTemplate(draft.title, context, locale, { keepMissing: true }),
+        message: renderTemplate(draft.message, context, locale, { keepMissing: true }),
+        actionLink: renderTemplate(template.link, context, locale, { keepMissing: true }),
+        type: template.type,
+        priority: template.priority,
+      },
+      missing,
+    });
+  } catch (err) {
+    handleError(res, err, "Error previewing template");
+  }
+};
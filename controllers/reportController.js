@@ -1,6 +1,14 @@
 // controllers/reportController.js
 import Report from "../models/Report.js";
 import User from "../models/User.js";
+import { recordAudit, snapshot } from "../utils/audit.js";
+import { emitEvent } from "../utils/events.js";
+import { buildDailyReportDraft } from "../utils/dailyReportDraft.js";
+import { ROLLUP_TYPES, buildRollupReport } from "../utils/reportRollup.js";
+import { userCan } from "../utils/permissions.js";
+import { submitIntoWorkflow, decideOnReport, emitWorkflowEvents, isInWorkflowReview } from "../utils/reportWorkflow.js";
+import { applyReportTemplate, validateAnswers, renderAnswers } from "../utils/reportTemplates.js";
+import ReportTemplate from "../models/ReportTemplate.js";
 
 /**
  * @desc Get all users except admin (for report assignment)
@@ -79,9 +87,9 @@ export const getReportsForAdmin = async (req, res) => {
  */
 export const createReport = async (req, res) => {
   try {
-    const { type, forUser, content, tasksCompleted, tasksPending, projectStats } = req.body;
+    const { type, forUser, tasksCompleted, tasksPending, projectStats } = req.body;
 
-    if (!content || !type) {
+    if (!type) {
       return res.status(400).json({ 
         success: false, 
         message: "Type and content are required" 
@@ -89,10 +97,28 @@ export const createReport = async (req, res) => {
     }
 
     // Validation for report types
-    if (!["daily", "monthly"].includes(type)) {
+    if (!["daily", "weekly", "monthly"].includes(type)) {
       return res.status(400).json({ 
         success: false, 
-        message: "Invalid report type. Must be 'daily' or 'monthly'" 
+        message: "Invalid report type. Must be 'daily', 'weekly' or 'monthly'" 
+      });
+    }
+
+    // Active template: validate structured answers (content is rendered from them when left empty)
+    const templated = await applyReportTemplate(req.user, type, req.body);
+    if (templated.error) {
+      return res.status(templated.status).json({
+        success: false,
+        message: templated.error,
+        errors: templated.errors
+      });
+    }
+    const { content } = templated;
+
+    if (!content || content.trim().length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: "Type and content are required" 
       });
     }
 
@@ -129,7 +155,11 @@ export const createReport = async (req, res) => {
       tasksCompleted: Math.max(0, parseInt(tasksCompleted) || 0),
       tasksPending: Math.max(0, parseInt(tasksPending) || 0),
       projectStats: validatedProjectStats,
+      template: templated.template?._id,
+      templateVersion: templated.template?.version,
+      answers: templated.answers,
     });
+    await recordAudit(req, { action: "report.create", entityType: "Report", after: report });
 
     // Populate the created report
     const populatedReport = await Report.findById(report._id)
@@ -252,7 +282,7 @@ export const getReportsForUser = async (req, res) => {
 export const updateReport = async (req, res) => {
   try {
     const { reportId } = req.params;
-    const { content, tasksCompleted, tasksPending, projectStats } = req.body;
+    const { content, tasksCompleted, tasksPending, projectStats, answers } = req.body;
 
     let report = await Report.findById(reportId);
     if (!report) {
@@ -270,6 +300,14 @@ export const updateReport = async (req, res) => {
       });
     }
 
+    // Reports awaiting a workflow decision are frozen until changes are requested
+    if (isInWorkflowReview(report)) {
+      return res.status(409).json({
+        success: false,
+        message: "This report is awaiting approval and cannot be edited"
+      });
+    }
+
     // Prepare update data
     const updateData = {};
     if (content !== undefined) updateData.content = content.trim();
@@ -284,6 +322,29 @@ export const updateReport = async (req, res) => {
       };
     }
 
+    // Structured answers are re-validated against the report's template (its current version)
+    if (answers !== undefined) {
+      const template = report.template && await ReportTemplate.findById(report.template);
+      if (!template) {
+        return res.status(400).json({
+          success: false,
+          message: "This report was not created from a template"
+        });
+      }
+      const result = await validateAnswers(template, answers, { _id: report.createdBy });
+      if (result.errors) {
+        return res.status(400).json({
+          success: false,
+          message: "Report does not match the template",
+          errors: result.errors
+        });
+      }
+      updateData.answers = result.answers;
+      updateData.templateVersion = template.version;
+      if (content === undefined) updateData.content = await renderAnswers(result.answers);
+    }
+
+    const before = snapshot(report);
     report = await Report.findByIdAndUpdate(reportId, updateData, {
       new: true,
       runValidators: true,
@@ -292,6 +353,8 @@ export const updateReport = async (req, res) => {
     .populate("forUser", "name email role")
     .populate("feedbacks.givenBy", "name email role");
 
+    await recordAudit(req, { action: "report.update", entityType: "Report", before, after: report });
+
     res.status(200).json({ 
       success: true, 
       message: "Report updated successfully", 
@@ -331,11 +394,13 @@ export const deleteReport = async (req, res) => {
       });
     }
 
-    await Report.findByIdAndDelete(reportId);
+    const before = snapshot(report);
+    await report.softDelete(req.user._id);
+    await recordAudit(req, { action: "report.delete", entityType: "Report", before, after: report });
 
     res.status(200).json({ 
       success: true, 
-      message: "Report deleted successfully" 
+      message: "Report moved to trash" 
     });
   } catch (err) {
     console.error("DeleteReport Error:", err);
@@ -388,6 +453,7 @@ export const addFeedback = async (req, res) => {
       feedbackData.rating = parseInt(rating);
     }
 
+    const before = snapshot(report);
     report.feedbacks.push(feedbackData);
 
     // Update report status
@@ -396,6 +462,9 @@ export const addFeedback = async (req, res) => {
     }
 
     await report.save();
+    await emitEvent(req, "report.feedback_added", { report, feedback: report.feedbacks[report.feedbacks.length - 1] }, {
+      audit: { action: "report.feedback_add", entityType: "Report", before, after: report },
+    });
 
     // Populate and return updated report
     const updatedReport = await Report.findById(reportId)
@@ -442,6 +511,7 @@ export const updateCompletionStatus = async (req, res) => {
       });
     }
 
+    const before = snapshot(report);
     report.completionStatus = completionStatus;
     
     // Auto-approve if marked complete
@@ -450,6 +520,7 @@ export const updateCompletionStatus = async (req, res) => {
     }
 
     await report.save();
+    await recordAudit(req, { action: "report.completion_change", entityType: "Report", before, after: report });
 
     const updatedReport = await Report.findById(reportId)
       .populate("createdBy", "name email role")
@@ -487,12 +558,21 @@ export const reviewReport = async (req, res) => {
       });
     }
 
+    if (isInWorkflowReview(report)) {
+      return res.status(409).json({
+        success: false,
+        message: "This report follows an approval workflow; use the workflow decision endpoint"
+      });
+    }
+
     // Mark as reviewed if not already approved
+    const before = snapshot(report);
     if (report.status !== "approved") {
       report.status = "reviewed";
     }
 
     await report.save();
+    await recordAudit(req, { action: "report.review", entityType: "Report", before, after: report });
 
     const updatedReport = await Report.findById(reportId)
       .populate("createdBy", "name email role")
@@ -598,9 +678,11 @@ export const submitReport = async (req, res) => {
     }
 
     // Update report status
+    const before = snapshot(report);
     report.forwardedTo = forwardToIds;
     report.status = "submitted";
     await report.save();
+    await recordAudit(req, { action: "report.submit", entityType: "Report", before, after: report });
 
     return res.status(200).json({
       success: true,
@@ -617,6 +699,40 @@ export const submitReport = async (req, res) => {
   }
 };
 
+/**
+ * @desc Draft of the logged-in user's daily report, built from the day's task logs,
+ *       status changes, responses, blockers and project time entries (?date=YYYY-MM-DD, default today).
+ *       Edit content/stats and send them to POST /api/reports/daily/submit.
+ * @route GET /api/reports/daily/draft
+ * @access Employee
+ */
+export const getDailyReportDraft = async (req, res) => {
+  try {
+    let date = new Date();
+    if (req.query.date) {
+      const [year, month, day] = String(req.query.date).split("-").map(Number);
+      date = new Date(year, (month || 1) - 1, day || 1);
+      if (!year || isNaN(date.getTime())) {
+        return res.status(400).json({ success: false, message: "Invalid date, expected YYYY-MM-DD" });
+      }
+      if (date > new Date()) {
+        return res.status(400).json({ success: false, message: "Cannot draft a report for a future date" });
+      }
+    }
+
+    const draft = await buildDailyReportDraft(req.user._id, date);
+
+    res.status(200).json({ success: true, draft });
+  } catch (error) {
+    console.error("GetDailyReportDraft Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while building daily report draft",
+      error: error.message
+    });
+  }
+};
+
 /**
  * @desc Submit a daily report (Employee)
  * @route POST /api/reports/daily/submit
@@ -624,7 +740,18 @@ export const submitReport = async (req, res) => {
  */
 export const submitDailyReport = async (req, res) => {
   try {
-    const { content, tasksCompleted, tasksPending, projectStats } = req.body;
+    const { tasksCompleted, tasksPending, projectStats } = req.body;
+
+    // Active template: validate structured answers (content is rendered from them when left empty)
+    const templated = await applyReportTemplate(req.user, "daily", req.body);
+    if (templated.error) {
+      return res.status(templated.status).json({
+        success: false,
+        message: templated.error,
+        errors: templated.errors
+      });
+    }
+    const { content } = templated;
 
     if (!content || content.trim().length === 0) {
       return res.status(400).json({ 
@@ -667,7 +794,11 @@ export const submitDailyReport = async (req, res) => {
       tasksPending: Math.max(0, parseInt(tasksPending) || 0),
       projectStats: validatedProjectStats,
       status: "submitted",
+      template: templated.template?._id,
+      templateVersion: templated.template?.version,
+      answers: templated.answers,
     });
+    await recordAudit(req, { action: "report.create", entityType: "Report", after: report });
 
     const populatedReport = await Report.findById(report._id)
       .populate("createdBy", "name email role")
@@ -687,6 +818,86 @@ export const submitDailyReport = async (req, res) => {
     });
   }
 };
+/**
+ * @desc Generate (or refresh) a weekly/monthly roll-up of a team's daily reports.
+ *       Body: { type: "weekly" | "monthly", date?: any day in the period, teamLead?: admin only }.
+ *       Forward the result with POST /api/reports/:reportId/submit-to-hierarchy.
+ * @route POST /api/reports/rollup
+ * @access TeamLead / Admin
+ */
+export const generateRollupReport = async (req, res) => {
+  try {
+    const { type, date, teamLead } = req.body;
+
+    if (!ROLLUP_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid roll-up type. Must be 'weekly' or 'monthly'"
+      });
+    }
+
+    const periodDate = date ? new Date(date) : new Date();
+    if (isNaN(periodDate.getTime())) {
+      return res.status(400).json({ success: false, message: "Invalid date" });
+    }
+
+    // Team leads roll up their own team; other teams need report:read:all
+    let lead = req.user;
+    if (teamLead && teamLead.toString() !== req.user._id.toString()) {
+      if (!(await userCan(req.user, "report:read:all"))) {
+        return res.status(403).json({
+          success: false,
+          message: "You can only generate roll-ups for your own team"
+        });
+      }
+      lead = await User.findOne({ _id: teamLead, role: "teamlead" }).select("name email role");
+      if (!lead) {
+        return res.status(404).json({ success: false, message: "Team lead not found" });
+      }
+    }
+
+    const result = await buildRollupReport({
+      type,
+      teamLead: lead,
+      date: periodDate,
+      generatedBy: req.user._id
+    });
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error,
+        reportId: result.report?._id
+      });
+    }
+
+    await recordAudit(req, {
+      action: "report.rollup",
+      entityType: "Report",
+      entityId: result.report._id,
+      after: result.report,
+      metadata: { type, teamLead: lead._id, period: result.report.period, created: result.created }
+    });
+
+    const populatedReport = await Report.findById(result.report._id)
+      .populate("createdBy", "name email role")
+      .populate("forUser", "name email role")
+      .populate("rollup.sources", "createdBy content tasksCompleted tasksPending completionStatus createdAt");
+
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      message: `${type === "weekly" ? "Weekly" : "Monthly"} roll-up ${result.created ? "generated" : "refreshed"} successfully`,
+      report: populatedReport
+    });
+  } catch (error) {
+    console.error("GenerateRollupReport Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while generating roll-up report",
+      error: error.message
+    });
+  }
+};
+
 // Add this to your reportController.js
 
 export const submitToHierarchy = async (req, res) => {
@@ -715,6 +926,30 @@ export const submitToHierarchy = async (req, res) => {
       });
     }
 
+    // Admin-defined workflow for this report type takes over the fixed chain below
+    const workflowBefore = snapshot(report);
+    const flow = await submitIntoWorkflow(report, currentUser);
+    if (flow.handled) {
+      if (flow.error) {
+        return res.status(flow.status).json({ success: false, message: flow.error });
+      }
+      await report.save();
+      await recordAudit(req, { action: "report.submit", entityType: "Report", before: workflowBefore, after: report });
+      await emitWorkflowEvents(currentUser, flow.events);
+
+      const approvers = await User.find({ _id: { $in: report.workflow.approvers } }).select("name role");
+      return res.status(200).json({
+        success: true,
+        message: `Report submitted to stage "${report.workflow.stageName}"`,
+        report: {
+          _id: report._id,
+          status: report.status,
+          workflow: report.workflow,
+          submittedTo: approvers.map(r => ({ _id: r._id, name: r.name, role: r.role }))
+        }
+      });
+    }
+
     // Determine target role based on current user's role
     let targetRole;
     if (currentUser.role === "employee") {
@@ -742,6 +977,7 @@ export const submitToHierarchy = async (req, res) => {
     }
 
     // Update report
+    const before = snapshot(report);
     const forwardToIds = recipients.map(r => r._id);
     report.forwardedTo = forwardToIds;
     report.status = "submitted";
@@ -760,6 +996,7 @@ export const submitToHierarchy = async (req, res) => {
     });
 
     await report.save();
+    await recordAudit(req, { action: "report.submit", entityType: "Report", before, after: report });
 
     return res.status(200).json({
       success: true,
@@ -778,4 +1015,99 @@ export const submitToHierarchy = async (req, res) => {
       message: "Server error while submitting report"
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * @desc Approve, request changes on, or reject a report in the current workflow stage.
+ *       Body: { decision: "approve" | "request-changes" | "reject", comment } (comment required unless approving)
+ * @route POST /api/reports/:reportId/decision
+ * @access Approvers of the current stage
+ */
+export const decideReport = async (req, res) => {
+  try {
+    const { decision, comment } = req.body;
+
+    const report = await Report.findById(req.params.reportId);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "Report not found"
+      });
+    }
+
+    const before = snapshot(report);
+    const result = await decideOnReport(report, req.user, decision, comment);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    // Approvals come back as a fresh copy (recorded with a conditional update)
+    const decided = result.report;
+    await decided.save();
+    await recordAudit(req, {
+      action: "report.workflow_decision",
+      entityType: "Report",
+      before,
+      after: decided,
+      metadata: { decision, stage: before.workflow?.stageName, comment: comment || null }
+    });
+    await emitWorkflowEvents(req.user, result.events);
+
+    const updatedReport = await Report.findById(report._id)
+      .populate("createdBy", "name email role")
+      .populate("workflow.approvers", "name email role")
+      .populate("submissionHistory.submittedBy", "name role");
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      report: updatedReport
+    });
+  } catch (error) {
+    // Another decision on the same stage was saved first
+    if (error.name === "VersionError") {
+      return res.status(409).json({
+        success: false,
+        message: "This report changed meanwhile; reload it and try again"
+      });
+    }
+    console.error("DecideReport Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while recording decision",
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc Reports waiting for the logged-in user's workflow decision
+ * @route GET /api/reports/approvals/pending
+ * @access Logged-in user
+ */
+export const getPendingApprovals = async (req, res) => {
+  try {
+    const reports = await Report.find({
+      status: "submitted",
+      "workflow.approvers": req.user._id,
+      "workflow.completedAt": null,
+      "workflow.approvals.user": { $ne: req.user._id }
+    })
+      .populate("createdBy", "name email role")
+      .populate("forUser", "name email role")
+      .sort({ submittedAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: reports.length,
+      reports
+    });
+  } catch (error) {
+    console.error("GetPendingApprovals Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching pending approvals",
+      error: error.message
+    });
+  }
+};
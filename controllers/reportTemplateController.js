@@ -0,0 +1,277 @@
+// controllers/reportTemplateController.js
+import mongoose from "mongoose";
+import ReportTemplate from "../models/ReportTemplate.js";
+import Report from "../models/Report.js";
+import User from "../models/User.js";
+import { userCan } from "../utils/permissions.js";
+import { recordAudit, snapshot } from "../utils/audit.js";
+import { validateTemplateFields } from "../utils/reportTemplates.js";
+
+// 🔹 Centralized error handling
+const handleError = (res, err, message = "Server error") => {
+  console.error("ReportTemplateController Error:", err);
+  return res.status(500).json({ success: false, message, error: err.message });
+};
+
+const REPORT_TYPES = ["daily", "weekly", "monthly"];
+
+// Only the admin-editable parts of a field
+const pickFields = (fields) =>
+  fields.map(({ key, label, type, required, helpText, rules }) => ({
+    key,
+    label,
+    type,
+    required: !!required,
+    helpText,
+    rules: rules || {},
+  }));
+
+const resolveTeamLead = async (teamLead) => {
+  if (!teamLead) return { id: null };
+  if (!mongoose.Types.ObjectId.isValid(teamLead)) return { error: "Invalid team lead id" };
+  const lead = await User.findOne({ _id: teamLead, role: "teamlead" }).select("_id");
+  return lead ? { id: lead._id } : { error: "Team lead not found" };
+};
+
+// Only one active template per report type and team
+const activeConflict = (reportType, teamLead, excludeId) =>
+  ReportTemplate.exists({
+    reportType,
+    teamLead,
+    isActive: true,
+    ...(excludeId ? { _id: { $ne: excludeId } } : {}),
+  });
+
+/**
+ * @desc    List report templates (?reportType=&teamLead=)
+ * @route   GET /api/admin/report-templates
+ * @access  report:template:manage
+ */
+export const getReportTemplates = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.reportType) filter.reportType = req.query.reportType;
+    if (req.query.teamLead) filter.teamLead = req.query.teamLead === "none" ? null : req.query.teamLead;
+
+    const templates = await ReportTemplate.find(filter)
+      .populate("teamLead", "name email")
+      .sort({ reportType: 1, isActive: -1, updatedAt: -1 });
+
+    res.json({ success: true, templates });
+  } catch (err) {
+    handleError(res, err, "Error fetching report templates");
+  }
+};
+
+/**
+ * @desc    Create a template for a report type (optionally for one team)
+ * @route   POST /api/admin/report-templates
+ * @access  report:template:manage
+ */
+export const createReportTemplate = async (req, res) => {
+  try {
+    const { name, description, reportType, teamLead, fields, isActive = true } = req.body;
+
+    if (!name?.trim() || !REPORT_TYPES.includes(reportType)) {
+      return res.status(400).json({ success: false, message: "Name and a valid reportType are required" });
+    }
+    const fieldError = validateTemplateFields(fields);
+    if (fieldError) return res.status(400).json({ success: false, message: fieldError });
+
+    const lead = await resolveTeamLead(teamLead);
+    if (lead.error) return res.status(400).json({ success: false, message: lead.error });
+
+    if (isActive && (await activeConflict(reportType, lead.id))) {
+      return res.status(409).json({
+        success: false,
+        message: `An active ${reportType} template already exists for this team; deactivate it first`,
+      });
+    }
+
+    const template = await ReportTemplate.create({
+      name: name.trim(),
+      description,
+      reportType,
+      teamLead: lead.id,
+      fields: pickFields(fields),
+      isActive: !!isActive,
+      createdBy: req.user._id,
+      updatedBy: req.user._id,
+    });
+    await recordAudit(req, { action: "report_template.create", entityType: "ReportTemplate", after: template });
+
+    res.status(201).json({ success: true, message: "Report template created", template });
+  } catch (err) {
+    handleError(res, err, "Error creating report template");
+  }
+};
+
+/**
+ * @desc    Update a template; changing fields bumps its version
+ * @route   PUT /api/admin/report-templates/:id
+ * @access  report:template:manage
+ */
+export const updateReportTemplate = async (req, res) => {
+  try {
+    const template = await ReportTemplate.findById(req.params.id);
+    if (!template) return res.status(404).json({ success: false, message: "Report template not found" });
+
+    const { name, description, fields, isActive } = req.body;
+    const before = snapshot(template);
+
+    if (fields !== undefined) {
+      const fieldError = validateTemplateFields(fields);
+      if (fieldError) return res.status(400).json({ success: false, message: fieldError });
+      template.fields = pickFields(fields);
+      template.version += 1;
+    }
+
+    if (isActive === true && !template.isActive && (await activeConflict(template.reportType, template.teamLead, template._id))) {
+      return res.status(409).json({
+        success: false,
+        message: `An active ${template.reportType} template already exists for this team; deactivate it first`,
+      });
+    }
+
+    if (name !== undefined) template.name = String(name).trim();
+    if (description !== undefined) template.description = description;
+    if (isActive !== undefined) template.isActive = !!isActive;
+    template.updatedBy = req.user._id;
+    await template.save();
+
+    await recordAudit(req, { action: "report_template.update", entityType: "ReportTemplate", before, after: template });
+
+    res.json({ success: true, message: "Report template updated", template });
+  } catch (err) {
+    handleError(res, err, "Error updating report template");
+  }
+};
+
+/**
+ * @desc    Delete a template no report was filled in from (deactivate it otherwise)
+ * @route   DELETE /api/admin/report-templates/:id
+ * @access  report:template:manage
+ */
+export const deleteReportTemplate = async (req, res) => {
+  try {
+    const template = await ReportTemplate.findById(req.params.id);
+    if (!template) return res.status(404).json({ success: false, message: "Report template not found" });
+
+    const used = await Report.countDocuments({ template: template._id });
+    if (used) {
+      return res.status(409).json({
+        success: false,
+        message: `${used} report(s) use this template; deactivate it instead`,
+      });
+    }
+
+    await template.deleteOne();
+    await recordAudit(req, { action: "report_template.delete", entityType: "ReportTemplate", before: template });
+
+    res.json({ success: true, message: "Report template deleted" });
+  } catch (err) {
+    handleError(res, err, "Error deleting report template");
+  }
+};
+
+/**
+ * @desc    Template the logged-in user fills in for a report type (null when free text)
+ * @route   GET /api/reports/templates/active?type=daily
+ * @access  Logged-in user
+ */
+export const getActiveReportTemplate = async (req, res) => {
+  try {
+    const type = req.query.type || "daily";
+    if (!REPORT_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, message: "type must be daily, weekly or monthly" });
+    }
+
+    const template = await ReportTemplate.activeFor(type, req.user);
+    res.json({ success: true, template });
+  } catch (err) {
+    handleError(res, err, "Error fetching report template");
+  }
+};
+
+/**
+ * @desc    Per-field aggregates of the answers given with a template:
+ *          count, avg/min/max/sum for numbers and ratings, counts per option/task/rating value.
+ *          ?from=&to= limit the period; team leads only see their own team.
+ * @route   GET /api/reports/templates/:id/summary
+ * @access  report:read:team
+ */
+export const getTemplateAnswerSummary = async (req, res) => {
+  try {
+    const template = await ReportTemplate.findById(req.params.id).lean();
+    if (!template) return res.status(404).json({ success: false, message: "Report template not found" });
+
+    const match = { template: template._id };
+    if (req.query.from || req.query.to) {
+      match.createdAt = {};
+      if (req.query.from) match.createdAt.$gte = new Date(req.query.from);
+      if (req.query.to) match.createdAt.$lte = new Date(req.query.to);
+    }
+
+    const teamLead = (await userCan(req.user, "report:read:all")) ? req.query.teamLead : req.user._id;
+    if (teamLead) {
+      const members = await User.find({ teamLead }).select("_id").lean();
+      match.createdBy = { $in: members.map((m) => m._id) };
+    }
+
+    const [reports, stats, distribution] = await Promise.all([
+      Report.countDocuments(match),
+      Report.aggregate([
+        { $match: match },
+        { $unwind: "$answers" },
+        {
+          $group: {
+            _id: "$answers.key",
+            answered: { $sum: 1 },
+            avg: { $avg: "$answers.value" },
+            min: { $min: { $cond: [{ $isNumber: "$answers.value" }, "$answers.value", null] } },
+            max: { $max: { $cond: [{ $isNumber: "$answers.value" }, "$answers.value", null] } },
+            sum: { $sum: "$answers.value" },
+          },
+        },
+      ]),
+      Report.aggregate([
+        { $match: match },
+        { $unwind: "$answers" },
+        { $match: { "answers.type": { $in: ["rating", "checklist", "task"] } } },
+        { $unwind: "$answers.value" },
+        { $group: { _id: { key: "$answers.key", value: "$answers.value" }, count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+      ]),
+    ]);
+
+    const statsByKey = new Map(stats.map((s) => [s._id, s]));
+    const fields = template.fields.map((field) => {
+      const s = statsByKey.get(field.key) || { answered: 0 };
+      const summary = { key: field.key, label: field.label, type: field.type, answered: s.answered };
+
+      if (["number", "rating"].includes(field.type) && s.answered) {
+        Object.assign(summary, {
+          avg: Math.round(s.avg * 100) / 100,
+          min: s.min,
+          max: s.max,
+          sum: s.sum,
+        });
+      }
+      if (["rating", "checklist", "task"].includes(field.type)) {
+        summary.counts = distribution
+          .filter((d) => d._id.key === field.key)
+          .map((d) => ({ value: d._id.value, count: d.count }));
+      }
+      return summary;
+    });
+
+    res.json({
+      success: true,
+      template: { _id: template._id, name: template.name, reportType: template.reportType, version: template.version },
+      reports,
+      fields,
+    });
+  } catch (err) {
+    handleError(res, err, "Error summarising report answers");
+  }
+};
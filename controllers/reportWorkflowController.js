@@ -0,0 +1,202 @@
+// controllers/reportWorkflowController.js
+import mongoose from "mongoose";
+import ReportWorkflow from "../models/ReportWorkflow.js";
+import Report from "../models/Report.js";
+import User from "../models/User.js";
+import { isKnownRole } from "../utils/permissions.js";
+import { recordAudit, snapshot } from "../utils/audit.js";
+
+// 🔹 Centralized error handling
+const handleError = (res, err, message = "Server error") => {
+  console.error("ReportWorkflowController Error:", err);
+  return res.status(500).json({ success: false, message, error: err.message });
+};
+
+// Validate and normalise the stages of a request body → { stages } or { error }
+const parseStages = async (stages) => {
+  if (!Array.isArray(stages) || !stages.length) return { error: "At least one stage is required" };
+
+  const parsed = [];
+  for (const [i, stage] of stages.entries()) {
+    const label = `Stage ${i + 1}`;
+    if (!stage?.name?.trim()) return { error: `${label}: name is required` };
+
+    const approverRoles = (stage.approverRoles || []).map((r) => String(r).toLowerCase().trim());
+    for (const role of approverRoles) {
+      if (!(await isKnownRole(role))) return { error: `${label}: unknown role "${role}"` };
+    }
+
+    const approverUsers = stage.approverUsers || [];
+    if (approverUsers.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+      return { error: `${label}: invalid approver user id` };
+    }
+    if (approverUsers.length) {
+      const found = await User.countDocuments({ _id: { $in: approverUsers } });
+      if (found !== new Set(approverUsers.map(String)).size) return { error: `${label}: approver user not found` };
+    }
+
+    const includeTeamLead = stage.includeTeamLead === true;
+    if (!approverRoles.length && !approverUsers.length && !includeTeamLead) {
+      return { error: `${label}: add approver roles, approver users or the author's team lead` };
+    }
+    if (stage.signOff && !["any", "all"].includes(stage.signOff)) {
+      return { error: `${label}: signOff must be "any" or "all"` };
+    }
+
+    parsed.push({
+      name: stage.name.trim(),
+      approverRoles,
+      approverUsers,
+      includeTeamLead,
+      signOff: stage.signOff || "any",
+    });
+  }
+  return { stages: parsed };
+};
+
+// Only one active workflow per report type
+const activeConflict = (reportType, excludeId) =>
+  ReportWorkflow.exists({ reportType, isActive: true, ...(excludeId ? { _id: { $ne: excludeId } } : {}) });
+
+/**
+ * @desc    List report workflows
+ * @route   GET /api/admin/report-workflows
+ * @access  report:workflow:manage
+ */
+export const getReportWorkflows = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.reportType) filter.reportType = req.query.reportType;
+
+    const workflows = await ReportWorkflow.find(filter)
+      .populate("stages.approverUsers", "name email role")
+      .sort({ reportType: 1, isActive: -1, updatedAt: -1 });
+
+    res.json({ success: true, workflows });
+  } catch (err) {
+    handleError(res, err, "Error fetching report workflows");
+  }
+};
+
+/**
+ * @desc    Create a workflow for a report type
+ * @route   POST /api/admin/report-workflows
+ * @access  report:workflow:manage
+ */
+export const createReportWorkflow = async (req, res) => {
+  try {
+    const { name, description, reportType, stages, isActive = true } = req.body;
+
+    if (!name?.trim() || !reportType) {
+      return res.status(400).json({ success: false, message: "Name and reportType are required" });
+    }
+    if (!["daily", "weekly", "monthly"].includes(reportType)) {
+      return res.status(400).json({ success: false, message: "reportType must be daily, weekly or monthly" });
+    }
+
+    const parsed = await parseStages(stages);
+    if (parsed.error) return res.status(400).json({ success: false, message: parsed.error });
+
+    if (isActive && (await activeConflict(reportType))) {
+      return res.status(409).json({
+        success: false,
+        message: `An active ${reportType} workflow already exists; deactivate it first`,
+      });
+    }
+
+    const workflow = await ReportWorkflow.create({
+      name: name.trim(),
+      description,
+      reportType,
+      stages: parsed.stages,
+      isActive: !!isActive,
+      createdBy: req.user._id,
+      updatedBy: req.user._id,
+    });
+    await recordAudit(req, { action: "report_workflow.create", entityType: "ReportWorkflow", after: workflow });
+
+    res.status(201).json({ success: true, message: "Report workflow created", workflow });
+  } catch (err) {
+    handleError(res, err, "Error creating report workflow");
+  }
+};
+
+/**
+ * @desc    Update a workflow. Stage changes apply to reports entering a stage from now on.
+ * @route   PUT /api/admin/report-workflows/:id
+ * @access  report:workflow:manage
+ */
+export const updateReportWorkflow = async (req, res) => {
+  try {
+    const workflow = await ReportWorkflow.findById(req.params.id);
+    if (!workflow) return res.status(404).json({ success: false, message: "Report workflow not found" });
+
+    const { name, description, stages, isActive } = req.body;
+    const before = snapshot(workflow);
+
+    if (stages !== undefined) {
+      const parsed = await parseStages(stages);
+      if (parsed.error) return res.status(400).json({ success: false, message: parsed.error });
+
+      // Reports mid-way must still find their current stage
+      const inFlight = await Report.findOne({
+        "workflow.workflow": workflow._id,
+        "workflow.completedAt": null,
+        "workflow.stageIndex": { $gte: parsed.stages.length },
+      }).select("_id");
+      if (inFlight) {
+        return res.status(409).json({
+          success: false,
+          message: "Reports are waiting in a stage this change would remove",
+        });
+      }
+      workflow.stages = parsed.stages;
+    }
+
+    if (isActive === true && !workflow.isActive && (await activeConflict(workflow.reportType, workflow._id))) {
+      return res.status(409).json({
+        success: false,
+        message: `An active ${workflow.reportType} workflow already exists; deactivate it first`,
+      });
+    }
+
+    if (name !== undefined) workflow.name = String(name).trim();
+    if (description !== undefined) workflow.description = description;
+    if (isActive !== undefined) workflow.isActive = !!isActive;
+    workflow.updatedBy = req.user._id;
+    await workflow.save();
+
+    await recordAudit(req, { action: "report_workflow.update", entityType: "ReportWorkflow", before, after: workflow });
+
+    res.json({ success: true, message: "Report workflow updated", workflow });
+  } catch (err) {
+    handleError(res, err, "Error updating report workflow");
+  }
+};
+
+/**
+ * @desc    Delete a workflow that no report is currently going through
+ * @route   DELETE /api/admin/report-workflows/:id
+ * @access  report:workflow:manage
+ */
+export const deleteReportWorkflow = async (req, res) => {
+  try {
+    const workflow = await ReportWorkflow.findById(req.params.id);
+    if (!workflow) return res.status(404).json({ success: false, message: "Report workflow not found" });
+
+    const inFlight = await Report.countDocuments({ "workflow.workflow": workflow._id, "workflow.completedAt": null });
+    if (inFlight) {
+      return res.status(409).json({
+        success: false,
+        message: `${inFlight} report(s) are still in this workflow; deactivate it instead`,
+      });
+    }
+
+    await workflow.deleteOne();
+    await recordAudit(req, { action: "report_workflow.delete", entityType: "ReportWorkflow", before: workflow });
+
+    res.json({ success: true, message: "Report workflow deleted" });
+  } catch (err) {
+    handleError(res, err, "Error deleting report workflow");
+  }
+};
@@ -0,0 +1,196 @@
+// controllers/roleController.js
+import Role from "../models/Role.js";
+import User from "../models/User.js";
+import { PERMISSIONS, DEFAULT_ROLES, SYSTEM_ROLES, isValidPermission } from "../config/permissions.js";
+import { invalidateRoleCache } from "../utils/permissions.js";
+import { recordAudit, snapshot } from "../utils/audit.js";
+
+// 🔹 Centralized error handling
+const handleError = (res, err, message = "Server error") => {
+  console.error("RoleController Error:", err);
+  if (err.name === "ValidationError") {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+  return res.status(500).json({ success: false, message, error: err.message });
+};
+
+const normalizePermissions = (permissions) => [...new Set(permissions.map((p) => String(p).trim()))];
+
+/**
+ * @desc    List every permission known to the system
+ * @route   GET /api/admin/permissions
+ * @access  role:manage
+ */
+export const getPermissions = async (req, res) => {
+  try {
+    const permissions = Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }));
+    res.json({ success: true, count: permissions.length, permissions });
+  } catch (err) {
+    handleError(res, err, "Error fetching permissions");
+  }
+};
+
+/**
+ * @desc    List roles with their permissions and number of users
+ * @route   GET /api/admin/roles
+ * @access  role:manage
+ */
+export const getRoles = async (req, res) => {
+  try {
+    const stored = await Role.find().sort({ name: 1 }).lean();
+    const storedNames = new Set(stored.map((r) => r.name));
+
+    // Built-in roles that were never seeded are still usable, show them too
+    const builtIn = Object.entries(DEFAULT_ROLES)
+      .filter(([name]) => !storedNames.has(name))
+      .map(([name, role]) => ({ name, ...role, isSystem: SYSTEM_ROLES.includes(name) }));
+
+    const counts = await User.aggregate([{ $group: { _id: "$role", count: { $sum: 1 } } }]);
+    const countByRole = Object.fromEntries(counts.map((c) => [c._id, c.count]));
+
+    const roles = [...stored, ...builtIn].map((role) => ({
+      ...role,
+      userCount: countByRole[role.name] || 0,
+    }));
+
+    res.json({ success: true, count: roles.length, roles });
+  } catch (err) {
+    handleError(res, err, "Error fetching roles");
+  }
+};
+
+/**
+ * @desc    Create a role (e.g. "hr", "finance")
+ * @route   POST /api/admin/roles
+ * @access  role:manage
+ */
+export const createRole = async (req, res) => {
+  try {
+    const { name, description, permissions = [] } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ success: false, message: "Role name is required" });
+    }
+    if (!Array.isArray(permissions)) {
+      return res.status(400).json({ success: false, message: "Permissions must be an array" });
+    }
+
+    const invalid = permissions.filter((p) => !isValidPermission(p));
+    if (invalid.length) {
+      return res.status(400).json({ success: false, message: "Unknown permissions", invalid });
+    }
+
+    const exists = await Role.findOne({ name: String(name).toLowerCase().trim() });
+    if (exists) {
+      return res.status(400).json({ success: false, message: "Role already exists" });
+    }
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions: normalizePermissions(permissions),
+      isSystem: false,
+      updatedBy: req.user._id,
+    });
+
+    invalidateRoleCache();
+    await recordAudit(req, { action: "role.create", entityType: "Role", after: role });
+
+    res.status(201).json({ success: true, message: "Role created", role });
+  } catch (err) {
+    handleError(res, err, "Error creating role");
+  }
+};
+
+/**
+ * @desc    Update a role's description and/or permissions
+ * @route   PUT /api/admin/roles/:name
+ * @access  role:manage
+ */
+export const updateRole = async (req, res) => {
+  try {
+    const name = req.params.name.toLowerCase();
+    const { description, permissions } = req.body;
+
+    if (permissions !== undefined) {
+      if (!Array.isArray(permissions)) {
+        return res.status(400).json({ success: false, message: "Permissions must be an array" });
+      }
+
+      const invalid = permissions.filter((p) => !isValidPermission(p));
+      if (invalid.length) {
+        return res.status(400).json({ success: false, message: "Unknown permissions", invalid });
+      }
+
+      // Keep at least one way back in: admin always holds everything
+      if (name === "admin") {
+        return res.status(400).json({ success: false, message: "Admin role permissions cannot be changed" });
+      }
+    }
+
+    let role = await Role.findOne({ name });
+
+    // Built-in role not stored yet: materialize it from the defaults
+    if (!role && DEFAULT_ROLES[name]) {
+      role = new Role({
+        name,
+        description: DEFAULT_ROLES[name].description,
+        permissions: DEFAULT_ROLES[name].permissions,
+        isSystem: SYSTEM_ROLES.includes(name),
+      });
+    }
+
+    if (!role) {
+      return res.status(404).json({ success: false, message: "Role not found" });
+    }
+
+    const before = role.isNew ? null : snapshot(role);
+    if (description !== undefined) role.description = description;
+    if (permissions !== undefined) role.permissions = normalizePermissions(permissions);
+    role.updatedBy = req.user._id;
+
+    await role.save();
+    invalidateRoleCache();
+    await recordAudit(req, { action: "role.update", entityType: "Role", before, after: role });
+
+    res.json({ success: true, message: "Role updated", role });
+  } catch (err) {
+    handleError(res, err, "Error updating role");
+  }
+};
+
+/**
+ * @desc    Delete a custom role (must not be assigned to any user)
+ * @route   DELETE /api/admin/roles/:name
+ * @access  role:manage
+ */
+export const deleteRole = async (req, res) => {
+  try {
+    const name = req.params.name.toLowerCase();
+
+    if (SYSTEM_ROLES.includes(name)) {
+      return res.status(400).json({ success: false, message: "Built-in roles cannot be deleted" });
+    }
+
+    const role = await Role.findOne({ name });
+    if (!role) {
+      return res.status(404).json({ success: false, message: "Role not found" });
+    }
+
+    const usersWithRole = await User.countDocuments({ role: name });
+    if (usersWithRole > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Role is assigned to ${usersWithRole} user(s); reassign them first`,
+      });
+    }
+
+    await role.deleteOne();
+    invalidateRoleCache();
+    await recordAudit(req, { action: "role.delete", entityType: "Role", before: role });
+
+    res.json({ success: true, message: "Role deleted" });
+  } catch (err) {
+    handleError(res, err, "Error deleting role");
+  }
+};
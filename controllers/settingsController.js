@@ -0,0 +1,68 @@
+// controllers/settingsController.js
+import Setting from "../models/Setting.js";
+import { SETTINGS, isKnownSetting } from "../config/settings.js";
+import { recordAudit } from "../utils/audit.js";
+
+// 🔹 Centralized error handling
+const handleError = (res, err, message = "Server error") => {
+  console.error("SettingsController Error:", err);
+  return res.status(500).json({ success: false, message, error: err.message });
+};
+
+/**
+ * @desc    List all admin settings with current values
+ * @route   GET /api/admin/settings
+ * @access  settings:manage
+ */
+export const getSettings = async (req, res) => {
+  try {
+    const stored = await Setting.find({ key: { $in: Object.keys(SETTINGS) } }).lean();
+    const byKey = Object.fromEntries(stored.map((s) => [s.key, s]));
+
+    const settings = Object.entries(SETTINGS).map(([key, def]) => ({
+      key,
+      description: def.description,
+      value: byKey[key] ? byKey[key].value : def.default,
+      default: def.default,
+      updatedAt: byKey[key]?.updatedAt || null,
+      updatedBy: byKey[key]?.updatedBy || null,
+    }));
+
+    res.json({ success: true, settings });
+  } catch (err) {
+    handleError(res, err, "Error fetching settings");
+  }
+};
+
+/**
+ * @desc    Update one setting
+ * @route   PUT /api/admin/settings/:key
+ * @access  settings:manage
+ */
+export const updateSetting = async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { value } = req.body;
+
+    if (!isKnownSetting(key)) {
+      return res.status(404).json({ success: false, message: "Unknown setting" });
+    }
+    if (value === undefined || !SETTINGS[key].validate(value)) {
+      return res.status(400).json({ success: false, message: `Invalid value for ${key}` });
+    }
+
+    const previous = await Setting.getValue(key);
+    const setting = await Setting.setValue(key, value, req.user._id);
+    await recordAudit(req, {
+      action: "setting.update",
+      entityType: "Setting",
+      entityId: setting._id,
+      before: { key, value: previous },
+      after: { key, value },
+    });
+
+    res.json({ success: true, message: "Setting updated", setting });
+  } catch (err) {
+    handleError(res, err, "Error updating setting");
+  }
+};
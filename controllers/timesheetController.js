@@ -0,0 +1,369 @@
+// controllers/timesheetController.js
+import mongoose from "mongoose";
+import Timesheet, { TIMESHEET_STATUSES, weekStartOf } from "../models/Timesheet.js";
+import { recordAudit, snapshot } from "../utils/audit.js";
+import { emitEvent } from "../utils/events.js";
+import {
+  syncWorkHours,
+  workTargetsOf,
+  resolveEntryTarget,
+  dayLimitError,
+  sheetLockReason,
+  approverFor,
+  reviewAccessError,
+  applyTimesheetToBilling,
+  removeTimesheetBilling,
+} from "../utils/timesheets.js";
+
+// 🔹 Centralized error handling
+const handleError = (res, err, message = "Server error") => {
+  console.error("TimesheetController Error:", err);
+  if (err.name === "ValidationError") {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+  return res.status(500).json({ success: false, message, error: err.message });
+};
+
+const ENTRY_FIELDS = ["date", "hours", "description", "taskType", "billable", "startTime", "endTime"];
+
+const populateSheet = (query) =>
+  query
+    .populate("user", "name email teamLead")
+    .populate("approver reviewedBy history.by", "name email")
+    .populate("entries.project", "projectName clientName")
+    .populate("entries.task", "title status");
+
+const findSheet = (id) => (mongoose.Types.ObjectId.isValid(id) ? Timesheet.findById(id) : null);
+
+// The caller's sheet holding an entry
+const findOwnEntry = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.entryId)) return {};
+  const sheet = await Timesheet.findOne({ user: req.user._id, "entries._id": req.params.entryId });
+  return { sheet, entry: sheet?.entries.id(req.params.entryId) };
+};
+
+const parseDate = (value) => {
+  const date = value ? new Date(value) : new Date();
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * @desc    The logged-in user's timesheet for a week (?week=any date in it, default this week)
+ * @route   GET /api/timesheets/mine
+ * @access  timesheet:log
+ */
+export const getMyTimesheet = async (req, res) => {
+  try {
+    const date = parseDate(req.query.week);
+    if (!date) return res.status(400).json({ success: false, message: "Invalid week" });
+
+    const sheet = await Timesheet.forWeek(req.user._id, date);
+    res.json({ success: true, timesheet: await populateSheet(Timesheet.findById(sheet._id)) });
+  } catch (err) {
+    handleError(res, err, "Error fetching timesheet");
+  }
+};
+
+/**
+ * @desc    Timesheets to review (?status=submitted&user=&week=). Team leads see the sheets they approve.
+ * @route   GET /api/timesheets
+ * @access  timesheet:review
+ */
+export const getTimesheets = async (req, res) => {
+  try {
+    const { status = "submitted", user, week } = req.query;
+    const query = {};
+    if (status !== "all") {
+      if (!TIMESHEET_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, message: `status must be one of ${TIMESHEET_STATUSES.join(", ")} or all` });
+      }
+      query.status = status;
+    }
+    if (user) query.user = user;
+    if (week) {
+      const date = parseDate(week);
+      if (!date) return res.status(400).json({ success: false, message: "Invalid week" });
+      query.weekStart = weekStartOf(date);
+    }
+    if (req.user.role === "teamlead") query.approver = req.user._id;
+
+    const timesheets = await populateSheet(Timesheet.find(query)).sort({ weekStart: -1, submittedAt: 1 });
+    res.json({ success: true, count: timesheets.length, timesheets });
+  } catch (err) {
+    handleError(res, err, "Error fetching timesheets");
+  }
+};
+
+/**
+ * @desc    One timesheet (its owner, its approver or a reviewer)
+ * @route   GET /api/timesheets/:id
+ * @access  timesheet:log
+ */
+export const getTimesheetById = async (req, res) => {
+  try {
+    const sheet = mongoose.Types.ObjectId.isValid(req.params.id) && (await populateSheet(Timesheet.findById(req.params.id)));
+    if (!sheet) return res.status(404).json({ success: false, message: "Timesheet not found" });
+
+    const isOwner = String(sheet.user._id) === String(req.user._id);
+    if (!isOwner && (await reviewAccessError(req.user, sheet))) {
+      return res.status(403).json({ success: false, message: "Access denied" });
+    }
+    res.json({ success: true, timesheet: sheet });
+  } catch (err) {
+    handleError(res, err, "Error fetching timesheet");
+  }
+};
+
+/**
+ * @desc    Log time on a day of the user's timesheet
+ * @route   POST /api/timesheets/entries
+ * @body    { date, project?, task?, hours, description, taskType?, billable? }
+ * @access  timesheet:log
+ */
+export const addTimesheetEntry = async (req, res) => {
+  try {
+    const { project: projectId, task: taskId, hours, description } = req.body;
+    const date = parseDate(req.body.date);
+    if (!date) return res.status(400).json({ success: false, message: "Invalid date" });
+    if (!(Number(hours) > 0) || !description?.trim()) {
+      return res.status(400).json({ success: false, message: "Positive hours and a description are required" });
+    }
+
+    const target = await resolveEntryTarget(req.user, { project: projectId, task: taskId });
+    if (target.error) return res.status(target.status).json({ success: false, message: target.error });
+
+    const sheet = await Timesheet.forWeek(req.user._id, date);
+    const locked = sheetLockReason(sheet);
+    if (locked) return res.status(409).json({ success: false, message: locked });
+    const overLimit = dayLimitError(sheet, date, Number(hours));
+    if (overLimit) return res.status(400).json({ success: false, message: overLimit });
+
+    const fields = Object.fromEntries(ENTRY_FIELDS.filter((f) => req.body[f] !== undefined).map((f) => [f, req.body[f]]));
+    sheet.entries.push({ ...fields, date, project: target.project._id, task: target.task?._id || null, source: "manual" });
+    await sheet.save();
+
+    const entry = sheet.entries[sheet.entries.length - 1];
+    await syncWorkHours(workTargetsOf([entry]));
+    await recordAudit(req, {
+      action: "timesheet.entry_add",
+      entityType: "Timesheet",
+      entityId: sheet._id,
+      after: entry,
+      metadata: { weekStart: sheet.weekStart, project: entry.project, task: entry.task },
+    });
+
+    res.status(201).json({ success: true, message: "Time logged", entry, timesheet: sheet });
+  } catch (err) {
+    handleError(res, err, "Error logging time");
+  }
+};
+
+/**
+ * @desc    Change an entry on a draft or rejected timesheet (it stays in the same week)
+ * @route   PUT /api/timesheets/entries/:entryId
+ * @access  timesheet:log
+ */
+export const updateTimesheetEntry = async (req, res) => {
+  try {
+    const { sheet, entry } = await findOwnEntry(req);
+    if (!entry) return res.status(404).json({ success: false, message: "Timesheet entry not found" });
+    const locked = sheetLockReason(sheet);
+    if (locked) return res.status(409).json({ success: false, message: locked });
+
+    const previous = workTargetsOf([entry]);
+    const before = snapshot(entry);
+
+    if (req.body.project !== undefined || req.body.task !== undefined) {
+      const target = await resolveEntryTarget(req.user, {
+        project: req.body.project ?? (req.body.task ? undefined : entry.project),
+        task: req.body.task === undefined ? entry.task : req.body.task,
+      });
+      if (target.error) return res.status(target.status).json({ success: false, message: target.error });
+      entry.project = target.project._id;
+      entry.task = target.task?._id || null;
+    }
+    ENTRY_FIELDS.forEach((f) => {
+      if (req.body[f] !== undefined) entry[f] = req.body[f];
+    });
+
+    const overLimit = dayLimitError(sheet, entry.date, entry.hours, entry._id);
+    if (overLimit) return res.status(400).json({ success: false, message: overLimit });
+
+    await sheet.save();
+    await syncWorkHours({
+      taskIds: [...previous.taskIds, entry.task],
+      projectIds: [...previous.projectIds, entry.project],
+    });
+    await recordAudit(req, {
+      action: "timesheet.entry_update",
+      entityType: "Timesheet",
+      entityId: sheet._id,
+      before,
+      after: entry,
+    });
+
+    res.json({ success: true, message: "Timesheet entry updated", entry, timesheet: sheet });
+  } catch (err) {
+    handleError(res, err, "Error updating timesheet entry");
+  }
+};
+
+/**
+ * @desc    Remove an entry from a draft or rejected timesheet
+ * @route   DELETE /api/timesheets/entries/:entryId
+ * @access  timesheet:log
+ */
+export const deleteTimesheetEntry = async (req, res) => {
+  try {
+    const { sheet, entry } = await findOwnEntry(req);
+    if (!entry) return res.status(404).json({ success: false, message: "Timesheet entry not found" });
+    const locked = sheetLockReason(sheet);
+    if (locked) return res.status(409).json({ success: false, message: locked });
+
+    const before = snapshot(entry);
+    const targets = workTargetsOf([entry]);
+    entry.deleteOne();
+    await sheet.save();
+    await syncWorkHours(targets);
+    await recordAudit(req, {
+      action: "timesheet.entry_delete",
+      entityType: "Timesheet",
+      entityId: sheet._id,
+      before,
+    });
+
+    res.json({ success: true, message: "Timesheet entry deleted", timesheet: sheet });
+  } catch (err) {
+    handleError(res, err, "Error deleting timesheet entry");
+  }
+};
+
+/**
+ * @desc    Submit a week for approval by the user's team lead (admins when there is none)
+ * @route   POST /api/timesheets/:id/submit
+ * @access  timesheet:log
+ */
+export const submitTimesheet = async (req, res) => {
+  try {
+    const sheet = await findSheet(req.params.id);
+    if (!sheet || String(sheet.user) !== String(req.user._id)) {
+      return res.status(404).json({ success: false, message: "Timesheet not found" });
+    }
+    const locked = sheetLockReason(sheet);
+    if (locked) return res.status(409).json({ success: false, message: locked });
+    if (!sheet.entries.length) return res.status(400).json({ success: false, message: "Timesheet has no entries" });
+
+    const before = snapshot(sheet);
+    sheet.status = "submitted";
+    sheet.approver = await approverFor(req.user);
+    sheet.submittedAt = new Date();
+    sheet.history.push({ action: "submitted", by: req.user._id, comment: req.body.comment });
+    await sheet.save();
+
+    // Lets the approver know (admins when the user has no team lead)
+    await emitEvent(req, "timesheet.submitted", { sheet }, {
+      audit: {
+        action: "timesheet.submit",
+        entityType: "Timesheet",
+        entityId: sheet._id,
+        before,
+        after: sheet,
+        metadata: { weekStart: sheet.weekStart, totalHours: sheet.totalHours },
+      },
+    });
+
+    res.json({ success: true, message: "Timesheet submitted", timesheet: sheet });
+  } catch (err) {
+    handleError(res, err, "Error submitting timesheet");
+  }
+};
+
+/**
+ * @desc    Approve or reject a submitted timesheet ({ decision: "approve" | "reject", comment }).
+ *          Approval bills the sheet's billable hours on hourly projects.
+ * @route   POST /api/timesheets/:id/review
+ * @access  timesheet:review
+ */
+export const reviewTimesheet = async (req, res) => {
+  try {
+    const { decision, comment } = req.body;
+    if (!["approve", "reject"].includes(decision)) {
+      return res.status(400).json({ success: false, message: "decision must be approve or reject" });
+    }
+    if (decision === "reject" && !comment?.trim()) {
+      return res.status(400).json({ success: false, message: "A comment is required to reject a timesheet" });
+    }
+
+    const sheet = await findSheet(req.params.id);
+    if (!sheet) return res.status(404).json({ success: false, message: "Timesheet not found" });
+    if (sheet.status !== "submitted") {
+      return res.status(409).json({ success: false, message: `Timesheet is ${sheet.status}, not submitted` });
+    }
+    const denied = await reviewAccessError(req.user, sheet);
+    if (denied) return res.status(403).json({ success: false, message: denied });
+
+    const before = snapshot(sheet);
+    sheet.status = decision === "approve" ? "approved" : "rejected";
+    sheet.reviewedBy = req.user._id;
+    sheet.reviewedAt = new Date();
+    sheet.reviewComment = comment?.trim();
+    sheet.history.push({ action: sheet.status, by: req.user._id, comment: sheet.reviewComment });
+    await sheet.save();
+
+    if (sheet.status === "approved") await applyTimesheetToBilling(sheet, req.user._id);
+
+    await emitEvent(req, `timesheet.${sheet.status}`, { sheet }, {
+      audit: {
+        action: `timesheet.${decision}`,
+        entityType: "Timesheet",
+        entityId: sheet._id,
+        before,
+        after: sheet,
+        metadata: { user: sheet.user, weekStart: sheet.weekStart, totalHours: sheet.totalHours },
+      },
+    });
+
+    res.json({ success: true, message: `Timesheet ${sheet.status}`, timesheet: sheet });
+  } catch (err) {
+    handleError(res, err, "Error reviewing timesheet");
+  }
+};
+
+/**
+ * @desc    Put a submitted or approved timesheet back to draft. Approved hours leave project
+ *          billing again, which is refused while any of them is invoiced.
+ * @route   POST /api/timesheets/:id/reopen
+ * @access  timesheet:reopen
+ */
+export const reopenTimesheet = async (req, res) => {
+  try {
+    const sheet = await findSheet(req.params.id);
+    if (!sheet) return res.status(404).json({ success: false, message: "Timesheet not found" });
+    if (!["submitted", "approved"].includes(sheet.status)) {
+      return res.status(409).json({ success: false, message: `Timesheet is ${sheet.status} and already editable` });
+    }
+
+    if (sheet.status === "approved") {
+      const blocked = await removeTimesheetBilling(sheet);
+      if (blocked) return res.status(409).json({ success: false, message: blocked });
+    }
+
+    const before = snapshot(sheet);
+    sheet.status = "draft";
+    sheet.history.push({ action: "reopened", by: req.user._id, comment: req.body.reason });
+    await sheet.save();
+
+    await recordAudit(req, {
+      action: "timesheet.reopen",
+      entityType: "Timesheet",
+      entityId: sheet._id,
+      before,
+      after: sheet,
+      metadata: { reason: req.body.reason },
+    });
+
+    res.json({ success: true, message: "Timesheet reopened", timesheet: sheet });
+  } catch (err) {
+    handleError(res, err, "Error reopening timesheet");
+  }
+};
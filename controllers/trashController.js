@@ -0,0 +1,177 @@
+// controllers/trashController.js
+import mongoose from "mongoose";
+import { Project } from "../models/Project.js";
+import User from "../models/User.js";
+import Setting from "../models/Setting.js";
+import { TRASH_MODELS, hardDeleteTrashed } from "../jobs/trashPurge.js";
+import { recordAudit, snapshot } from "../utils/audit.js";
+
+// Fields shown per type in the trash list
+const TRASH_FIELDS = {
+  project: "projectName clientName category status teamLead",
+  task: "title status priority project assignedTo",
+  user: "name email role",
+  report: "type content createdBy forUser status",
+};
+
+// 🔹 Centralized error handling
+const handleError = (res, err, message = "Server error") => {
+  console.error("TrashController Error:", err);
+  return res.status(500).json({ success: false, message, error: err.message });
+};
+
+const resolveType = (req, res) => {
+  const type = String(req.params.type || req.query.type || "").toLowerCase();
+  if (!TRASH_MODELS[type]) {
+    res.status(400).json({
+      success: false,
+      message: `Unknown trash type. Use one of: ${Object.keys(TRASH_MODELS).join(", ")}`,
+    });
+    return null;
+  }
+  return type;
+};
+
+/**
+ * @desc    Trash overview (counts per type) or, with ?type=, the deleted records of that type
+ * @route   GET /api/admin/trash
+ * @access  trash:manage
+ */
+export const getTrash = async (req, res) => {
+  try {
+    const retentionDays = await Setting.getValue("trash.retentionDays");
+
+    if (!req.query.type) {
+      const counts = {};
+      for (const [type, { model }] of Object.entries(TRASH_MODELS)) {
+        counts[type] = await model.countDocuments({ isDeleted: true });
+      }
+      return res.json({ success: true, retentionDays, counts });
+    }
+
+    const type = resolveType(req, res);
+    if (!type) return;
+
+    const { model } = TRASH_MODELS[type];
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const filter = { isDeleted: true };
+
+    const [docs, total] = await Promise.all([
+      model
+        .find(filter)
+        .select(`${TRASH_FIELDS[type]} deletedAt deletedBy deletedWith`)
+        .populate("deletedBy", "name email")
+        .sort({ deletedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      model.countDocuments(filter),
+    ]);
+
+    const items = docs.map((doc) => ({
+      ...doc,
+      purgeAt: doc.deletedAt ? new Date(doc.deletedAt.getTime() + retentionDays * 24 * 60 * 60 * 1000) : null,
+    }));
+
+    res.json({
+      success: true,
+      type,
+      retentionDays,
+      items,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (err) {
+    handleError(res, err, "Error fetching trash");
+  }
+};
+
+const findTrashed = async (type, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return TRASH_MODELS[type].model.findOne({ _id: id, isDeleted: true });
+};
+
+// References that must be live before a document can come back → error message or null
+const checkRestorable = async (type, doc) => {
+  if (type === "task" && doc.project) {
+    const project = await Project.findById(doc.project);
+    if (!project) return "The task's project is in the trash; restore the project first";
+  }
+  if (type === "report") {
+    const author = await User.findById(doc.createdBy);
+    if (!author) return "The report's author is in the trash; restore the user first";
+  }
+  return null;
+};
+
+/**
+ * @desc    Restore a deleted record (a project brings back the tasks deleted with it)
+ * @route   POST /api/admin/trash/:type/:id/restore
+ * @access  trash:manage
+ */
+export const restoreFromTrash = async (req, res) => {
+  try {
+    const type = resolveType(req, res);
+    if (!type) return;
+
+    const doc = await findTrashed(type, req.params.id);
+    if (!doc) {
+      return res.status(404).json({ success: false, message: "Record not found in trash" });
+    }
+
+    const conflict = await checkRestorable(type, doc);
+    if (conflict) {
+      return res.status(409).json({ success: false, message: conflict });
+    }
+
+    const before = snapshot(doc);
+    await doc.restore();
+
+    let restoredTasks = 0;
+    if (type === "project") {
+      ({ modifiedCount: restoredTasks } = await TRASH_MODELS.task.model.restoreDeletedWith(doc._id));
+      await Project.syncTaskStats(doc._id);
+    }
+
+    await recordAudit(req, {
+      action: `${type}.restore`,
+      entityType: TRASH_MODELS[type].entityType,
+      before,
+      after: doc,
+      metadata: type === "project" ? { restoredTasks } : null,
+    });
+
+    res.json({
+      success: true,
+      message: `${TRASH_MODELS[type].entityType} restored`,
+      item: doc,
+      ...(type === "project" && { restoredTasks }),
+    });
+  } catch (err) {
+    handleError(res, err, "Error restoring record");
+  }
+};
+
+/**
+ * @desc    Permanently delete a record that is already in the trash
+ * @route   DELETE /api/admin/trash/:type/:id
+ * @access  trash:manage
+ */
+export const purgeFromTrash = async (req, res) => {
+  try {
+    const type = resolveType(req, res);
+    if (!type) return;
+
+    const doc = await findTrashed(type, req.params.id);
+    if (!doc) {
+      return res.status(404).json({ success: false, message: "Record not found in trash" });
+    }
+
+    await hardDeleteTrashed(type, { _id: doc._id });
+    await recordAudit(req, { action: `${type}.purge`, entityType: TRASH_MODELS[type].entityType, before: doc });
+
+    res.json({ success: true, message: `${TRASH_MODELS[type].entityType} permanently deleted` });
+  } catch (err) {
+    handleError(res, err, "Error purging record");
+  }
+};
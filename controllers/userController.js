@@ -1,16 +1,23 @@
 // controllers/userController.js
 import User from "../models/User.js";
+import Session from "../models/Session.js";
+import LoginAttempt from "../models/LoginAttempt.js";
 import Asset from "../models/Asset.js";
 import Task from "../models/Task.js";
 import { Project } from "../models/Project.js";
 import mongoose from "mongoose";
+import { recordAudit, snapshot } from "../utils/audit.js";
+import { checkStartAllowed, blockedStartResponse } from "../utils/taskDependencies.js";
 
 /* ----------------------- USER MANAGEMENT ----------------------- */
 
-// Get all users (admin only)
+// Get all users (admin only) — ?locked=true lists only locked-out accounts
 export const getAllUsers = async (req, res) => {
   try {
-    const users = await User.find().select("-password");
+    const filter = {};
+    if (req.query.locked === "true") filter["lockout.lockedUntil"] = { $gt: new Date() };
+
+    const users = await User.find(filter).select("-password");
     res.json(users);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -33,7 +40,13 @@ export const createUser = async (req, res) => {
     const cnicExists = await User.findOne({ cnic });
     if (cnicExists) return res.status(400).json({ message: "CNIC already registered" });
 
+    // Deleted accounts keep their email/CNIC until purged
+    if (await User.findTrashedWith({ email, cnic })) {
+      return res.status(409).json({ message: "A deleted account uses this email or CNIC; restore it from the trash instead" });
+    }
+
     const user = await User.create({ name, email, password, cnic, phone, role: role || "employee" });
+    await recordAudit(req, { action: "user.create", entityType: "User", after: user });
     
     // Remove password from response
     const userResponse = user.toObject();
@@ -54,12 +67,25 @@ export const updateUser = async (req, res) => {
       return res.status(400).json({ message: "User ID is required" });
     }
 
+    const before = await User.findById(id).lean();
+    if (!before) return res.status(404).json({ message: "User not found" });
+
     const updatedUser = await User.findByIdAndUpdate(id, req.body, { 
       new: true,
       runValidators: true 
     }).select("-password");
     
     if (!updatedUser) return res.status(404).json({ message: "User not found" });
+
+    // Role changes get their own action so they are easy to pull from the trail
+    const roleChanged = before.role !== updatedUser.role;
+    await recordAudit(req, {
+      action: roleChanged ? "user.role_change" : "user.update",
+      entityType: "User",
+      before,
+      after: updatedUser,
+      metadata: roleChanged ? { fromRole: before.role, toRole: updatedUser.role } : null,
+    });
     
     res.json({ success: true, user: updatedUser });
   } catch (err) {
@@ -76,14 +102,22 @@ export const deleteUser = async (req, res) => {
       return res.status(400).json({ message: "User ID is required" });
     }
 
-    const deleted = await User.findByIdAndDelete(id);
+    if (id === req.user._id.toString()) {
+      return res.status(400).json({ message: "You cannot delete your own account" });
+    }
+
+    const deleted = await User.findById(id);
     if (!deleted) return res.status(404).json({ message: "User not found" });
 
-    // Remove assigned assets and tasks
+    const before = snapshot(deleted);
+    await deleted.softDelete(req.user._id);
+    await Session.revokeAllForUser(deleted._id, "user-deleted");
+    await recordAudit(req, { action: "user.delete", entityType: "User", before, after: deleted });
+
+    // Assets go back to the pool; tasks keep their assignee so a restore brings the workload back
     await Asset.updateMany({ assignedTo: deleted._id }, { $unset: { assignedTo: "" } });
-    await Task.updateMany({ assignedTo: deleted._id }, { $unset: { assignedTo: "" } });
 
-    res.json({ success: true, message: "User deleted successfully" });
+    res.json({ success: true, message: "User moved to trash" });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -105,6 +139,7 @@ export const promoteUser = async (req, res) => {
       return res.status(400).json({ message: "User is already a team lead" });
     }
 
+    const before = snapshot(user);
     user.role = "teamlead";
     // Remove from current team if they are an employee
     if (user.teamLead) {
@@ -112,6 +147,13 @@ export const promoteUser = async (req, res) => {
     }
     
     await user.save();
+    await recordAudit(req, {
+      action: "user.role_change",
+      entityType: "User",
+      before,
+      after: user,
+      metadata: { fromRole: before.role, toRole: user.role },
+    });
     
     const userResponse = user.toObject();
     delete userResponse.password;
@@ -122,6 +164,81 @@ export const promoteUser = async (req, res) => {
   }
 };
 
+// Unlock an account locked by failed logins (admin only)
+export const unlockUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const before = snapshot(user);
+    user.resetLoginFailures();
+    await user.save({ validateBeforeSave: false });
+    await recordAudit(req, { action: "user.unlock", entityType: "User", before, after: user });
+
+    res.json({ success: true, message: "Account unlocked", lockout: user.lockout });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// Login attempts with filters: user, email, ip, success, from, to (admin only)
+export const getLoginAttempts = async (req, res) => {
+  try {
+    const { email, ip, success, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const filter = {};
+    const userId = req.params.id || req.query.user;
+    if (userId) filter.user = userId;
+    if (email) filter.email = email.toLowerCase().trim();
+    if (ip) filter.ip = ip;
+    if (success === "true" || success === "false") filter.success = success === "true";
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const [attempts, total] = await Promise.all([
+      LoginAttempt.find(filter)
+        .populate("user", "name email role")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      LoginAttempt.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      attempts,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// Reset a user's two-factor auth (lost device) and sign them out everywhere (admin only)
+export const resetUserTwoFactor = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findById(id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    user.twoFactor = { enabled: false, enabledAt: null };
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, "2fa-reset");
+    await recordAudit(req, { action: "user.2fa_reset", entityType: "User", entityId: user._id });
+
+    res.json({ success: true, message: "Two-factor authentication reset; the user must enroll again" });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
 // Get all users filtered by role
 export const getAllUsersFiltered = async (req, res) => {
   try {
@@ -309,6 +426,11 @@ export const assignTeam = async (req, res) => {
     const updatedEmployees = await User.find({ _id: { $in: employeeIds } })
       .select("-password -resetPasswordToken -resetPasswordExpire");
 
+    for (const employee of employees) {
+      const after = updatedEmployees.find((e) => e._id.equals(employee._id));
+      await recordAudit(req, { action: "user.team_assign", entityType: "User", before: employee, after });
+    }
+
     res.status(200).json({
       success: true,
       message: `Successfully assigned ${employees.length} employee(s) to your team`,
@@ -367,6 +489,15 @@ export const removeFromTeam = async (req, res) => {
       { $unset: { teamLead: 1 } }
     );
 
+    for (const employee of employees) {
+      await recordAudit(req, {
+        action: "user.team_remove",
+        entityType: "User",
+        entityId: employee._id,
+        metadata: { teamLead: req.user._id },
+      });
+    }
+
     res.status(200).json({
       success: true,
       message: `Successfully removed ${employees.length} employee(s) from your team`
@@ -447,6 +578,7 @@ export const assignTask = async (req, res) => {
       createdBy: req.user._id,
       status: "pending"
     });
+    await recordAudit(req, { action: "task.create", entityType: "Task", after: task });
 
     // Populate task details
     const populatedTask = await Task.findById(task._id)
@@ -534,7 +666,14 @@ export const updateTaskStatus = async (req, res) => {
       query.createdBy = req.user._id; // TeamLead can only update tasks they created
     }
 
-    const task = await Task.findOneAndUpdate(
+    const existing = await Task.findOne(query);
+    if (existing) {
+      const gate = await checkStartAllowed(req, existing, status);
+      if (!gate.allowed) return res.status(409).json(blockedStartResponse(gate.blockedBy));
+    }
+
+    const before = snapshot(existing);
+    const task = existing && await Task.findOneAndUpdate(
       query,
       { status },
       { new: true }
@@ -547,6 +686,8 @@ export const updateTaskStatus = async (req, res) => {
       });
     }
 
+    await recordAudit(req, { action: "task.status_change", entityType: "Task", before, after: task });
+
     res.status(200).json({
       success: true,
       message: "Task status updated successfully",
@@ -642,7 +783,7 @@ export const deleteTask = async (req, res) => {
       query.createdBy = req.user._id; // TeamLead can only delete tasks they created
     }
 
-    const task = await Task.findOneAndDelete(query);
+    const task = await Task.findOne(query);
 
     if (!task) {
       return res.status(404).json({
@@ -651,6 +792,10 @@ export const deleteTask = async (req, res) => {
       });
     }
 
+    const before = snapshot(task);
+    await task.softDelete(req.user._id);
+    await recordAudit(req, { action: "task.delete", entityType: "Task", before, after: task });
+
     res.status(200).json({
       success: true,
       message: "Task deleted successfully"
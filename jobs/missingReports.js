@@ -0,0 +1,126 @@
+// jobs/missingReports.js
+import User from "../models/User.js";
+import MissingReport from "../models/MissingReport.js";
+import WorkCalendar, { dayKey } from "../models/WorkCalendar.js";
+import Setting from "../models/Setting.js";
+import { submittedDays, startOfDay, addDays } from "../utils/reportCompliance.js";
+import { emitEvent } from "../utils/events.js";
+
+const CHECK_INTERVAL_MS = (parseInt(process.env.MISSING_REPORTS_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+// Finished days re-checked on every run (covers downtime), and how far back a streak is counted
+const LOOKBACK_DAYS = 7;
+const STREAK_WINDOW_DAYS = 60;
+
+// Automatic notifications are sent on behalf of the oldest active admin
+const systemSender = () =>
+  User.findOne({ role: "admin", isActive: true }).sort({ createdAt: 1 }).select("_id").lean();
+
+// Working days missed in a row up to and including day → { count, streakStart }
+const missStreak = (calendar, submitted, day, joined) => {
+  let count = 0;
+  let streakStart = day;
+  for (let d = day, i = 0; d >= joined && i < STREAK_WINDOW_DAYS; d = addDays(d, -1), i++) {
+    if (!calendar.isWorkingDay(d)) continue;
+    if (submitted.has(dayKey(d))) break;
+    count += 1;
+    streakStart = d;
+  }
+  return { count, streakStart };
+};
+
+// report.missing* events (config/events.js); there is no actor, the system sender signs them
+const notify = (sender, name, data) => emitEvent(null, name, data, { sender });
+
+/**
+ * @desc Record finished working days without a daily report and notify:
+ *       the employee, then their team lead, and admins once a streak reaches reports.escalateAfterDays.
+ * @returns number of newly recorded missing reports
+ */
+export const detectMissingReports = async (now = new Date()) => {
+  const today = startOfDay(now);
+  const escalateAfterDays = await Setting.getValue("reports.escalateAfterDays");
+
+  const employees = await User.find({ role: "employee", isActive: true }).select("name teamLead createdAt").lean();
+  if (!employees.length) return 0;
+
+  const sender = await systemSender();
+  if (!sender) {
+    console.warn("Missing report check skipped: no active admin to send notifications from");
+    return 0;
+  }
+
+  const teamLeadIds = [...new Set(employees.filter((e) => e.teamLead).map((e) => String(e.teamLead)))];
+  const calendars = await WorkCalendar.forTeamLeads(teamLeadIds);
+  const submitted = await submittedDays(employees.map((e) => e._id), addDays(today, -STREAK_WINDOW_DAYS), today);
+  const admins = await User.find({ role: "admin", isActive: true }).select("_id").lean();
+
+  let recorded = 0;
+  for (const employee of employees) {
+    const calendar = calendars.get(employee.teamLead ? String(employee.teamLead) : "default");
+    const joined = startOfDay(employee.createdAt || today);
+    const days = submitted.get(String(employee._id));
+
+    for (let day = addDays(today, -LOOKBACK_DAYS); day < today; day = addDays(day, 1)) {
+      if (day < joined || !calendar.isWorkingDay(day) || days.has(dayKey(day))) continue;
+      if (await MissingReport.exists({ user: employee._id, date: day })) continue;
+
+      const { count, streakStart } = missStreak(calendar, days, day, joined);
+      let record;
+      try {
+        record = await MissingReport.create({
+          user: employee._id,
+          teamLead: employee.teamLead || null,
+          date: day,
+          consecutiveMisses: count,
+        });
+      } catch (err) {
+        if (err.code === 11000) continue; // recorded by a parallel run
+        throw err;
+      }
+      recorded += 1;
+
+      const data = { employee, date: day, consecutiveMisses: count, streakStart };
+
+      await notify(sender, "report.missing", data);
+      record.employeeNotifiedAt = new Date();
+
+      if (employee.teamLead) {
+        await notify(sender, "report.missing_team", data);
+        record.teamLeadNotifiedAt = new Date();
+      }
+
+      // One escalation per streak
+      const alreadyEscalated = await MissingReport.exists({
+        user: employee._id,
+        date: { $gte: streakStart, $lt: day },
+        escalatedAt: { $ne: null },
+      });
+      if (count >= escalateAfterDays && !alreadyEscalated && admins.length) {
+        await notify(sender, "report.missing_escalated", data);
+        record.escalatedAt = new Date();
+      }
+
+      await record.save();
+    }
+  }
+
+  return recorded;
+};
+
+/**
+ * @desc Run the check now and then every MISSING_REPORTS_INTERVAL_MINUTES (default 1h)
+ */
+export const startMissingReportsJob = () => {
+  const run = () =>
+    detectMissingReports()
+      .then((recorded) => {
+        if (recorded) console.log(`Missing daily reports recorded: ${recorded}`);
+      })
+      .catch((err) => console.error("Missing report check failed:", err.message));
+
+  run();
+  const timer = setInterval(run, CHECK_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
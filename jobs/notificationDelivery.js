@@ -0,0 +1,39 @@
+// jobs/notificationDelivery.js
+import { claimDueDelivery, processDelivery } from "../utils/notificationChannels.js";
+
+const CHECK_INTERVAL_MS = (parseInt(process.env.NOTIFICATION_DELIVERY_INTERVAL_MINUTES) || 1) * 60 * 1000;
+
+// Deliveries retried per run; the rest wait for the next one
+const BATCH_SIZE = 100;
+
+/**
+ * @desc Retry email and webhook deliveries whose backoff has elapsed
+ * @returns { sent, failed, pending } counts of this run
+ */
+export const retryDueDeliveries = async (now = new Date()) => {
+  const counts = { sent: 0, failed: 0, pending: 0 };
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const delivery = await claimDueDelivery(now);
+    if (!delivery) break;
+    const { status } = await processDelivery(delivery);
+    counts[status] += 1;
+  }
+  return counts;
+};
+
+/**
+ * @desc Run the retries now and then every NOTIFICATION_DELIVERY_INTERVAL_MINUTES (default 1)
+ */
+export const startNotificationDeliveryJob = () => {
+  const run = () =>
+    retryDueDeliveries()
+      .then((counts) => {
+        if (counts.sent || counts.failed) console.log("Notification delivery retries:", counts);
+      })
+      .catch((err) => console.error("Notification delivery retries failed:", err.message));
+
+  run();
+  const timer = setInterval(run, CHECK_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,90 @@
+// jobs/notificationDigest.js
+import User from "../models/User.js";
+import Notification from "../models/Notification.js";
+import NotificationDigest from "../models/NotificationDigest.js";
+import { dispatchNotification } from "../utils/notificationChannels.js";
+import { translate } from "../utils/notificationTemplates.js";
+
+const CHECK_INTERVAL_MS = (parseInt(process.env.NOTIFICATION_DIGEST_INTERVAL_MINUTES) || 5) * 60 * 1000;
+
+// Notifications listed in one digest message; the rest are counted
+const MAX_LINES = 10;
+
+// Automatic notifications are sent on behalf of the oldest active admin
+const systemSender = () =>
+  User.findOne({ role: "admin", isActive: true }).sort({ createdAt: 1 }).select("_id").lean();
+
+/**
+ * @desc Deliver held-back notifications (utils/notificationPreferences.js) that are due:
+ *       one digest notification per user, in their locale, listing those they have not read
+ *       in the meantime.
+ * @returns number of digests sent
+ */
+export const deliverDueDigests = async (now = new Date()) => {
+  const due = await NotificationDigest.find({ sentAt: null, dueAt: { $lte: now } })
+    .populate("notification", "title message readBy")
+    .sort({ dueAt: 1 });
+  if (!due.length) return 0;
+
+  const sender = await systemSender();
+  if (!sender) {
+    console.warn("Notification digests skipped: no active admin to send them from");
+    return 0;
+  }
+
+  const byUser = new Map();
+  due.forEach((item) => byUser.set(String(item.user), [...(byUser.get(String(item.user)) || []), item]));
+  const locales = new Map(
+    (await User.find({ _id: { $in: [...byUser.keys()] } }).select("locale").lean()).map((u) => [String(u._id), u.locale])
+  );
+
+  let sent = 0;
+  for (const [userId, items] of byUser) {
+    // Deleted notifications and ones already read elsewhere are left out
+    const unread = items.filter((i) => i.notification && !i.notification.readBy.some((id) => String(id) === userId));
+
+    if (unread.length) {
+      const locale = locales.get(userId);
+      const reasons = [...new Set(unread.map((i) => i.reason))];
+      const title = translate(locale, reasons.length === 1 ? `digest.${reasons[0]}` : "digest.mixed");
+      const count = translate(locale, unread.length === 1 ? "digest.one" : "digest.many", { count: unread.length });
+      const lines = unread.slice(0, MAX_LINES).map((i) => `• ${i.notification.title || i.notification.message.slice(0, 80)}`);
+      if (unread.length > MAX_LINES) lines.push(translate(locale, "digest.more", { count: unread.length - MAX_LINES }));
+
+      const digest = await Notification.create({
+        sender: sender._id,
+        receivers: [userId],
+        title: `${title}: ${count}`,
+        message: lines.join("\n"),
+        type: "info",
+        actionLink: "/notifications",
+        meta: { kind: "notification.digest", notifications: unread.map((i) => i.notification._id) },
+      });
+      await dispatchNotification(digest, { to: [userId], digest: true }).catch((err) =>
+        console.error("Digest email failed:", err.message)
+      );
+      sent += 1;
+    }
+
+    await NotificationDigest.updateMany({ _id: { $in: items.map((i) => i._id) } }, { sentAt: now });
+  }
+
+  return sent;
+};
+
+/**
+ * @desc Run the delivery now and then every NOTIFICATION_DIGEST_INTERVAL_MINUTES (default 5)
+ */
+export const startNotificationDigestJob = () => {
+  const run = () =>
+    deliverDueDigests()
+      .then((sent) => {
+        if (sent) console.log(`Notification digests sent: ${sent}`);
+      })
+      .catch((err) => console.error("Notification digest delivery failed:", err.message));
+
+  run();
+  const timer = setInterval(run, CHECK_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
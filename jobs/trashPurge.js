@@ -0,0 +1,74 @@
+// jobs/trashPurge.js
+import { Project, ProjectDetails } from "../models/Project.js";
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import Report from "../models/Report.js";
+import Session from "../models/Session.js";
+import Setting from "../models/Setting.js";
+
+const PURGE_INTERVAL_MS = (parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 360) * 60 * 1000;
+
+// Soft-deletable models by trash type (used by the trash endpoints too)
+export const TRASH_MODELS = {
+  project: { model: Project, entityType: "Project" },
+  task: { model: Task, entityType: "Task" },
+  user: { model: User, entityType: "User" },
+  report: { model: Report, entityType: "Report" },
+};
+
+// Data owned by a document that has no meaning once the document is gone
+const purgeDependents = {
+  project: async (ids) => {
+    await ProjectDetails.deleteMany({ project: { $in: ids } });
+    await Task.deleteMany({ project: { $in: ids } });
+  },
+  user: async (ids) => {
+    await Session.deleteMany({ user: { $in: ids } });
+  },
+};
+
+/**
+ * @desc Permanently remove trashed documents of one type matching filter → number removed
+ */
+export const hardDeleteTrashed = async (type, filter = {}) => {
+  const { model } = TRASH_MODELS[type];
+  const docs = await model.find({ ...filter, isDeleted: true }).select("_id").lean();
+  if (!docs.length) return 0;
+
+  const ids = docs.map((d) => d._id);
+  if (purgeDependents[type]) await purgeDependents[type](ids);
+  const { deletedCount } = await model.deleteMany({ _id: { $in: ids }, isDeleted: true });
+  return deletedCount;
+};
+
+/**
+ * @desc Purge everything that has been in the trash longer than trash.retentionDays
+ */
+export const purgeExpiredTrash = async () => {
+  const retentionDays = await Setting.getValue("trash.retentionDays");
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+  const purged = {};
+  for (const type of Object.keys(TRASH_MODELS)) {
+    purged[type] = await hardDeleteTrashed(type, { deletedAt: { $lte: cutoff } });
+  }
+  return purged;
+};
+
+/**
+ * @desc Run the purge now and then every TRASH_PURGE_INTERVAL_MINUTES (default 6h)
+ */
+export const startTrashPurgeJob = () => {
+  const run = () =>
+    purgeExpiredTrash()
+      .then((purged) => {
+        const total = Object.values(purged).reduce((sum, n) => sum + n, 0);
+        if (total) console.log("Trash purge:", purged);
+      })
+      .catch((err) => console.error("Trash purge failed:", err.message));
+
+  run();
+  const timer = setInterval(run, PURGE_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
@@ -1,39 +1,58 @@
 // middleware/authMiddleware.js
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import Session from "../models/Session.js";
+import { userCan } from "../utils/permissions.js";
+
+// Access token from the Authorization header or the HttpOnly cookie
+const accessTokenOf = (req) => {
+  // 1️⃣ Check for Bearer token in Authorization header
+  if (req.headers.authorization?.startsWith("Bearer")) {
+    return req.headers.authorization.split(" ")[1];
+  }
+
+  // 2️⃣ Or check HttpOnly cookie
+  return req.cookies?.token || null;
+};
+
+// Verify an access token → { user, session } or { message } (throws on a bad or expired JWT)
+const authenticate = async (token) => {
+  // 4️⃣ Verify token
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // 5️⃣ Session must still be live (logout / revoke / password reset kill it)
+  const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+  if (!session || !session.isActive || !session.user.equals(decoded.id)) {
+    return { message: "Not authorized, session revoked or expired" };
+  }
+
+  // 6️⃣ Fetch user (exclude password)
+  const user = await User.findById(decoded.id).select("-password");
+  if (!user) return { message: "Not authorized, user not found" };
+
+  // 7️⃣ Deactivated accounts lose access immediately
+  if (!user.isActive) return { message: "Not authorized, account is deactivated" };
+
+  return { user, session };
+};
 
 /**
  * @desc Protect routes (require login)
  */
 export const protect = async (req, res, next) => {
   try {
-    let token;
-
-    // 1️⃣ Check for Bearer token in Authorization header
-    if (req.headers.authorization?.startsWith("Bearer")) {
-      token = req.headers.authorization.split(" ")[1];
-    }
-
-    // 2️⃣ Or check HttpOnly cookie
-    if (!token && req.cookies?.token) {
-      token = req.cookies.token;
-    }
+    const token = accessTokenOf(req);
 
     // 3️⃣ No token found
     if (!token) {
       return res.status(401).json({ success: false, message: "Not authorized, no token provided" });
     }
 
-    // 4️⃣ Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // 5️⃣ Fetch user (exclude password)
-    const user = await User.findById(decoded.id).select("-password");
-    if (!user) {
-      return res.status(401).json({ success: false, message: "Not authorized, user not found" });
-    }
+    const { user, session, message } = await authenticate(token);
+    if (message) return res.status(401).json({ success: false, message });
 
     req.user = user;
+    req.authSession = session;
     next();
   } catch (err) {
     res.status(401).json({
@@ -44,8 +63,60 @@ export const protect = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc Attach req.user / req.authSession when a valid access token is sent, and let the
+ *       request through either way (logout must still work once the access token expired)
+ */
+export const optionalProtect = async (req, res, next) => {
+  const token = accessTokenOf(req);
+  if (token) {
+    try {
+      const { user, session } = await authenticate(token);
+      if (user) {
+        req.user = user;
+        req.authSession = session;
+      }
+    } catch {
+      // Expired or invalid token: carry on unauthenticated
+    }
+  }
+  next();
+};
+
+/**
+ * @desc Accept the JWT as ?token= for clients that cannot set headers (EventSource),
+ *       then authenticate as protect does. Only for stream endpoints: URLs end up in logs.
+ */
+export const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+/**
+ * @desc Require every listed permission (see config/permissions.js)
+ */
+export const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user || !(await userCan(req.user, ...permissions))) {
+        return res.status(403).json({
+          success: false,
+          message: "Forbidden: Insufficient permissions",
+          required: permissions,
+        });
+      }
+      next();
+    } catch (err) {
+      res.status(500).json({ success: false, message: "Error checking permissions", error: err.message });
+    }
+  };
+};
+
 /**
  * @desc Restrict route access to specific roles
+ * @deprecated Prefer requirePermission; kept for code that really depends on the role itself
  */
 export const authorizeRoles = (...roles) => {
   return (req, res, next) => {
@@ -56,7 +127,7 @@ export const authorizeRoles = (...roles) => {
   };
 };
 
-export default { protect, authorizeRoles };
+export default { protect, authorizeRoles, requirePermission };
 
 // Optional: Team Lead specific middleware for additional validation
 export const requireTeamLead = (req, res, next) => {
@@ -18,8 +18,10 @@ export const schemas = {
     password: Joi.string().min(6).max(128).required(),
     cnic: Joi.string().pattern(/^\d{5}-\d{7}-\d$/).required(),
     phone: Joi.string().pattern(/^03[0-9]{9}$/).required(),
+    // Existence of the role is checked against the Role collection by the User model
     role: Joi.string()
-      .valid("admin", "teamlead", "employee")
+      .lowercase()
+      .pattern(/^[a-z][a-z0-9_-]{1,31}$/)
       .default("employee"),
   }),
 
@@ -52,7 +54,7 @@ export const schemas = {
     estimatedHours: Joi.number().min(0),
     milestones: Joi.array().when("category", {
       is: "milestone",
-      then: Joi.required().min(1),
+      then: Joi.array().min(1).required(),
       otherwise: Joi.optional(),
     }),
   }),
@@ -0,0 +1,44 @@
+// models/AuditLog.js
+import mongoose from "mongoose";
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    // Who (name/email/role are copied so entries survive user deletion)
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    actorName: { type: String, trim: true },
+    actorEmail: { type: String, trim: true },
+    actorRole: { type: String, trim: true },
+
+    // What, e.g. "payment.create", "user.role_change"
+    action: { type: String, required: true, trim: true },
+    entityType: { type: String, required: true, trim: true }, // Project, Task, Payment, User, Asset, Report...
+    entityId: { type: mongoose.Schema.Types.ObjectId, default: null },
+
+    // State around the change (sensitive fields redacted) and the field-level diff
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null },
+    changes: [
+      {
+        _id: false,
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+      },
+    ],
+
+    // Extra context, e.g. { project: <id> } for a payment
+    metadata: { type: mongoose.Schema.Types.Mixed, default: null },
+
+    ip: { type: String, trim: true },
+    userAgent: { type: String, trim: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// Indexes
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+export default mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,20 @@
+// models/Counter.js
+import mongoose from "mongoose";
+
+// Named sequences (e.g. invoice numbers per year), incremented atomically
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true }, // sequence name
+  seq: { type: Number, default: 0 },
+});
+
+// Static: next value of a sequence (starts at 1)
+counterSchema.statics.next = async function (name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+export default mongoose.model("Counter", counterSchema);
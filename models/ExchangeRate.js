@@ -0,0 +1,38 @@
+// models/ExchangeRate.js
+import mongoose from "mongoose";
+import { CURRENCY_CODES } from "../config/currencies.js";
+
+// 1 `from` = `rate` × `to`, valid from effectiveDate until the next rate for the same pair
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    from: { type: String, enum: CURRENCY_CODES, required: true, uppercase: true },
+    to: { type: String, enum: CURRENCY_CODES, required: true, uppercase: true },
+    rate: { type: Number, required: true, min: [0.000001, "Rate must be positive"] },
+    effectiveDate: { type: Date, required: true },
+    notes: { type: String, trim: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+exchangeRateSchema.index({ from: 1, to: 1, effectiveDate: -1 }, { unique: true });
+
+exchangeRateSchema.pre("validate", function (next) {
+  if (this.from && this.from === this.to) this.invalidate("to", "from and to must be different currencies");
+  next();
+});
+
+// Static: rate in effect on a date for a pair, using the reverse pair (1 / rate) when only that exists
+exchangeRateSchema.statics.rateOn = async function (from, to, date = new Date()) {
+  if (from === to) return 1;
+  const latest = (a, b) =>
+    this.findOne({ from: a, to: b, effectiveDate: { $lte: date } }).sort({ effectiveDate: -1 }).select("rate").lean();
+
+  const direct = await latest(from, to);
+  if (direct) return direct.rate;
+  const inverse = await latest(to, from);
+  return inverse ? 1 / inverse.rate : null;
+};
+
+export default mongoose.model("ExchangeRate", exchangeRateSchema);
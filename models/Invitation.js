@@ -0,0 +1,81 @@
+// models/Invitation.js
+import mongoose from "mongoose";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+export const hashInvitationToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const invitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: [true, "Email is required"],
+      lowercase: true,
+      trim: true,
+      match: [/^\S+@\S+\.\S+$/, "Please enter a valid email"],
+    },
+    name: { type: String, trim: true },
+
+    // Preset for the account created on acceptance
+    role: { type: String, lowercase: true, trim: true, default: "employee" },
+    teamLead: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+
+    // sha256 of the signed link token; cleared once used so the link works only once
+    tokenHash: { type: String, default: null },
+    expiresAt: { type: Date, required: true },
+
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "revoked"],
+      default: "pending",
+    },
+    acceptedAt: { type: Date, default: null },
+    acceptedUser: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    revokedAt: { type: Date, default: null },
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true, toJSON: { virtuals: true }, toObject: { virtuals: true } }
+);
+
+// Indexes
+invitationSchema.index({ email: 1, status: 1 });
+invitationSchema.index({ invitedBy: 1, createdAt: -1 });
+
+// Virtual: pending and not past its expiry
+invitationSchema.virtual("isUsable").get(function () {
+  return this.status === "pending" && !!this.tokenHash && this.expiresAt > new Date();
+});
+
+// Virtual: status as shown to users (pending invitations past expiry read as "expired")
+invitationSchema.virtual("displayStatus").get(function () {
+  if (this.status === "pending" && this.expiresAt <= new Date()) return "expired";
+  return this.status;
+});
+
+// Instance: sign a new link token (JWT bound to this invitation) and store its hash
+invitationSchema.methods.issueToken = function () {
+  const token = jwt.sign(
+    { inv: this._id.toString(), purpose: "invitation", nonce: crypto.randomBytes(8).toString("hex") },
+    process.env.JWT_SECRET,
+    { expiresIn: Math.max(1, Math.floor((this.expiresAt - Date.now()) / 1000)) }
+  );
+  this.tokenHash = hashInvitationToken(token);
+  return token;
+};
+
+// Static: resolve a link token to its usable invitation (null if invalid/used/expired)
+invitationSchema.statics.findByToken = async function (token) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose !== "invitation") return null;
+
+    const invitation = await this.findOne({ _id: decoded.inv, tokenHash: hashInvitationToken(token) });
+    return invitation?.isUsable ? invitation : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+export default mongoose.model("Invitation", invitationSchema);
@@ -0,0 +1,125 @@
+// models/Invoice.js
+import mongoose from "mongoose";
+import { CURRENCY_CODES, DEFAULT_CURRENCY } from "../config/currencies.js";
+
+export const INVOICE_STATUSES = ["draft", "sent", "paid", "void"];
+export const LINE_SOURCES = ["time-entry", "milestone", "schedule", "manual"];
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+// ----------------------
+// Line Item Subdocument
+// ----------------------
+const lineItemSchema = new mongoose.Schema(
+  {
+    description: { type: String, required: true, trim: true },
+    quantity: { type: Number, required: true, min: 0 },
+    unitPrice: { type: Number, required: true, min: 0 },
+    amount: { type: Number, default: 0 }, // quantity × unitPrice, kept by the pre-validate hook
+    source: { type: String, enum: LINE_SOURCES, default: "manual" },
+    // Billed time entry / milestone on the project (schedule lines use schedulePart instead)
+    sourceId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  },
+  { _id: true }
+);
+
+// ----------------------
+// Main Invoice Schema
+// ----------------------
+const invoiceSchema = new mongoose.Schema(
+  {
+    number: { type: String, required: true, unique: true, trim: true },
+    project: { type: mongoose.Schema.Types.ObjectId, ref: "Project", required: true },
+    billingType: { type: String, enum: ["hourly", "milestone", "fixed"], required: true },
+    currency: { type: String, enum: CURRENCY_CODES, default: DEFAULT_CURRENCY }, // the project's
+
+    // Client as it was when the invoice was raised
+    client: {
+      name: { type: String, required: true, trim: true },
+      email: { type: String, trim: true },
+      phone: { type: String, trim: true },
+    },
+
+    // Fixed-price split this invoice bills, e.g. part 1 of the 50-50 schedule
+    schedulePart: {
+      plan: { type: String, enum: ["upfront", "50-50"] },
+      part: Number,
+      of: Number,
+      percent: Number,
+    },
+
+    lineItems: {
+      type: [lineItemSchema],
+      validate: {
+        validator: (arr) => Array.isArray(arr) && arr.length > 0,
+        message: "An invoice needs at least one line item",
+      },
+    },
+
+    subtotal: { type: Number, default: 0 },
+    discount: {
+      type: { type: String, enum: ["percent", "amount"], default: "amount" },
+      value: { type: Number, default: 0, min: 0 },
+    },
+    discountAmount: { type: Number, default: 0 },
+    taxRate: { type: Number, default: 0, min: 0, max: 100 }, // percent, applied after the discount
+    taxAmount: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+    amountPaid: { type: Number, default: 0 }, // project payments carrying this invoiceId, in invoice currency
+    balance: { type: Number, default: 0 },
+
+    status: { type: String, enum: INVOICE_STATUSES, default: "draft" },
+    live: { type: Boolean, default: true }, // status is not void; kept by the pre-validate hook for the index below
+    issueDate: { type: Date, default: Date.now },
+    dueDate: Date,
+    notes: { type: String, trim: true },
+
+    sentAt: Date,
+    sentTo: { type: String, trim: true },
+    paidAt: Date,
+    voidedAt: Date,
+    voidedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    voidReason: { type: String, trim: true },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+invoiceSchema.index({ project: 1, status: 1 });
+invoiceSchema.index({ status: 1, dueDate: 1 });
+// A schedule part is billed by at most one invoice that is not void
+// (partial indexes cannot filter with $ne/$in on MongoDB < 6.0, hence the stored `live` flag)
+invoiceSchema.index(
+  { project: 1, "schedulePart.plan": 1, "schedulePart.part": 1 },
+  { unique: true, partialFilterExpression: { "schedulePart.part": { $exists: true }, live: true } }
+);
+
+// Totals always follow the line items, discount and tax
+invoiceSchema.pre("validate", function (next) {
+  this.lineItems.forEach((item) => {
+    item.amount = round2(item.quantity * item.unitPrice);
+  });
+  this.subtotal = round2(this.lineItems.reduce((sum, item) => sum + item.amount, 0));
+
+  const { type, value } = this.discount || {};
+  const discount = type === "percent" ? (this.subtotal * (value || 0)) / 100 : value || 0;
+  this.discountAmount = round2(Math.min(discount, this.subtotal));
+
+  this.taxAmount = round2(((this.subtotal - this.discountAmount) * (this.taxRate || 0)) / 100);
+  this.total = round2(this.subtotal - this.discountAmount + this.taxAmount);
+  this.balance = round2(this.total - (this.amountPaid || 0));
+  this.live = this.status !== "void";
+  next();
+});
+
+// Virtual: past due and still open
+invoiceSchema.virtual("isOverdue").get(function () {
+  return this.status === "sent" && !!this.dueDate && this.dueDate < new Date();
+});
+
+invoiceSchema.set("toJSON", { virtuals: true });
+invoiceSchema.set("toObject", { virtuals: true });
+
+export default mongoose.model("Invoice", invoiceSchema);
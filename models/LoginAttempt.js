@@ -0,0 +1,65 @@
+// models/LoginAttempt.js
+import mongoose from "mongoose";
+
+const RETENTION_DAYS = parseInt(process.env.LOGIN_ATTEMPT_RETENTION_DAYS) || 90;
+
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    email: { type: String, lowercase: true, trim: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    ip: { type: String, trim: true },
+    userAgent: { type: String, trim: true },
+
+    // "password" = first login step, "2fa" = second step
+    stage: { type: String, enum: ["password", "2fa"], default: "password" },
+    // true only once a session was opened; "password-ok" = right password, second step pending
+    success: { type: Boolean, required: true },
+    reason: {
+      type: String,
+      enum: [
+        "success",
+        "password-ok",
+        "invalid-credentials",
+        "invalid-code",
+        "account-locked",
+        "account-inactive",
+        "ip-throttled",
+      ],
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// Indexes
+loginAttemptSchema.index({ ip: 1, createdAt: -1 });
+loginAttemptSchema.index({ email: 1, createdAt: -1 });
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// Static: store one attempt from a request (never throws — auditing must not break login)
+loginAttemptSchema.statics.record = async function (req, { email, user, stage = "password", success, reason }) {
+  try {
+    await this.create({
+      email,
+      user: user?._id || user || null,
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+      stage,
+      success,
+      reason,
+    });
+  } catch (err) {
+    console.error("LoginAttempt record error:", err.message);
+  }
+};
+
+// Wrong passwords or codes; refused attempts (throttled, locked) do not extend the throttle
+export const CREDENTIAL_FAILURES = ["invalid-credentials", "invalid-code"];
+
+// Static: failed attempts from an IP since a date
+loginAttemptSchema.statics.countRecentFailuresByIp = function (ip, since) {
+  return this.countDocuments({ ip, reason: { $in: CREDENTIAL_FAILURES }, createdAt: { $gte: since } });
+};
+
+export default mongoose.model("LoginAttempt", loginAttemptSchema);
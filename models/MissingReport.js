@@ -0,0 +1,28 @@
+// models/MissingReport.js
+import mongoose from "mongoose";
+
+/**
+ * A working day on which an employee had no daily report.
+ * Created by jobs/missingReports.js once the day is over; the timestamps record
+ * who has been told so far (employee → team lead → admins).
+ */
+const missingReportSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    teamLead: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    date: { type: Date, required: true }, // start of the (local) day
+
+    consecutiveMisses: { type: Number, default: 1 }, // working days missed in a row, this one included
+
+    employeeNotifiedAt: { type: Date, default: null },
+    teamLeadNotifiedAt: { type: Date, default: null },
+    escalatedAt: { type: Date, default: null }, // admins notified
+  },
+  { timestamps: true }
+);
+
+missingReportSchema.index({ user: 1, date: 1 }, { unique: true });
+missingReportSchema.index({ teamLead: 1, date: -1 });
+missingReportSchema.index({ date: -1 });
+
+export default mongoose.model("MissingReport", missingReportSchema);
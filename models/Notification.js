@@ -1,4 +1,8 @@
 import mongoose from "mongoose";
+import { pushNotification } from "../utils/notificationStream.js";
+import { routeNotification, queueDigest } from "../utils/notificationPreferences.js";
+import { dispatchNotification } from "../utils/notificationChannels.js";
+import { NOTIFICATION_TYPES, NOTIFICATION_PRIORITIES } from "../config/notifications.js";
 
 const notificationSchema = new mongoose.Schema(
   {
@@ -18,7 +22,7 @@ const notificationSchema = new mongoose.Schema(
 
     type: {
       type: String,
-      enum: ["info", "warning", "alert", "task", "report", "asset"],
+      enum: NOTIFICATION_TYPES,
       default: "info",
       lowercase: true,
     },
@@ -32,7 +36,7 @@ const notificationSchema = new mongoose.Schema(
 
     priority: {
       type: String,
-      enum: ["low", "normal", "high", "urgent"],
+      enum: NOTIFICATION_PRIORITIES,
       default: "normal",
       lowercase: true,
     },
@@ -58,6 +62,21 @@ notificationSchema.index({ createdAt: -1 });
 notificationSchema.index({ type: 1 });
 notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
+// Push new notifications to connected receivers. Notifications built by send() only reach
+// the receivers whose preferences ask for immediate delivery ($locals.pushTo).
+notificationSchema.pre("save", function (next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+
+notificationSchema.post("save", function (doc) {
+  if (doc.$locals.wasNew) pushNotification(doc, doc.$locals.pushTo);
+});
+
+notificationSchema.post("insertMany", function (docs) {
+  docs.forEach((doc) => pushNotification(doc));
+});
+
 // Instance helper: mark read by a user
 notificationSchema.methods.markRead = function (userId) {
   const uid = userId.toString();
@@ -67,10 +86,23 @@ notificationSchema.methods.markRead = function (userId) {
   return this.save();
 };
 
-// Static helper: send notification
+// Static helper: send notification, honouring each receiver's preferences
+// (utils/notificationPreferences.js). Resolves to null when every receiver opted out.
 notificationSchema.statics.send = async function ({ sender, receivers, title, message, type, actionLink, meta, priority, expiresAt }) {
   if (!receivers || receivers.length === 0) throw new Error("Receivers required");
-  return this.create({ sender, receivers, title, message, type, actionLink, meta, priority, expiresAt });
+
+  const routing = await routeNotification({ sender, receivers, type, priority });
+  if (!routing.receivers.length) return null;
+
+  const notification = new this({ sender, receivers: routing.receivers, title, message, type, actionLink, meta, priority, expiresAt });
+  notification.$locals.pushTo = routing.immediate;
+  await notification.save();
+  await queueDigest(notification, routing.deferred);
+  // Email and webhook copies go out in the background
+  dispatchNotification(notification, { to: routing.immediate }).catch((err) =>
+    console.error("Notification delivery failed:", err.message)
+  );
+  return notification;
 };
 
 export default mongoose.model("Notification", notificationSchema);
@@ -0,0 +1,46 @@
+// models/NotificationDelivery.js
+import mongoose from "mongoose";
+
+export const DELIVERY_CHANNELS = ["email", "webhook"];
+export const DELIVERY_STATUSES = ["pending", "sent", "failed"];
+
+// One notification sent over one channel to one target, with every attempt logged.
+// Domain events posted to webhooks are deliveries too: `event` names them and `payload`
+// keeps the body, since there is no notification to rebuild it from.
+// Pending deliveries are retried with backoff (jobs/notificationDelivery.js) until
+// notifications.deliveryMaxAttempts, then marked failed.
+const notificationDeliverySchema = new mongoose.Schema(
+  {
+    notification: { type: mongoose.Schema.Types.ObjectId, ref: "Notification", default: null },
+    event: { type: String, default: null },
+    payload: { type: mongoose.Schema.Types.Mixed },
+    channel: { type: String, enum: DELIVERY_CHANNELS, required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // email receiver
+    webhook: { type: mongoose.Schema.Types.ObjectId, ref: "Webhook", default: null },
+    target: { type: String, required: true }, // email address or webhook URL at the time
+    locale: { type: String, default: null }, // language of an email's own wording (User.locale)
+
+    status: { type: String, enum: DELIVERY_STATUSES, default: "pending" },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    sentAt: Date,
+    lastError: String,
+
+    log: [
+      {
+        at: { type: Date, default: Date.now },
+        status: { type: String, enum: ["sent", "error"], required: true },
+        error: String,
+        responseStatus: Number,
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+notificationDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+notificationDeliverySchema.index({ notification: 1 });
+notificationDeliverySchema.index({ event: 1, createdAt: -1 });
+notificationDeliverySchema.index({ channel: 1, createdAt: -1 });
+
+export default mongoose.model("NotificationDelivery", notificationDeliverySchema);
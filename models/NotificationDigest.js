@@ -0,0 +1,22 @@
+// models/NotificationDigest.js
+import mongoose from "mongoose";
+
+// A notification held back for one receiver (digest mode or quiet hours) until dueAt,
+// then delivered as part of a digest by jobs/notificationDigest.js
+const notificationDigestSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    notification: { type: mongoose.Schema.Types.ObjectId, ref: "Notification", required: true },
+    reason: { type: String, enum: ["hourly", "daily", "quiet-hours"], required: true },
+    dueAt: { type: Date, required: true },
+    sentAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+notificationDigestSchema.index({ sentAt: 1, dueAt: 1 });
+notificationDigestSchema.index({ user: 1, sentAt: 1 });
+// Delivered entries are only kept for a month
+notificationDigestSchema.index({ sentAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60, partialFilterExpression: { sentAt: { $type: "date" } } });
+
+export default mongoose.model("NotificationDigest", notificationDigestSchema);
@@ -0,0 +1,80 @@
+// models/NotificationPreference.js
+import mongoose from "mongoose";
+import { NOTIFICATION_TYPES, NOTIFICATION_PRIORITIES, DELIVERY_MODES, priorityRank } from "../config/notifications.js";
+
+const HH_MM = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Per notification type: whether it is received at all, and how
+const typeSettingSchema = new mongoose.Schema(
+  {
+    enabled: { type: Boolean, default: true },
+    delivery: { type: String, enum: DELIVERY_MODES, default: "immediate" },
+  },
+  { _id: false }
+);
+
+// ----------------------
+// Main Preference Schema
+// ----------------------
+// One per user; a user without one receives everything immediately
+const notificationPreferenceSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, unique: true },
+
+    // Types not listed use the defaults of typeSettingSchema
+    types: { type: Map, of: typeSettingSchema, default: {} },
+
+    // Notifications below this priority are dropped
+    minPriority: { type: String, enum: NOTIFICATION_PRIORITIES, default: "low" },
+
+    // Immediate notifications sent in quiet hours wait until they end (may span midnight)
+    quietHours: {
+      enabled: { type: Boolean, default: false },
+      start: { type: String, default: "22:00", match: [HH_MM, "Use HH:MM"] },
+      end: { type: String, default: "07:00", match: [HH_MM, "Use HH:MM"] },
+    },
+
+    // Email copies of notifications (utils/notificationChannels.js); empty types = every type
+    email: {
+      enabled: { type: Boolean, default: false },
+      minPriority: { type: String, enum: NOTIFICATION_PRIORITIES, default: "high" },
+      types: [{ type: String, enum: NOTIFICATION_TYPES }],
+    },
+
+    timezone: {
+      type: String,
+      default: "UTC",
+      validate: { validator: isTimeZone, message: "Unknown time zone" },
+    },
+    dailyDigestHour: { type: Number, min: 0, max: 23, default: 9 }, // in timezone
+  },
+  { timestamps: true }
+);
+
+notificationPreferenceSchema.path("types").validate(function (types) {
+  return [...(types?.keys() || [])].every((type) => NOTIFICATION_TYPES.includes(type));
+}, `Types must be among ${NOTIFICATION_TYPES.join(", ")}`);
+
+// Instance: whether a notification should also be emailed
+notificationPreferenceSchema.methods.wantsEmail = function ({ type, priority }) {
+  if (!this.email?.enabled) return false;
+  if (this.email.types?.length && !this.email.types.includes(type || "info")) return false;
+  return priorityRank(priority) >= priorityRank(this.email.minPriority);
+};
+
+// Instance: settings for one notification type
+notificationPreferenceSchema.methods.settingsFor = function (type) {
+  const setting = this.types?.get(type || "info");
+  return { enabled: setting?.enabled ?? true, delivery: setting?.delivery || "immediate" };
+};
+
+export default mongoose.model("NotificationPreference", notificationPreferenceSchema);
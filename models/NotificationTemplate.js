@@ -0,0 +1,23 @@
+// models/NotificationTemplate.js
+import mongoose from "mongoose";
+import { EVENT_NAMES } from "../config/events.js";
+import { LOCALE_CODES, DEFAULT_LOCALE } from "../config/locales.js";
+
+// Admin override of the notification a domain event sends in one locale (defaults in
+// config/events.js). title/message use the same {{path}} placeholders; `enabled: false`
+// stops the event from notifying anyone in that locale (audit entries and webhooks still go out).
+const notificationTemplateSchema = new mongoose.Schema(
+  {
+    event: { type: String, enum: EVENT_NAMES, required: true },
+    locale: { type: String, enum: LOCALE_CODES, default: DEFAULT_LOCALE },
+    title: { type: String, trim: true, maxlength: 200 },
+    message: { type: String, trim: true, maxlength: 2000 },
+    enabled: { type: Boolean, default: true },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+notificationTemplateSchema.index({ event: 1, locale: 1 }, { unique: true });
+
+export default mongoose.model("NotificationTemplate", notificationTemplateSchema);
@@ -1,5 +1,7 @@
 // models/Project.js
 import mongoose from "mongoose";
+import { softDeletePlugin } from "../utils/softDelete.js";
+import { CURRENCY_CODES, DEFAULT_CURRENCY } from "../config/currencies.js";
 
 /* ---------------------------- SUB-SCHEMAS ---------------------------- */
 
@@ -20,10 +22,28 @@ const timeEntrySchema = new mongoose.Schema({
   approved: { type: Boolean, default: false },
   approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
   approvedAt: Date,
+  rejectedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  rejectedAt: Date,
+  rejectionReason: { type: String, trim: true },
+  reopenedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // admin who unlocked it last
+  reopenedAt: Date,
+  reopenReason: { type: String, trim: true },
+  invoice: { type: mongoose.Schema.Types.ObjectId, ref: "Invoice", default: null }, // set once billed
+  // Set on entries created when a timesheet is approved (utils/timesheets.js)
+  timesheet: { type: mongoose.Schema.Types.ObjectId, ref: "Timesheet", default: null },
+  timesheetEntry: { type: mongoose.Schema.Types.ObjectId, default: null },
   addedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
   addedAt: { type: Date, default: Date.now }
 });
 
+// pending → approved | rejected (see utils/timeEntries.js)
+timeEntrySchema.virtual("approvalStatus").get(function () {
+  if (this.approved) return "approved";
+  return this.rejectedAt ? "rejected" : "pending";
+});
+timeEntrySchema.set("toJSON", { virtuals: true });
+timeEntrySchema.set("toObject", { virtuals: true });
+
 // Milestone schema
 const milestoneSchema = new mongoose.Schema({
   title: { type: String, required: true, trim: true },
@@ -34,12 +54,16 @@ const milestoneSchema = new mongoose.Schema({
   status: { type: String, enum: ["pending", "in-progress", "completed", "overdue"], default: "pending" },
   completedDate: Date,
   completedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
-  order: { type: Number, default: 0 }
+  order: { type: Number, default: 0 },
+  invoice: { type: mongoose.Schema.Types.ObjectId, ref: "Invoice", default: null } // set once billed
 });
 
-// Payment schema
+// Payment schema (amount is in the currency the client paid in)
 const paymentSchema = new mongoose.Schema({
   amount: { type: Number, required: true, min: 0 },
+  currency: { type: String, enum: CURRENCY_CODES, uppercase: true }, // unset = project currency
+  exchangeRate: { type: Number, default: 1 }, // payment currency → project currency on paymentDate
+  projectAmount: Number, // amount × exchangeRate, what counts towards paidAmount
   paymentDate: { type: Date, default: Date.now },
   paymentMethod: {
     type: String,
@@ -49,25 +73,11 @@ const paymentSchema = new mongoose.Schema({
   transactionId: String,
   notes: String,
   milestoneId: { type: mongoose.Schema.Types.ObjectId },
+  invoiceId: { type: mongoose.Schema.Types.ObjectId, ref: "Invoice" }, // invoice the payment is applied to
   addedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
   addedAt: { type: Date, default: Date.now }
 });
 
-// Task schema
-const taskSchema = new mongoose.Schema({
-  title: { type: String, required: true, trim: true },
-  description: String,
-  assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
-  status: { type: String, enum: ["pending", "in-progress", "completed"], default: "pending" },
-  dueDate: Date,
-  completed: { type: Boolean, default: false },
-  milestoneId: { type: mongoose.Schema.Types.ObjectId },
-  estimatedHours: Number,
-  actualHours: { type: Number, default: 0 },
-  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
-  createdAt: { type: Date, default: Date.now }
-});
-
 /* ---------------------------- PROJECT SCHEMA ---------------------------- */
 const projectSchema = new mongoose.Schema({
   projectName: { type: String, required: true, trim: true, maxlength: 200 },
@@ -79,13 +89,15 @@ const projectSchema = new mongoose.Schema({
   projectPlatform: String,
   profile: String,
   budget: { type: Number, min: 0 },
+  // Currency of every amount on the project (fixedAmount, hourlyRate, milestones, totals)
+  currency: { type: String, enum: CURRENCY_CODES, uppercase: true, default: DEFAULT_CURRENCY },
   timeline: String,
 
   // Embedded subdocs
   timeEntries: [timeEntrySchema],
   milestones: [milestoneSchema],
   payments: [paymentSchema],
-  tasks: [taskSchema],
+  // Tasks live in the Task collection (see the "tasks" virtual below)
 
   status: {
     type: String,
@@ -99,7 +111,8 @@ const projectSchema = new mongoose.Schema({
   scopePolicy: String,
   hourlyRate: { type: Number, default: 0 },
   estimatedHours: { type: Number, default: 0 },
-  actualHours: { type: Number, default: 0 },
+  actualHours: { type: Number, default: 0 }, // timesheet hours + manual time entries
+  billableHours: { type: Number, default: 0 }, // approved hours; totalAmount of hourly projects
   totalAmount: { type: Number, default: 0 },
   paidAmount: { type: Number, default: 0 },
   pendingAmount: { type: Number, default: 0 },
@@ -108,6 +121,16 @@ const projectSchema = new mongoose.Schema({
   employees: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
   visibleToTeamLeads: { type: Boolean, default: true },
   progress: { type: Number, min: 0, max: 100, default: 0 },
+
+  // Cached counts of this project's tasks by status (kept in sync by the Task model)
+  taskSummary: {
+    pending: { type: Number, default: 0 },
+    "in-progress": { type: Number, default: 0 },
+    review: { type: Number, default: 0 },
+    completed: { type: Number, default: 0 },
+    blocked: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+  },
   technologies: [String],
 
   createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
@@ -129,6 +152,12 @@ const projectSchema = new mongoose.Schema({
     type: Date,
     required: false
   },
+
+  // When the project last moved to "completed" (kept by the hooks below)
+  completedAt: {
+    type: Date,
+    required: false
+  },
   
   // Release history tracking
   releaseHistory: [{
@@ -157,7 +186,79 @@ const projectSchema = new mongoose.Schema({
   // ... rest of existing fields ...
   
 
-}, { timestamps: true });
+}, { timestamps: true, toJSON: { virtuals: true }, toObject: { virtuals: true } });
+
+/* ---------------------- TASKS ---------------------- */
+// Virtual: the project's tasks from the Task collection (use .populate("tasks"))
+projectSchema.virtual("tasks", {
+  ref: "Task",
+  localField: "_id",
+  foreignField: "project",
+});
+
+// Static: recompute taskSummary and progress from the Task collection.
+// Projects without tasks keep their manually set progress.
+projectSchema.statics.syncTaskStats = async function (projectId) {
+  if (!projectId) return null;
+
+  const counts = await mongoose.model("Task").aggregate([
+    { $match: { project: new mongoose.Types.ObjectId(String(projectId)) } },
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+
+  const taskSummary = { pending: 0, "in-progress": 0, review: 0, completed: 0, blocked: 0, total: 0 };
+  counts.forEach(({ _id, count }) => {
+    taskSummary[_id || "pending"] = (taskSummary[_id || "pending"] || 0) + count;
+    taskSummary.total += count;
+  });
+
+  const update = { taskSummary };
+  if (taskSummary.total > 0) {
+    update.progress = Math.round((taskSummary.completed / taskSummary.total) * 100);
+  }
+
+  return this.updateOne({ _id: projectId }, update);
+};
+
+// Method: limited view for a specific employee (only their tasks)
+projectSchema.methods.forEmployee = async function (employeeId) {
+  const obj = this.toObject();
+  obj.tasks = await mongoose.model("Task")
+    .find({ project: this._id, assignedTo: employeeId })
+    .lean();
+  return obj;
+};
+
+// Ensure employees array uniqueness via pre-save:
+projectSchema.pre("save", function (next) {
+  if (Array.isArray(this.employees)) {
+    this.employees = [...new Set(this.employees.map((id) => id.toString()))];
+  }
+  next();
+});
+
+// Completion timestamp for saves and findByIdAndUpdate status changes
+projectSchema.pre("save", function (next) {
+  if (this.isModified("status")) {
+    this.completedAt = this.status === "completed" ? this.completedAt || new Date() : undefined;
+  }
+  next();
+});
+
+projectSchema.pre("findOneAndUpdate", async function () {
+  const update = this.getUpdate() || {};
+  const status = update.$set?.status ?? update.status;
+  if (status === undefined) return;
+
+  const current = await this.model.findOne(this.getFilter()).select("status").lean();
+  if (!current || current.status === status) return;
+  this.set("completedAt", status === "completed" ? new Date() : null);
+});
+
+// Analytics (time-bucketed dashboard series)
+projectSchema.index({ createdAt: 1 });
+projectSchema.index({ status: 1, completedAt: 1 });
+projectSchema.index({ "payments.paymentDate": 1 });
 
 /* ---------------------- METHODS ---------------------- */
 // Add Payment
@@ -191,11 +292,9 @@ projectSchema.methods.deletePayment = function (paymentId) {
 };
 
 // Add / Update / Delete Time Entry
+// Hours and totals are derived from timesheets and entries (utils/timeEntries.js refreshProjectHours)
 projectSchema.methods.addTimeEntry = function (entryData, userId) {
   this.timeEntries.push({ ...entryData, addedBy: userId });
-  this.actualHours += entryData.hours || 0;
-  this.totalAmount = this.hourlyRate * this.actualHours;
-  this.pendingAmount = this.totalAmount - this.paidAmount;
   return this.save();
 };
 
@@ -209,10 +308,7 @@ projectSchema.methods.updateTimeEntry = function (entryId, updateData) {
 projectSchema.methods.deleteTimeEntry = function (entryId) {
   const entry = this.timeEntries.id(entryId);
   if (!entry) throw new Error("Time entry not found");
-  this.actualHours -= entry.hours || 0;
   entry.deleteOne();
-  this.totalAmount = this.hourlyRate * this.actualHours;
-  this.pendingAmount = this.totalAmount - this.paidAmount;
   return this.save();
 };
 
@@ -241,6 +337,10 @@ projectSchema.methods.deleteMilestone = function (milestoneId) {
   return this.save();
 };
 
+/* ---------------------- SOFT DELETE ---------------------- */
+// isDeleted/deletedAt; payments, time entries and milestones stay embedded while in trash
+projectSchema.plugin(softDeletePlugin);
+
 /* ---------------------- EXPORT MODELS ---------------------- */
 export const Project = mongoose.model("Project", projectSchema);
 
@@ -267,36 +367,5 @@ export const ProjectGroup = mongoose.model(
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }
   }, { timestamps: true })
 );
-// (use your full Project.js content; add the following snippets into it)
-
-// Ensure employees array uniqueness via pre-save:
-projectSchema.pre("save", function (next) {
-  if (Array.isArray(this.employees)) {
-    this.employees = [...new Set(this.employees.map((id) => id.toString()))];
-  }
-  next();
-});
-
-// Virtual: task counts by status (counts tasks subdocuments if embedded)
-projectSchema.virtual("taskSummary").get(function () {
-  const summary = { pending: 0, "in-progress": 0, completed: 0, review: 0, blocked: 0 };
-  if (Array.isArray(this.tasks)) {
-    this.tasks.forEach((t) => {
-      const s = t.status || "pending";
-      summary[s] = (summary[s] || 0) + 1;
-    });
-  }
-  return summary;
-});
-
-// Method: return limited view for a specific employee (filters tasks)
-projectSchema.methods.forEmployee = function (employeeId) {
-  const obj = this.toObject();
-  // If tasks are embedded:
-  if (Array.isArray(obj.tasks)) {
-    obj.tasks = obj.tasks.filter((t) => String(t.assignedTo) === String(employeeId));
-  }
-  return obj;
-};
 
 export default Project;
@@ -1,5 +1,6 @@
 // models/Report.js
 import mongoose from "mongoose";
+import { softDeletePlugin } from "../utils/softDelete.js";
 
 // ----------------------
 // Feedback Subdocument
@@ -17,6 +18,7 @@ const feedbackSchema = new mongoose.Schema(
 // ----------------------
 // Submission History Subdocument
 // ----------------------
+// One entry per transition: submissions/forwards and, under a workflow, every decision
 const submissionHistorySchema = new mongoose.Schema(
   {
     submittedBy: {
@@ -34,30 +36,121 @@ const submissionHistorySchema = new mongoose.Schema(
     },
     fromRole: {
       type: String,
-      enum: ["employee", "teamlead", "admin"],
+      lowercase: true,
       required: true
     },
     toRole: {
       type: String,
-      enum: ["employee", "teamlead", "admin"],
-      required: true
-    }
+      lowercase: true
+    },
+    action: {
+      type: String,
+      enum: ["submitted", "resubmitted", "approved", "forwarded", "changes-requested", "rejected"],
+      default: "submitted"
+    },
+    stage: { type: String, trim: true }, // workflow stage the transition happened in
+    fromStatus: { type: String },
+    toStatus: { type: String },
+    comment: { type: String, trim: true }
   },
   { _id: true }
 );
 
+// ----------------------
+// Workflow State Subdocument
+// ----------------------
+const workflowApprovalSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    approvedAt: { type: Date, default: Date.now },
+    comment: { type: String, trim: true },
+  },
+  { _id: false }
+);
+
+const workflowStateSchema = new mongoose.Schema(
+  {
+    workflow: { type: mongoose.Schema.Types.ObjectId, ref: "ReportWorkflow", required: true },
+    name: String,
+    stageIndex: { type: Number, default: 0 },
+    stageName: String,
+    approvers: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }], // resolved for the current stage
+    approvals: [workflowApprovalSchema], // sign-offs in the current stage
+    startedAt: Date,
+    completedAt: Date, // approved or rejected
+  },
+  { _id: false }
+);
+
+// ----------------------
+// Roll-up Subdocuments (weekly / monthly team reports)
+// ----------------------
+const rollupMemberSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    name: String,
+    dailyReports: { type: Number, default: 0 },
+    tasksCompleted: { type: Number, default: 0 },
+    tasksPending: { type: Number, default: 0 },
+    timesheetHours: { type: Number, default: 0 },
+    timeEntryHours: { type: Number, default: 0 },
+    hoursLogged: { type: Number, default: 0 },
+    ratingCount: { type: Number, default: 0 },
+    averageRating: { type: Number, default: null },
+  },
+  { _id: false }
+);
+
+const rollupSchema = new mongoose.Schema(
+  {
+    sources: [{ type: mongoose.Schema.Types.ObjectId, ref: "Report" }], // daily reports combined
+    members: [rollupMemberSchema],
+    totals: {
+      members: { type: Number, default: 0 },
+      dailyReports: { type: Number, default: 0 },
+      tasksCompleted: { type: Number, default: 0 },
+      tasksPending: { type: Number, default: 0 },
+      hoursLogged: { type: Number, default: 0 },
+      ratingCount: { type: Number, default: 0 },
+      averageRating: { type: Number, default: null },
+    },
+    generatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    generatedAt: Date,
+  },
+  { _id: false }
+);
+
+// ----------------------
+// Template Answer Subdocument
+// ----------------------
+// label/type are copied from the template so old reports stay readable after it changes
+const answerSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    label: String,
+    type: { type: String, enum: ["text", "number", "task", "rating", "checklist"], required: true },
+    value: mongoose.Schema.Types.Mixed,
+  },
+  { _id: false }
+);
+
 // ----------------------
 // Main Report Schema
 // ----------------------
 const reportSchema = new mongoose.Schema(
   {
-    type: { type: String, enum: ["daily", "monthly"], required: true },
+    type: { type: String, enum: ["daily", "weekly", "monthly"], required: true },
 
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
     forUser: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
 
     content: { type: String, required: true, trim: true },
 
+    // Structured answers when the report was filled in from a template
+    template: { type: mongoose.Schema.Types.ObjectId, ref: "ReportTemplate", default: null },
+    templateVersion: Number,
+    answers: { type: [answerSchema], default: undefined },
+
     tasksCompleted: { type: Number, default: 0, min: 0 },
     tasksPending: { type: Number, default: 0, min: 0 },
 
@@ -77,11 +170,18 @@ const reportSchema = new mongoose.Schema(
 
     status: {
       type: String,
-      enum: ["submitted", "reviewed", "approved"],
+      enum: ["submitted", "reviewed", "approved", "changes-requested", "rejected"],
       default: "submitted",
     },
 
-    parentReport: { type: mongoose.Schema.Types.ObjectId, ref: "Report" },
+    parentReport: { type: mongoose.Schema.Types.ObjectId, ref: "Report" }, // roll-up this report is part of
+
+    // Weekly / monthly roll-ups only
+    period: {
+      start: Date,
+      end: Date, // exclusive
+    },
+    rollup: { type: rollupSchema, default: null },
 
     // Submission and forwarding fields
     forwardedTo: [{
@@ -90,6 +190,7 @@ const reportSchema = new mongoose.Schema(
     }],
     submittedAt: { type: Date },
     submissionHistory: [submissionHistorySchema],
+    workflow: { type: workflowStateSchema, default: null }, // set while a ReportWorkflow drives the report
 
     // Existing fields
     attachments: [
@@ -117,6 +218,10 @@ reportSchema.index({ status: 1 });
 reportSchema.index({ forwardedTo: 1 });
 reportSchema.index({ "submissionHistory.submittedBy": 1 });
 reportSchema.index({ "submissionHistory.submittedTo": 1 });
+reportSchema.index({ parentReport: 1 });
+reportSchema.index({ "workflow.approvers": 1, status: 1 });
+reportSchema.index({ template: 1, createdAt: -1 });
+reportSchema.index({ type: 1, forUser: 1, "period.start": 1 });
 
 // ----------------------
 // Virtual for getting current forwarded users
@@ -127,6 +232,15 @@ reportSchema.virtual('currentForwardedUsers', {
   foreignField: '_id'
 });
 
+// ----------------------
+// Virtual: reports rolled up into this one
+// ----------------------
+reportSchema.virtual('childReports', {
+  ref: 'Report',
+  localField: '_id',
+  foreignField: 'parentReport'
+});
+
 // ----------------------
 // Instance method to add submission to history
 // ----------------------
@@ -159,4 +273,9 @@ reportSchema.methods.getLatestSubmission = function() {
   return this.submissionHistory[this.submissionHistory.length - 1];
 };
 
+// ----------------------
+// Soft delete (isDeleted/deletedAt, hidden from default queries)
+// ----------------------
+reportSchema.plugin(softDeletePlugin);
+
 export default mongoose.model("Report", reportSchema);
\ No newline at end of file
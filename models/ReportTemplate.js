@@ -0,0 +1,87 @@
+// models/ReportTemplate.js
+import mongoose from "mongoose";
+
+export const FIELD_TYPES = ["text", "number", "task", "rating", "checklist"];
+
+// ----------------------
+// Field Subdocument
+// ----------------------
+// rules by type:
+//   text      minLength, maxLength, pattern
+//   number    min, max, integer
+//   task      multiple (list of task ids instead of one)
+//   rating    scale (1..scale, default 5)
+//   checklist options (required), minSelected, maxSelected
+const fieldSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+      match: [/^[a-zA-Z][a-zA-Z0-9_]*$/, "Field keys may only contain letters, digits and underscores"],
+    },
+    label: { type: String, required: true, trim: true },
+    type: { type: String, enum: FIELD_TYPES, required: true },
+    required: { type: Boolean, default: false },
+    helpText: { type: String, trim: true },
+    rules: {
+      minLength: Number,
+      maxLength: Number,
+      pattern: String,
+      min: Number,
+      max: Number,
+      integer: Boolean,
+      multiple: Boolean,
+      scale: Number,
+      options: [{ type: String, trim: true }],
+      minSelected: Number,
+      maxSelected: Number,
+    },
+  },
+  { _id: false }
+);
+
+// ----------------------
+// Main Template Schema
+// ----------------------
+const reportTemplateSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    description: { type: String, trim: true },
+    reportType: { type: String, enum: ["daily", "weekly", "monthly"], required: true },
+
+    // Team the template applies to (members of this team lead); null = every team without its own
+    teamLead: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+
+    fields: {
+      type: [fieldSchema],
+      validate: {
+        validator: (arr) => Array.isArray(arr) && arr.length > 0 && new Set(arr.map((f) => f.key)).size === arr.length,
+        message: "A template needs at least one field and field keys must be unique",
+      },
+    },
+
+    version: { type: Number, default: 1 }, // bumped whenever fields change; reports keep the version they used
+    isActive: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+// One active template per report type and team
+reportTemplateSchema.index(
+  { reportType: 1, teamLead: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+// Static: template a user fills in for a report type (own team's, else the shared one)
+reportTemplateSchema.statics.activeFor = async function (reportType, user) {
+  const teamLead = user?.teamLead?._id ?? user?.teamLead ?? null;
+  const candidates = await this.find({ reportType, isActive: true, teamLead: { $in: [teamLead, null] } });
+  return candidates.find((t) => teamLead && String(t.teamLead) === String(teamLead)) ||
+    candidates.find((t) => !t.teamLead) ||
+    null;
+};
+
+export default mongoose.model("ReportTemplate", reportTemplateSchema);
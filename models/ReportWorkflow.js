@@ -0,0 +1,55 @@
+// models/ReportWorkflow.js
+import mongoose from "mongoose";
+
+// ----------------------
+// Stage Subdocument
+// ----------------------
+// Approvers of a stage = approverUsers + active users holding one of approverRoles
+// (+ the author's team lead when includeTeamLead). The author never approves their own report.
+const stageSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    approverRoles: [{ type: String, lowercase: true, trim: true }],
+    approverUsers: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    includeTeamLead: { type: Boolean, default: false },
+
+    // "any": one approval moves the report on; "all": every approver signs off (parallel)
+    signOff: { type: String, enum: ["any", "all"], default: "any" },
+  },
+  { _id: true }
+);
+
+// ----------------------
+// Main Workflow Schema
+// ----------------------
+const reportWorkflowSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    description: { type: String, trim: true },
+    reportType: { type: String, enum: ["daily", "weekly", "monthly"], required: true },
+    stages: {
+      type: [stageSchema],
+      validate: {
+        validator: (arr) => Array.isArray(arr) && arr.length > 0,
+        message: "A workflow needs at least one stage",
+      },
+    },
+    isActive: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+// One active workflow per report type
+reportWorkflowSchema.index(
+  { reportType: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+// Static: the workflow currently used for a report type (or null)
+reportWorkflowSchema.statics.activeFor = function (reportType) {
+  return this.findOne({ reportType, isActive: true });
+};
+
+export default mongoose.model("ReportWorkflow", reportWorkflowSchema);
@@ -0,0 +1,34 @@
+// models/Role.js
+import mongoose from "mongoose";
+import { isValidPermission } from "../config/permissions.js";
+
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Role name is required"],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z][a-z0-9_-]{1,31}$/, "Role name must be 2-32 characters: letters, digits, - or _"],
+    },
+    description: { type: String, trim: true, default: "" },
+
+    permissions: {
+      type: [String],
+      default: [],
+      validate: {
+        validator: (perms) => perms.every(isValidPermission),
+        message: "Role contains an unknown permission",
+      },
+    },
+
+    // Built-in roles cannot be deleted or renamed
+    isSystem: { type: Boolean, default: false },
+
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("Role", roleSchema);
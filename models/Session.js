@@ -0,0 +1,72 @@
+// models/Session.js
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+
+    // sha256 of the current refresh token secret (rotated on every refresh)
+    refreshTokenHash: { type: String, required: true },
+
+    userAgent: { type: String, trim: true },
+    ip: { type: String, trim: true },
+
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String, trim: true },
+  },
+  { timestamps: true }
+);
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual: usable session
+sessionSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Instance: issue a fresh refresh token, returns "<sessionId>.<secret>"
+sessionSchema.methods.rotateRefreshToken = function () {
+  const secret = crypto.randomBytes(48).toString("hex");
+  this.refreshTokenHash = hashToken(secret);
+  this.lastUsedAt = new Date();
+  return `${this._id}.${secret}`;
+};
+
+// Instance: compare a presented secret with the stored hash
+sessionSchema.methods.matchesRefreshToken = function (secret) {
+  const presented = Buffer.from(hashToken(secret));
+  const stored = Buffer.from(this.refreshTokenHash);
+  return presented.length === stored.length && crypto.timingSafeEqual(presented, stored);
+};
+
+// Instance: revoke
+sessionSchema.methods.revoke = function (reason = "revoked") {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Static: revoke every active session of a user (optionally keeping one)
+sessionSchema.statics.revokeAllForUser = function (userId, reason = "revoked", exceptSessionId = null) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  return this.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+// Static: split "<sessionId>.<secret>"
+sessionSchema.statics.parseRefreshToken = function (token) {
+  if (!token || typeof token !== "string") return null;
+  const [sessionId, secret] = token.split(".");
+  if (!sessionId || !secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+export default mongoose.model("Session", sessionSchema);
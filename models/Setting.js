@@ -0,0 +1,37 @@
+// models/Setting.js
+import mongoose from "mongoose";
+import { SETTINGS } from "../config/settings.js";
+
+const settingSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true, trim: true },
+    value: { type: mongoose.Schema.Types.Mixed },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+// Static: read a setting, falling back to its default from config/settings.js
+settingSchema.statics.getValue = async function (key) {
+  const doc = await this.findOne({ key }).lean();
+  if (doc) return doc.value;
+  return SETTINGS[key]?.default;
+};
+
+// Static: read several settings at once → { key: value }
+settingSchema.statics.getValues = async function (keys) {
+  const docs = await this.find({ key: { $in: keys } }).lean();
+  const stored = Object.fromEntries(docs.map((d) => [d.key, d.value]));
+  return Object.fromEntries(keys.map((key) => [key, key in stored ? stored[key] : SETTINGS[key]?.default]));
+};
+
+// Static: upsert a setting
+settingSchema.statics.setValue = function (key, value, userId) {
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedBy: userId },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+export default mongoose.model("Setting", settingSchema);
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { softDeletePlugin } from "../utils/softDelete.js";
 
 // Log and employeeResponse remain mostly as you wrote them
 const logSchema = new mongoose.Schema(
@@ -51,11 +52,16 @@ const taskSchema = new mongoose.Schema(
 
     dueDate: Date,
     estimatedStartDate: Date,
+    estimatedHours: Number,
+    milestoneId: { type: mongoose.Schema.Types.ObjectId }, // milestone of the project this task delivers
     projectLink: { type: String, trim: true },
 
     // Attachments (store path/URL or GridFS ref)
     attachments: [{ filename: String, url: String, uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, uploadedAt: Date }],
 
+    // Prerequisites: tasks of the same project that must be completed before this one starts
+    dependsOn: [{ type: mongoose.Schema.Types.ObjectId, ref: "Task" }],
+
     // Tags/labels and blockers
     labels: [String],
     blockers: [{ message: String, reportedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, createdAt: Date }],
@@ -64,9 +70,12 @@ const taskSchema = new mongoose.Schema(
     employeeResponses: [employeeResponseSchema],
 
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    completedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    completedAt: Date,
+    startedAt: Date, // first move to in-progress (cycle time = completedAt - startedAt)
 
     // cached / derived field for quick reads
-    actualHours: { type: Number, default: 0 }, // hours computed from logs (minutes -> hours)
+    actualHours: { type: Number, default: 0 }, // timesheet hours on this task (utils/timesheets.js)
   },
   { timestamps: true }
 );
@@ -75,19 +84,75 @@ const taskSchema = new mongoose.Schema(
 taskSchema.index({ project: 1 });
 taskSchema.index({ assignedTo: 1 });
 taskSchema.index({ status: 1 });
+taskSchema.index({ dependsOn: 1 });
+taskSchema.index({ status: 1, completedAt: -1 });
+taskSchema.index({ dueDate: 1, status: 1 });
+
+// Status timestamps used by the analytics dashboard
+taskSchema.pre("save", function (next) {
+  if (this.isModified("status")) {
+    if (this.status === "in-progress" && !this.startedAt) this.startedAt = new Date();
+    if (this.status === "completed" && !this.completedAt) this.completedAt = new Date();
+    if (this.status !== "completed" && this.completedAt) this.completedAt = undefined;
+  }
+  next();
+});
 
-// Instance: add a log (keeps actualHours in sync)
+// Instance: add a log. Hours are counted from timesheets (utils/timesheets.js logTaskTime)
 taskSchema.methods.addLog = async function (logData) {
   this.logs.push(logData);
-  // update actualHours in hours
-  const totalMinutes = this.logs.reduce((sum, l) => sum + (l.totalTime || 0), 0);
-  this.actualHours = Math.round((totalMinutes / 60) * 100) / 100; // 2 decimal hours
   return this.save();
 };
 
+// Instance: prerequisites that are not completed yet
+taskSchema.methods.incompletePrerequisites = function () {
+  if (!this.dependsOn?.length) return Promise.resolve([]);
+  return this.constructor
+    .find({ _id: { $in: this.dependsOn }, status: { $ne: "completed" } })
+    .select("title status assignedTo")
+    .lean();
+};
+
 // Instance: calculate total logged minutes (utility)
 taskSchema.methods.totalLoggedMinutes = function () {
   return this.logs.reduce((sum, l) => sum + (l.totalTime || 0), 0);
 };
 
+// Soft delete (isDeleted/deletedAt, hidden from default queries)
+taskSchema.plugin(softDeletePlugin);
+
+/* Keep Project.taskSummary / progress in sync with this collection */
+const syncProjects = (...projectIds) => {
+  const ids = [...new Set(projectIds.filter(Boolean).map(String))];
+  return Promise.all(ids.map((id) => mongoose.model("Project").syncTaskStats(id))).catch((err) =>
+    console.error("Project task stats sync error:", err.message)
+  );
+};
+
+// Remember the project a task was loaded with, so moving it recounts both projects
+taskSchema.post("init", function (doc) {
+  doc.$locals.loadedProject = doc.project;
+});
+
+taskSchema.post("save", async function (doc) {
+  await syncProjects(doc.project, doc.$locals.loadedProject);
+  doc.$locals.loadedProject = doc.project;
+});
+
+taskSchema.post("findOneAndUpdate", async function (doc) {
+  if (doc) await syncProjects(doc.project);
+});
+
+// Bulk updates are recounted when they target a single project
+taskSchema.post(["updateMany", "updateOne"], async function () {
+  const { project } = this.getFilter();
+  if (typeof project === "string" || project instanceof mongoose.Types.ObjectId) {
+    await syncProjects(project);
+  }
+});
+
+taskSchema.post("insertMany", async function (docs) {
+  await syncProjects(...docs.map((d) => d.project));
+});
+
 export default mongoose.model("Task", taskSchema);
@@ -0,0 +1,110 @@
+// models/Timesheet.js
+import mongoose from "mongoose";
+
+export const TIMESHEET_STATUSES = ["draft", "submitted", "approved", "rejected"];
+export const ENTRY_SOURCES = ["manual", "task-log", "import"];
+
+// Monday 00:00 (server time) of the week a date falls in
+export const weekStartOf = (date = new Date()) => {
+  const d = new Date(date);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate() - ((d.getDay() + 6) % 7));
+};
+
+// ----------------------
+// Entry Subdocument
+// ----------------------
+// One block of work on a day; task is optional (meetings, support), project is not
+const entrySchema = new mongoose.Schema(
+  {
+    date: { type: Date, required: true },
+    project: { type: mongoose.Schema.Types.ObjectId, ref: "Project", required: true },
+    task: { type: mongoose.Schema.Types.ObjectId, ref: "Task", default: null },
+    hours: { type: Number, required: true, min: [0.01, "Hours must be positive"], max: 24 },
+    description: { type: String, required: true, trim: true },
+    taskType: {
+      type: String,
+      enum: [
+        "development", "testing", "design", "meeting",
+        "research", "documentation", "bug-fixing", "deployment"
+      ],
+      default: "development",
+    },
+    billable: { type: Boolean, default: true },
+    startTime: Date,
+    endTime: Date,
+    source: { type: String, enum: ENTRY_SOURCES, default: "manual" },
+  },
+  { timestamps: true }
+);
+
+// ----------------------
+// Main Timesheet Schema
+// ----------------------
+// One per user and week; entries are edited while draft or rejected, then submitted for approval
+const timesheetSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    weekStart: { type: Date, required: true }, // Monday, see weekStartOf
+    entries: [entrySchema],
+
+    status: { type: String, enum: TIMESHEET_STATUSES, default: "draft" },
+    approver: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // team lead at submission
+    submittedAt: Date,
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewedAt: Date,
+    reviewComment: { type: String, trim: true },
+
+    history: [
+      {
+        action: { type: String, enum: ["submitted", "approved", "rejected", "reopened"], required: true },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+        comment: { type: String, trim: true },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+timesheetSchema.index({ user: 1, weekStart: 1 }, { unique: true });
+timesheetSchema.index({ status: 1, approver: 1 });
+timesheetSchema.index({ "entries.task": 1 });
+timesheetSchema.index({ "entries.project": 1 });
+
+// Every entry must fall inside the sheet's week
+timesheetSchema.pre("validate", function (next) {
+  if (this.weekStart) {
+    const end = new Date(this.weekStart.getFullYear(), this.weekStart.getMonth(), this.weekStart.getDate() + 7);
+    this.entries.forEach((entry, i) => {
+      if (entry.date < this.weekStart || entry.date >= end) {
+        this.invalidate(`entries.${i}.date`, "Entry date is outside the timesheet week");
+      }
+    });
+  }
+  next();
+});
+
+// Virtual: hours on the sheet
+timesheetSchema.virtual("totalHours").get(function () {
+  return Math.round(this.entries.reduce((sum, e) => sum + (e.hours || 0), 0) * 100) / 100;
+});
+
+// Instance: whether the owner may still change entries
+timesheetSchema.methods.isEditable = function () {
+  return this.status === "draft" || this.status === "rejected";
+};
+
+// Static: the user's sheet for the week of a date (created empty when missing)
+timesheetSchema.statics.forWeek = async function (userId, date) {
+  const weekStart = weekStartOf(date);
+  return this.findOneAndUpdate(
+    { user: userId, weekStart },
+    { $setOnInsert: { user: userId, weekStart, status: "draft", entries: [] } },
+    { new: true, upsert: true }
+  );
+};
+
+timesheetSchema.set("toJSON", { virtuals: true });
+timesheetSchema.set("toObject", { virtuals: true });
+
+export default mongoose.model("Timesheet", timesheetSchema);
@@ -1,6 +1,10 @@
 // models/User.js
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import crypto from "crypto";
+import { isKnownRole } from "../utils/permissions.js";
+import { softDeletePlugin } from "../utils/softDelete.js";
+import { LOCALE_CODES, DEFAULT_LOCALE } from "../config/locales.js";
 
 const userSchema = new mongoose.Schema(
   {
@@ -28,10 +32,16 @@ const userSchema = new mongoose.Schema(
       minlength: [6, "Password must be at least 6 characters"],
     },
 
+    // Any role defined in the Role collection / config/permissions.js
     role: {
       type: String,
-      enum: ["admin", "teamlead", "employee"],
+      lowercase: true,
+      trim: true,
       default: "employee",
+      validate: {
+        validator: (value) => isKnownRole(value),
+        message: (props) => `Unknown role "${props.value}"`,
+      },
     },
 
     cnic: {
@@ -71,7 +81,25 @@ const userSchema = new mongoose.Schema(
     resetPasswordToken: String,
     resetPasswordExpire: Date,
 
+    // TOTP two-factor auth (secrets encrypted, recovery codes hashed — see utils/totp.js)
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, select: false },
+      pendingSecret: { type: String, select: false },
+      recoveryCodes: { type: [String], select: false, default: undefined },
+      enabledAt: { type: Date, default: null },
+      lastUsedStep: { type: Number, default: null }, // TOTP time step of the last accepted code (replay guard)
+    },
+
     lastLogin: { type: Date, default: null },
+
+    // Brute-force protection (see authController.login)
+    lockout: {
+      failedAttempts: { type: Number, default: 0 },
+      lockCount: { type: Number, default: 0 }, // consecutive locks, drives the backoff
+      lockedUntil: { type: Date, default: null },
+      lastFailedAt: { type: Date, default: null },
+    },
     profilePicture: { type: String, default: null },
 
     // ✅ Extra fields
@@ -84,9 +112,12 @@ const userSchema = new mongoose.Schema(
     },
     lastSeen: { type: Date, default: null },
 
+    // Language of the notifications and emails the user receives (config/locales.js)
+    locale: { type: String, enum: LOCALE_CODES, default: DEFAULT_LOCALE },
+
     roleHistory: [
       {
-        role: { type: String, enum: ["admin", "teamlead", "employee"] },
+        role: { type: String },
         changedAt: { type: Date, default: Date.now },
         changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
         reason: String,
@@ -137,16 +168,76 @@ userSchema.pre("save", async function (next) {
   next();
 });
 
+// Virtual: account currently locked
+userSchema.virtual("isLocked").get(function () {
+  return !!(this.lockout?.lockedUntil && this.lockout.lockedUntil > new Date());
+});
+
 // Methods
 userSchema.methods.matchPassword = async function (enteredPassword) {
   return bcrypt.compare(enteredPassword, this.password);
 };
 
+// Generate a single-use reset token; only its sha256 hash is stored
+userSchema.methods.createPasswordResetToken = function (ttlMinutes = 15) {
+  const resetToken = crypto.randomBytes(32).toString("hex");
+  this.resetPasswordToken = crypto.createHash("sha256").update(resetToken).digest("hex");
+  this.resetPasswordExpire = new Date(Date.now() + ttlMinutes * 60 * 1000);
+  return resetToken;
+};
+
+// Count a failed login; locks the account once `threshold` is reached.
+// Lock length = baseMinutes * 2^(previous locks), capped at maxMinutes. Returns lockedUntil or null.
+// Both steps are single atomic updates so parallel bad passwords cannot skip past the threshold.
+userSchema.methods.registerFailedLogin = async function ({ threshold, baseMinutes, maxMinutes }) {
+  const User = this.constructor;
+  const now = new Date();
+
+  let current = await User.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { "lockout.failedAttempts": 1 }, $set: { "lockout.lastFailedAt": now } },
+    { new: true, projection: { lockout: 1 } }
+  ).lean();
+  if (!current) return null;
+
+  if (current.lockout.failedAttempts >= threshold) {
+    const lockCount = current.lockout.lockCount || 0;
+    const minutes = Math.min(baseMinutes * 2 ** lockCount, maxMinutes);
+    // Only the request that reaches the threshold first applies the lock
+    const locked = await User.findOneAndUpdate(
+      { _id: this._id, "lockout.failedAttempts": { $gte: threshold }, "lockout.lockCount": lockCount },
+      {
+        $set: { "lockout.lockedUntil": new Date(now.getTime() + minutes * 60 * 1000), "lockout.failedAttempts": 0 },
+        $inc: { "lockout.lockCount": 1 },
+      },
+      { new: true, projection: { lockout: 1 } }
+    ).lean();
+    current = locked || (await User.findById(this._id).select("lockout").lean()) || current;
+  }
+
+  // Keep this document in step without marking it modified
+  this.set("lockout", current.lockout);
+  this.unmarkModified("lockout");
+  return this.isLocked ? this.lockout.lockedUntil : null;
+};
+
+// Clear lockout state (successful login or admin unlock)
+userSchema.methods.resetLoginFailures = function () {
+  this.lockout.failedAttempts = 0;
+  this.lockout.lockCount = 0;
+  this.lockout.lockedUntil = null;
+};
+
 userSchema.methods.safeProfile = function () {
   const u = this.toObject();
   delete u.password;
   delete u.resetPasswordToken;
   delete u.resetPasswordExpire;
+  if (u.twoFactor) {
+    delete u.twoFactor.secret;
+    delete u.twoFactor.pendingSecret;
+    delete u.twoFactor.recoveryCodes;
+  }
   return u;
 };
 
@@ -167,4 +258,13 @@ userSchema.statics.findTeamMembers = function (teamLeadId) {
   }).select("-password");
 };
 
+// A trashed account still holding this email or CNIC (both stay unique until it is purged)
+userSchema.statics.findTrashedWith = function ({ email, cnic }) {
+  const holders = [email && { email }, cnic && { cnic }].filter(Boolean);
+  return holders.length ? this.findOne({ isDeleted: true, $or: holders }) : null;
+};
+
+// Soft delete (isDeleted/deletedAt, hidden from default queries)
+userSchema.plugin(softDeletePlugin);
+
 export default mongoose.model("User", userSchema);
@@ -0,0 +1,49 @@
+// models/Webhook.js
+import mongoose from "mongoose";
+import { NOTIFICATION_TYPES, NOTIFICATION_PRIORITIES } from "../config/notifications.js";
+import { EVENT_NAMES } from "../config/events.js";
+
+export const WEBHOOK_FORMATS = ["slack", "generic"];
+
+// Outbound endpoint notifications and domain events are posted to (utils/notificationChannels.js)
+//   slack    Slack-compatible incoming webhook: { text }
+//   generic  JSON { event: "notification", notification } or { event: <name>, data } for domain
+//            events; signed with X-Webhook-Signature when a secret is set
+const webhookSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+      match: [/^https?:\/\/\S+$/i, "Webhook URL must be http(s)"],
+    },
+    format: { type: String, enum: WEBHOOK_FORMATS, default: "generic" },
+    secret: { type: String, select: false },
+
+    // Which notifications are posted: empty types = every type
+    types: [{ type: String, enum: NOTIFICATION_TYPES }],
+    minPriority: { type: String, enum: NOTIFICATION_PRIORITIES, default: "high" },
+
+    // Domain events posted as they happen (config/events.js); empty = none
+    events: [{ type: String, enum: EVENT_NAMES }],
+
+    active: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+webhookSchema.index({ active: 1 });
+webhookSchema.index({ events: 1 });
+
+// The signing secret never leaves the server
+webhookSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.secret;
+    return ret;
+  },
+});
+
+export default mongoose.model("Webhook", webhookSchema);
@@ -0,0 +1,60 @@
+// models/WorkCalendar.js
+import mongoose from "mongoose";
+
+// Local calendar day key, e.g. "2025-03-23"
+export const dayKey = (date) => {
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+export const DEFAULT_WORKING_DAYS = [1, 2, 3, 4, 5]; // Monday–Friday (Date#getDay)
+
+const holidaySchema = new mongoose.Schema(
+  {
+    date: { type: Date, required: true },
+    name: { type: String, trim: true },
+  },
+  { _id: false }
+);
+
+/**
+ * Working days of a team (teamLead) — used to decide on which days a daily report is due.
+ * The calendar with teamLead = null is the organisation default for teams without their own.
+ */
+const workCalendarSchema = new mongoose.Schema(
+  {
+    teamLead: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    workingDays: {
+      type: [{ type: Number, min: 0, max: 6 }],
+      default: () => [...DEFAULT_WORKING_DAYS],
+    },
+    holidays: [holidaySchema],
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+workCalendarSchema.index({ teamLead: 1 }, { unique: true });
+
+// Instance: is a daily report due on this date?
+workCalendarSchema.methods.isWorkingDay = function (date) {
+  const d = new Date(date);
+  if (!this.workingDays.includes(d.getDay())) return false;
+  const key = dayKey(d);
+  return !this.holidays.some((h) => dayKey(h.date) === key);
+};
+
+// Static: calendar of each team lead (falling back to the default) → Map(teamLeadId|"default" → calendar)
+workCalendarSchema.statics.forTeamLeads = async function (teamLeadIds = []) {
+  const stored = await this.find({ teamLead: { $in: [null, ...teamLeadIds] } });
+  const fallback = stored.find((c) => !c.teamLead) || new this({ teamLead: null });
+
+  const calendars = new Map([["default", fallback]]);
+  teamLeadIds.forEach((id) => {
+    calendars.set(String(id), stored.find((c) => c.teamLead && String(c.teamLead) === String(id)) || fallback);
+  });
+  return calendars;
+};
+
+export default mongoose.model("WorkCalendar", workCalendarSchema);
@@ -1,6 +1,6 @@
 // routes/projectRoutes.js
 import express from "express";
-import { protect, authorizeRoles } from "../middleware/authMiddleware.js";
+import { protect, requirePermission } from "../middleware/authMiddleware.js";
 import {
   addProject,
   getAllProjects,
@@ -22,6 +22,10 @@ import {
   addTimeEntry,
   updateTimeEntry,
   deleteTimeEntry,
+  getPendingTimeEntries,
+  reviewTimeEntryById,
+  reviewTimeEntriesBulk,
+  reopenTimeEntryById,
   addMilestone,
   updateMilestone,
   deleteMilestone,
@@ -58,91 +62,99 @@ router.use(protect);
 // ========================================
 // TEAMLEAD DASHBOARD ROUTES (SPECIFIC ROUTES FIRST)
 // ========================================
-router.get("/teamlead/overview", authorizeRoles("teamlead"), getProjectsWithTasks);
-router.get("/teamlead/team", authorizeRoles("teamlead"), getTeamWithTasks);
-router.get("/teamlead/stats", authorizeRoles("teamlead"), getDashboardStats);
-router.get("/teamlead/employees", authorizeRoles("teamlead"), getEmployeesWithTaskStatus);
-router.get("/teamlead/tasks", authorizeRoles("teamlead"), getTaskAssignmentOverview);
+router.get("/teamlead/overview", requirePermission("project:lead"), getProjectsWithTasks);
+router.get("/teamlead/team", requirePermission("project:lead"), getTeamWithTasks);
+router.get("/teamlead/stats", requirePermission("project:lead"), getDashboardStats);
+router.get("/teamlead/employees", requirePermission("project:lead"), getEmployeesWithTaskStatus);
+router.get("/teamlead/tasks", requirePermission("project:lead"), getTaskAssignmentOverview);
 router.get('/mine', protect, getTeamLeadProjectsEnhanced); // Enhanced version of existing route
 router.put('/:projectId/assign-employees', protect, assignEmployeesToProject);
 router.delete('/:projectId/employees/:employeeId', protect, removeEmployeeFromProject);
 router.get('/:projectId/assignment-history', protect, getProjectAssignmentHistory);
 
 
+router.get("/time-entries/pending", requirePermission("project:time:approve"), getPendingTimeEntries);
+
+
 // ========================================
 // PROJECT GROUPS ROUTES (SPECIFIC ROUTES FIRST)
 // ========================================
-router.post("/groups", authorizeRoles("admin"), addProjectGroup);
-router.get("/groups", authorizeRoles("admin", "teamlead"), getAllProjectGroups);
-router.put("/groups/:groupId", authorizeRoles("admin"), updateProjectGroup);
-router.delete("/groups/:groupId", authorizeRoles("admin"), deleteProjectGroup);
+router.post("/groups", requirePermission("project:group:manage"), addProjectGroup);
+router.get("/groups", requirePermission("project:group:read"), getAllProjectGroups);
+router.put("/groups/:groupId", requirePermission("project:group:manage"), updateProjectGroup);
+router.delete("/groups/:groupId", requirePermission("project:group:manage"), deleteProjectGroup);
 
 // ========================================
 // ROLE-SPECIFIC PROJECT ACCESS ROUTES
 // ========================================
-router.get("/available", authorizeRoles("teamlead"), getAvailableProjects);
-router.get("/mine", authorizeRoles("teamlead", "employee"), getMyProjects);
-router.get("/assigned", authorizeRoles("employee"), getAssignedProjects);
+router.get("/available", requirePermission("project:pick"), getAvailableProjects);
+router.get("/mine", requirePermission("project:read:own"), getMyProjects);
+router.get("/assigned", requirePermission("project:read:own"), getAssignedProjects);
 
 // ========================================
 // PROJECT ACTIONS (TEAMLEAD SPECIFIC)
 // ========================================
-router.put("/:id/pick", authorizeRoles("teamlead"), pickProject);
-router.put("/:id/release", authorizeRoles("teamlead"), releaseProject);
+router.put("/:id/pick", requirePermission("project:pick"), pickProject);
+router.put("/:id/release", requirePermission("project:pick"), releaseProject);
 
 // ========================================
 // PROJECT DETAILS ROUTES (SPECIFIC ROUTES)
 // ========================================
-router.post("/:projectId/details", authorizeRoles("admin"), addProjectDetails);
-router.get("/:projectId/details", authorizeRoles("admin", "teamlead"), getProjectDetails);
-router.put("/details/:detailId", authorizeRoles("admin"), updateProjectDetails);
-router.delete("/details/:detailId", authorizeRoles("admin"), deleteProjectDetails);
+router.post("/:projectId/details", requirePermission("project:finance:write"), addProjectDetails);
+router.get("/:projectId/details", requirePermission("project:finance:read"), getProjectDetails);
+router.put("/details/:detailId", requirePermission("project:finance:write"), updateProjectDetails);
+router.delete("/details/:detailId", requirePermission("project:finance:write"), deleteProjectDetails);
 
 // ========================================
 // PROJECT MANAGEMENT ROUTES
 // ========================================
-router.put("/:projectId/teamlead", authorizeRoles("admin"), assignTeamLead);
-router.put("/:projectId/employees", authorizeRoles("admin"), assignEmployees);
-router.patch("/:projectId/client-status", authorizeRoles("admin", "teamlead"), updateClientStatus);
-router.put("/:projectId/recalculate", authorizeRoles("admin"), recalculateProject);
+router.put("/:projectId/teamlead", requirePermission("project:assign"), assignTeamLead);
+router.put("/:projectId/employees", requirePermission("project:assign"), assignEmployees);
+router.patch("/:projectId/client-status", requirePermission("project:status"), updateClientStatus);
+router.put("/:projectId/recalculate", requirePermission("project:finance:write"), recalculateProject);
 
 // ========================================
 // MILESTONE ROUTES
 // ========================================
-router.post("/:projectId/milestones", authorizeRoles("admin"), addMilestone);
-router.put("/:projectId/milestones/:milestoneId", authorizeRoles("admin"), updateMilestone);
-router.delete("/:projectId/milestones/:milestoneId", authorizeRoles("admin"), deleteMilestone);
+router.post("/:projectId/milestones", requirePermission("project:finance:write"), addMilestone);
+router.put("/:projectId/milestones/:milestoneId", requirePermission("project:finance:write"), updateMilestone);
+router.delete("/:projectId/milestones/:milestoneId", requirePermission("project:finance:write"), deleteMilestone);
 
 
 
-router.get("/employee/tasks", authorizeRoles("employee"), getEmployeeTasks);
-router.get("/employee/tasks/:taskId", authorizeRoles("employee"), getEmployeeTaskById);
-router.patch("/employee/tasks/:taskId/status", authorizeRoles("employee"), updateEmployeeTaskStatus);
-router.post("/employee/tasks/:taskId/response", authorizeRoles("employee"), addEmployeeTaskResponse);
+router.get("/employee/tasks", requirePermission("employee:self"), getEmployeeTasks);
+router.get("/employee/tasks/:taskId", requirePermission("employee:self"), getEmployeeTaskById);
+router.patch("/employee/tasks/:taskId/status", requirePermission("employee:self"), updateEmployeeTaskStatus);
+router.post("/employee/tasks/:taskId/response", requirePermission("employee:self"), addEmployeeTaskResponse);
 
 
 // ========================================
 // PAYMENT ROUTES
 // ========================================
-router.post("/:projectId/payments", authorizeRoles("admin"), addPayment);
-router.put("/:projectId/payments/:paymentId", authorizeRoles("admin"), updatePayment);
-router.delete("/:projectId/payments/:paymentId", authorizeRoles("admin"), deletePayment);
-router.post("/:projectId/milestones/:milestoneId/payments", authorizeRoles("admin"), addMilestonePayment);
+router.post("/:projectId/payments", requirePermission("project:finance:write"), addPayment);
+router.put("/:projectId/payments/:paymentId", requirePermission("project:finance:write"), updatePayment);
+router.delete("/:projectId/payments/:paymentId", requirePermission("project:finance:write"), deletePayment);
+router.post("/:projectId/milestones/:milestoneId/payments", requirePermission("project:finance:write"), addMilestonePayment);
 
 // ========================================
 // TIME ENTRY ROUTES (ADMIN + TEAMLEAD ACCESS)
 // ========================================
-router.post("/:projectId/time-entries", authorizeRoles("admin", "teamlead"), addTimeEntry);
-router.put("/:projectId/time-entries/:timeEntryId", authorizeRoles("admin", "teamlead"), updateTimeEntry);
-router.delete("/:projectId/time-entries/:timeEntryId", authorizeRoles("admin", "teamlead"), deleteTimeEntry);
-router.get("/employee/project/:projectId", authorizeRoles("employee"), getEmployeeProjectDetails);
+router.post("/:projectId/time-entries", requirePermission("project:time:write"), addTimeEntry);
+router.put("/:projectId/time-entries/:timeEntryId", requirePermission("project:time:write"), updateTimeEntry);
+router.delete("/:projectId/time-entries/:timeEntryId", requirePermission("project:time:write"), deleteTimeEntry);
+
+// Approval: team leads and admins review, only admins reopen locked entries
+router.post("/:projectId/time-entries/review", requirePermission("project:time:approve"), reviewTimeEntriesBulk);
+router.post("/:projectId/time-entries/:timeEntryId/review", requirePermission("project:time:approve"), reviewTimeEntryById);
+router.post("/:projectId/time-entries/:timeEntryId/reopen", requirePermission("project:time:reopen"), reopenTimeEntryById);
+router.get("/employee/project/:projectId", requirePermission("project:read:own"), getEmployeeProjectDetails);
 // ========================================
 // BASIC PROJECT CRUD (GENERIC ROUTES LAST)
 // ========================================
-router.post("/", authorizeRoles("admin"), addProject);
-router.get("/", authorizeRoles("admin", "teamlead"), getAllProjects);
-router.get("/:id", authorizeRoles("admin", "teamlead"), getProjectById);
-router.put("/:id", authorizeRoles("admin"), updateProject);
-router.delete("/:id", authorizeRoles("admin"), deleteProject);
+router.post("/", requirePermission("project:create"), addProject);
+router.get("/", requirePermission("project:read"), getAllProjects);
+router.get("/:id", requirePermission("project:read"), getProjectById);
+router.put("/:id", requirePermission("project:update"), updateProject);
+router.delete("/:id", requirePermission("project:delete"), deleteProject);
 
 export default router;
\ No newline at end of file
@@ -2,6 +2,8 @@
 import express from "express";
 import { Project } from "../models/Project.js";
 import User from "../models/User.js";
+import { paymentsTotal } from "../utils/currency.js";
+import { refreshProjectHours } from "../utils/timeEntries.js";
 
 // User functions
 import { 
@@ -10,6 +12,9 @@ import {
   updateUser, 
   deleteUser, 
   promoteUser ,
+  resetUserTwoFactor,
+  unlockUser,
+  getLoginAttempts,
   getAllUsersFiltered,
   getEmployees,
   assignTeam
@@ -100,84 +105,136 @@ import {
 
 // Admin Stats
 import { getAdminStats } from "../controllers/adminController.js";
+import { getAnalyticsDashboard } from "../controllers/analyticsController.js";
+
+// Roles & permissions
+import {
+  getPermissions,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole
+} from "../controllers/roleController.js";
+
+// Settings
+import { getSettings, updateSetting } from "../controllers/settingsController.js";
+
+// Audit log
+import { getAuditLogs, exportAuditLogs } from "../controllers/auditController.js";
+
+// Trash
+import { getTrash, restoreFromTrash, purgeFromTrash } from "../controllers/trashController.js";
+
+// Work calendars (daily report due days)
+import { getWorkCalendars, updateWorkCalendar, deleteWorkCalendar } from "../controllers/complianceController.js";
+
+// Report workflows
+import {
+  getReportWorkflows,
+  createReportWorkflow,
+  updateReportWorkflow,
+  deleteReportWorkflow
+} from "../controllers/reportWorkflowController.js";
+
+// Report templates
+import {
+  getReportTemplates,
+  createReportTemplate,
+  updateReportTemplate,
+  deleteReportTemplate
+} from "../controllers/reportTemplateController.js";
+
+// Exchange rates
+import {
+  getExchangeRates,
+  createExchangeRate,
+  updateExchangeRate,
+  deleteExchangeRate,
+  convertCurrency
+} from "../controllers/exchangeRateController.js";
 
 // Middleware
-import { protect, authorizeRoles } from "../middleware/authMiddleware.js";
+import { protect, requirePermission } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
 /* ----------------- PROTECT ALL ADMIN ROUTES ----------------- */
-router.use(protect, authorizeRoles("admin"));
+// Each route below declares the permission it needs (config/permissions.js)
+router.use(protect);
 
 /* ----------------- USER MANAGEMENT ----------------- */
-router.get("/users", getAllUsers);
-router.post("/users", createUser);
-router.put("/users/:id", updateUser);
-router.delete("/users/:id", deleteUser);
-router.put("/users/:id/promote", promoteUser);
+router.get("/users", requirePermission("user:read"), getAllUsers);
+router.post("/users", requirePermission("user:create"), createUser);
+router.put("/users/:id", requirePermission("user:update"), updateUser);
+router.delete("/users/:id", requirePermission("user:delete"), deleteUser);
+router.put("/users/:id/promote", requirePermission("user:promote"), promoteUser);
+router.post("/users/:id/2fa/reset", requirePermission("user:update"), resetUserTwoFactor);
+router.post("/users/:id/unlock", requirePermission("user:update"), unlockUser);
+router.get("/users/:id/login-attempts", requirePermission("user:read"), getLoginAttempts);
+router.get("/login-attempts", requirePermission("user:read"), getLoginAttempts);
 
 /* ----------------- PROJECTS - BASIC CRUD ----------------- */
-router.get("/projects", getAllProjects);
-router.post("/projects", addProject);
-router.get("/projects/:id", getProjectById);
-router.put("/projects/:id", updateProject);
-router.delete("/projects/:id", deleteProject);
+router.get("/projects", requirePermission("project:read"), getAllProjects);
+router.post("/projects", requirePermission("project:create"), addProject);
+router.get("/projects/:id", requirePermission("project:read"), getProjectById);
+router.put("/projects/:id", requirePermission("project:update"), updateProject);
+router.delete("/projects/:id", requirePermission("project:delete"), deleteProject);
 
 /* ----------------- PROJECT DETAILS ----------------- */
-router.post("/projects/:projectId/details", addProjectDetails);
-router.get("/projects/:projectId/details", getProjectDetails);
-router.put("/projects/:projectId/details/:detailId", updateProjectDetails);
-router.delete("/projects/:projectId/details/:detailId", deleteProjectDetails);
+router.post("/projects/:projectId/details", requirePermission("project:finance:write"), addProjectDetails);
+router.get("/projects/:projectId/details", requirePermission("project:finance:read"), getProjectDetails);
+router.put("/projects/:projectId/details/:detailId", requirePermission("project:finance:write"), updateProjectDetails);
+router.delete("/projects/:projectId/details/:detailId", requirePermission("project:finance:write"), deleteProjectDetails);
 
 /* ----------------- PAYMENTS ----------------- */
-router.post("/projects/:projectId/payments", addPayment);
-router.put("/projects/:projectId/payments/:paymentId", updatePayment);
-router.delete("/projects/:projectId/payments/:paymentId", deletePayment);
+router.post("/projects/:projectId/payments", requirePermission("project:finance:write"), addPayment);
+router.put("/projects/:projectId/payments/:paymentId", requirePermission("project:finance:write"), updatePayment);
+router.delete("/projects/:projectId/payments/:paymentId", requirePermission("project:finance:write"), deletePayment);
 
 /* ----------------- TIME ENTRIES ----------------- */
-router.post("/projects/:projectId/time-entries", addTimeEntry);
-router.put("/projects/:projectId/time-entries/:timeEntryId", updateTimeEntry);
-router.delete("/projects/:projectId/time-entries/:timeEntryId", deleteTimeEntry);
+router.post("/projects/:projectId/time-entries", requirePermission("project:time:write"), addTimeEntry);
+router.put("/projects/:projectId/time-entries/:timeEntryId", requirePermission("project:time:write"), updateTimeEntry);
+router.delete("/projects/:projectId/time-entries/:timeEntryId", requirePermission("project:time:write"), deleteTimeEntry);
 
 /* ----------------- MILESTONES ----------------- */
-router.post("/projects/:projectId/milestones", addMilestone);
-router.put("/projects/:projectId/milestones/:milestoneId", updateMilestone);
-router.delete("/projects/:projectId/milestones/:milestoneId", deleteMilestone);
+router.post("/projects/:projectId/milestones", requirePermission("project:finance:write"), addMilestone);
+router.put("/projects/:projectId/milestones/:milestoneId", requirePermission("project:finance:write"), updateMilestone);
+router.delete("/projects/:projectId/milestones/:milestoneId", requirePermission("project:finance:write"), deleteMilestone);
 
 /* ----------------- CLIENT STATUS ----------------- */
-router.put("/projects/:projectId/client-status", updateClientStatus);
+router.put("/projects/:projectId/client-status", requirePermission("project:status"), updateClientStatus);
 
 /* ----------------- TEAM MANAGEMENT ----------------- */
-router.put("/projects/:projectId/teamlead", assignTeamLead);
-router.put("/projects/:projectId/employees", assignEmployees);
+router.put("/projects/:projectId/teamlead", requirePermission("project:assign"), assignTeamLead);
+router.put("/projects/:projectId/employees", requirePermission("project:assign"), assignEmployees);
 
 /* ----------------- PROJECT GROUPS ----------------- */
-router.post("/project-groups", addProjectGroup);
-router.get("/project-groups", getAllProjectGroups);
-router.put("/project-groups/:id", updateProjectGroup);
-router.delete("/project-groups/:id", deleteProjectGroup);
+router.post("/project-groups", requirePermission("project:group:manage"), addProjectGroup);
+router.get("/project-groups", requirePermission("project:group:read"), getAllProjectGroups);
+router.put("/project-groups/:id", requirePermission("project:group:manage"), updateProjectGroup);
+router.delete("/project-groups/:id", requirePermission("project:group:manage"), deleteProjectGroup);
 
 /* ----------------- TASKS ----------------- */
-router.get("/tasks", getTasks);
-router.post("/tasks", createTask);
-router.put("/tasks/:id", updateTask);
-router.delete("/tasks/:id", deleteTask);
+router.get("/tasks", requirePermission("task:manage"), getTasks);
+router.post("/tasks", requirePermission("task:manage"), createTask);
+router.put("/tasks/:id", requirePermission("task:manage"), updateTask);
+router.delete("/tasks/:id", requirePermission("task:manage"), deleteTask);
 
 /* ----------------- ASSETS ----------------- */
-router.get("/assets", getAssets);
-router.post("/assets", createAsset);
-router.put("/assets/:id", updateAsset);
-router.delete("/assets/:id", deleteAsset);
-router.post("/assets/:assetId/assign", assignAsset);
+router.get("/assets", requirePermission("asset:read"), getAssets);
+router.post("/assets", requirePermission("asset:manage"), createAsset);
+router.put("/assets/:id", requirePermission("asset:manage"), updateAsset);
+router.delete("/assets/:id", requirePermission("asset:manage"), deleteAsset);
+router.post("/assets/:assetId/assign", requirePermission("asset:assign"), assignAsset);
 
 /* ----------------- REPORTS ----------------- */
-router.get("/reports", getReportsForAdmin);
-router.post("/reports", createReport);  
+router.get("/reports", requirePermission("report:read:all"), getReportsForAdmin);
+router.post("/reports", requirePermission("report:create"), createReport);  
 
 /* ----------------- NOTIFICATIONS - ADMIN ACCESS ----------------- */
 
 // Core notification operations (Admin can access all)
-router.post("/notifications/send", sendNotification);
+router.post("/notifications/send", requirePermission("notification:send"), sendNotification);
 router.get("/notifications/my", getMyNotifications);
 router.get("/notifications/unread", getUnreadNotifications);
 router.get("/notifications/stats", getNotificationStats);
@@ -193,21 +250,66 @@ router.put("/notifications/bulk/mark-read", bulkMarkRead);
 router.put("/notifications/mark-all-read", markAllRead);
 
 // User lookup for notifications
-router.get("/notifications/users", getAllUsers1);
+router.get("/notifications/users", requirePermission("notification:send:team"), getAllUsers1);
 
 // Send to specific groups (Admin can send to anyone)
-router.post("/notifications/send-to-employees", sendNotificationToEmployees);
-router.post("/notifications/send-to-teamleads", sendNotificationToTeamLeads);
-router.post("/notifications/send-to-all", sendNotificationToAllUsers);
+router.post("/notifications/send-to-employees", requirePermission("notification:send:team"), sendNotificationToEmployees);
+router.post("/notifications/send-to-teamleads", requirePermission("notification:broadcast"), sendNotificationToTeamLeads);
+router.post("/notifications/send-to-all", requirePermission("notification:broadcast"), sendNotificationToAllUsers);
 
 // Admin view all notifications
-router.get("/notifications/admin/all", adminGetAllNotifications);
+router.get("/notifications/admin/all", requirePermission("notification:admin"), adminGetAllNotifications);
+
+/* ----------------- ROLES & PERMISSIONS ----------------- */
+router.get("/permissions", requirePermission("role:manage"), getPermissions);
+router.get("/roles", requirePermission("role:manage"), getRoles);
+router.post("/roles", requirePermission("role:manage"), createRole);
+router.put("/roles/:name", requirePermission("role:manage"), updateRole);
+router.delete("/roles/:name", requirePermission("role:manage"), deleteRole);
+
+/* ----------------- SETTINGS ----------------- */
+router.get("/settings", requirePermission("settings:manage"), getSettings);
+router.put("/settings/:key", requirePermission("settings:manage"), updateSetting);
+
+/* ----------------- AUDIT LOG ----------------- */
+router.get("/audit", requirePermission("audit:read"), getAuditLogs);
+router.get("/audit/export", requirePermission("audit:read"), exportAuditLogs);
+
+/* ----------------- TRASH ----------------- */
+router.get("/trash", requirePermission("trash:manage"), getTrash);
+router.post("/trash/:type/:id/restore", requirePermission("trash:manage"), restoreFromTrash);
+router.delete("/trash/:type/:id", requirePermission("trash:manage"), purgeFromTrash);
+
+/* ----------------- WORK CALENDARS ----------------- */
+router.get("/work-calendars", requirePermission("settings:manage"), getWorkCalendars);
+router.put("/work-calendars/:teamLeadId", requirePermission("settings:manage"), updateWorkCalendar);
+router.delete("/work-calendars/:teamLeadId", requirePermission("settings:manage"), deleteWorkCalendar);
+
+/* ----------------- REPORT WORKFLOWS ----------------- */
+router.get("/report-workflows", requirePermission("report:workflow:manage"), getReportWorkflows);
+router.post("/report-workflows", requirePermission("report:workflow:manage"), createReportWorkflow);
+router.put("/report-workflows/:id", requirePermission("report:workflow:manage"), updateReportWorkflow);
+router.delete("/report-workflows/:id", requirePermission("report:workflow:manage"), deleteReportWorkflow);
+
+/* ----------------- REPORT TEMPLATES ----------------- */
+router.get("/report-templates", requirePermission("report:template:manage"), getReportTemplates);
+router.post("/report-templates", requirePermission("report:template:manage"), createReportTemplate);
+router.put("/report-templates/:id", requirePermission("report:template:manage"), updateReportTemplate);
+router.delete("/report-templates/:id", requirePermission("report:template:manage"), deleteReportTemplate);
+
+/* ----------------- EXCHANGE RATES ----------------- */
+router.get("/exchange-rates", requirePermission("project:finance:read"), getExchangeRates);
+router.get("/exchange-rates/convert", requirePermission("project:finance:read"), convertCurrency);
+router.post("/exchange-rates", requirePermission("finance:rates:manage"), createExchangeRate);
+router.put("/exchange-rates/:id", requirePermission("finance:rates:manage"), updateExchangeRate);
+router.delete("/exchange-rates/:id", requirePermission("finance:rates:manage"), deleteExchangeRate);
 
 /* ----------------- ADMIN STATS ----------------- */
-router.get("/stats", getAdminStats);
+router.get("/stats", requirePermission("admin:stats"), getAdminStats);
+router.get("/analytics", requirePermission("admin:stats"), getAnalyticsDashboard);
 
 /* ----------------- PROJECT UTILITIES ----------------- */
-router.put("/projects/:projectId/recalculate", recalculateProject);
+router.put("/projects/:projectId/recalculate", requirePermission("project:finance:write"), recalculateProject);
 
 // Utility function to fix existing projects
 export const fixAllProjectCalculations = async (req, res) => {
@@ -218,17 +320,15 @@ export const fixAllProjectCalculations = async (req, res) => {
     for (const project of projects) {
       let hasChanges = false;
 
+      // Hours from timesheets and time entries; hourly totals from approved hours
+      const hoursBefore = [project.actualHours, project.billableHours, project.totalAmount].join();
+      await refreshProjectHours(project);
+      if ([project.actualHours, project.billableHours, project.totalAmount].join() !== hoursBefore) {
+        hasChanges = true;
+      }
+
       // Recalculate based on category
-      if (project.category === "hourly") {
-        const actualHours = project.timeEntries.reduce((total, entry) => total + (entry.hours || 0), 0);
-        const newTotalAmount = project.hourlyRate * actualHours;
-        
-        if (project.actualHours !== actualHours || project.totalAmount !== newTotalAmount) {
-          project.actualHours = actualHours;
-          project.totalAmount = newTotalAmount;
-          hasChanges = true;
-        }
-      } else if (project.category === "milestone") {
+      if (project.category === "milestone") {
         const newTotalAmount = project.milestones.reduce((total, milestone) => total + (milestone.amount || 0), 0);
         
         if (project.totalAmount !== newTotalAmount) {
@@ -243,7 +343,7 @@ export const fixAllProjectCalculations = async (req, res) => {
       }
 
       // Recalculate payments
-      const paidAmount = project.payments.reduce((total, payment) => total + (payment.amount || 0), 0);
+      const paidAmount = paymentsTotal(project.payments);
       const pendingAmount = project.totalAmount - paidAmount;
 
       if (project.paidAmount !== paidAmount || project.pendingAmount !== pendingAmount) {
@@ -275,7 +375,7 @@ export const fixAllProjectCalculations = async (req, res) => {
 };
 
 // Add this route to fix all existing projects
-router.put("/projects/fix-all-calculations", fixAllProjectCalculations);
+router.put("/projects/fix-all-calculations", requirePermission("project:finance:write"), fixAllProjectCalculations);
 
 
 
@@ -290,31 +390,31 @@ router.use(protect);
 /* ----------------------- USER MANAGEMENT ----------------------- */
 
 // Get all users (admin sees all, teamlead sees employees)
-router.get("/users-filtered", authorizeRoles("admin", "teamlead"), getAllUsersFiltered);
+router.get("/users-filtered", requirePermission("team:read"), getAllUsersFiltered);
 
 // Get all users (admin only)
-router.get("/users", authorizeRoles("admin"), getAllUsers);
+router.get("/users", requirePermission("user:read"), getAllUsers);
 
 // Create new user (admin only)
-router.post("/users", authorizeRoles("admin"), createUser);
+router.post("/users", requirePermission("user:create"), createUser);
 
 // Update user (admin only)
-router.put("/users/:id", authorizeRoles("admin"), updateUser);
+router.put("/users/:id", requirePermission("user:update"), updateUser);
 
 // Delete user (admin only)
-router.delete("/users/:id", authorizeRoles("admin"), deleteUser);
+router.delete("/users/:id", requirePermission("user:delete"), deleteUser);
 
 // Promote user to team lead (admin only)
-router.patch("/users/:id/promote", authorizeRoles("admin"), promoteUser);
+router.patch("/users/:id/promote", requirePermission("user:promote"), promoteUser);
 
 /* ----------------------- EMPLOYEE MANAGEMENT ----------------------- */
 
 // Get all employees (teamlead/admin)
-router.get("/employees", authorizeRoles("admin", "teamlead"), getEmployees);
+router.get("/employees", requirePermission("team:read"), getEmployees);
 
 // Assign team members (teamlead only)
-router.post("/assign-team", authorizeRoles("teamlead"), assignTeam);
-router.get("/admin/users", authorizeRoles("admin"), getUsersForReports);
+router.post("/assign-team", requirePermission("team:manage"), assignTeam);
+router.get("/admin/users", requirePermission("report:read:team"), getUsersForReports);
 
 
 export default router;
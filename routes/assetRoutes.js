@@ -19,40 +19,40 @@ import {
   forceReturnAsset,
   getReturnReport
 } from "../controllers/assetController.js";
-import { protect, authorizeRoles } from "../middleware/authMiddleware.js";
+import { protect, requirePermission } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
 // ----------------- Admin Routes -----------------
 router
   .route("/")
-  .post(protect, authorizeRoles("admin"), createAsset) // Create asset
-  .get(protect, authorizeRoles("admin"), getAssets);  // Get all assets
+  .post(protect, requirePermission("asset:manage"), createAsset) // Create asset
+  .get(protect, requirePermission("asset:read"), getAssets);  // Get all assets
 
 // Asset status routes (Admin only)
-router.get("/available", protect, authorizeRoles("admin"), getAvailableAssets);
-router.get("/assigned", protect, authorizeRoles("admin"), getAssignedAssets);
-router.get("/returned", protect, authorizeRoles("admin"), getReturnedAssets);
-router.get("/overdue", protect, authorizeRoles("admin"), getOverdueAssets);
+router.get("/available", protect, requirePermission("asset:read"), getAvailableAssets);
+router.get("/assigned", protect, requirePermission("asset:read"), getAssignedAssets);
+router.get("/returned", protect, requirePermission("asset:read"), getReturnedAssets);
+router.get("/overdue", protect, requirePermission("asset:read"), getOverdueAssets);
 
 // Asset statistics and reports (Admin only)
-router.get("/stats", protect, authorizeRoles("admin"), getAssetReturnStats);
-router.get("/return-report", protect, authorizeRoles("admin"), getReturnReport);
+router.get("/stats", protect, requirePermission("asset:read"), getAssetReturnStats);
+router.get("/return-report", protect, requirePermission("asset:read"), getReturnReport);
 
 // Search functionality (all authenticated users)
 router.get("/search", protect, searchAssets);
 
 // Assign asset (Admin only)
-router.post("/assign", protect, authorizeRoles("admin"), assignAsset);
+router.post("/assign", protect, requirePermission("asset:assign"), assignAsset);
 
 // Force return asset (Admin only)
-router.put("/force-return/:assetId", protect, authorizeRoles("admin"), forceReturnAsset);
+router.put("/force-return/:assetId", protect, requirePermission("asset:assign"), forceReturnAsset);
 
 // ----------------- Individual Asset Routes -----------------
 router
   .route("/:assetId")
-  .put(protect, authorizeRoles("admin"), updateAsset)  // Update asset
-  .delete(protect, authorizeRoles("admin"), deleteAsset) // Delete asset
+  .put(protect, requirePermission("asset:manage"), updateAsset)  // Update asset
+  .delete(protect, requirePermission("asset:manage"), deleteAsset) // Delete asset
   .get(protect, getAssetById); // Get asset by ID (all roles)
 
 // Asset history (all authenticated users can view)
@@ -60,13 +60,13 @@ router.get("/:assetId/history", protect, getAssetHistory);
 
 // ----------------- Employee/Teamlead Routes -----------------
 // Get user's own assets
-router.get("/my/assets", protect, authorizeRoles("teamlead", "employee"), getMyAssets);
+router.get("/my/assets", protect, requirePermission("asset:own"), getMyAssets);
 
 // Return asset (Employee, Teamlead, or Admin can return)
 router.put(
   "/return/:assetId",
   protect,
-  authorizeRoles("teamlead", "employee", "admin"),
+  requirePermission("asset:own"),
   returnAsset
 );
 
@@ -7,19 +7,51 @@ import {
   forgotPassword,
   resetPassword,
   getMe,
+  refresh,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  verifyLoginTwoFactor,
+  setupLoginTwoFactor,
+  enableLoginTwoFactor,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getInvitation,
+  acceptInvitation,
 } from "../controllers/authController.js";
-import { protect } from "../middleware/authMiddleware.js";
+import { protect, optionalProtect } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
 // Public routes
 router.post("/register", register);
 router.post("/login", login);
+router.post("/login/2fa", verifyLoginTwoFactor); // step two (pending token + code)
+router.post("/login/2fa/setup", setupLoginTwoFactor); // mandatory enrollment
+router.post("/login/2fa/enable", enableLoginTwoFactor);
 router.post("/forgot-password", forgotPassword);
 router.put("/reset-password/:token", resetPassword);
+router.post("/refresh", refresh);
+router.get("/invitations/:token", getInvitation);
+router.post("/invitations/:token/accept", acceptInvitation);
 
 // Protected routes
 router.get("/me", protect, getMe);
-router.post("/logout", protect, logout);
+router.post("/logout", optionalProtect, logout);
+
+// Two-factor authentication
+router.get("/2fa", protect, getTwoFactorStatus);
+router.post("/2fa/setup", protect, setupTwoFactor);
+router.post("/2fa/enable", protect, enableTwoFactor);
+router.post("/2fa/disable", protect, disableTwoFactor);
+router.post("/2fa/recovery-codes", protect, regenerateRecoveryCodes);
+
+// Session management
+router.get("/sessions", protect, getSessions);
+router.delete("/sessions", protect, revokeOtherSessions);
+router.delete("/sessions/:sessionId", protect, revokeSession);
 
 export default router;
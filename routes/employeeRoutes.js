@@ -1,6 +1,6 @@
 // routes/employeeRoutes.js
 import express from "express";
-import { protect, authorizeRoles } from "../middleware/authMiddleware.js";
+import { protect, requirePermission } from "../middleware/authMiddleware.js";
 
 // Import the new employee dashboard controller
 import {
@@ -31,10 +31,12 @@ import {
   sendNotification
 } from "../controllers/notifcationController.js";
 
+import { getDailyReportDraft } from "../controllers/reportController.js";
+
 const router = express.Router();
 
 // Protect all routes and ensure only employees can access
-router.use(protect, authorizeRoles("employee"));
+router.use(protect, requirePermission("employee:self"));
 
 /* ==================== DASHBOARD OVERVIEW ==================== */
 router.get("/dashboard", getDashboardOverview);
@@ -55,6 +57,7 @@ router.get("/performance", getMyPerformance);
 
 /* ==================== REPORTS TAB ==================== */
 router.get("/reports", getMyReports);
+router.get("/reports/daily/draft", getDailyReportDraft);
 router.post("/reports/daily", submitDailyReport);
 router.post("/reports", createReport);
 
@@ -0,0 +1,21 @@
+// routes/invitationRoutes.js
+import express from "express";
+import {
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+  resendInvitation,
+} from "../controllers/invitationController.js";
+import { protect, requirePermission } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Invitees accept through /api/auth/invitations/:token; everything here is for inviters
+router.use(protect, requirePermission("user:invite"));
+
+router.post("/", createInvitation);              // Invite by email (preset role + team lead)
+router.get("/", getInvitations);                 // List invitations
+router.delete("/:id", revokeInvitation);         // Revoke pending invitation
+router.post("/:id/resend", resendInvitation);    // New link + expiry
+
+export default router;
@@ -0,0 +1,40 @@
+// routes/invoiceRoutes.js
+import express from "express";
+import { protect, requirePermission } from "../middleware/authMiddleware.js";
+import {
+  getInvoices,
+  getUnbilledItems,
+  createInvoice,
+  getInvoiceById,
+  updateInvoice,
+  deleteInvoice,
+  sendInvoice,
+  voidInvoice,
+  recordInvoicePayment,
+  getInvoiceHtml,
+  getInvoicePdf,
+} from "../controllers/invoiceController.js";
+
+const router = express.Router();
+
+router.use(protect);
+
+/* ----------------- Invoices ----------------- */
+router.get("/", requirePermission("invoice:read"), getInvoices);
+router.post("/", requirePermission("invoice:manage"), createInvoice);
+router.get("/unbilled/:projectId", requirePermission("invoice:read"), getUnbilledItems);
+
+router.get("/:id", requirePermission("invoice:read"), getInvoiceById);
+router.put("/:id", requirePermission("invoice:manage"), updateInvoice);
+router.delete("/:id", requirePermission("invoice:manage"), deleteInvoice);
+
+/* ----------------- Lifecycle & payments ----------------- */
+router.post("/:id/send", requirePermission("invoice:manage"), sendInvoice);
+router.post("/:id/void", requirePermission("invoice:manage"), voidInvoice);
+router.post("/:id/payments", requirePermission("invoice:manage"), recordInvoicePayment);
+
+/* ----------------- Rendering ----------------- */
+router.get("/:id/html", requirePermission("invoice:read"), getInvoiceHtml);
+router.get("/:id/pdf", requirePermission("invoice:read"), getInvoicePdf);
+
+export default router;
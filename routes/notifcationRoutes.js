@@ -1,6 +1,6 @@
 // routes/notificationRoutes.js - Aligned with existing controller
 import express from "express";
-import { protect, authorizeRoles } from "../middleware/authMiddleware.js";
+import { protect, requirePermission, tokenFromQuery } from "../middleware/authMiddleware.js";
 import {
   // Core notification operations (Common) - EXISTING
   sendNotification,
@@ -18,6 +18,13 @@ import {
   // Bulk operations (Common) - EXISTING
   bulkMarkRead,
   markAllRead,
+
+  // Live push (Server-Sent Events)
+  streamNotifications,
+
+  // Delivery preferences
+  getMyPreferences,
+  updateMyPreferences,
   
   // Specific send operations - EXISTING
   sendNotificationToEmployees,
@@ -51,9 +58,27 @@ import {
   getNotificationHistory,
   purgeOldNotifications
 } from "../controllers/notifcationController.js";
+import {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  testWebhook,
+  getDeliveries,
+  retryDelivery,
+} from "../controllers/notificationChannelController.js";
+import {
+  getEventTemplates,
+  updateEventTemplate,
+  resetEventTemplate,
+  previewEventTemplate,
+} from "../controllers/notificationTemplateController.js";
 
 const router = express.Router();
 
+/* =================== LIVE STREAM (SSE) =================== */
+router.get("/stream", tokenFromQuery, protect, streamNotifications);
+
 /* =================== PROTECT ALL NOTIFICATION ROUTES =================== */
 router.use(protect);
 
@@ -61,6 +86,8 @@ router.use(protect);
 router.get("/my", getMyNotifications);
 router.get("/unread", getUnreadNotifications);
 router.get("/stats", getNotificationStats);
+router.get("/preferences", getMyPreferences);
+router.put("/preferences", updateMyPreferences);
 router.put("/:id/read", markRead);
 router.put("/:id/unread", markUnread);
 router.put("/bulk/mark-read", bulkMarkRead);
@@ -69,45 +96,60 @@ router.put("/:id", updateNotification);
 router.delete("/:id", deleteNotification);
 
 /* =================== EMPLOYEE SPECIFIC ROUTES =================== */
-router.get("/recipients/employee", authorizeRoles("employee"), getRecipientsForEmployee);
-router.post("/send-to-colleagues", authorizeRoles("employee"), sendNotificationToColleagues);
+router.get("/recipients/employee", requirePermission("notification:send"), getRecipientsForEmployee);
+router.post("/send-to-colleagues", requirePermission("notification:send"), sendNotificationToColleagues);
 
 /* =================== TEAMLEAD SPECIFIC ROUTES =================== */
-router.get("/users/teamlead", authorizeRoles("teamlead"), getAllUsersForTeamLead);
-router.get("/teamlead/notifications", authorizeRoles("teamlead"), getTeamLeadNotifications);
-router.post("/send-to-team", authorizeRoles("teamlead"), sendNotificationToTeamMembers);
-router.post("/send-to-employees", authorizeRoles("admin", "teamlead"), sendNotificationToEmployees);
+router.get("/users/teamlead", requirePermission("notification:send:team"), getAllUsersForTeamLead);
+router.get("/teamlead/notifications", requirePermission("notification:send:team"), getTeamLeadNotifications);
+router.post("/send-to-team", requirePermission("notification:send:team"), sendNotificationToTeamMembers);
+router.post("/send-to-employees", requirePermission("notification:send:team"), sendNotificationToEmployees);
 
 /* =================== ADMIN & TEAMLEAD SHARED ROUTES =================== */
-router.post("/send", authorizeRoles("admin", "teamlead", "employee"), sendNotification);
-router.get("/users", authorizeRoles("admin", "teamlead"), getAllUsers1);
-router.post("/send-to-specific", authorizeRoles("admin", "teamlead"), sendNotificationToSpecificUsers);
+router.post("/send", requirePermission("notification:send"), sendNotification);
+router.get("/users", requirePermission("notification:send:team"), getAllUsers1);
+router.post("/send-to-specific", requirePermission("notification:send:team"), sendNotificationToSpecificUsers);
 
 /* =================== ADMIN ONLY ROUTES =================== */
 // Viewing and stats
-router.get("/admin/all", authorizeRoles("admin"), adminGetAllNotifications);
-router.get("/admin/stats", authorizeRoles("admin"), adminGetNotificationStats);
-router.get("/admin/analytics", authorizeRoles("admin"), getNotificationAnalytics);
-router.get("/admin/history", authorizeRoles("admin"), getNotificationHistory);
+router.get("/admin/all", requirePermission("notification:admin"), adminGetAllNotifications);
+router.get("/admin/stats", requirePermission("notification:admin"), adminGetNotificationStats);
+router.get("/admin/analytics", requirePermission("notification:admin"), getNotificationAnalytics);
+router.get("/admin/history", requirePermission("notification:admin"), getNotificationHistory);
 
 // Read/unread management
-router.put("/admin/:id/read", authorizeRoles("admin"), adminMarkNotificationRead);
-router.put("/admin/:id/unread", authorizeRoles("admin"), adminMarkNotificationUnread);
-router.put("/admin/bulk/mark-read", authorizeRoles("admin"), adminBulkMarkRead);
-router.put("/admin/bulk/mark-unread", authorizeRoles("admin"), adminBulkMarkUnread);
-router.put("/admin/mark-all-read", authorizeRoles("admin"), adminMarkAllNotificationsRead);
+router.put("/admin/:id/read", requirePermission("notification:admin"), adminMarkNotificationRead);
+router.put("/admin/:id/unread", requirePermission("notification:admin"), adminMarkNotificationUnread);
+router.put("/admin/bulk/mark-read", requirePermission("notification:admin"), adminBulkMarkRead);
+router.put("/admin/bulk/mark-unread", requirePermission("notification:admin"), adminBulkMarkUnread);
+router.put("/admin/mark-all-read", requirePermission("notification:admin"), adminMarkAllNotificationsRead);
 
 // Notification management
-router.put("/admin/:id/update", authorizeRoles("admin"), adminUpdateNotification);
-router.delete("/admin/:id", authorizeRoles("admin"), adminDeleteNotification);
+router.put("/admin/:id/update", requirePermission("notification:admin"), adminUpdateNotification);
+router.delete("/admin/:id", requirePermission("notification:admin"), adminDeleteNotification);
 
 // Mass send operations
-router.post("/send-to-teamleads", authorizeRoles("admin"), sendNotificationToTeamLeads);
-router.post("/send-to-all", authorizeRoles("admin"), sendNotificationToAllUsers);
+router.post("/send-to-teamleads", requirePermission("notification:broadcast"), sendNotificationToTeamLeads);
+router.post("/send-to-all", requirePermission("notification:broadcast"), sendNotificationToAllUsers);
+
+// Delivery channels (webhooks) and the delivery log
+router.get("/admin/webhooks", requirePermission("notification:admin"), getWebhooks);
+router.post("/admin/webhooks", requirePermission("notification:admin"), createWebhook);
+router.put("/admin/webhooks/:id", requirePermission("notification:admin"), updateWebhook);
+router.delete("/admin/webhooks/:id", requirePermission("notification:admin"), deleteWebhook);
+router.post("/admin/webhooks/:id/test", requirePermission("notification:admin"), testWebhook);
+router.get("/admin/deliveries", requirePermission("notification:admin"), getDeliveries);
+router.post("/admin/deliveries/:id/retry", requirePermission("notification:admin"), retryDelivery);
+
+// Domain events and their notification templates (per locale)
+router.get("/admin/events", requirePermission("notification:admin"), getEventTemplates);
+router.post("/admin/events/:event/preview", requirePermission("notification:admin"), previewEventTemplate);
+router.put("/admin/events/:event/templates/:locale", requirePermission("notification:admin"), updateEventTemplate);
+router.delete("/admin/events/:event/templates/:locale", requirePermission("notification:admin"), resetEventTemplate);
 
 // Advanced admin operations
-router.get("/admin/export", authorizeRoles("admin"), exportNotifications);
-router.delete("/admin/purge-old", authorizeRoles("admin"), purgeOldNotifications);
+router.get("/admin/export", requirePermission("notification:admin"), exportNotifications);
+router.delete("/admin/purge-old", requirePermission("notification:admin"), purgeOldNotifications);
 
 /* =================== UTILITY ROUTES =================== */
 router.get("/health", (req, res) => {
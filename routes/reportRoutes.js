@@ -12,10 +12,16 @@ import {
   reviewReport,
   submitReport,
   submitDailyReport,
+  getDailyReportDraft,
+  generateRollupReport,
   getUsersForReports,
-  submitToHierarchy
+  submitToHierarchy,
+  decideReport,
+  getPendingApprovals
 } from "../controllers/reportController.js";
-import { protect, authorizeRoles } from "../middleware/authMiddleware.js";
+import { getReportCompliance } from "../controllers/complianceController.js";
+import { getActiveReportTemplate, getTemplateAnswerSummary } from "../controllers/reportTemplateController.js";
+import { protect, requirePermission } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
@@ -23,57 +29,65 @@ const router = express.Router();
 router.use(protect);
 
 
-router.get("/users", authorizeRoles("teamlead", "admin"), getUsersForReports); // Get users for report assignment
+router.get("/users", requirePermission("report:read:team"), getUsersForReports); // Get users for report assignment
 
 
 router.get("/me", getMyReports);                 // Logged-in user's reports
+router.get("/approvals/pending", getPendingApprovals); // Reports awaiting my workflow decision
+router.get("/templates/active", getActiveReportTemplate); // Template to fill in (?type=daily)
+router.get("/templates/:id/summary", requirePermission("report:read:team"), getTemplateAnswerSummary); // Per-field aggregates
 // Create daily/monthly report (Employee, TeamLead, Admin)
-router.post("/", authorizeRoles("employee", "teamlead", "admin"), createReport);
+router.post("/", requirePermission("report:create"), createReport);
               // Create daily/monthly report
 router.put("/:reportId", updateReport);          // Update your own report
 router.delete("/:reportId", deleteReport);       // Delete your own report
 
 
-router.post("/daily/submit", authorizeRoles("employee"), submitDailyReport); // Submit daily report
+router.get("/daily/draft", requirePermission("report:submit:daily"), getDailyReportDraft); // Auto-drafted daily report
+router.post("/daily/submit", requirePermission("report:submit:daily"), submitDailyReport); // Submit daily report
+router.post("/rollup", requirePermission("report:rollup"), generateRollupReport); // Weekly/monthly team roll-up
+router.get("/compliance", requirePermission("report:compliance"), getReportCompliance); // Daily report streaks and gaps
 
 
 router.get(
   "/user/:userId",
-  authorizeRoles("teamlead", "admin"),
+  requirePermission("report:read:team"),
   getReportsForUser
 ); // View reports of a specific user
 
 router.post(
   "/:reportId/feedback",
-  authorizeRoles("teamlead", "admin"),
+  requirePermission("report:review"),
   addFeedback
 ); // Add feedback to report
 
 router.patch(
   "/:reportId/completion",
-  authorizeRoles("teamlead", "admin"),
+  requirePermission("report:review"),
   updateCompletionStatus
 ); // Mark report complete/incomplete
 
 router.patch(
   "/:reportId/review",
-  authorizeRoles("teamlead", "admin"),
+  requirePermission("report:review"),
   reviewReport
 ); // Mark report as reviewed
 
 router.post(
   "/:reportId/submit",
-  authorizeRoles("employee", "teamlead", "admin"),
+  requirePermission("report:forward"),
   submitReport
 ); // Submit report to next level
 
 // Add this route after your existing routes
 router.post(
   "/:reportId/submit-to-hierarchy",
-  authorizeRoles("employee", "teamlead"),
+  requirePermission("report:forward"),
   submitToHierarchy
-); // Submit report up the hierarchy chain
+); // Submit report up the hierarchy chain (or into its approval workflow)
+
+router.post("/:reportId/decision", decideReport); // Approve / request changes / reject (current stage approvers)
 
-router.get("/admin", authorizeRoles("admin"), getReportsForAdmin); // Get all reports (with filters)
+router.get("/admin", requirePermission("report:read:all"), getReportsForAdmin); // Get all reports (with filters)
 
 export default router;
\ No newline at end of file
@@ -8,8 +8,10 @@ import {
   deleteTask,
   addEmployeeResponse,
   addLog,
+  setTaskDependencies,
+  getProjectDependencyGraph,
 } from "../controllers/TaskController.js";
-import { protect, authorizeRoles } from "../middleware/authMiddleware.js";
+import { protect, requirePermission } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
@@ -21,9 +23,15 @@ router.use(protect);
 // ==========================
 // Task Management (Admin + Teamlead)
 // ==========================
-router.post("/", authorizeRoles("admin", "teamlead"), createTask);       // Create a new task
-router.put("/:taskId", authorizeRoles("admin", "teamlead"), updateTask); // Update task details
-router.delete("/:taskId", authorizeRoles("admin", "teamlead"), deleteTask); // Delete a task
+router.post("/", requirePermission("task:manage"), createTask);       // Create a new task
+router.put("/:taskId", requirePermission("task:manage"), updateTask); // Update task details
+router.delete("/:taskId", requirePermission("task:manage"), deleteTask); // Delete a task
+router.put("/:taskId/dependencies", requirePermission("task:manage"), setTaskDependencies); // Set prerequisites
+
+// ==========================
+// Dependency graph (Teamlead for own projects, Admin for any)
+// ==========================
+router.get("/project/:projectId/graph", requirePermission("project:lead"), getProjectDependencyGraph);
 
 // ==========================
 // Shared routes (role-based filtering in controller)
@@ -36,13 +44,13 @@ router.get("/:taskId", getTaskById); // Get single task (role-restricted in cont
 // ==========================
 router.post(
   "/:taskId/response",
-  authorizeRoles("employee", "teamlead"),
+  requirePermission("task:work"),
   addEmployeeResponse
 ); // Add response/progress
 
 router.post(
   "/:taskId/log",
-  authorizeRoles("employee", "teamlead"),
+  requirePermission("task:work"),
   addLog
 ); // Add time log
 
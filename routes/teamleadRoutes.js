@@ -1,6 +1,6 @@
 // routes/teamLeadRoutes.js
 import express from "express";
-import { protect, authorizeRoles } from "../middleware/authMiddleware.js";
+import { protect, requirePermission } from "../middleware/authMiddleware.js";
 import {
   // New functions for Team Task Management page
   getProjectsWithTasks,
@@ -29,7 +29,7 @@ const router = express.Router();
 
 // Apply protection middleware to all routes
 router.use(protect);
-router.use(authorizeRoles("teamlead"));
+router.use(requirePermission("project:lead"));
 
 /* ----------------------- TEAM TASK MANAGEMENT PAGE ROUTES ----------------------- */
 
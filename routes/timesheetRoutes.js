@@ -0,0 +1,33 @@
+// routes/timesheetRoutes.js
+import express from "express";
+import { protect, requirePermission } from "../middleware/authMiddleware.js";
+import {
+  getMyTimesheet,
+  getTimesheets,
+  getTimesheetById,
+  addTimesheetEntry,
+  updateTimesheetEntry,
+  deleteTimesheetEntry,
+  submitTimesheet,
+  reviewTimesheet,
+  reopenTimesheet,
+} from "../controllers/timesheetController.js";
+
+const router = express.Router();
+
+router.use(protect);
+
+/* ----------------- Own timesheet ----------------- */
+router.get("/mine", requirePermission("timesheet:log"), getMyTimesheet);
+router.post("/entries", requirePermission("timesheet:log"), addTimesheetEntry);
+router.put("/entries/:entryId", requirePermission("timesheet:log"), updateTimesheetEntry);
+router.delete("/entries/:entryId", requirePermission("timesheet:log"), deleteTimesheetEntry);
+
+/* ----------------- Approval ----------------- */
+router.get("/", requirePermission("timesheet:review"), getTimesheets);
+router.get("/:id", requirePermission("timesheet:log"), getTimesheetById);
+router.post("/:id/submit", requirePermission("timesheet:log"), submitTimesheet);
+router.post("/:id/review", requirePermission("timesheet:review"), reviewTimesheet);
+router.post("/:id/reopen", requirePermission("timesheet:reopen"), reopenTimesheet);
+
+export default router;
@@ -1,6 +1,6 @@
 // routes/userRoutes.js
 import express from "express";
-import { protect, authorizeRoles , requireTeamLead ,validateProjectOwnership} from "../middleware/authMiddleware.js";
+import { protect, requirePermission, requireTeamLead, validateProjectOwnership } from "../middleware/authMiddleware.js";
 import {
   // User Management
   getAllUsers,
@@ -46,12 +46,12 @@ router.use(protect);
 // ==========================
 // User Management Routes (Admin only)
 // ==========================
-router.get("/", authorizeRoles("admin"), getAllUsers);
-router.post("/", authorizeRoles("admin"), createUser);
-router.put("/:id", authorizeRoles("admin"), updateUser);
-router.delete("/:id", authorizeRoles("admin"), deleteUser);
-router.patch("/:id/promote", authorizeRoles("admin"), promoteUser);
-router.get("/filtered", authorizeRoles("admin", "teamlead"), getAllUsersFiltered);
+router.get("/", requirePermission("user:read"), getAllUsers);
+router.post("/", requirePermission("user:create"), createUser);
+router.put("/:id", requirePermission("user:update"), updateUser);
+router.delete("/:id", requirePermission("user:delete"), deleteUser);
+router.patch("/:id/promote", requirePermission("user:promote"), promoteUser);
+router.get("/filtered", requirePermission("team:read"), getAllUsersFiltered);
 router.get('/employees', protect, getAvailableEmployees);
 router.get('/employees/workload', protect, getEmployeeWorkloadSummary);
  router.put('/:projectId/assign-employees', protect, requireTeamLead, validateProjectOwnership, assignEmployeesToProject);
@@ -59,35 +59,35 @@ router.get('/employees/workload', protect, getEmployeeWorkloadSummary);
 // ==========================
 // Employee Management Routes (Admin + TeamLead)
 // ==========================
-router.get("/employees", authorizeRoles("admin", "teamlead"), getEmployees);
-router.get("/employees/available", authorizeRoles("admin", "teamlead"), getAvailableEmployees);
+router.get("/employees", requirePermission("team:read"), getEmployees);
+router.get("/employees/available", requirePermission("team:read"), getAvailableEmployees);
 
 // Special Teamlead-only employees view
-router.get("/employees/teamlead-view", authorizeRoles("teamlead"), fetchEmployeesData);
+router.get("/employees/teamlead-view", requirePermission("project:lead"), fetchEmployeesData);
 
 // Employee-specific tasks
-router.get("/employees/:employeeId/tasks", authorizeRoles("teamlead"), getEmployeeTasks);
+router.get("/employees/:employeeId/tasks", requirePermission("project:lead"), getEmployeeTasks);
 
 // ==========================
 // Team Management Routes (TeamLead only)
 // ==========================
-router.get("/team/my-team", authorizeRoles("teamlead"), getMyTeam);
-router.post("/assign-team", authorizeRoles("teamlead"), assignTeam);
-router.post("/remove-team", authorizeRoles("teamlead"), removeFromTeam);
+router.get("/team/my-team", requirePermission("project:lead"), getMyTeam);
+router.post("/assign-team", requirePermission("team:manage"), assignTeam);
+router.post("/remove-team", requirePermission("team:manage"), removeFromTeam);
 
 // ==========================
 // Task Management Routes (Admin + TeamLead)
 // ==========================
-router.post("/tasks/assign", authorizeRoles("teamlead", "admin"), assignTask);
-router.get("/tasks/my-assigned", authorizeRoles("teamlead"), getMyAssignedTasks);
-router.patch("/tasks/:taskId/status", authorizeRoles("teamlead", "admin"), updateTaskStatus);
-router.get("/tasks", authorizeRoles("teamlead", "admin"), getTasks);
-router.delete("/tasks/:taskId", authorizeRoles("teamlead", "admin"), deleteTask);
+router.post("/tasks/assign", requirePermission("task:assign"), assignTask);
+router.get("/tasks/my-assigned", requirePermission("project:lead"), getMyAssignedTasks);
+router.patch("/tasks/:taskId/status", requirePermission("task:manage"), updateTaskStatus);
+router.get("/tasks", requirePermission("task:manage"), getTasks);
+router.delete("/tasks/:taskId", requirePermission("task:manage"), deleteTask);
 
 // ==========================
 // Project Management Routes (Admin + TeamLead)
 // ==========================
-router.get("/projects", authorizeRoles("teamlead", "admin"), getProjects);
-router.get("/projects/for-tasks", authorizeRoles("teamlead"), getProjectsForTasks);
+router.get("/projects", requirePermission("project:read"), getProjects);
+router.get("/projects/for-tasks", requirePermission("project:lead"), getProjectsForTasks);
 
 export default router;
@@ -0,0 +1,82 @@
+// scripts/migrate-embedded-tasks.js
+// Move the tasks embedded in Project documents (project.tasks) into the Task collection,
+// then recompute every project's taskSummary and progress from Task.
+// Safe to re-run: migrated tasks keep their embedded _id and are only inserted once.
+// Usage: npm run migrate:tasks [-- --dry-run]
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { Project } from "../models/Project.js";
+import Task from "../models/Task.js";
+
+dotenv.config();
+
+const dryRun = process.argv.includes("--dry-run");
+
+// Embedded task → Task document (embedded status enum is a subset of Task's)
+const toTaskDocument = (embedded, project) => ({
+  _id: embedded._id,
+  title: embedded.title,
+  description: embedded.description,
+  assignedTo: embedded.assignedTo,
+  project: project._id,
+  status: embedded.completed ? "completed" : embedded.status || "pending",
+  dueDate: embedded.dueDate,
+  milestoneId: embedded.milestoneId,
+  estimatedHours: embedded.estimatedHours,
+  actualHours: embedded.actualHours || 0,
+  completedAt: embedded.completed || embedded.status === "completed" ? embedded.createdAt : undefined,
+  createdBy: embedded.createdBy || project.teamLead || project.createdBy,
+  priority: "medium",
+  logs: [],
+  employeeResponses: [],
+  isDeleted: false,
+  createdAt: embedded.createdAt || project.createdAt,
+  updatedAt: new Date(),
+});
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  // The embedded path is no longer in the schema, so read the raw collection
+  const projects = await Project.collection
+    .find({ "tasks.0": { $exists: true } }, { projection: { tasks: 1, teamLead: 1, createdBy: 1, createdAt: 1, projectName: 1 } })
+    .toArray();
+
+  let inserted = 0;
+  let skipped = 0;
+
+  for (const project of projects) {
+    for (const embedded of project.tasks) {
+      const doc = toTaskDocument(embedded, project);
+      if (dryRun) {
+        const exists = await Task.collection.countDocuments({ _id: doc._id });
+        exists ? skipped++ : inserted++;
+        continue;
+      }
+
+      const result = await Task.collection.updateOne({ _id: doc._id }, { $setOnInsert: doc }, { upsert: true });
+      result.upsertedCount ? inserted++ : skipped++;
+    }
+
+    if (!dryRun) {
+      await Project.collection.updateOne({ _id: project._id }, { $unset: { tasks: "" } });
+    }
+    console.log(`${project.projectName}: ${project.tasks.length} embedded task(s)`);
+  }
+
+  // Recount every project (including ones that only ever had standalone tasks)
+  if (!dryRun) {
+    const ids = await Project.distinct("_id");
+    for (const id of ids) await Project.syncTaskStats(id);
+    console.log(`Recomputed task stats for ${ids.length} project(s)`);
+  }
+
+  console.log(`${dryRun ? "[dry run] " : ""}Migrated ${inserted} task(s), ${skipped} already present`);
+};
+
+run()
+  .catch((err) => {
+    console.error("Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
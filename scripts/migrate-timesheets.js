@@ -0,0 +1,67 @@
+// scripts/migrate-timesheets.js
+// Copy the hours recorded in task logs (Task.logs[].totalTime, minutes) onto the loggers'
+// weekly timesheets, then recompute Task.actualHours and Project.actualHours from timesheets.
+// Imported entries are non-billable (the hours were billed, or not, before timesheets existed).
+// Safe to re-run: an imported entry keeps its log's _id and is only added once.
+// Usage: npm run migrate:timesheets [-- --dry-run]
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Task from "../models/Task.js";
+import Timesheet from "../models/Timesheet.js";
+import { syncWorkHours } from "../utils/timesheets.js";
+
+dotenv.config();
+
+const dryRun = process.argv.includes("--dry-run");
+
+// Task log → timesheet entry
+const toEntry = (log, task) => ({
+  _id: log._id,
+  date: log.startTime || log.createdAt,
+  project: task.project,
+  task: task._id,
+  hours: Math.min(Math.round((log.totalTime / 60) * 100) / 100, 24),
+  description: log.update || task.title,
+  billable: false,
+  startTime: log.startTime,
+  endTime: log.endTime,
+  source: "import",
+});
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const tasks = await Task.find({ project: { $ne: null }, "logs.totalTime": { $gt: 0 } }).select("title project logs");
+
+  let imported = 0;
+  let skipped = 0;
+
+  for (const task of tasks) {
+    for (const log of task.logs.filter((l) => l.totalTime > 0 && l.updatedBy)) {
+      if (await Timesheet.exists({ "entries._id": log._id })) {
+        skipped++;
+        continue;
+      }
+      if (!dryRun) {
+        const sheet = await Timesheet.forWeek(log.updatedBy, log.startTime || log.createdAt);
+        sheet.entries.push(toEntry(log, task));
+        await sheet.save();
+      }
+      imported++;
+    }
+  }
+
+  if (!dryRun) {
+    await syncWorkHours({ taskIds: tasks.map((t) => t._id), projectIds: tasks.map((t) => t.project) });
+    console.log(`Recomputed hours for ${tasks.length} task(s)`);
+  }
+
+  console.log(`${dryRun ? "[dry run] " : ""}Imported ${imported} task log(s), ${skipped} already present`);
+};
+
+run()
+  .catch((err) => {
+    console.error("Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,14 @@
+// scripts/totp-code.js
+// Print the current TOTP code for a base32 secret (offline testing of 2FA login).
+// Usage: npm run totp:code -- <BASE32_SECRET>
+import { generateTOTP } from "../utils/totp.js";
+
+const secret = process.argv[2];
+
+if (!secret) {
+  console.error("Usage: npm run totp:code -- <BASE32_SECRET>");
+  process.exit(1);
+}
+
+const secondsLeft = 30 - (Math.floor(Date.now() / 1000) % 30);
+console.log(`${generateTOTP(secret)}  (valid for ${secondsLeft}s)`);
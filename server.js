@@ -11,6 +11,13 @@ import cookieParser from "cookie-parser";
 
 import connectDB from "./config/db.js";
 import { errorHandler } from "./middleware/errorHandler.js";
+import { seedDefaultRoles } from "./utils/permissions.js";
+import { startTrashPurgeJob } from "./jobs/trashPurge.js";
+import { startMissingReportsJob } from "./jobs/missingReports.js";
+import { startNotificationDigestJob } from "./jobs/notificationDigest.js";
+import { startNotificationDeliveryJob } from "./jobs/notificationDelivery.js";
+import { registerEventSubscribers } from "./utils/eventSubscribers.js";
+import { checkMailTransport } from "./utils/mailer.js";
 
 // Routes
 import authRoutes from "./routes/authRoutes.js";
@@ -23,9 +30,20 @@ import employeeRoutes from "./routes/employeeRoutes.js";
 import reportRoutes from "./routes/reportRoutes.js";
 import notifcationRoutes from "./routes/notifcationRoutes.js"; // ✅ fixed spelling
 import userRoutes from "./routes/userRoutes.js";
+import invitationRoutes from "./routes/invitationRoutes.js";
+import invoiceRoutes from "./routes/invoiceRoutes.js";
+import timesheetRoutes from "./routes/timesheetRoutes.js";
 
 dotenv.config();
-connectDB();
+checkMailTransport();
+registerEventSubscribers();
+connectDB().then(() => {
+  seedDefaultRoles().catch((err) => console.error("Role seeding failed:", err.message));
+  startTrashPurgeJob();
+  startMissingReportsJob();
+  startNotificationDigestJob();
+  startNotificationDeliveryJob();
+});
 
 const app = express();
 
@@ -42,7 +60,8 @@ app.use(cors({
   origin: 'https://task-manage-front-lh42.vercel.app',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: ['X-Export-Truncated', 'X-Export-Limit']
 }));
 
 
@@ -105,6 +124,9 @@ app.use("/api/employee", employeeRoutes);
 app.use("/api/reports", reportRoutes);
 app.use("/api/notifications", notifcationRoutes); // ✅ fixed typo
 app.use("/api/users", userRoutes);
+app.use("/api/invitations", invitationRoutes);
+app.use("/api/invoices", invoiceRoutes);
+app.use("/api/timesheets", timesheetRoutes);
 
 /* ---------------- ERROR HANDLING ---------------- */
 
@@ -0,0 +1,102 @@
+// utils/audit.js
+import AuditLog from "../models/AuditLog.js";
+
+/**
+ * Audit trail helpers used by the mutating controllers.
+ * Typical use:
+ *   const before = snapshot(project);
+ *   ...change + save...
+ *   await recordAudit(req, { action: "project.update", entityType: "Project", entityId: project._id, before, after: project });
+ */
+
+// Never stored in the audit trail
+const REDACTED_FIELDS = [
+  "password",
+  "resetPasswordToken",
+  "resetPasswordExpire",
+  "twoFactor",
+  "refreshTokenHash",
+  "tokenHash",
+  "secret",
+];
+
+// Noise that changes on every save
+const IGNORED_DIFF_FIELDS = ["__v", "updatedAt", "createdAt"];
+
+const redact = (value) => {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== "object") return value;
+
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([key]) => !REDACTED_FIELDS.includes(key))
+      .map(([key, v]) => [key, redact(v)])
+  );
+};
+
+/**
+ * @desc Plain, JSON-safe copy of a document (ObjectIds/Dates become strings)
+ */
+export const snapshot = (doc) => {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === "function" ? doc.toObject({ depopulate: true, virtuals: false }) : doc;
+  return redact(JSON.parse(JSON.stringify(plain)));
+};
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+const flatten = (obj, prefix = "", out = {}) => {
+  for (const [key, value] of Object.entries(obj || {})) {
+    if (!prefix && IGNORED_DIFF_FIELDS.includes(key)) continue;
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value) && Object.keys(value).length) flatten(value, path, out);
+    else out[path] = value; // arrays are compared as a whole
+  }
+  return out;
+};
+
+/**
+ * @desc Field-level differences between two snapshots → [{ field, from, to }]
+ */
+export const diffSnapshots = (before, after) => {
+  const a = flatten(before);
+  const b = flatten(after);
+  const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+
+  const changes = [];
+  for (const field of fields) {
+    if (JSON.stringify(a[field]) !== JSON.stringify(b[field])) {
+      changes.push({ field, from: a[field] ?? null, to: b[field] ?? null });
+    }
+  }
+  return changes;
+};
+
+/**
+ * @desc Store an audit entry for the current request. Never throws: a failed audit write
+ *       is logged but does not fail the user's request.
+ */
+export const recordAudit = async (req, { action, entityType, entityId, before = null, after = null, metadata = null }) => {
+  try {
+    const beforeSnap = snapshot(before);
+    const afterSnap = snapshot(after);
+
+    await AuditLog.create({
+      actor: req.user?._id || null,
+      actorName: req.user?.name,
+      actorEmail: req.user?.email,
+      actorRole: req.user?.role,
+      action,
+      entityType,
+      entityId: entityId || afterSnap?._id || beforeSnap?._id || null,
+      before: beforeSnap,
+      after: afterSnap,
+      changes: diffSnapshots(beforeSnap, afterSnap),
+      metadata,
+      ip: req.ip,
+      userAgent: req.get?.("user-agent"),
+    });
+  } catch (err) {
+    console.error(`Audit log error (${action}):`, err.message);
+  }
+};
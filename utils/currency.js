@@ -0,0 +1,141 @@
+// utils/currency.js
+import ExchangeRate from "../models/ExchangeRate.js";
+import Setting from "../models/Setting.js";
+import { DEFAULT_CURRENCY } from "../config/currencies.js";
+import { refreshProjectHours } from "./timeEntries.js";
+
+/**
+ * Currency handling for project finance.
+ * Project amounts (fixedAmount, hourlyRate, milestones, totals) are in the project's currency.
+ * A payment keeps the amount and currency the client paid in, plus the rate of its payment
+ * date and the converted `projectAmount`; paidAmount / pendingAmount add up projectAmounts.
+ * Cross-project totals are converted again into the base currency (finance.baseCurrency).
+ */
+
+export const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+export const getBaseCurrency = () => Setting.getValue("finance.baseCurrency");
+
+export const currencyOf = (project) => project?.currency || DEFAULT_CURRENCY;
+
+const dateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Rates are per day: one effective on a date applies for the whole of it
+const endOfDay = (date) => {
+  const d = new Date(date);
+  d.setHours(23, 59, 59, 999);
+  return d;
+};
+
+export const missingRateMessage = (from, to, date) =>
+  `No exchange rate from ${from} to ${to} effective on ${dateKey(date)}`;
+
+/**
+ * @desc Memoised rate lookup for one request or batch: (from, to, date) → rate or null.
+ *       A pair without its own rate is crossed through the base currency.
+ */
+export const createRateLookup = async () => {
+  const base = await getBaseCurrency();
+  const cache = new Map();
+
+  const resolve = async (from, to, date) => {
+    const rate = await ExchangeRate.rateOn(from, to, date);
+    if (rate !== null || from === base || to === base) return rate;
+    const [toBase, fromBase] = await Promise.all([
+      ExchangeRate.rateOn(from, base, date),
+      ExchangeRate.rateOn(base, to, date),
+    ]);
+    return toBase && fromBase ? toBase * fromBase : null;
+  };
+
+  return (from, to, date = new Date()) => {
+    const key = `${from}:${to}:${dateKey(date)}`;
+    if (!cache.has(key)) cache.set(key, resolve(from, to, endOfDay(date)));
+    return cache.get(key);
+  };
+};
+
+/**
+ * @desc Convert a payment into its project's currency at the rate of its payment date.
+ *       Sets currency (default: the project's), exchangeRate and projectAmount → error message or null
+ */
+export const convertPayment = async (project, payment, lookup) => {
+  const to = currencyOf(project);
+  const from = payment.currency || to;
+  const date = payment.paymentDate || new Date();
+
+  const rate = await (lookup || (await createRateLookup()))(from, to, date);
+  if (rate === null) return missingRateMessage(from, to, date);
+
+  payment.currency = from;
+  payment.exchangeRate = rate;
+  payment.projectAmount = round2(payment.amount * rate);
+  return null;
+};
+
+// Sum of payments in the project currency (payments never converted count at face value)
+export const paymentsTotal = (payments = []) =>
+  round2(payments.reduce((total, payment) => total + (payment.projectAmount ?? payment.amount ?? 0), 0));
+
+/**
+ * @desc Recompute a project's hours and totals, converting every payment again at the rate of
+ *       its payment date (rates may have been added or corrected since) → error message or null.
+ *       The project is left untouched when a rate is missing.
+ */
+export const recalculateProjectTotals = async (project) => {
+  const lookup = await createRateLookup();
+  const to = currencyOf(project);
+
+  const rates = [];
+  for (const payment of project.payments) {
+    const from = payment.currency || to;
+    const date = payment.paymentDate || new Date();
+    const rate = await lookup(from, to, date);
+    if (rate === null) return missingRateMessage(from, to, date);
+    rates.push({ payment, from, rate });
+  }
+  rates.forEach(({ payment, from, rate }) => {
+    payment.currency = from;
+    payment.exchangeRate = rate;
+    payment.projectAmount = round2(payment.amount * rate);
+  });
+
+  await refreshProjectHours(project);
+  if (project.category === "milestone") {
+    project.totalAmount = round2(project.milestones.reduce((total, milestone) => total + (milestone.amount || 0), 0));
+  } else if (project.category === "fixed") {
+    project.totalAmount = project.fixedAmount || 0;
+  }
+
+  project.paidAmount = paymentsTotal(project.payments);
+  project.pendingAmount = round2(project.totalAmount - project.paidAmount);
+  return null;
+};
+
+/**
+ * @desc Add up amounts held in several currencies in one target currency.
+ * @param rows [{ currency, ...amounts }] (e.g. one row per currency from an aggregation)
+ * @returns { totals: { [field]: amount }, missing: [currencies without a rate] }
+ */
+export const convertRows = async (rows, fields, to, date = new Date(), lookup) => {
+  const rateOf = lookup || (await createRateLookup());
+  const totals = Object.fromEntries(fields.map((f) => [f, 0]));
+  const missing = new Set();
+
+  for (const row of rows) {
+    const from = row.currency || DEFAULT_CURRENCY;
+    const rate = await rateOf(from, to, date);
+    if (rate === null) {
+      missing.add(from);
+      continue;
+    }
+    fields.forEach((f) => {
+      totals[f] += (row[f] || 0) * rate;
+    });
+  }
+
+  fields.forEach((f) => {
+    totals[f] = round2(totals[f]);
+  });
+  return { totals, missing: [...missing] };
+};
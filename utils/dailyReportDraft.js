@@ -0,0 +1,239 @@
+// utils/dailyReportDraft.js
+import Task from "../models/Task.js";
+import Report from "../models/Report.js";
+import AuditLog from "../models/AuditLog.js";
+import Timesheet from "../models/Timesheet.js";
+import { Project } from "../models/Project.js";
+
+/**
+ * Builds an editable daily report draft from what a user did on one day:
+ * task work logs, status changes (from the audit log), employee responses,
+ * blockers, timesheet entries and project time entries — with hours per project.
+ * Hours come from the timesheet (task logs are recorded there too) plus time entries added
+ * straight to projects; entries copied from approved timesheets are not counted again.
+ * The draft's content/tasksCompleted/tasksPending/projectStats match the
+ * body of POST /api/reports/daily/submit, so it can be edited and submitted as is.
+ */
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const inDay = (date, start, end) => date && new Date(date) >= start && new Date(date) < end;
+const sameId = (a, b) => String(a?._id ?? a) === String(b?._id ?? b);
+
+// Local-day bounds, same convention as submitDailyReport
+export const dayBounds = (date = new Date()) => {
+  const d = new Date(date);
+  const start = new Date(d.getFullYear(), d.getMonth(), d.getDate());
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+  return { start, end };
+};
+
+// Minutes of a work log (totalTime is kept in minutes by the Task model)
+const logMinutes = (log) =>
+  log.totalTime || (log.startTime && log.endTime ? Math.round((new Date(log.endTime) - new Date(log.startTime)) / 60000) : 0);
+
+const renderContent = (draft) => {
+  const lines = [`Daily report — ${draft.date.toDateString()}`, ""];
+  const section = (title, items) => {
+    if (!items.length) return;
+    lines.push(title, ...items.map((item) => `- ${item}`), "");
+  };
+
+  section(
+    "Work done",
+    draft.tasks.flatMap((t) =>
+      t.logs.map((l) => `[${t.projectName || "No project"}] ${t.title}: ${l.update || l.description || "worked on task"} (${round2(l.minutes / 60)}h)`)
+    )
+  );
+  section(
+    "Status changes",
+    draft.tasks.flatMap((t) => t.statusChanges.map((c) => `${t.title}: ${c.from || "—"} → ${c.to}`))
+  );
+  section(
+    "Updates & questions",
+    draft.tasks.flatMap((t) => t.responses.map((r) => `${t.title} (${r.type}): ${r.message}`))
+  );
+  section(
+    "Blockers",
+    draft.tasks.flatMap((t) => t.blockers.map((b) => `${t.title}: ${b.message}`))
+  );
+  // Task-log entries are already listed under "Work done"
+  section(
+    "Timesheet entries",
+    draft.timesheetEntries
+      .filter((e) => e.source !== "task-log")
+      .map((e) => `[${e.projectName}] ${e.hours}h — ${e.description}`)
+  );
+  section(
+    "Time entries",
+    draft.timeEntries.map((e) => `[${e.projectName}] ${e.hours}h — ${e.description}`)
+  );
+  section(
+    "Hours per project",
+    draft.hoursByProject.map((p) => `${p.projectName}: ${p.totalHours}h`)
+  );
+  lines.push(`Total: ${draft.totals.totalHours}h`);
+
+  return lines.join("\n");
+};
+
+/**
+ * @desc Build the draft for userId on date (defaults to today)
+ */
+export const buildDailyReportDraft = async (userId, date = new Date()) => {
+  const { start, end } = dayBounds(date);
+
+  // Status changes the user made today (every status path is audited)
+  const statusAudits = await AuditLog.find({
+    actor: userId,
+    entityType: "Task",
+    "changes.field": "status",
+    createdAt: { $gte: start, $lt: end },
+  })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  // Tasks the user touched today: anything of theirs updated today, plus audited status changes
+  const tasks = await Task.find({
+    $or: [
+      {
+        updatedAt: { $gte: start },
+        $or: [
+          { assignedTo: userId },
+          { "logs.updatedBy": userId },
+          { "employeeResponses.createdBy": userId },
+          { "blockers.reportedBy": userId },
+        ],
+      },
+      { _id: { $in: statusAudits.map((a) => a.entityId) } },
+    ],
+  })
+    .populate("project", "projectName")
+    .lean();
+
+  const draftTasks = tasks
+    .map((task) => {
+      const logs = (task.logs || [])
+        .filter((l) => sameId(l.updatedBy, userId) && inDay(l.startTime || l.createdAt, start, end))
+        .map((l) => ({ update: l.update, description: l.description, startTime: l.startTime, endTime: l.endTime, minutes: logMinutes(l) }));
+
+      const statusChanges = statusAudits
+        .filter((a) => sameId(a.entityId, task._id))
+        .map((a) => {
+          const change = a.changes.find((c) => c.field === "status");
+          return { from: change.from, to: change.to, at: a.createdAt };
+        });
+
+      const responses = (task.employeeResponses || [])
+        .filter((r) => sameId(r.createdBy, userId) && inDay(r.createdAt, start, end))
+        .map((r) => ({ message: r.message, type: r.type, at: r.createdAt }));
+
+      // Blockers the user raised, or raised today on the user's own tasks
+      const blockers = (task.blockers || [])
+        .filter((b) => inDay(b.createdAt, start, end) && (sameId(b.reportedBy, userId) || sameId(task.assignedTo, userId)))
+        .map((b) => ({ message: b.message, at: b.createdAt }));
+
+      return {
+        _id: task._id,
+        title: task.title,
+        status: task.status,
+        project: task.project?._id || null,
+        projectName: task.project?.projectName || null,
+        logs,
+        statusChanges,
+        responses,
+        blockers,
+        minutes: logs.reduce((sum, l) => sum + l.minutes, 0),
+      };
+    })
+    .filter((t) => t.logs.length || t.statusChanges.length || t.responses.length || t.blockers.length);
+
+  // Today's timesheet entries (task time is logged there too)
+  const sheets = await Timesheet.find({ user: userId, "entries.date": { $gte: start, $lt: end } })
+    .populate("entries.project", "projectName")
+    .lean();
+
+  const timesheetEntries = sheets.flatMap((sheet) =>
+    sheet.entries
+      .filter((e) => inDay(e.date, start, end))
+      .map((e) => ({
+        project: e.project?._id || e.project,
+        projectName: e.project?.projectName || "Unknown project",
+        task: e.task,
+        hours: e.hours,
+        description: e.description,
+        taskType: e.taskType,
+        source: e.source,
+        date: e.date,
+      }))
+  );
+
+  // Time entries the user added straight to projects for today (not copied from a timesheet)
+  const projects = await Project.find({
+    timeEntries: { $elemMatch: { addedBy: userId, date: { $gte: start, $lt: end }, timesheet: null } },
+  })
+    .select("projectName timeEntries")
+    .lean();
+
+  const timeEntries = projects.flatMap((p) =>
+    p.timeEntries
+      .filter((e) => sameId(e.addedBy, userId) && inDay(e.date, start, end) && !e.timesheet)
+      .map((e) => ({
+        project: p._id,
+        projectName: p.projectName,
+        hours: e.hours,
+        description: e.description,
+        taskType: e.taskType,
+        date: e.date,
+      }))
+  );
+
+  // Hours per project (timesheet entries + time entries)
+  const perProject = new Map();
+  const bucket = (id, name) => {
+    const key = String(id || "none");
+    if (!perProject.has(key)) {
+      perProject.set(key, { project: id || null, projectName: name || "No project", timesheetHours: 0, timeEntryHours: 0 });
+    }
+    return perProject.get(key);
+  };
+  timesheetEntries.forEach((e) => (bucket(e.project, e.projectName).timesheetHours += e.hours || 0));
+  timeEntries.forEach((e) => (bucket(e.project, e.projectName).timeEntryHours += e.hours || 0));
+
+  const hoursByProject = [...perProject.values()].map((p) => ({
+    ...p,
+    timesheetHours: round2(p.timesheetHours),
+    timeEntryHours: round2(p.timeEntryHours),
+    totalHours: round2(p.timesheetHours + p.timeEntryHours),
+  }));
+
+  const tasksCompleted = draftTasks.filter((t) => t.status === "completed").length;
+  const tasksInProgress = draftTasks.filter((t) => t.status === "in-progress").length;
+
+  const draft = {
+    date: start,
+    tasks: draftTasks,
+    timesheetEntries,
+    timeEntries,
+    hoursByProject,
+    totals: {
+      timesheetHours: round2(hoursByProject.reduce((s, p) => s + p.timesheetHours, 0)),
+      timeEntryHours: round2(hoursByProject.reduce((s, p) => s + p.timeEntryHours, 0)),
+      totalHours: round2(hoursByProject.reduce((s, p) => s + p.totalHours, 0)),
+      tasksTouched: draftTasks.length,
+    },
+    // Ready-to-submit fields (same shape as the daily submit body)
+    tasksCompleted,
+    tasksPending: draftTasks.length - tasksCompleted,
+    projectStats: { done: tasksCompleted, inProgress: tasksInProgress, selected: draftTasks.length },
+  };
+
+  draft.content = renderContent(draft);
+  draft.alreadySubmitted = !!(await Report.exists({
+    createdBy: userId,
+    type: "daily",
+    createdAt: { $gte: start, $lt: end },
+  }));
+
+  return draft;
+};
@@ -0,0 +1,105 @@
+// utils/eventSubscribers.js
+import Notification from "../models/Notification.js";
+import User from "../models/User.js";
+import { subscribe } from "./events.js";
+import { recordAudit } from "./audit.js";
+import { renderEventNotification } from "./notificationTemplates.js";
+import { dispatchEvent } from "./notificationChannels.js";
+import { DEFAULT_LOCALE } from "../config/locales.js";
+
+/**
+ * What the domain events of utils/events.js turn into:
+ *   notifications  sent to the event's recipients (below), minus the actor, using the
+ *                  event's template (utils/notificationTemplates.js): one notification per
+ *                  locale the recipients read in (User.locale)
+ *   audit          the entry passed as `audit` when emitting
+ *   webhooks       every active webhook listing the event (utils/notificationChannels.js)
+ */
+
+const idOf = (ref) => ref?._id || ref;
+
+const activeAdmins = async () => (await User.find({ role: "admin", isActive: true }).select("_id")).map((u) => u._id);
+
+// Who is notified of each event
+const RECIPIENTS = {
+  "task.assigned": ({ task }) => [task.assignedTo],
+  "task.status_changed": ({ task }) => [task.createdBy],
+  "task.response_added": ({ task }) => [task.createdBy],
+  "report.submitted": ({ teamLead }) => [teamLead],
+  "report.feedback_added": ({ report }) => [report.forUser || report.createdBy],
+  "report.stage_entered": ({ report }) => report.workflow.approvers,
+  "report.changes_requested": ({ report }) => [report.createdBy],
+  "report.rejected": ({ report }) => [report.createdBy],
+  "report.approved": ({ report }) => [report.createdBy],
+  "report.missing": ({ employee }) => [employee],
+  "report.missing_team": ({ employee }) => [employee.teamLead],
+  "report.missing_escalated": activeAdmins,
+  "asset.assigned": ({ asset }) => [asset.assignedTo],
+  "asset.return_requested": activeAdmins,
+  "asset.returned": ({ previousAssignee }) => [previousAssignee],
+  "project.picked": ({ project }) => [project.createdBy],
+  "payment.recorded": activeAdmins,
+  "time_entry.rejected": ({ author }) => [author],
+  "timesheet.submitted": async ({ sheet }) => (sheet.approver ? [sheet.approver] : activeAdmins()),
+  "timesheet.approved": ({ sheet }) => [sheet.user],
+  "timesheet.rejected": ({ sheet }) => [sheet.user],
+};
+
+const templateContext = (event) => ({ ...event.data, actor: event.actor });
+
+// Rendered once per event and locale, shared by the notification and webhook subscribers
+const renderedOf = (event, locale = DEFAULT_LOCALE) => {
+  event.rendered ||= {};
+  return (event.rendered[locale] ||= renderEventNotification(event.name, templateContext(event), locale));
+};
+
+const notifyRecipients = async (event) => {
+  const actorId = String(event.actor?._id);
+  const receivers = [...new Set(((await RECIPIENTS[event.name]?.(event.data)) || []).filter(Boolean).map((r) => String(idOf(r))))]
+    .filter((id) => id !== actorId);
+  const sender = event.actor || event.sender;
+  if (!receivers.length || !sender) return;
+
+  const byLocale = new Map();
+  (await User.find({ _id: { $in: receivers } }).select("locale").lean()).forEach((user) => {
+    const locale = user.locale || DEFAULT_LOCALE;
+    byLocale.set(locale, [...(byLocale.get(locale) || []), user._id]);
+  });
+
+  for (const [locale, group] of byLocale) {
+    const rendered = await renderedOf(event, locale);
+    if (!rendered.enabled) continue;
+
+    await Notification.send({
+      sender: sender._id,
+      receivers: group,
+      title: rendered.title,
+      message: rendered.message,
+      type: rendered.type,
+      priority: event.priority || rendered.priority,
+      actionLink: rendered.actionLink,
+      meta: { kind: event.name, locale },
+    });
+  }
+};
+
+const auditEvent = (event) =>
+  event.audit
+    ? recordAudit(event.req, { ...event.audit, metadata: { ...event.audit.metadata, event: event.name } })
+    : null;
+
+// Webhooks get the default locale
+const postToWebhooks = async (event) => {
+  const rendered = await renderedOf(event);
+  // Webhooks can be slow; they retry on their own schedule
+  dispatchEvent(event, rendered).catch((err) => console.error(`Event ${event.name} webhooks failed:`, err.message));
+};
+
+/**
+ * @desc Attach the notification, audit and webhook subscribers (once, at startup)
+ */
+export const registerEventSubscribers = () => {
+  subscribe("*", auditEvent);
+  subscribe("*", notifyRecipients);
+  subscribe("*", postToWebhooks);
+};
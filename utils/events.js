@@ -0,0 +1,37 @@
+// utils/events.js
+import { isKnownEvent } from "../config/events.js";
+
+/**
+ * In-process domain event bus. Controllers report what happened; subscribers
+ * (utils/eventSubscribers.js) turn it into notifications, audit entries and webhook posts.
+ *   await emitEvent(req, "task.assigned", { task }, { audit: { action: "task.reassign", entityType: "Task", before, after: task } });
+ * Event: { name, data, actor, req, audit, priority, sender, occurredAt }
+ *   data      documents the event is about; also the template context (config/events.js)
+ *   audit     recordAudit() options, when the audit entry should come from the event
+ *   priority  overrides the catalogue priority of the notification
+ *   sender    who notifications come from when there is no actor (scheduled jobs pass req = null)
+ * Subscribers run one after another; a failing subscriber is logged and never fails the
+ * request that emitted the event.
+ */
+
+const subscribers = []; // { name: event name or "*", handler }
+
+export const subscribe = (name, handler) => {
+  if (name !== "*" && !isKnownEvent(name)) throw new Error(`Unknown event "${name}"`);
+  subscribers.push({ name, handler });
+};
+
+export const emitEvent = async (req, name, data = {}, { audit = null, priority, sender = null } = {}) => {
+  if (!isKnownEvent(name)) throw new Error(`Unknown event "${name}"`);
+
+  const event = { name, data, actor: req?.user || null, req, audit, priority, sender, occurredAt: new Date() };
+  for (const subscriber of subscribers) {
+    if (subscriber.name !== "*" && subscriber.name !== name) continue;
+    try {
+      await subscriber.handler(event);
+    } catch (err) {
+      console.error(`Event ${name} subscriber failed:`, err.message);
+    }
+  }
+  return event;
+};
@@ -0,0 +1,443 @@
+// utils/invoices.js
+import PDFDocument from "pdfkit";
+import Invoice from "../models/Invoice.js";
+import Project from "../models/Project.js";
+import Counter from "../models/Counter.js";
+import Setting from "../models/Setting.js";
+import { round2, paymentsTotal } from "./currency.js";
+
+/**
+ * Invoice helpers (models/Invoice.js).
+ * What an invoice bills depends on how the project is priced:
+ *   hourly              approved time entries that are not on an invoice yet
+ *   milestone           completed milestones that are not on an invoice yet
+ *   fixed + upfront     one part of 100%
+ *   fixed + 50-50       two parts of 50%, billed in order
+ *   fixed + milestone   completed milestones, as for milestone projects
+ * Billed entries and milestones point back at their invoice (`invoice`); voiding or
+ * deleting the invoice clears that link so they can be billed again.
+ */
+
+export const SCHEDULE_SPLITS = {
+  upfront: [100],
+  "50-50": [50, 50],
+};
+
+const sameId = (a, b) => a && b && String(a) === String(b);
+
+// Billing type of a project → hourly | milestone | fixed
+export const billingTypeOf = (project) => {
+  if (project.category === "fixed" && project.paymentSchedule === "milestone") return "milestone";
+  return project.category;
+};
+
+/**
+ * @desc Next invoice number for the current year, e.g. INV-2025-0007
+ */
+export const nextInvoiceNumber = async (date = new Date()) => {
+  const prefix = await Setting.getValue("invoices.numberPrefix");
+  const year = date.getFullYear();
+  const seq = await Counter.next(`invoice-${year}`);
+  return `${prefix}-${year}-${String(seq).padStart(4, "0")}`;
+};
+
+/**
+ * @desc Schedule parts of a fixed-price project with what is already billed.
+ *       Parts billed by a non-void invoice are marked with that invoice.
+ */
+export const scheduleParts = async (project) => {
+  const split = SCHEDULE_SPLITS[project.paymentSchedule];
+  if (project.category !== "fixed" || !split) return [];
+
+  const billed = await Invoice.find({
+    project: project._id,
+    status: { $ne: "void" },
+    "schedulePart.plan": project.paymentSchedule,
+  })
+    .select("number status schedulePart")
+    .lean();
+
+  let allocated = 0;
+  return split.map((percent, i) => {
+    const part = i + 1;
+    // The last part takes the rounding remainder so the parts add up to fixedAmount
+    const amount = part === split.length
+      ? round2((project.fixedAmount || 0) - allocated)
+      : round2(((project.fixedAmount || 0) * percent) / 100);
+    allocated += amount;
+    const invoice = billed.find((inv) => inv.schedulePart?.part === part);
+    return {
+      plan: project.paymentSchedule,
+      part,
+      of: split.length,
+      percent,
+      amount,
+      invoice: invoice ? { _id: invoice._id, number: invoice.number, status: invoice.status } : null,
+    };
+  });
+};
+
+/**
+ * @desc Everything on a project that can still be invoiced
+ */
+export const unbilledItems = async (project) => {
+  const billingType = billingTypeOf(project);
+  return {
+    billingType,
+    timeEntries: billingType === "hourly"
+      ? project.timeEntries.filter((e) => e.approved && !e.invoice)
+      : [],
+    milestones: billingType === "milestone"
+      ? project.milestones.filter((m) => m.status === "completed" && !m.invoice)
+      : [],
+    scheduleParts: billingType === "fixed" ? (await scheduleParts(project)).filter((p) => !p.invoice) : [],
+  };
+};
+
+const dateLabel = (date) => (date ? new Date(date).toISOString().slice(0, 10) : "");
+
+// Manual lines from a request body → { lines } or { error }
+export const parseManualLines = (lineItems = []) => {
+  if (!Array.isArray(lineItems)) return { error: "lineItems must be an array" };
+  const lines = [];
+  for (const [i, item] of lineItems.entries()) {
+    const quantity = Number(item?.quantity ?? 1);
+    const unitPrice = Number(item?.unitPrice);
+    if (!item?.description?.trim()) return { error: `Line ${i + 1}: description is required` };
+    if (!Number.isFinite(quantity) || quantity <= 0) return { error: `Line ${i + 1}: quantity must be positive` };
+    if (!Number.isFinite(unitPrice) || unitPrice < 0) return { error: `Line ${i + 1}: unitPrice must be zero or more` };
+    lines.push({ description: item.description.trim(), quantity, unitPrice, source: "manual" });
+  }
+  return { lines };
+};
+
+/**
+ * @desc Line items for a new invoice on a project.
+ * @param options.timeEntryIds / milestoneIds  bill only these (default: all unbilled)
+ * @param options.from / to                    time entry date range (hourly)
+ * @param options.part                         schedule part to bill (fixed; default the next one)
+ * @returns { billingType, lineItems, schedulePart } or { status, error }
+ */
+export const buildInvoiceLines = async (project, options = {}) => {
+  const { billingType, timeEntries, milestones, scheduleParts: parts } = await unbilledItems(project);
+  const lineItems = [];
+  let schedulePart;
+
+  if (billingType === "hourly") {
+    let entries = timeEntries;
+    if (options.timeEntryIds?.length) {
+      const wanted = options.timeEntryIds.map(String);
+      entries = entries.filter((e) => wanted.includes(String(e._id)));
+      if (entries.length !== new Set(wanted).size) {
+        return { status: 409, error: "Some time entries are not approved, already invoiced or not on this project" };
+      }
+    }
+    if (options.from) entries = entries.filter((e) => e.date >= new Date(options.from));
+    if (options.to) entries = entries.filter((e) => e.date <= new Date(options.to));
+
+    entries
+      .sort((a, b) => a.date - b.date)
+      .forEach((e) => lineItems.push({
+        description: `${dateLabel(e.date)} ${e.taskType}: ${e.description}`,
+        quantity: e.hours,
+        unitPrice: project.hourlyRate || 0,
+        source: "time-entry",
+        sourceId: e._id,
+      }));
+  } else if (billingType === "milestone") {
+    let selected = milestones;
+    if (options.milestoneIds?.length) {
+      const wanted = options.milestoneIds.map(String);
+      selected = selected.filter((m) => wanted.includes(String(m._id)));
+      if (selected.length !== new Set(wanted).size) {
+        return { status: 409, error: "Some milestones are not completed, already invoiced or not on this project" };
+      }
+    }
+
+    selected
+      .sort((a, b) => (a.order || 0) - (b.order || 0))
+      .forEach((m) => lineItems.push({
+        description: `Milestone: ${m.title}`,
+        quantity: 1,
+        unitPrice: m.amount,
+        source: "milestone",
+        sourceId: m._id,
+      }));
+  } else if (billingType === "fixed") {
+    const part = options.part ? parts.find((p) => p.part === Number(options.part)) : parts[0];
+    if (options.part && !part) return { status: 409, error: `Part ${options.part} is already invoiced or does not exist` };
+
+    if (part) {
+      schedulePart = { plan: part.plan, part: part.part, of: part.of, percent: part.percent };
+      lineItems.push({
+        description: part.of > 1
+          ? `${project.projectName}: payment ${part.part} of ${part.of} (${part.percent}%)`
+          : `${project.projectName}: full payment`,
+        quantity: 1,
+        unitPrice: part.amount,
+        source: "schedule",
+      });
+    }
+  }
+
+  return { billingType, lineItems, schedulePart };
+};
+
+/**
+ * @desc Point billed time entries / milestones at the invoice (or clear them with null)
+ */
+export const linkInvoiceSources = (project, invoice, invoiceId = invoice._id) => {
+  invoice.lineItems.forEach((item) => {
+    if (!item.sourceId) return;
+    const list = item.source === "time-entry" ? project.timeEntries : item.source === "milestone" ? project.milestones : null;
+    const sub = list?.id(item.sourceId);
+    // Only clear links that still belong to this invoice
+    if (sub && (invoiceId || sameId(sub.invoice, invoice._id))) sub.invoice = invoiceId;
+  });
+};
+
+export const releaseInvoiceSources = (project, invoice) => linkInvoiceSources(project, invoice, null);
+
+// Whether a non-void invoice already bills this schedule part
+export const schedulePartBilled = (project, schedulePart) =>
+  schedulePart?.part ? Invoice.exists({ project: project._id, "schedulePart.plan": schedulePart.plan, "schedulePart.part": schedulePart.part, live: true }) : null;
+
+/**
+ * @desc Link a new invoice's time entries and milestones in one conditional update, which
+ *       matches nothing once any of them has been billed by another invoice → whether it did
+ */
+export const claimInvoiceSources = async (project, invoice) => {
+  const idsOf = (source) => invoice.lineItems.filter((item) => item.source === source && item.sourceId).map((item) => item.sourceId);
+  const claims = [
+    { path: "timeEntries", ids: idsOf("time-entry") },
+    { path: "milestones", ids: idsOf("milestone") },
+  ].filter((claim) => claim.ids.length);
+  if (!claims.length) return true;
+
+  const filter = { _id: project._id };
+  const update = {};
+  const arrayFilters = [];
+  claims.forEach(({ path, ids }, i) => {
+    filter[path] = { $not: { $elemMatch: { _id: { $in: ids }, invoice: { $ne: null } } } };
+    update[`${path}.$[source${i}].invoice`] = invoice._id;
+    arrayFilters.push({ [`source${i}._id`]: { $in: ids } });
+  });
+
+  const { matchedCount } = await Project.updateOne(filter, { $set: update }, { arrayFilters });
+  return matchedCount === 1;
+};
+
+/**
+ * @desc Undo claimInvoiceSources when the invoice could not be saved after all
+ */
+export const unclaimInvoiceSources = (project, invoice) =>
+  Project.updateOne(
+    { _id: project._id },
+    { $set: { "timeEntries.$[entry].invoice": null, "milestones.$[milestone].invoice": null } },
+    { arrayFilters: [{ "entry.invoice": invoice._id }, { "milestone.invoice": invoice._id }] }
+  );
+
+/**
+ * @desc Whether an amount (in the invoice currency) can be applied to an invoice → error message or null
+ */
+export const invoicePaymentError = (invoice, project, amount) => {
+  if (!sameId(invoice.project, project._id)) return "Invoice does not belong to this project";
+  if (invoice.status === "draft") return "Send the invoice before recording payments against it";
+  if (invoice.status !== "sent") return `Cannot record a payment on a ${invoice.status} invoice`;
+  if (round2(amount) > invoice.balance) return `Payment exceeds the invoice balance of ${invoice.balance}`;
+  return null;
+};
+
+/**
+ * @desc Apply `amount` (invoice currency) to a sent invoice in one conditional update, so that
+ *       parallel payments cannot overpay it; marks it paid once the balance reaches zero.
+ *       A negative amount gives a reservation back (the payment could not be stored).
+ * @returns the updated invoice, or null when the invoice is not open or the amount no longer fits
+ */
+export const reserveInvoicePayment = (invoice, amount, paidAt = new Date()) => {
+  const value = round2(amount);
+  const balance = { $round: [{ $subtract: ["$balance", value] }, 2] };
+  const settled = { $lte: [balance, 0] };
+
+  return Invoice.findOneAndUpdate(
+    value > 0 ? { _id: invoice._id, status: "sent", balance: { $gte: value } } : { _id: invoice._id, status: { $in: ["sent", "paid"] } },
+    [
+      {
+        $set: {
+          balance,
+          amountPaid: { $round: [{ $add: ["$amountPaid", value] }, 2] },
+          status: { $cond: [settled, "paid", "sent"] },
+          paidAt: { $cond: [settled, { $ifNull: ["$paidAt", paidAt] }, null] },
+        },
+      },
+    ],
+    { new: true }
+  );
+};
+
+/**
+ * @desc Whether the payments a project already applies to an invoice fit it → error message or null
+ *       (used after editing a payment, when the amount or invoiceId may have changed)
+ */
+export const invoiceAllocationError = (invoice, project) => {
+  if (!sameId(invoice.project, project._id)) return "Invoice does not belong to this project";
+  if (!["sent", "paid"].includes(invoice.status)) return `Cannot apply payments to a ${invoice.status} invoice`;
+  const applied = paymentsTotal(project.payments.filter((p) => sameId(p.invoiceId, invoice._id)));
+  if (applied > invoice.total) return `Payments would exceed the invoice total of ${invoice.total}`;
+  return null;
+};
+
+/**
+ * @desc Recompute amountPaid / balance / paid state of invoices from the project's payments.
+ *       Call after any payment carrying an invoiceId is added, changed or removed.
+ */
+export const syncInvoicePayments = async (project, invoiceIds) => {
+  const ids = [...new Set(invoiceIds.filter(Boolean).map(String))];
+  if (!ids.length) return [];
+
+  const invoices = await Invoice.find({ _id: { $in: ids } });
+  for (const invoice of invoices) {
+    if (invoice.status === "void") continue;
+
+    const applied = project.payments.filter((p) => sameId(p.invoiceId, invoice._id));
+    invoice.amountPaid = paymentsTotal(applied);
+    invoice.balance = round2(invoice.total - invoice.amountPaid);
+
+    if (invoice.status === "sent" && invoice.balance <= 0) {
+      invoice.status = "paid";
+      invoice.paidAt = applied.length
+        ? applied.reduce((latest, p) => (p.paymentDate > latest ? p.paymentDate : latest), applied[0].paymentDate)
+        : new Date();
+    } else if (invoice.status === "paid" && invoice.balance > 0) {
+      invoice.status = "sent";
+      invoice.paidAt = undefined;
+    }
+    await invoice.save();
+  }
+  return invoices;
+};
+
+/* ---------------------------- RENDERING ---------------------------- */
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+const money = (n) => (Number(n) || 0).toFixed(2);
+const withCurrency = (invoice, n) => `${invoice.currency || ""} ${money(n)}`.trim();
+
+// Rows shown under the line items (label, amount), skipping empty discount / tax
+const summaryRows = (invoice) => [
+  ["Subtotal", invoice.subtotal],
+  ...(invoice.discountAmount
+    ? [[invoice.discount?.type === "percent" ? `Discount (${invoice.discount.value}%)` : "Discount", -invoice.discountAmount]]
+    : []),
+  ...(invoice.taxRate ? [[`Tax (${invoice.taxRate}%)`, invoice.taxAmount]] : []),
+  ["Total", invoice.total],
+  ...(invoice.amountPaid ? [["Paid", -invoice.amountPaid], ["Balance due", invoice.balance]] : []),
+];
+
+const projectName = (invoice) => invoice.project?.projectName || "";
+
+/**
+ * @desc Stand-alone HTML page of an invoice (project populated with projectName if available)
+ */
+export const renderInvoiceHtml = (invoice) => {
+  const rows = invoice.lineItems
+    .map((item) => `
+        <tr>
+          <td>${escapeHtml(item.description)}</td>
+          <td class="num">${item.quantity}</td>
+          <td class="num">${money(item.unitPrice)}</td>
+          <td class="num">${money(item.amount)}</td>
+        </tr>`)
+    .join("");
+
+  const summary = summaryRows(invoice)
+    .map(([label, amount]) => `
+        <tr class="summary"><td colspan="3">${escapeHtml(label)}</td><td class="num">${withCurrency(invoice, amount)}</td></tr>`)
+    .join("");
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Invoice ${escapeHtml(invoice.number)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; margin: 40px; }
+    h1 { margin-bottom: 0; }
+    .status { text-transform: uppercase; color: #888; }
+    .meta td { padding: 2px 16px 2px 0; }
+    table.lines { width: 100%; border-collapse: collapse; margin-top: 24px; }
+    table.lines th, table.lines td { padding: 6px; border-bottom: 1px solid #ddd; text-align: left; }
+    .num { text-align: right !important; }
+    tr.summary td { border-bottom: none; font-weight: bold; }
+  </style>
+</head>
+<body>
+  <h1>Invoice ${escapeHtml(invoice.number)}</h1>
+  <p class="status">${escapeHtml(invoice.status)}</p>
+  <table class="meta">
+    <tr><td>Bill to</td><td>${escapeHtml(invoice.client?.name)}${invoice.client?.email ? `<br>${escapeHtml(invoice.client.email)}` : ""}</td></tr>
+    <tr><td>Project</td><td>${escapeHtml(projectName(invoice))}</td></tr>
+    <tr><td>Issue date</td><td>${dateLabel(invoice.issueDate)}</td></tr>
+    <tr><td>Due date</td><td>${dateLabel(invoice.dueDate)}</td></tr>
+    <tr><td>Currency</td><td>${escapeHtml(invoice.currency)}</td></tr>
+  </table>
+  <table class="lines">
+    <thead>
+      <tr><th>Description</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">Amount</th></tr>
+    </thead>
+    <tbody>${rows}${summary}
+    </tbody>
+  </table>
+  ${invoice.notes ? `<p>${escapeHtml(invoice.notes)}</p>` : ""}
+</body>
+</html>`;
+};
+
+/**
+ * @desc PDF of an invoice → Promise<Buffer>
+ */
+export const renderInvoicePdf = (invoice) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.fontSize(20).text(`Invoice ${invoice.number}`);
+    doc.fontSize(10).fillColor("#888").text(invoice.status.toUpperCase()).fillColor("#000").moveDown();
+
+    doc.text(`Bill to: ${invoice.client?.name || ""}`);
+    if (invoice.client?.email) doc.text(invoice.client.email);
+    if (projectName(invoice)) doc.text(`Project: ${projectName(invoice)}`);
+    doc.text(`Issue date: ${dateLabel(invoice.issueDate)}`);
+    if (invoice.dueDate) doc.text(`Due date: ${dateLabel(invoice.dueDate)}`);
+    doc.text(`Currency: ${invoice.currency}`);
+    doc.moveDown();
+
+    // Columns: description | qty | unit price | amount
+    const cols = [50, 330, 390, 470];
+    const row = (cells, opts = {}) => {
+      const y = doc.y;
+      doc.font(opts.bold ? "Helvetica-Bold" : "Helvetica");
+      doc.text(cells[0], cols[0], y, { width: cols[1] - cols[0] - 10 });
+      const bottom = doc.y;
+      cells.slice(1).forEach((cell, i) => doc.text(cell, cols[i + 1], y, { width: 75, align: "right" }));
+      doc.y = Math.max(bottom, doc.y) + 4;
+      doc.x = cols[0];
+    };
+
+    row(["Description", "Qty", "Unit price", "Amount"], { bold: true });
+    invoice.lineItems.forEach((item) =>
+      row([item.description, String(item.quantity), money(item.unitPrice), money(item.amount)])
+    );
+    doc.moveDown(0.5);
+    summaryRows(invoice).forEach(([label, amount]) => row([label, "", "", withCurrency(invoice, amount)], { bold: true }));
+
+    if (invoice.notes) {
+      doc.moveDown().font("Helvetica").text(invoice.notes, cols[0]);
+    }
+    doc.end();
+  });
@@ -0,0 +1,123 @@
+// utils/mailer.js
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import nodemailer from "nodemailer";
+
+/**
+ * Outgoing mail goes through one of three transports, picked with MAIL_TRANSPORT:
+ *  - smtp   : real delivery through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+ *  - file   : each message is written as JSON into MAIL_DROP_DIR (default ./mail-drop)
+ *  - memory : messages are kept in `outbox` (tests / offline work)
+ * When MAIL_TRANSPORT is not set we use smtp if SMTP_HOST exists, otherwise file, except
+ * in production (NODE_ENV=production), where mail is refused until a transport is configured.
+ */
+
+// In-memory outbox used by the "memory" transport
+export const outbox = [];
+
+const transports = {
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+    return (message) => transporter.sendMail(message);
+  },
+
+  file: () => async (message) => {
+    const dir = path.resolve(process.env.MAIL_DROP_DIR || "mail-drop");
+    await fs.mkdir(dir, { recursive: true });
+
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+    const filePath = path.join(dir, `${messageId}.json`);
+    // Attachment bodies are written base64-encoded rather than as byte arrays
+    const attachments = message.attachments?.map((a) => ({
+      ...a,
+      content: Buffer.isBuffer(a.content) ? a.content.toString("base64") : a.content,
+      encoding: Buffer.isBuffer(a.content) ? "base64" : a.encoding,
+    }));
+    await fs.writeFile(filePath, JSON.stringify({ ...message, attachments, sentAt: new Date() }, null, 2));
+
+    return { messageId, path: filePath };
+  },
+
+  memory: () => async (message) => {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+    outbox.push({ ...message, messageId, sentAt: new Date() });
+    return { messageId };
+  },
+};
+
+let activeTransport = null;
+
+const resolveTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  if (process.env.SMTP_HOST) return "smtp";
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("No mail transport configured: set SMTP_HOST (or MAIL_TRANSPORT) in production");
+  }
+  return "file";
+};
+
+/**
+ * @desc Log at startup when mail cannot be sent with the current configuration
+ */
+export const checkMailTransport = () => {
+  try {
+    const name = resolveTransportName();
+    if (!transports[name]) throw new Error(`Unknown mail transport: ${name}`);
+  } catch (err) {
+    console.error("Mailer misconfigured:", err.message);
+  }
+};
+
+/**
+ * @desc Register a custom transport (factory returns `async (message) => info`)
+ */
+export const registerTransport = (name, factory) => {
+  transports[name] = factory;
+  activeTransport = null;
+};
+
+/**
+ * @desc Switch transport at runtime (e.g. "memory" in tests)
+ */
+export const useTransport = (name) => {
+  if (!transports[name]) throw new Error(`Unknown mail transport: ${name}`);
+  process.env.MAIL_TRANSPORT = name;
+  activeTransport = null;
+};
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = resolveTransportName();
+    if (!transports[name]) throw new Error(`Unknown mail transport: ${name}`);
+    activeTransport = transports[name]();
+  }
+  return activeTransport;
+};
+
+/**
+ * @desc Send an email through the configured transport
+ *       attachments use the nodemailer shape: [{ filename, content, contentType }]
+ */
+export const sendEmail = async ({ to, subject, html, text, attachments }) => {
+  if (!to || !subject) throw new Error("Email recipient and subject are required");
+
+  const send = getTransport();
+  return send({
+    from: process.env.MAIL_FROM || "no-reply@task-manager.local",
+    to,
+    subject,
+    html,
+    text,
+    ...(attachments?.length ? { attachments } : {}),
+  });
+};
+
+export default sendEmail;
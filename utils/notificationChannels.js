@@ -0,0 +1,255 @@
+// utils/notificationChannels.js
+import crypto from "crypto";
+import mongoose from "mongoose";
+import NotificationDelivery from "../models/NotificationDelivery.js";
+import NotificationPreference from "../models/NotificationPreference.js";
+import Webhook from "../models/Webhook.js";
+import User from "../models/User.js";
+import Setting from "../models/Setting.js";
+import { sendEmail } from "./mailer.js";
+import { snapshot } from "./audit.js";
+import { priorityRank } from "../config/notifications.js";
+import { LOCALES, DEFAULT_LOCALE } from "../config/locales.js";
+import { translate, localeOf } from "./notificationTemplates.js";
+
+/**
+ * Delivery channels beyond the in-app notification (models/NotificationDelivery.js).
+ *   email    receivers whose preferences ask for email copies of this type and priority;
+ *            sent through the configured mail transport (utils/mailer.js), worded in the
+ *            receiver's locale (event notifications are already rendered in it)
+ *   webhook  every active Webhook whose types and minPriority match (Slack-compatible or generic);
+ *            webhooks also receive the domain events they list (dispatchEvent)
+ * Only receivers getting the notification immediately are emailed; deferred receivers are
+ * emailed their digest instead. Each delivery is attempted at once, then retried with
+ * exponential backoff by jobs/notificationDelivery.js.
+ */
+
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+// How long an attempt in progress keeps other workers off a delivery
+const LEASE_MS = 2 * 60 * 1000;
+
+const escapeHtml = (value = "") =>
+  String(value).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+// Absolute link for an actionLink (app paths need CLIENT_URL)
+const linkFor = ({ actionLink }) => {
+  if (!actionLink) return null;
+  if (!actionLink.startsWith("/")) return actionLink;
+  return process.env.CLIENT_URL ? `${process.env.CLIENT_URL}${actionLink}` : null;
+};
+
+const titleOf = (notification) => notification.title || `New ${notification.type || "info"} notification`;
+
+// ---------------------- Payloads ----------------------
+
+export const emailFor = (notification, locale = DEFAULT_LOCALE) => {
+  locale = localeOf(locale);
+  const link = linkFor(notification);
+  const title = titleOf(notification);
+  const open = translate(locale, "email.open");
+  return {
+    subject: notification.priority === "urgent" || notification.priority === "high"
+      ? `[${translate(locale, `priority.${notification.priority}`)}] ${title}`
+      : title,
+    text: [notification.message, link && `\n${open}: ${link}`].filter(Boolean).join("\n"),
+    html:
+      `<div dir="${LOCALES[locale].dir}" lang="${locale}">` +
+      `<h3>${escapeHtml(title)}</h3>` +
+      `<p>${escapeHtml(notification.message).replace(/\n/g, "<br>")}</p>` +
+      (link ? `<p><a href="${escapeHtml(link)}">${escapeHtml(open)}</a></p>` : "") +
+      `</div>`,
+  };
+};
+
+export const webhookBodyFor = (webhook, notification) => {
+  const link = linkFor(notification);
+  if (webhook.format === "slack") {
+    return { text: `*${titleOf(notification)}*\n${notification.message}${link ? `\n<${link}|Open>` : ""}` };
+  }
+  return {
+    event: "notification",
+    notification: {
+      id: notification._id,
+      title: notification.title,
+      message: notification.message,
+      type: notification.type,
+      priority: notification.priority,
+      link,
+      meta: notification.meta,
+      sender: notification.sender?.name ? { id: notification.sender._id, name: notification.sender.name } : notification.sender,
+      receivers: notification.receivers?.length,
+      createdAt: notification.createdAt,
+    },
+  };
+};
+
+// Body of a domain event (utils/events.js); `rendered` is its notification text
+export const eventBodyFor = (webhook, event, rendered) => {
+  if (webhook.format === "slack") {
+    const link = linkFor(rendered);
+    return { text: `*${rendered.title}*\n${rendered.message}${link ? `\n<${link}|Open>` : ""}` };
+  }
+  return {
+    event: event.name,
+    occurredAt: event.occurredAt,
+    actor: event.actor ? { id: event.actor._id, name: event.actor.name } : null,
+    data: snapshot(event.data),
+  };
+};
+
+/**
+ * @desc POST a JSON body to a webhook → { responseStatus }; throws on network errors and non-2xx
+ */
+export const postWebhook = async (webhook, body) => {
+  const payload = JSON.stringify(body);
+  const headers = { "Content-Type": "application/json", "User-Agent": "task-manager-webhooks/1.0" };
+  if (webhook.secret) {
+    headers["X-Webhook-Signature"] = `sha256=${crypto.createHmac("sha256", webhook.secret).update(payload).digest("hex")}`;
+  }
+
+  const response = await fetch(webhook.url, {
+    method: "POST",
+    headers,
+    body: payload,
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    const err = new Error(`Webhook responded with ${response.status}`);
+    err.responseStatus = response.status;
+    throw err;
+  }
+  return { responseStatus: response.status };
+};
+
+// ---------------------- Channels ----------------------
+
+const senders = {
+  email: async (delivery, notification) => {
+    await sendEmail({ to: delivery.target, ...emailFor(notification, delivery.locale) });
+    return {};
+  },
+
+  webhook: async (delivery, notification) => {
+    const webhook = await Webhook.findById(delivery.webhook).select("+secret");
+    if (!webhook || !webhook.active) {
+      const err = new Error("Webhook was removed or deactivated");
+      err.permanent = true;
+      throw err;
+    }
+    return postWebhook(webhook, delivery.event ? delivery.payload : webhookBodyFor(webhook, notification));
+  },
+};
+
+const matchesWebhook = (webhook, notification) =>
+  (!webhook.types?.length || webhook.types.includes(notification.type)) &&
+  priorityRank(notification.priority) >= priorityRank(webhook.minPriority);
+
+/**
+ * @desc Deliveries a notification needs
+ * @param to       receivers getting it now (routing.immediate)
+ * @param digest   the notification is a digest: emailed to anyone with email on, no webhooks
+ */
+export const planDeliveries = async (notification, { to = [], digest = false } = {}) => {
+  const planned = [];
+
+  if (to.length) {
+    const prefs = await NotificationPreference.find({ user: { $in: to }, "email.enabled": true });
+    const emailTo = prefs.filter((pref) => digest || pref.wantsEmail(notification)).map((pref) => pref.user);
+    if (emailTo.length) {
+      const users = await User.find({ _id: { $in: emailTo }, isActive: true }).select("email locale").lean();
+      users
+        .filter((user) => user.email)
+        .forEach((user) => planned.push({ channel: "email", user: user._id, target: user.email, locale: user.locale }));
+    }
+  }
+
+  if (!digest) {
+    const webhooks = await Webhook.find({ active: true });
+    webhooks
+      .filter((webhook) => matchesWebhook(webhook, notification))
+      .forEach((webhook) => planned.push({ channel: "webhook", webhook: webhook._id, target: webhook.url }));
+  }
+
+  return planned;
+};
+
+/**
+ * @desc Attempt one delivery and record the outcome → the delivery
+ */
+export const processDelivery = async (delivery) => {
+  const notification = delivery.notification
+    ? await mongoose.model("Notification").findById(delivery.notification).populate("sender", "name")
+    : null;
+  const now = new Date();
+  delivery.attempts += 1;
+
+  try {
+    if (!notification && !delivery.event) {
+      const err = new Error("Notification no longer exists");
+      err.permanent = true;
+      throw err;
+    }
+    const { responseStatus } = await senders[delivery.channel](delivery, notification);
+    delivery.status = "sent";
+    delivery.sentAt = now;
+    delivery.lastError = undefined;
+    delivery.log.push({ at: now, status: "sent", responseStatus });
+  } catch (err) {
+    delivery.lastError = err.message;
+    delivery.log.push({ at: now, status: "error", error: err.message, responseStatus: err.responseStatus });
+
+    const maxAttempts = await Setting.getValue("notifications.deliveryMaxAttempts");
+    if (err.permanent || delivery.attempts >= maxAttempts) {
+      delivery.status = "failed";
+    } else {
+      const baseMinutes = await Setting.getValue("notifications.retryBaseMinutes");
+      delivery.nextAttemptAt = new Date(now.getTime() + baseMinutes * 60 * 1000 * 2 ** (delivery.attempts - 1));
+    }
+  }
+
+  await delivery.save();
+  return delivery;
+};
+
+// Store planned deliveries leased to this worker, then attempt each
+const createAndProcess = async (planned) => {
+  if (!planned.length) return [];
+  const leaseUntil = new Date(Date.now() + LEASE_MS);
+  const deliveries = await NotificationDelivery.insertMany(planned.map((p) => ({ ...p, nextAttemptAt: leaseUntil })));
+  for (const delivery of deliveries) await processDelivery(delivery);
+  return deliveries;
+};
+
+/**
+ * @desc Create and attempt the deliveries of a notification (see planDeliveries)
+ */
+export const dispatchNotification = async (notification, options) => {
+  const planned = await planDeliveries(notification, options);
+  return createAndProcess(planned.map((p) => ({ ...p, notification: notification._id })));
+};
+
+/**
+ * @desc Post a domain event to the active webhooks that list it
+ */
+export const dispatchEvent = async (event, rendered) => {
+  const webhooks = await Webhook.find({ active: true, events: event.name });
+  return createAndProcess(
+    webhooks.map((webhook) => ({
+      channel: "webhook",
+      webhook: webhook._id,
+      target: webhook.url,
+      event: event.name,
+      payload: eventBodyFor(webhook, event, rendered),
+    }))
+  );
+};
+
+/**
+ * @desc Take the next pending delivery that is due (leased so no other worker picks it up)
+ */
+export const claimDueDelivery = (now = new Date()) =>
+  NotificationDelivery.findOneAndUpdate(
+    { status: "pending", nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + LEASE_MS) } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
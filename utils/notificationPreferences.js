@@ -0,0 +1,113 @@
+// utils/notificationPreferences.js
+import NotificationPreference from "../models/NotificationPreference.js";
+import NotificationDigest from "../models/NotificationDigest.js";
+import User from "../models/User.js";
+import { priorityRank } from "../config/notifications.js";
+
+/**
+ * Who gets a notification, and when (models/NotificationPreference.js).
+ *   dropped    type disabled, or priority below the receiver's minPriority
+ *   deferred   type set to an hourly/daily digest, or sent during quiet hours
+ *   immediate  everything else
+ * Urgent notifications from admins skip all of this and reach every receiver at once.
+ * Dropped receivers are left off the notification; deferred ones get it stored (it shows up
+ * in /my) but are only told about it by the digest (jobs/notificationDigest.js).
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+
+const toMinutes = (hhmm) => {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+};
+
+// Minute of the day at `date` in a time zone
+export const localMinutes = (date, timeZone = "UTC") => {
+  const parts = new Intl.DateTimeFormat("en-GB", { timeZone, hour: "2-digit", minute: "2-digit", hourCycle: "h23" })
+    .formatToParts(date)
+    .reduce((acc, p) => ({ ...acc, [p.type]: Number(p.value) }), {});
+  return parts.hour * 60 + parts.minute;
+};
+
+// Next moment the clock in a time zone reads minuteOfDay (now, if it already does)
+const nextLocalTime = (now, minuteOfDay, timeZone) => {
+  const wait = (minuteOfDay - localMinutes(now, timeZone) + DAY_MINUTES) % DAY_MINUTES;
+  const at = new Date(now.getTime() + wait * 60 * 1000);
+  at.setSeconds(0, 0);
+  return at;
+};
+
+export const inQuietHours = (pref, date = new Date()) => {
+  if (!pref?.quietHours?.enabled) return false;
+  const now = localMinutes(date, pref.timezone);
+  const start = toMinutes(pref.quietHours.start);
+  const end = toMinutes(pref.quietHours.end);
+  return start <= end ? now >= start && now < end : now >= start || now < end;
+};
+
+const quietHoursEnd = (pref, now) => nextLocalTime(now, toMinutes(pref.quietHours.end), pref.timezone);
+
+/**
+ * @desc When a deferred notification is delivered → { reason, dueAt } or null (deliver now)
+ */
+export const deliveryPlan = (pref, type, now = new Date()) => {
+  const { delivery } = pref.settingsFor(type);
+  let plan = null;
+  if (delivery === "hourly") {
+    plan = { reason: "hourly", dueAt: new Date(Math.floor(now.getTime() / HOUR_MS) * HOUR_MS + HOUR_MS) };
+  } else if (delivery === "daily") {
+    plan = { reason: "daily", dueAt: nextLocalTime(new Date(now.getTime() + 60 * 1000), pref.dailyDigestHour * 60, pref.timezone) };
+  } else if (inQuietHours(pref, now)) {
+    return { reason: "quiet-hours", dueAt: quietHoursEnd(pref, now) };
+  }
+  // A digest that falls due in quiet hours waits for them to end
+  if (plan && inQuietHours(pref, plan.dueAt)) plan.dueAt = quietHoursEnd(pref, plan.dueAt);
+  return plan;
+};
+
+// Whether a notification skips preferences (urgent, from an admin)
+const bypassesPreferences = async (sender, priority) => {
+  if (priority !== "urgent" || !sender) return false;
+  const user = sender.role ? sender : await User.findById(sender).select("role").lean();
+  return user?.role === "admin";
+};
+
+/**
+ * @desc Split receivers by their preferences
+ * @returns { receivers (stored on the notification), immediate, deferred: [{ user, reason, dueAt }], dropped }
+ */
+export const routeNotification = async ({ sender, receivers, type = "info", priority = "normal" }, now = new Date()) => {
+  const ids = [...new Set(receivers.map((r) => String(r._id || r)))];
+  if (await bypassesPreferences(sender, priority)) {
+    return { receivers: ids, immediate: ids, deferred: [], dropped: [] };
+  }
+
+  const prefs = new Map(
+    (await NotificationPreference.find({ user: { $in: ids } })).map((pref) => [String(pref.user), pref])
+  );
+
+  const routing = { receivers: [], immediate: [], deferred: [], dropped: [] };
+  ids.forEach((id) => {
+    const pref = prefs.get(id);
+    if (!pref) {
+      routing.receivers.push(id);
+      routing.immediate.push(id);
+      return;
+    }
+    if (!pref.settingsFor(type).enabled || priorityRank(priority) < priorityRank(pref.minPriority)) {
+      routing.dropped.push(id);
+      return;
+    }
+    routing.receivers.push(id);
+    const plan = deliveryPlan(pref, type, now);
+    plan ? routing.deferred.push({ user: id, ...plan }) : routing.immediate.push(id);
+  });
+  return routing;
+};
+
+// Hold a notification for the receivers it was deferred for
+export const queueDigest = (notification, deferred) =>
+  deferred.length
+    ? NotificationDigest.insertMany(deferred.map((d) => ({ ...d, notification: notification._id })))
+    : Promise.resolve([]);
@@ -0,0 +1,77 @@
+// utils/notificationStream.js
+
+/**
+ * Live notification push over Server-Sent Events (GET /api/notifications/stream).
+ * Each open stream is registered under its user; a user may have several (one per tab).
+ * Events:
+ *   notification       a new notification (id: the notification _id, the catch-up cursor)
+ *   notification.read  read state changed in another tab or request { ids | all, read, unreadCount }
+ *   notification.updated / notification.deleted   a notification was edited or removed
+ *   ready              sent once on connect { unreadCount, caughtUp }
+ * Only `notification` events carry an SSE id, so the browser's Last-Event-ID always points at
+ * the newest notification seen. Streams are held in this process: with several server
+ * instances, each pushes only to the clients connected to it.
+ */
+
+export const HEARTBEAT_MS = 25 * 1000;
+export const MAX_STREAMS_PER_USER = 10;
+
+const streams = new Map(); // userId → Set<res>
+
+// Write one SSE frame (data is JSON encoded)
+export const writeEvent = (res, { event, data, id }) => {
+  if (id) res.write(`id: ${id}\n`);
+  if (event) res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data ?? {})}\n\n`);
+  res.flush?.(); // compression middleware buffers otherwise
+};
+
+/**
+ * @desc Register an open stream for a user → function that unregisters it.
+ *       The oldest stream is closed when a user opens more than MAX_STREAMS_PER_USER.
+ */
+export const addStream = (userId, res) => {
+  const key = String(userId);
+  const set = streams.get(key) || new Set();
+  if (set.size >= MAX_STREAMS_PER_USER) {
+    const [oldest] = set;
+    set.delete(oldest);
+    oldest.end();
+  }
+  set.add(res);
+  streams.set(key, set);
+
+  return () => {
+    set.delete(res);
+    if (!set.size && streams.get(key) === set) streams.delete(key);
+  };
+};
+
+// Push an event to every open stream of the given users
+export const pushToUsers = (userIds, event) => {
+  new Set(userIds.map(String)).forEach((key) => {
+    streams.get(key)?.forEach((res) => {
+      try {
+        writeEvent(res, event);
+      } catch (err) {
+        console.error("Notification stream write failed:", err.message);
+      }
+    });
+  });
+};
+
+// Push a new notification to its receivers (or only to `to`)
+export const pushNotification = (notification, to) => {
+  const data = typeof notification.toObject === "function" ? notification.toObject() : notification;
+  pushToUsers(
+    to || notification.receivers.map((r) => r._id || r),
+    { event: "notification", id: String(notification._id), data: { ...data, isRead: false } }
+  );
+};
+
+export const isConnected = (userId) => streams.has(String(userId));
+
+export const streamStats = () => ({
+  users: streams.size,
+  streams: [...streams.values()].reduce((sum, set) => sum + set.size, 0),
+});
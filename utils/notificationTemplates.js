@@ -0,0 +1,80 @@
+// utils/notificationTemplates.js
+import NotificationTemplate from "../models/NotificationTemplate.js";
+import { EVENTS, isKnownEvent } from "../config/events.js";
+import { LOCALES, DEFAULT_LOCALE, STRINGS } from "../config/locales.js";
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+const valueAt = (context, path) => path.split(".").reduce((value, key) => value?.[key], context);
+
+export const localeOf = (locale) => (typeof locale === "string" && Object.hasOwn(LOCALES, locale) ? locale : DEFAULT_LOCALE);
+
+const format = (value, locale) => {
+  if (value instanceof Date) {
+    // English keeps the wording the hard-coded messages used
+    return locale === DEFAULT_LOCALE ? value.toDateString() : value.toLocaleDateString(LOCALES[locale].intl, { dateStyle: "medium" });
+  }
+  if (typeof value === "number") return value.toLocaleString(LOCALES[locale].intl);
+  return String(value);
+};
+
+/**
+ * @desc Fill {{path}} placeholders from a context
+ *       renderTemplate("{{actor.name}} picked {{project.projectName}}", { actor, project }, "ur")
+ * @param keepMissing  leave placeholders without a value in place (previews) instead of blanking them
+ */
+export const renderTemplate = (template, context, locale = DEFAULT_LOCALE, { keepMissing = false } = {}) =>
+  (template || "").replace(PLACEHOLDER, (match, path) => {
+    const value = valueAt(context, path);
+    if (value === undefined || value === null) return keepMissing ? match : "";
+    return format(value, localeOf(locale));
+  });
+
+// Placeholder paths a template uses
+export const variablesOf = (...templates) =>
+  [...new Set(templates.flatMap((t) => [...(t || "").matchAll(PLACEHOLDER)].map((m) => m[1])))];
+
+/**
+ * @desc Fixed notification wording (config/locales.js STRINGS) in a locale, English as fallback
+ */
+export const translate = (locale, key, vars = {}) =>
+  renderTemplate(STRINGS[localeOf(locale)][key] ?? STRINGS[DEFAULT_LOCALE][key] ?? key, vars, locale);
+
+/**
+ * @desc The effective template of an event in a locale: the admin override merged over the
+ *       locale's default (English when the locale has none)
+ *       → { event, locale, title, message, link, type, priority, enabled, customized }
+ */
+export const templateFor = async (event, locale = DEFAULT_LOCALE) => {
+  if (!isKnownEvent(event)) throw new Error(`Unknown event "${event}"`);
+  locale = localeOf(locale);
+  const { templates, link, type, priority } = EVENTS[event];
+  const defaults = templates[locale] || templates[DEFAULT_LOCALE];
+  const stored = await NotificationTemplate.findOne({ event, locale }).lean();
+  return {
+    event,
+    locale,
+    title: stored?.title || defaults.title,
+    message: stored?.message || defaults.message,
+    link,
+    type,
+    priority,
+    enabled: stored?.enabled ?? true,
+    customized: Boolean(stored),
+  };
+};
+
+/**
+ * @desc Render an event's notification in a locale → { title, message, actionLink, type, priority, enabled }
+ */
+export const renderEventNotification = async (event, context, locale = DEFAULT_LOCALE) => {
+  const template = await templateFor(event, locale);
+  return {
+    title: renderTemplate(template.title, context, template.locale),
+    message: renderTemplate(template.message, context, template.locale),
+    actionLink: renderTemplate(template.link, context, template.locale),
+    type: template.type,
+    priority: template.priority,
+    enabled: template.enabled,
+  };
+};
@@ -0,0 +1,96 @@
+// utils/permissions.js
+import Role from "../models/Role.js";
+import { DEFAULT_ROLES, SYSTEM_ROLES } from "../config/permissions.js";
+
+/**
+ * Role → permission resolution.
+ * Roles are read from the Role collection and cached for CACHE_TTL_MS;
+ * a role missing from the collection falls back to DEFAULT_ROLES.
+ * Call invalidateRoleCache() after editing roles.
+ */
+
+const CACHE_TTL_MS = 60 * 1000;
+
+let cache = null;
+let cacheLoadedAt = 0;
+
+const loadRoles = async () => {
+  if (cache && Date.now() - cacheLoadedAt < CACHE_TTL_MS) return cache;
+
+  const roles = await Role.find().select("name permissions").lean();
+
+  const map = new Map();
+  for (const [name, role] of Object.entries(DEFAULT_ROLES)) {
+    map.set(name, role.permissions);
+  }
+  for (const role of roles) {
+    map.set(role.name, role.permissions);
+  }
+
+  cache = map;
+  cacheLoadedAt = Date.now();
+  return cache;
+};
+
+export const invalidateRoleCache = () => {
+  cache = null;
+};
+
+/**
+ * @desc Does a list of granted permissions cover `required`? Supports "*" and "prefix:*"
+ */
+export const permissionMatches = (granted, required) =>
+  granted.some(
+    (perm) =>
+      perm === "*" ||
+      perm === required ||
+      (perm.endsWith(":*") && required.startsWith(perm.slice(0, -1)))
+  );
+
+/**
+ * @desc Permissions granted to a role name
+ */
+export const getRolePermissions = async (roleName) => {
+  const roles = await loadRoles();
+  return roles.get(roleName) || [];
+};
+
+/**
+ * @desc Does the user hold every one of the given permissions?
+ */
+export const userCan = async (user, ...permissions) => {
+  if (!user?.role) return false;
+  const granted = await getRolePermissions(user.role);
+  return permissions.every((perm) => permissionMatches(granted, perm));
+};
+
+/**
+ * @desc Is this a role that exists (stored or built-in)?
+ */
+export const isKnownRole = async (roleName) => {
+  const roles = await loadRoles();
+  return roles.has(roleName);
+};
+
+/**
+ * @desc Insert missing built-in roles into the Role collection (existing ones are left untouched)
+ */
+export const seedDefaultRoles = async () => {
+  const ops = Object.entries(DEFAULT_ROLES).map(([name, role]) => ({
+    updateOne: {
+      filter: { name },
+      update: {
+        $setOnInsert: {
+          name,
+          description: role.description,
+          permissions: role.permissions,
+          isSystem: SYSTEM_ROLES.includes(name),
+        },
+      },
+      upsert: true,
+    },
+  }));
+
+  await Role.bulkWrite(ops);
+  invalidateRoleCache();
+};
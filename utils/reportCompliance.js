@@ -0,0 +1,95 @@
+// utils/reportCompliance.js
+import Report from "../models/Report.js";
+import { dayKey } from "../models/WorkCalendar.js";
+
+/**
+ * Daily report compliance helpers shared by jobs/missingReports.js and the compliance view.
+ * Days are local calendar days; a day counts as submitted when the user created a daily report on it.
+ */
+
+export const startOfDay = (date) => {
+  const d = new Date(date);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+};
+
+export const addDays = (date, days) => {
+  const d = new Date(date);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate() + days);
+};
+
+// Day keys with a daily report per user in [start, end) → Map(userId → Set)
+export const submittedDays = async (userIds, start, end) => {
+  const reports = await Report.find({
+    type: "daily",
+    createdBy: { $in: userIds },
+    createdAt: { $gte: start, $lt: end },
+  })
+    .select("createdBy createdAt")
+    .lean();
+
+  const byUser = new Map(userIds.map((id) => [String(id), new Set()]));
+  reports.forEach((r) => byUser.get(String(r.createdBy))?.add(dayKey(r.createdAt)));
+  return byUser;
+};
+
+// Working days of calendar in [start, end), as day starts
+export const workingDaysBetween = (calendar, start, end) => {
+  const days = [];
+  for (let d = startOfDay(start); d < end; d = addDays(d, 1)) {
+    if (calendar.isWorkingDay(d)) days.push(d);
+  }
+  return days;
+};
+
+/**
+ * @desc Submission record of one user over [from, to): streaks and gaps on working days.
+ *       Days before the account existed are not expected; today only counts once submitted.
+ */
+export const complianceFor = ({ user, calendar, submitted, from, to, now = new Date() }) => {
+  const today = startOfDay(now);
+  const joined = startOfDay(user.createdAt || from);
+  const days = workingDaysBetween(calendar, from > joined ? from : joined, to).filter(
+    (d) => d < today || submitted.has(dayKey(d))
+  );
+
+  let longestStreak = 0;
+  let run = 0;
+  const gaps = [];
+  let gap = null;
+
+  days.forEach((d) => {
+    const key = dayKey(d);
+    if (submitted.has(key)) {
+      run += 1;
+      longestStreak = Math.max(longestStreak, run);
+      gap = null;
+    } else {
+      run = 0;
+      if (gap) {
+        gap.to = key;
+        gap.days += 1;
+      } else {
+        gap = { from: key, to: key, days: 1 };
+        gaps.push(gap);
+      }
+    }
+  });
+  const currentStreak = run;
+
+  const submittedCount = days.filter((d) => submitted.has(dayKey(d))).length;
+  const lastSubmitted = [...submitted].sort().pop() || null;
+
+  return {
+    expectedDays: days.length,
+    submittedDays: submittedCount,
+    missedDays: days.length - submittedCount,
+    complianceRate: days.length ? Math.round((submittedCount / days.length) * 1000) / 10 : null,
+    currentStreak,
+    longestStreak,
+    currentGap: gaps.length && gaps[gaps.length - 1].to === (days.length ? dayKey(days[days.length - 1]) : null)
+      ? gaps[gaps.length - 1].days
+      : 0,
+    lastSubmittedDay: lastSubmitted,
+    gaps,
+  };
+};
@@ -0,0 +1,217 @@
+// utils/reportRollup.js
+import Report from "../models/Report.js";
+import Task from "../models/Task.js";
+import Timesheet from "../models/Timesheet.js";
+import User from "../models/User.js";
+import { Project } from "../models/Project.js";
+
+/**
+ * Weekly / monthly roll-up of a team's daily reports.
+ * A roll-up is a regular Report (type "weekly" | "monthly", forUser = team lead) whose
+ * rollup field holds per-member numbers: daily reports, completed tasks, logged hours
+ * (timesheet entries + time entries added straight to projects) and feedback ratings.
+ * Source daily reports point back to it through parentReport; a daily that is already
+ * part of a weekly roll-up keeps that link, rollup.sources always lists every source.
+ */
+
+export const ROLLUP_TYPES = ["weekly", "monthly"];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const idOf = (value) => String(value?._id ?? value);
+
+// Local period bounds: weeks start on Monday, months on the 1st
+export const periodBounds = (type, date = new Date()) => {
+  const d = new Date(date);
+  let start;
+  let end;
+  if (type === "weekly") {
+    start = new Date(d.getFullYear(), d.getMonth(), d.getDate() - ((d.getDay() + 6) % 7));
+    end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7);
+  } else {
+    start = new Date(d.getFullYear(), d.getMonth(), 1);
+    end = new Date(d.getFullYear(), d.getMonth() + 1, 1);
+  }
+  return { start, end };
+};
+
+// Hours on timesheets per user in the period (task time is logged there too), any sheet status
+const timesheetHours = async (memberIds, start, end) => {
+  const rows = await Timesheet.aggregate([
+    { $match: { user: { $in: memberIds }, "entries.date": { $gte: start, $lt: end } } },
+    { $unwind: "$entries" },
+    { $match: { "entries.date": { $gte: start, $lt: end } } },
+    { $group: { _id: "$user", hours: { $sum: "$entries.hours" } } },
+  ]);
+  return new Map(rows.map((r) => [idOf(r._id), r.hours]));
+};
+
+// Hours of time entries added straight to projects per user in the period (entries copied
+// from approved timesheets are already counted by timesheetHours)
+const timeEntryHours = async (memberIds, start, end) => {
+  const rows = await Project.aggregate([
+    { $match: { "timeEntries.addedBy": { $in: memberIds } } },
+    { $unwind: "$timeEntries" },
+    {
+      $match: {
+        "timeEntries.addedBy": { $in: memberIds },
+        "timeEntries.date": { $gte: start, $lt: end },
+        "timeEntries.timesheet": null,
+      },
+    },
+    { $group: { _id: "$timeEntries.addedBy", hours: { $sum: "$timeEntries.hours" } } },
+  ]);
+  return new Map(rows.map((r) => [idOf(r._id), r.hours]));
+};
+
+// Tasks completed per user in the period (completedAt, or updatedAt for older tasks)
+const completedTasks = async (memberIds, start, end) => {
+  const rows = await Task.aggregate([
+    {
+      $match: {
+        assignedTo: { $in: memberIds },
+        status: "completed",
+        $or: [
+          { completedAt: { $gte: start, $lt: end } },
+          { completedAt: null, updatedAt: { $gte: start, $lt: end } },
+        ],
+      },
+    },
+    { $group: { _id: "$assignedTo", count: { $sum: 1 } } },
+  ]);
+  return new Map(rows.map((r) => [idOf(r._id), r.count]));
+};
+
+const pendingTasks = async (memberIds) => {
+  const rows = await Task.aggregate([
+    { $match: { assignedTo: { $in: memberIds }, status: { $ne: "completed" } } },
+    { $group: { _id: "$assignedTo", count: { $sum: 1 } } },
+  ]);
+  return new Map(rows.map((r) => [idOf(r._id), r.count]));
+};
+
+const renderContent = ({ type, start, end, teamLead, members, totals }) => {
+  const last = new Date(end.getTime() - 1);
+  const lines = [
+    `${type === "weekly" ? "Weekly" : "Monthly"} team report — ${teamLead.name}`,
+    `${start.toDateString()} – ${last.toDateString()}`,
+    "",
+    `Daily reports: ${totals.dailyReports}`,
+    `Tasks completed: ${totals.tasksCompleted} (pending: ${totals.tasksPending})`,
+    `Hours logged: ${totals.hoursLogged}h`,
+    `Average feedback rating: ${totals.averageRating ?? "—"}`,
+    "",
+    "Per member:",
+    ...members.map(
+      (m) =>
+        `- ${m.name}: ${m.dailyReports} daily report(s), ${m.tasksCompleted} task(s) completed, ` +
+        `${m.hoursLogged}h logged, rating ${m.averageRating ?? "—"}`
+    ),
+  ];
+  return lines.join("\n");
+};
+
+/**
+ * @desc Create or refresh the roll-up of teamLead's team for the period containing date.
+ *       A roll-up that was already forwarded up the hierarchy is not regenerated.
+ * @returns { report, created } or { error, status }
+ */
+export const buildRollupReport = async ({ type, teamLead, date = new Date(), generatedBy }) => {
+  const { start, end } = periodBounds(type, date);
+
+  const members = await User.findTeamMembers(teamLead._id).select("name email").lean();
+  if (!members.length) return { status: 400, error: "This team lead has no active team members" };
+  const memberIds = members.map((m) => m._id);
+
+  const existing = await Report.findOne({ type, forUser: teamLead._id, "period.start": start, rollup: { $ne: null } });
+  if (existing?.submissionHistory?.length) {
+    return { status: 409, error: "This roll-up has already been forwarded and can no longer be regenerated", report: existing };
+  }
+
+  const dailies = await Report.find({
+    type: "daily",
+    createdBy: { $in: memberIds },
+    createdAt: { $gte: start, $lt: end },
+  })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const [sheetHoursByUser, entryHoursByUser, completedByUser, pendingByUser] = await Promise.all([
+    timesheetHours(memberIds, start, end),
+    timeEntryHours(memberIds, start, end),
+    completedTasks(memberIds, start, end),
+    pendingTasks(memberIds),
+  ]);
+
+  const memberRows = members.map((member) => {
+    const id = idOf(member._id);
+    const own = dailies.filter((r) => idOf(r.createdBy) === id);
+    const ratings = own.flatMap((r) => (r.feedbacks || []).map((f) => f.rating).filter(Boolean));
+    const latest = own[own.length - 1];
+    const sheetHours = round2(sheetHoursByUser.get(id) || 0);
+    const entryHours = round2(entryHoursByUser.get(id) || 0);
+
+    return {
+      user: member._id,
+      name: member.name,
+      dailyReports: own.length,
+      tasksCompleted: completedByUser.get(id) || 0,
+      tasksPending: pendingByUser.get(id) || 0,
+      timesheetHours: sheetHours,
+      timeEntryHours: entryHours,
+      hoursLogged: round2(sheetHours + entryHours),
+      ratingCount: ratings.length,
+      averageRating: ratings.length ? round2(ratings.reduce((s, r) => s + r, 0) / ratings.length) : null,
+      projectStats: latest?.projectStats || { done: 0, inProgress: 0, selected: 0 },
+    };
+  });
+
+  const sum = (field) => memberRows.reduce((s, m) => s + (m[field] || 0), 0);
+  const ratingCount = sum("ratingCount");
+  const ratingTotal = memberRows.reduce((s, m) => s + (m.averageRating || 0) * m.ratingCount, 0);
+  const totals = {
+    members: memberRows.length,
+    dailyReports: dailies.length,
+    tasksCompleted: sum("tasksCompleted"),
+    tasksPending: sum("tasksPending"),
+    hoursLogged: round2(sum("hoursLogged")),
+    ratingCount,
+    averageRating: ratingCount ? round2(ratingTotal / ratingCount) : null,
+  };
+
+  const fields = {
+    type,
+    createdBy: generatedBy,
+    forUser: teamLead._id,
+    content: renderContent({ type, start, end, teamLead, members: memberRows, totals }),
+    tasksCompleted: totals.tasksCompleted,
+    tasksPending: totals.tasksPending,
+    projectStats: {
+      done: memberRows.reduce((s, m) => s + m.projectStats.done, 0),
+      inProgress: memberRows.reduce((s, m) => s + m.projectStats.inProgress, 0),
+      selected: memberRows.reduce((s, m) => s + m.projectStats.selected, 0),
+    },
+    period: { start, end },
+    rollup: {
+      sources: dailies.map((r) => r._id),
+      members: memberRows.map(({ projectStats, ...row }) => row),
+      totals,
+      generatedBy,
+      generatedAt: new Date(),
+    },
+  };
+
+  const report = existing ? Object.assign(existing, fields) : new Report(fields);
+  await report.save();
+
+  // Link sources: weekly roll-ups take over the link, monthly ones only claim unlinked dailies
+  const sourceIds = dailies.map((r) => r._id);
+  const linkFilter = type === "weekly"
+    ? { _id: { $in: sourceIds } }
+    : { _id: { $in: sourceIds }, $or: [{ parentReport: null }, { parentReport: report._id }] };
+  await Report.updateMany(linkFilter, { parentReport: report._id });
+
+  // Dailies that dropped out of a refreshed roll-up (e.g. deleted) lose the link
+  await Report.updateMany({ parentReport: report._id, _id: { $nin: sourceIds } }, { parentReport: null });
+
+  return { report, created: !existing };
+};
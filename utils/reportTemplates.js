@@ -0,0 +1,162 @@
+// utils/reportTemplates.js
+import mongoose from "mongoose";
+import Task from "../models/Task.js";
+import ReportTemplate, { FIELD_TYPES } from "../models/ReportTemplate.js";
+
+/**
+ * Structured report answers (models/ReportTemplate.js).
+ * Answers arrive as { [fieldKey]: value } and are stored on the report as
+ * [{ key, label, type, value }] so they can be aggregated per field across reports.
+ */
+
+const isBlank = (value) =>
+  value === undefined || value === null || (typeof value === "string" && !value.trim()) ||
+  (Array.isArray(value) && value.length === 0);
+
+// Check a template's field definitions (admin input) → error message or null
+export const validateTemplateFields = (fields) => {
+  if (!Array.isArray(fields) || !fields.length) return "At least one field is required";
+
+  const keys = new Set();
+  for (const field of fields) {
+    const name = field?.key || "?";
+    if (!field?.key || !/^[a-zA-Z][a-zA-Z0-9_]*$/.test(field.key)) return `Invalid field key "${name}"`;
+    if (keys.has(field.key)) return `Duplicate field key "${field.key}"`;
+    keys.add(field.key);
+    if (!field.label?.trim()) return `Field "${name}" needs a label`;
+    if (!FIELD_TYPES.includes(field.type)) return `Field "${name}" has an unknown type; use ${FIELD_TYPES.join(", ")}`;
+
+    const rules = field.rules || {};
+    if (field.type === "checklist" && !(Array.isArray(rules.options) && rules.options.length)) {
+      return `Checklist field "${name}" needs options`;
+    }
+    if (field.type === "rating" && rules.scale !== undefined && !(Number.isInteger(rules.scale) && rules.scale >= 2 && rules.scale <= 10)) {
+      return `Rating field "${name}" needs a scale between 2 and 10`;
+    }
+    if (rules.pattern) {
+      try {
+        new RegExp(rules.pattern);
+      } catch {
+        return `Field "${name}" has an invalid pattern`;
+      }
+    }
+    if (rules.min !== undefined && rules.max !== undefined && rules.min > rules.max) return `Field "${name}": min is above max`;
+  }
+  return null;
+};
+
+// Validate one answer → { value } or { error }
+const checkField = async (field, raw, user) => {
+  const rules = field.rules || {};
+
+  switch (field.type) {
+    case "text": {
+      const value = String(raw).trim();
+      if (rules.minLength && value.length < rules.minLength) return { error: `must be at least ${rules.minLength} characters` };
+      if (rules.maxLength && value.length > rules.maxLength) return { error: `must be at most ${rules.maxLength} characters` };
+      if (rules.pattern && !new RegExp(rules.pattern).test(value)) return { error: "has an invalid format" };
+      return { value };
+    }
+    case "number": {
+      const value = Number(raw);
+      if (!Number.isFinite(value)) return { error: "must be a number" };
+      if (rules.integer && !Number.isInteger(value)) return { error: "must be a whole number" };
+      if (rules.min !== undefined && rules.min !== null && value < rules.min) return { error: `must be at least ${rules.min}` };
+      if (rules.max !== undefined && rules.max !== null && value > rules.max) return { error: `must be at most ${rules.max}` };
+      return { value };
+    }
+    case "rating": {
+      const scale = rules.scale || 5;
+      const value = Number(raw);
+      if (!Number.isInteger(value) || value < 1 || value > scale) return { error: `must be a rating from 1 to ${scale}` };
+      return { value };
+    }
+    case "checklist": {
+      const selected = Array.isArray(raw) ? raw.map(String) : [String(raw)];
+      const unknown = selected.find((option) => !rules.options.includes(option));
+      if (unknown) return { error: `has an unknown option "${unknown}"` };
+      const value = [...new Set(selected)];
+      if (rules.minSelected && value.length < rules.minSelected) return { error: `needs at least ${rules.minSelected} item(s) checked` };
+      if (rules.maxSelected && value.length > rules.maxSelected) return { error: `allows at most ${rules.maxSelected} item(s) checked` };
+      return { value };
+    }
+    case "task": {
+      const ids = Array.isArray(raw) ? raw.map(String) : [String(raw)];
+      if (!rules.multiple && ids.length > 1) return { error: "accepts a single task" };
+      if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) return { error: "has an invalid task id" };
+      // Only the author's own tasks can be picked
+      const count = await Task.countDocuments({ _id: { $in: ids }, assignedTo: user._id });
+      if (count !== new Set(ids).size) return { error: "must reference tasks assigned to you" };
+      return { value: rules.multiple ? [...new Set(ids)] : ids[0] };
+    }
+    default:
+      return { error: "has an unknown type" };
+  }
+};
+
+/**
+ * @desc Validate answers ({ key: value }) against a template for user.
+ * @returns { answers: [{ key, label, type, value }] } or { errors: [{ field, message }] }
+ */
+export const validateAnswers = async (template, input, user) => {
+  const source = input && typeof input === "object" && !Array.isArray(input) ? input : {};
+  const errors = [];
+  const answers = [];
+
+  const known = new Set(template.fields.map((f) => f.key));
+  Object.keys(source)
+    .filter((key) => !known.has(key))
+    .forEach((key) => errors.push({ field: key, message: "is not part of this template" }));
+
+  for (const field of template.fields) {
+    const raw = source[field.key];
+    if (isBlank(raw)) {
+      if (field.required) errors.push({ field: field.key, message: `${field.label} is required` });
+      continue;
+    }
+    const result = await checkField(field, raw, user);
+    if (result.error) errors.push({ field: field.key, message: `${field.label} ${result.error}` });
+    else answers.push({ key: field.key, label: field.label, type: field.type, value: result.value });
+  }
+
+  return errors.length ? { errors } : { answers };
+};
+
+// Plain-text rendering of answers, used as report content when none is written
+export const renderAnswers = async (answers) => {
+  const taskIds = answers.filter((a) => a.type === "task").flatMap((a) => [].concat(a.value));
+  const tasks = taskIds.length ? await Task.find({ _id: { $in: taskIds } }).select("title").lean() : [];
+  const titles = new Map(tasks.map((t) => [String(t._id), t.title]));
+
+  return answers
+    .map((a) => {
+      let value = a.value;
+      if (a.type === "task") value = [].concat(a.value).map((id) => titles.get(String(id)) || id).join(", ");
+      else if (a.type === "checklist") value = a.value.join(", ");
+      return `${a.label}: ${value}`;
+    })
+    .join("\n");
+};
+
+/**
+ * @desc Apply the active template of a report type to a submission body.
+ *       Without a template, answers must not be sent and content stays required.
+ * @returns { template, answers, content } or { status, error, errors }
+ */
+export const applyReportTemplate = async (user, type, { content, answers } = {}) => {
+  const template = await ReportTemplate.activeFor(type, user);
+
+  if (!template) {
+    if (answers !== undefined) return { status: 400, error: `There is no active ${type} report template` };
+    return { template: null, answers: undefined, content };
+  }
+
+  const result = await validateAnswers(template, answers, user);
+  if (result.errors) return { status: 400, error: "Report does not match the template", errors: result.errors };
+
+  return {
+    template,
+    answers: result.answers,
+    content: content && content.trim() ? content : await renderAnswers(result.answers),
+  };
+};
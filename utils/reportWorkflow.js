@@ -0,0 +1,220 @@
+// utils/reportWorkflow.js
+import User from "../models/User.js";
+import ReportWorkflow from "../models/ReportWorkflow.js";
+import { emitEvent } from "./events.js";
+
+/**
+ * Multi-stage report approval (models/ReportWorkflow.js).
+ * A report enters the active workflow of its type when it is submitted up the hierarchy,
+ * then moves stage by stage as approvers sign off. Approvers can also request changes
+ * (the author edits and resubmits into the same stage) or reject (final). Comments are
+ * required for both. Every transition is appended to report.submissionHistory.
+ * Nothing is notified here: results carry the `events` to send with emitWorkflowEvents()
+ * once the caller has saved the report, so a failed save announces nothing.
+ */
+
+export const WORKFLOW_DECISIONS = ["approve", "request-changes", "reject"];
+
+const idOf = (value) => String(value?._id ?? value);
+
+// Resolved approvers of a stage for one report (author excluded)
+export const resolveStageApprovers = async (stage, report) => {
+  const authorId = idOf(report.createdBy);
+  const ids = new Set(stage.approverUsers.map(idOf));
+
+  if (stage.approverRoles.length) {
+    const byRole = await User.find({ role: { $in: stage.approverRoles }, isActive: true }).select("_id").lean();
+    byRole.forEach((u) => ids.add(idOf(u._id)));
+  }
+  if (stage.includeTeamLead) {
+    const author = await User.findById(authorId).select("teamLead").lean();
+    if (author?.teamLead) ids.add(idOf(author.teamLead));
+  }
+
+  ids.delete(authorId);
+  const active = await User.find({ _id: { $in: [...ids] }, isActive: true }).select("_id").lean();
+  return active.map((u) => u._id);
+};
+
+const historyEntry = (actor, entry) => ({
+  submittedBy: actor._id,
+  submittedAt: new Date(),
+  fromRole: actor.role,
+  ...entry,
+});
+
+const pushHistory = (report, actor, entry) => {
+  report.submissionHistory.push(historyEntry(actor, entry));
+};
+
+// A catalogue event (config/events.js) about the report, as the workflow stands now
+const workflowEvent = (name, report, data = {}) => ({ name, data: { report, stage: report.workflow.stageName, ...data } });
+
+/**
+ * @desc Send the events a workflow step returned, caused by `actor` (after the report is saved)
+ */
+export const emitWorkflowEvents = async (actor, events = []) => {
+  for (const { name, data } of events) await emitEvent({ user: actor }, name, data);
+};
+
+// Move the report into stage index (resolving its approvers); null error on success
+const enterStage = async (report, workflow, index) => {
+  const stage = workflow.stages[index];
+  const approvers = await resolveStageApprovers(stage, report);
+  if (!approvers.length) return `Stage "${stage.name}" has no active approvers`;
+
+  report.workflow.stageIndex = index;
+  report.workflow.stageName = stage.name;
+  report.workflow.approvers = approvers;
+  report.workflow.approvals = [];
+  report.forwardedTo = approvers;
+  report.submittedAt = new Date();
+  report.status = "submitted";
+  return null;
+};
+
+/**
+ * @desc Submit (or resubmit after changes were requested) a report into the active
+ *       workflow of its type. Returns { handled: false } when no workflow applies.
+ */
+export const submitIntoWorkflow = async (report, actor) => {
+  const resubmit = report.status === "changes-requested" && report.workflow;
+  if (report.workflow && !report.workflow.completedAt && !resubmit) {
+    return { handled: true, status: 409, error: "This report is already awaiting approval" };
+  }
+  if (report.status === "rejected" || (report.workflow?.completedAt && report.status === "approved")) {
+    return { handled: true, status: 409, error: `This report has been ${report.status} and cannot be resubmitted` };
+  }
+
+  const workflow = resubmit
+    ? await ReportWorkflow.findById(report.workflow.workflow)
+    : await ReportWorkflow.activeFor(report.type);
+  if (!workflow) return { handled: false };
+
+  const fromStatus = report.status;
+  if (!resubmit) {
+    report.workflow = { workflow: workflow._id, name: workflow.name, startedAt: new Date() };
+  }
+
+  const error = await enterStage(report, workflow, resubmit ? Math.min(report.workflow.stageIndex, workflow.stages.length - 1) : 0);
+  if (error) return { handled: true, status: 400, error };
+
+  pushHistory(report, actor, {
+    action: resubmit ? "resubmitted" : "submitted",
+    submittedTo: report.workflow.approvers,
+    stage: report.workflow.stageName,
+    fromStatus,
+    toStatus: report.status,
+  });
+
+  return { handled: true, report, events: [workflowEvent("report.stage_entered", report)] };
+};
+
+/**
+ * @desc Apply an approver's decision to the current stage.
+ *       Approvals are recorded with a conditional update, so parallel sign-offs all count and
+ *       exactly one of them sees the stage complete; save the returned report, not the one passed in.
+ * @returns { report, message, events } or { status, error }
+ */
+export const decideOnReport = async (report, actor, decision, comment) => {
+  if (!WORKFLOW_DECISIONS.includes(decision)) {
+    return { status: 400, error: `Decision must be one of: ${WORKFLOW_DECISIONS.join(", ")}` };
+  }
+  if (!report.workflow || report.workflow.completedAt || report.status !== "submitted") {
+    return { status: 409, error: "This report is not awaiting a workflow decision" };
+  }
+  if (!report.workflow.approvers.some((id) => idOf(id) === idOf(actor._id))) {
+    return { status: 403, error: "You are not an approver of the current stage" };
+  }
+  if (report.workflow.approvals.some((a) => idOf(a.user) === idOf(actor._id))) {
+    return { status: 409, error: "You have already approved this stage" };
+  }
+  const note = comment?.trim();
+  if (decision !== "approve" && !note) {
+    return { status: 400, error: "A comment is required to request changes or reject a report" };
+  }
+
+  const workflow = await ReportWorkflow.findById(report.workflow.workflow);
+  if (!workflow) return { status: 409, error: "The workflow of this report no longer exists" };
+
+  const stageName = report.workflow.stageName;
+  const authorId = report.createdBy._id ?? report.createdBy;
+
+  if (decision !== "approve") {
+    const toStatus = decision === "reject" ? "rejected" : "changes-requested";
+    pushHistory(report, actor, { action: toStatus, stage: stageName, fromStatus: report.status, toStatus, comment: note, submittedTo: [authorId] });
+    report.status = toStatus;
+    report.forwardedTo = [];
+    report.workflow.approvals = [];
+    if (toStatus === "rejected") report.workflow.completedAt = new Date();
+
+    return {
+      report,
+      message: toStatus === "rejected" ? "Report rejected" : "Changes requested",
+      events: [workflowEvent(toStatus === "rejected" ? "report.rejected" : "report.changes_requested", report, { stage: stageName, comment: note })],
+    };
+  }
+
+  // $inc __v so a stale copy saved meanwhile (e.g. a rejection) fails with a VersionError
+  const recorded = await report.constructor.findOneAndUpdate(
+    {
+      _id: report._id,
+      status: "submitted",
+      "workflow.stageIndex": report.workflow.stageIndex,
+      "workflow.approvals.user": { $ne: actor._id },
+    },
+    {
+      $push: {
+        "workflow.approvals": { user: actor._id, comment: note },
+        submissionHistory: historyEntry(actor, { action: "approved", stage: stageName, fromStatus: "submitted", toStatus: "submitted", comment: note }),
+      },
+      $inc: { __v: 1 },
+    },
+    { new: true }
+  );
+  if (!recorded) return { status: 409, error: "This report changed meanwhile; reload it and try again" };
+  report = recorded;
+
+  const stage = workflow.stages[report.workflow.stageIndex];
+  const approvedIds = new Set(report.workflow.approvals.map((a) => idOf(a.user)));
+  const stageDone = stage?.signOff === "all"
+    ? report.workflow.approvers.every((id) => approvedIds.has(idOf(id)))
+    : true;
+
+  if (!stageDone) {
+    const waiting = report.workflow.approvers.length - approvedIds.size;
+    return { report, message: `Approval recorded, waiting for ${waiting} more approver(s)`, events: [] };
+  }
+
+  const nextIndex = report.workflow.stageIndex + 1;
+  if (nextIndex >= workflow.stages.length) {
+    report.status = "approved";
+    report.forwardedTo = [];
+    report.workflow.completedAt = new Date();
+    report.reviewedBy = actor._id;
+    report.reviewedAt = new Date();
+    report.submissionHistory[report.submissionHistory.length - 1].toStatus = "approved";
+
+    return { report, message: "Report approved", events: [workflowEvent("report.approved", report)] };
+  }
+
+  const error = await enterStage(report, workflow, nextIndex);
+  if (error) return { status: 400, error };
+  pushHistory(report, actor, {
+    action: "forwarded",
+    submittedTo: report.workflow.approvers,
+    stage: report.workflow.stageName,
+    fromStatus: "submitted",
+    toStatus: report.status,
+  });
+
+  return {
+    report,
+    message: `Stage approved, report moved to "${report.workflow.stageName}"`,
+    events: [workflowEvent("report.stage_entered", report)],
+  };
+};
+
+// A report currently driven by a workflow (awaiting a decision)
+export const isInWorkflowReview = (report) =>
+  !!report.workflow && !report.workflow.completedAt && report.status === "submitted";
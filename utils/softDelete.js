@@ -0,0 +1,82 @@
+// utils/softDelete.js
+import mongoose from "mongoose";
+
+/**
+ * Mongoose plugin: soft delete.
+ * Adds isDeleted/deletedAt/deletedBy/deletedWith and hides deleted documents from
+ * find/count/update queries and aggregations. Deleted documents are only matched
+ * when the query filters on isDeleted itself, e.g. Model.find({ isDeleted: true }).
+ *
+ * deletedWith holds the parent whose deletion cascaded to this document
+ * (e.g. the project of a task), so restoring the parent restores exactly those children.
+ */
+
+const QUERY_HOOKS = [
+  "find",
+  "findOne",
+  "countDocuments",
+  "distinct",
+  "findOneAndUpdate",
+  "updateOne",
+  "updateMany",
+];
+
+// Matches live documents, including ones stored before the plugin existed
+export const NOT_DELETED = { isDeleted: { $ne: true } };
+
+export const softDeletePlugin = (schema) => {
+  schema.add({
+    isDeleted: { type: Boolean, default: false },
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    deletedWith: { type: mongoose.Schema.Types.ObjectId, default: null },
+  });
+
+  schema.index({ isDeleted: 1, deletedAt: 1 });
+
+  schema.pre(QUERY_HOOKS, function () {
+    if (!Object.prototype.hasOwnProperty.call(this.getFilter(), "isDeleted")) {
+      this.where(NOT_DELETED);
+    }
+  });
+
+  schema.pre("aggregate", function () {
+    const first = this.pipeline()[0];
+    if (first?.$match && Object.prototype.hasOwnProperty.call(first.$match, "isDeleted")) return;
+    this.pipeline().unshift({ $match: NOT_DELETED });
+  });
+
+  // Instance: move to trash
+  schema.methods.softDelete = function (userId = null, deletedWith = null) {
+    this.isDeleted = true;
+    this.deletedAt = new Date();
+    this.deletedBy = userId;
+    this.deletedWith = deletedWith;
+    return this.save({ validateBeforeSave: false });
+  };
+
+  // Instance: bring back from trash
+  schema.methods.restore = function () {
+    this.isDeleted = false;
+    this.deletedAt = null;
+    this.deletedBy = null;
+    this.deletedWith = null;
+    return this.save({ validateBeforeSave: false });
+  };
+
+  // Static: trash every live document matching filter as part of parent's deletion
+  schema.statics.softDeleteMany = function (filter, userId = null, deletedWith = null) {
+    return this.updateMany(
+      { ...filter, ...NOT_DELETED },
+      { isDeleted: true, deletedAt: new Date(), deletedBy: userId, deletedWith }
+    );
+  };
+
+  // Static: restore the documents trashed together with parentId
+  schema.statics.restoreDeletedWith = function (parentId) {
+    return this.updateMany(
+      { isDeleted: true, deletedWith: parentId },
+      { isDeleted: false, deletedAt: null, deletedBy: null, deletedWith: null }
+    );
+  };
+};
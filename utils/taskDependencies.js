@@ -0,0 +1,197 @@
+// utils/taskDependencies.js
+import mongoose from "mongoose";
+import Task from "../models/Task.js";
+import { userCan } from "./permissions.js";
+import { recordAudit } from "./audit.js";
+
+/**
+ * Task dependency helpers (Task.dependsOn).
+ * A task may only depend on tasks of its own project, and the graph must stay acyclic.
+ */
+
+const idOf = (value) => String(value?._id ?? value);
+
+// Returns the cycle through startId as a list of task ids (first === last) or null.
+// Each task is expanded once; parent links rebuild the path when startId is reached again.
+const findCycle = (edges, startId) => {
+  const parent = new Map([[startId, null]]);
+  const stack = [startId];
+  while (stack.length) {
+    const current = stack.pop();
+    for (const next of edges.get(current) || []) {
+      if (next === startId) {
+        const cycle = [next];
+        for (let id = current; id !== null; id = parent.get(id)) cycle.unshift(id);
+        return cycle;
+      }
+      if (!parent.has(next)) {
+        parent.set(next, current);
+        stack.push(next);
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * @desc Check a new dependsOn list for a task → error message or null
+ *       (unknown ids, other projects, self references and cycles)
+ */
+export const validateDependencies = async (task, dependsOn) => {
+  const ids = [...new Set((dependsOn || []).map(idOf))];
+  if (!ids.length) return null;
+
+  if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) return "Invalid task id in dependsOn";
+  if (task._id && ids.includes(idOf(task._id))) return "A task cannot depend on itself";
+  if (!task.project) return "Only tasks that belong to a project can have dependencies";
+
+  const prerequisites = await Task.find({ _id: { $in: ids } }).select("project").lean();
+  if (prerequisites.length !== ids.length) return "Some prerequisite tasks were not found";
+  if (prerequisites.some((p) => idOf(p.project) !== idOf(task.project))) {
+    return "Dependencies must be tasks of the same project";
+  }
+
+  // A brand-new task has no dependents yet, so it cannot close a cycle
+  if (!task._id || task.isNew) return null;
+
+  const projectTasks = await Task.find({ project: task.project }).select("dependsOn").lean();
+  const edges = new Map(projectTasks.map((t) => [idOf(t._id), (t.dependsOn || []).map(idOf)]));
+  edges.set(idOf(task._id), ids);
+
+  const cycle = findCycle(edges, idOf(task._id));
+  return cycle ? `Dependency cycle detected: ${cycle.join(" -> ")}` : null;
+};
+
+/**
+ * @desc Gate for moving a task to "in-progress" while prerequisites are incomplete.
+ *       Holders of task:override may force it with body.overrideDependencies = true;
+ *       every override is written to the audit log.
+ * @returns { allowed, blockedBy, overridden }
+ */
+export const checkStartAllowed = async (req, task, nextStatus) => {
+  if (nextStatus !== "in-progress" || task.status === "in-progress") {
+    return { allowed: true, blockedBy: [], overridden: false };
+  }
+
+  const blockedBy = await task.incompletePrerequisites();
+  if (!blockedBy.length) return { allowed: true, blockedBy, overridden: false };
+
+  const wantsOverride = req.body?.overrideDependencies === true || req.body?.overrideDependencies === "true";
+  if (!wantsOverride || !(await userCan(req.user, "task:override"))) {
+    return { allowed: false, blockedBy, overridden: false };
+  }
+
+  await recordAudit(req, {
+    action: "task.dependency_override",
+    entityType: "Task",
+    entityId: task._id,
+    metadata: {
+      project: task.project,
+      fromStatus: task.status,
+      toStatus: nextStatus,
+      blockedBy: blockedBy.map((t) => ({ _id: t._id, title: t.title, status: t.status })),
+      reason: req.body?.overrideReason || null,
+    },
+  });
+
+  return { allowed: true, blockedBy, overridden: true };
+};
+
+// Standard 409 body for a blocked start
+export const blockedStartResponse = (blockedBy) => ({
+  success: false,
+  message: "Task cannot start until its prerequisites are completed",
+  blockedBy,
+});
+
+/**
+ * @desc Dependency graph of a project with a critical path (CPM).
+ *       Node duration = remaining estimated hours (estimatedHours - actualHours, min 1; 0 once completed).
+ */
+export const buildDependencyGraph = (tasks) => {
+  const byId = new Map(tasks.map((t) => [idOf(t._id), t]));
+  const duration = (t) =>
+    t.status === "completed" ? 0 : Math.max((t.estimatedHours || 0) - (t.actualHours || 0), 1);
+
+  // Only edges inside the project (stale ids are ignored)
+  const prereqs = new Map(tasks.map((t) => [idOf(t._id), (t.dependsOn || []).map(idOf).filter((id) => byId.has(id))]));
+  const dependents = new Map(tasks.map((t) => [idOf(t._id), []]));
+  prereqs.forEach((list, id) => list.forEach((p) => dependents.get(p).push(id)));
+
+  // Topological order (Kahn)
+  const inDegree = new Map([...prereqs].map(([id, list]) => [id, list.length]));
+  const queue = [...inDegree].filter(([, d]) => d === 0).map(([id]) => id);
+  const order = [];
+  while (queue.length) {
+    const id = queue.shift();
+    order.push(id);
+    for (const next of dependents.get(id)) {
+      inDegree.set(next, inDegree.get(next) - 1);
+      if (inDegree.get(next) === 0) queue.push(next);
+    }
+  }
+  const hasCycle = order.length !== tasks.length;
+
+  // Forward pass: earliest start/finish
+  const es = new Map();
+  const ef = new Map();
+  for (const id of order) {
+    const start = Math.max(0, ...prereqs.get(id).map((p) => ef.get(p) ?? 0));
+    es.set(id, start);
+    ef.set(id, start + duration(byId.get(id)));
+  }
+  const projectFinish = Math.max(0, ...ef.values());
+
+  // Backward pass: latest start/finish
+  const ls = new Map();
+  const lf = new Map();
+  for (const id of [...order].reverse()) {
+    const finish = Math.min(projectFinish, ...dependents.get(id).map((d) => ls.get(d) ?? projectFinish));
+    lf.set(id, finish);
+    ls.set(id, finish - duration(byId.get(id)));
+  }
+
+  // Critical path: walk back from the latest-finishing zero-slack task
+  const slack = (id) => (ls.get(id) ?? 0) - (es.get(id) ?? 0);
+  const criticalPath = [];
+  let current = order.filter((id) => slack(id) === 0).sort((a, b) => ef.get(b) - ef.get(a))[0];
+  while (current) {
+    criticalPath.unshift(current);
+    current = prereqs.get(current).find((p) => slack(p) === 0 && ef.get(p) === es.get(current));
+  }
+
+  const nodes = tasks.map((t) => {
+    const id = idOf(t._id);
+    const incomplete = prereqs.get(id).filter((p) => byId.get(p).status !== "completed");
+    return {
+      _id: t._id,
+      title: t.title,
+      status: t.status,
+      priority: t.priority,
+      assignedTo: t.assignedTo,
+      dueDate: t.dueDate,
+      estimatedHours: t.estimatedHours || 0,
+      actualHours: t.actualHours || 0,
+      remainingHours: duration(t),
+      dependsOn: prereqs.get(id),
+      earliestStart: es.get(id) ?? null,
+      earliestFinish: ef.get(id) ?? null,
+      latestStart: ls.get(id) ?? null,
+      slack: es.has(id) ? slack(id) : null,
+      critical: criticalPath.includes(id),
+      blocked: t.status !== "completed" && incomplete.length > 0,
+      blockedBy: incomplete,
+    };
+  });
+
+  const edges = [];
+  prereqs.forEach((list, id) => list.forEach((p) => edges.push({ from: p, to: id })));
+
+  return {
+    nodes,
+    edges,
+    criticalPath,
+    criticalPathHours: criticalPath.reduce((sum, id) => sum + duration(byId.get(id)), 0),
+    hasCycle,
+  };
+};
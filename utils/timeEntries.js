@@ -0,0 +1,133 @@
+// utils/timeEntries.js
+import Invoice from "../models/Invoice.js";
+import Timesheet from "../models/Timesheet.js";
+import { emitEvent } from "./events.js";
+
+/**
+ * Time entry approval (Project.timeEntries).
+ * An entry is pending until a team lead or admin approves or rejects it. Only approved hours
+ * are billable (billableHours → totalAmount). Approved or invoiced entries are locked: they
+ * can only be edited or deleted after an admin reopens them, which puts them back to pending.
+ * Entries created from an approved timesheet (models/Timesheet.js) carry `timesheet` and are
+ * managed through the timesheet instead.
+ */
+
+export const TIME_ENTRY_DECISIONS = ["approve", "reject"];
+
+const round2 = (n) => Math.round((n || 0) * 100) / 100;
+
+// Fields an edit may change; approval and billing state only move through the endpoints
+export const EDITABLE_TIME_ENTRY_FIELDS = ["date", "hours", "description", "taskType"];
+
+export const timeEntryLockReason = (entry) => {
+  if (entry.timesheet) return "Time entry comes from an approved timesheet; reopen the timesheet instead";
+  if (entry.invoice) return "Time entry is on an invoice; an admin must reopen it before it can change";
+  if (entry.approved) return "Time entry is approved; an admin must reopen it before it can change";
+  return null;
+};
+
+// Hours logged on timesheets for a project, whatever the sheet's status
+export const timesheetHoursFor = async (projectId) => {
+  const [row] = await Timesheet.aggregate([
+    { $match: { "entries.project": projectId } },
+    { $unwind: "$entries" },
+    { $match: { "entries.project": projectId } },
+    { $group: { _id: null, hours: { $sum: "$entries.hours" } } },
+  ]);
+  return row?.hours || 0;
+};
+
+/**
+ * @desc Recompute a project's hours, and for hourly projects its billable hours and totals.
+ *       actualHours = timesheet hours + entries added straight to the project (not from a timesheet).
+ */
+export const refreshProjectHours = async (project) => {
+  const manualHours = project.timeEntries
+    .filter((entry) => !entry.timesheet)
+    .reduce((total, entry) => total + (entry.hours || 0), 0);
+  project.actualHours = round2((await timesheetHoursFor(project._id)) + manualHours);
+
+  if (project.category !== "hourly") return;
+  project.billableHours = round2(
+    project.timeEntries.filter((entry) => entry.approved).reduce((total, entry) => total + (entry.hours || 0), 0)
+  );
+  project.totalAmount = round2(project.hourlyRate * project.billableHours);
+  project.pendingAmount = round2(project.totalAmount - project.paidAmount);
+};
+
+/**
+ * @desc Approve or reject one entry → error message or null.
+ *       Reviewers may not decide on entries they added themselves unless they can reopen entries.
+ */
+export const reviewTimeEntry = (entry, decision, reviewer, { reason, canOverride = false } = {}) => {
+  if (!TIME_ENTRY_DECISIONS.includes(decision)) return `decision must be ${TIME_ENTRY_DECISIONS.join(" or ")}`;
+  if (entry.invoice) return "Time entry is already invoiced";
+  if (entry.approved) return "Time entry is already approved";
+  if (!canOverride && String(entry.addedBy) === String(reviewer._id)) return "You cannot review your own time entry";
+  if (decision === "reject" && !reason?.trim()) return "A reason is required to reject a time entry";
+
+  const now = new Date();
+  if (decision === "approve") {
+    entry.approved = true;
+    entry.approvedBy = reviewer._id;
+    entry.approvedAt = now;
+    entry.rejectedBy = undefined;
+    entry.rejectedAt = undefined;
+    entry.rejectionReason = undefined;
+  } else {
+    entry.rejectedBy = reviewer._id;
+    entry.rejectedAt = now;
+    entry.rejectionReason = reason.trim();
+  }
+  return null;
+};
+
+/**
+ * @desc Unlock an approved or invoiced entry (back to pending) → error message or null.
+ *       An entry on a draft invoice is taken off that invoice; sent or paid invoices must be voided first.
+ */
+export const reopenTimeEntry = async (entry, admin, reason) => {
+  if (entry.timesheet) return "Time entry comes from an approved timesheet; reopen the timesheet instead";
+  if (!entry.approved && !entry.invoice) return "Time entry is not locked";
+
+  if (entry.invoice) {
+    const invoice = await Invoice.findById(entry.invoice);
+    if (invoice && invoice.status !== "void") {
+      if (invoice.status !== "draft") return `Time entry is on ${invoice.status} invoice ${invoice.number}; void it first`;
+      const remaining = invoice.lineItems.filter((item) => String(item.sourceId) !== String(entry._id));
+      if (!remaining.length) return `Time entry is the only line on draft invoice ${invoice.number}; delete the draft instead`;
+      invoice.lineItems = remaining;
+      invoice.updatedBy = admin._id;
+      await invoice.save();
+    }
+    entry.invoice = null;
+  }
+
+  entry.approved = false;
+  entry.approvedBy = undefined;
+  entry.approvedAt = undefined;
+  entry.reopenedBy = admin._id;
+  entry.reopenedAt = new Date();
+  entry.reopenReason = reason;
+  return null;
+};
+
+// Tell the people who logged rejected entries (one time_entry.rejected event per author)
+export const notifyRejectedEntries = async (req, project, entries) => {
+  const byAuthor = new Map();
+  entries.forEach((entry) => {
+    const list = byAuthor.get(String(entry.addedBy)) || [];
+    list.push(entry);
+    byAuthor.set(String(entry.addedBy), list);
+  });
+
+  for (const [author, list] of byAuthor) {
+    await emitEvent(req, "time_entry.rejected", {
+      project,
+      author,
+      entries: list
+        .map((e) => `${e.date.toISOString().slice(0, 10)} ${e.hours}h "${e.description}": ${e.rejectionReason}`)
+        .join("\n"),
+    });
+  }
+};
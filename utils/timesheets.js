@@ -0,0 +1,212 @@
+// utils/timesheets.js
+import mongoose from "mongoose";
+import Timesheet from "../models/Timesheet.js";
+import Task from "../models/Task.js";
+import { Project } from "../models/Project.js";
+import User from "../models/User.js";
+import { userCan } from "./permissions.js";
+import { refreshProjectHours } from "./timeEntries.js";
+
+/**
+ * Timesheets (models/Timesheet.js) are the one place work time is recorded.
+ *   Task.actualHours     sum of timesheet entries on the task (any status)
+ *   Project.actualHours  sum of timesheet entries on the project + manual time entries
+ *   billing              approving a sheet copies its billable hours on hourly projects into
+ *                        Project.timeEntries as approved entries (linked back via `timesheet`)
+ * Task logs still keep their start/end history, but the hours they add go through the sheet.
+ */
+
+export const MAX_DAY_HOURS = 24;
+
+const round2 = (n) => Math.round((n || 0) * 100) / 100;
+const toIds = (ids) => [...new Set(ids.filter(Boolean).map(String))].map((id) => new mongoose.Types.ObjectId(id));
+const sameDay = (a, b) => new Date(a).toDateString() === new Date(b).toDateString();
+const idOf = (ref) => String(ref?._id || ref);
+
+/**
+ * @desc Recompute the cached hours of tasks and projects from timesheet entries
+ */
+export const syncWorkHours = async ({ taskIds = [], projectIds = [] } = {}) => {
+  const tasks = toIds(taskIds);
+  if (tasks.length) {
+    const rows = await Timesheet.aggregate([
+      { $match: { "entries.task": { $in: tasks } } },
+      { $unwind: "$entries" },
+      { $match: { "entries.task": { $in: tasks } } },
+      { $group: { _id: "$entries.task", hours: { $sum: "$entries.hours" } } },
+    ]);
+    const hours = new Map(rows.map((r) => [String(r._id), round2(r.hours)]));
+    await Task.bulkWrite(
+      tasks.map((id) => ({
+        updateOne: { filter: { _id: id }, update: { $set: { actualHours: hours.get(String(id)) || 0 } } },
+      }))
+    );
+  }
+
+  for (const id of toIds(projectIds)) {
+    const project = await Project.findById(id);
+    if (!project) continue;
+    await refreshProjectHours(project);
+    await project.save();
+  }
+};
+
+// Hours and projects touched by a sheet, for syncWorkHours
+export const workTargetsOf = (entries) => ({
+  taskIds: entries.map((e) => e.task),
+  projectIds: entries.map((e) => e.project),
+});
+
+/**
+ * @desc Check who may log time where → { project, task } or { status, error }.
+ *       The project is taken from the task when only a task is given. Users log on tasks
+ *       assigned to them or on projects they work on (project:read covers any project).
+ */
+export const resolveEntryTarget = async (user, { project: projectId, task: taskId }) => {
+  let task = null;
+  if (taskId) {
+    if (!mongoose.Types.ObjectId.isValid(taskId)) return { status: 400, error: "Invalid task id" };
+    task = await Task.findById(taskId).select("title project assignedTo");
+    if (!task) return { status: 404, error: "Task not found" };
+    if (!task.project) return { status: 400, error: "Task is not linked to a project" };
+    if (projectId && String(projectId) !== String(task.project)) {
+      return { status: 400, error: "Task does not belong to this project" };
+    }
+    projectId = task.project;
+  }
+  if (!projectId || !mongoose.Types.ObjectId.isValid(projectId)) {
+    return { status: 400, error: "A valid project or task is required" };
+  }
+
+  const project = await Project.findById(projectId).select("projectName teamLead employees");
+  if (!project) return { status: 404, error: "Project not found" };
+
+  const uid = String(user._id);
+  const allowed =
+    String(task?.assignedTo) === uid ||
+    String(project.teamLead) === uid ||
+    project.employees.some((e) => String(e) === uid) ||
+    (await userCan(user, "project:read"));
+  if (!allowed) return { status: 403, error: "You do not work on this project" };
+
+  return { project, task };
+};
+
+/**
+ * @desc Whether a day can take more hours → error message or null
+ */
+export const dayLimitError = (sheet, date, hours, ignoreEntryId) => {
+  const logged = sheet.entries
+    .filter((e) => sameDay(e.date, date) && String(e._id) !== String(ignoreEntryId))
+    .reduce((sum, e) => sum + e.hours, 0);
+  if (logged + hours > MAX_DAY_HOURS) {
+    return `Only ${round2(MAX_DAY_HOURS - logged)} more hours can be logged on ${new Date(date).toDateString()}`;
+  }
+  return null;
+};
+
+// Why a sheet cannot take changes → message or null
+export const sheetLockReason = (sheet) =>
+  sheet.isEditable() ? null : `Timesheet for the week of ${sheet.weekStart.toDateString()} is ${sheet.status}`;
+
+/**
+ * @desc Record time logged on a task (task log endpoints) on the user's timesheet
+ *       → { sheet, entry } or { status, error }
+ */
+export const logTaskTime = async (user, task, { startTime, endTime, description }) => {
+  if (!task.project) return { status: 400, error: "Task is not linked to a project" };
+  const start = new Date(startTime);
+  const hours = round2((new Date(endTime) - start) / (1000 * 60 * 60));
+
+  const sheet = await Timesheet.forWeek(user._id, start);
+  const locked = sheetLockReason(sheet);
+  if (locked) return { status: 409, error: locked };
+  const overLimit = dayLimitError(sheet, start, hours);
+  if (overLimit) return { status: 400, error: overLimit };
+
+  sheet.entries.push({
+    date: start,
+    project: task.project,
+    task: task._id,
+    hours,
+    description: description?.trim() || task.title,
+    startTime: start,
+    endTime: new Date(endTime),
+    source: "task-log",
+  });
+  await sheet.save();
+  await syncWorkHours({ taskIds: [task._id], projectIds: [task.project] });
+
+  return { sheet, entry: sheet.entries[sheet.entries.length - 1] };
+};
+
+/**
+ * @desc Who approves a user's sheet: their team lead, or (none set) any admin
+ */
+export const approverFor = async (user) => {
+  const owner = user.teamLead !== undefined ? user : await User.findById(user._id).select("teamLead");
+  return owner?.teamLead || null;
+};
+
+/**
+ * @desc Whether a user may review a sheet → error message or null
+ *       Team leads review sheets they are the approver of; timesheet:reopen holders review any.
+ */
+export const reviewAccessError = async (user, sheet) => {
+  if (idOf(sheet.user) === String(user._id)) return "You cannot review your own timesheet";
+  if (sheet.approver && idOf(sheet.approver) === String(user._id)) return null;
+  if (await userCan(user, "timesheet:reopen")) return null;
+  return "Only the approver of this timesheet can review it";
+};
+
+/**
+ * @desc On approval: copy billable hours on hourly projects into the projects' time entries
+ *       as approved entries, so invoices pick them up (utils/invoices.js)
+ */
+export const applyTimesheetToBilling = async (sheet, reviewerId) => {
+  const byProject = new Map();
+  sheet.entries
+    .filter((e) => e.billable)
+    .forEach((e) => byProject.set(String(e.project), [...(byProject.get(String(e.project)) || []), e]));
+
+  const now = new Date();
+  for (const [projectId, entries] of byProject) {
+    const project = await Project.findById(projectId);
+    if (!project || project.category !== "hourly") continue;
+    entries.forEach((e) => {
+      project.timeEntries.push({
+        date: e.date,
+        hours: e.hours,
+        description: e.description,
+        taskType: e.taskType,
+        addedBy: sheet.user,
+        approved: true,
+        approvedBy: reviewerId,
+        approvedAt: now,
+        timesheet: sheet._id,
+        timesheetEntry: e._id,
+      });
+    });
+    await refreshProjectHours(project);
+    await project.save();
+  }
+};
+
+/**
+ * @desc On reopen: take the sheet's entries back out of project billing → error message or null.
+ *       Nothing changes when any of them is already on an invoice.
+ */
+export const removeTimesheetBilling = async (sheet) => {
+  const projects = await Project.find({ "timeEntries.timesheet": sheet._id });
+  const linked = (project) => project.timeEntries.filter((e) => String(e.timesheet) === String(sheet._id));
+
+  const invoiced = projects.find((project) => linked(project).some((e) => e.invoice));
+  if (invoiced) return `Hours from this timesheet are invoiced on ${invoiced.projectName}; void or edit the invoice first`;
+
+  for (const project of projects) {
+    linked(project).forEach((e) => e.deleteOne());
+    await refreshProjectHours(project);
+    await project.save();
+  }
+  return null;
+};
@@ -0,0 +1,145 @@
+// utils/totp.js
+import crypto from "crypto";
+
+/**
+ * RFC 6238 TOTP (HMAC-SHA1, 30s step, 6 digits) — the defaults every authenticator app uses.
+ * Pure functions, so codes can be generated offline with generateTOTP(secret).
+ */
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+
+  return output;
+};
+
+export const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const idx = BASE32_ALPHABET.indexOf(char);
+    if (idx === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * @desc New random base32 secret (160 bits, as recommended by RFC 4226)
+ */
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const hotp = (secret, counter) => {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(buf).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return code.toString().padStart(DIGITS, "0");
+};
+
+/**
+ * @desc Code for a secret at a given time (defaults to now)
+ */
+export const generateTOTP = (secret, time = Date.now()) =>
+  hotp(secret, Math.floor(time / 1000 / STEP_SECONDS));
+
+/**
+ * @desc Time step a code belongs to, accepting `window` steps of clock drift either way;
+ *       null when it matches none (callers store the step to refuse replays)
+ */
+export const matchTOTPStep = (secret, token, { window = 1, time = Date.now() } = {}) => {
+  if (!secret || !token) return null;
+  const code = String(token).replace(/\s/g, "");
+  if (!/^\d{6}$/.test(code)) return null;
+
+  const counter = Math.floor(time / 1000 / STEP_SECONDS);
+  for (let i = -window; i <= window; i++) {
+    const expected = hotp(secret, counter + i);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) return counter + i;
+  }
+  return null;
+};
+
+/**
+ * @desc Check a code, accepting `window` steps of clock drift either way
+ */
+export const verifyTOTP = (secret, token, options) => matchTOTPStep(secret, token, options) !== null;
+
+/**
+ * @desc otpauth:// URI that authenticator apps read from a QR code
+ */
+export const buildOtpAuthUri = ({ secret, accountName, issuer = process.env.TOTP_ISSUER || "Task Manager" }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/* ----------------------- Secret storage ----------------------- */
+
+// TOTP secrets are stored encrypted (AES-256-GCM); key from TOTP_ENCRYPTION_KEY or derived from JWT_SECRET
+const encryptionKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET || "")
+    .digest();
+
+export const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((b) => b.toString("hex")).join(":");
+};
+
+export const decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = payload.split(":").map((part) => Buffer.from(part, "hex"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+};
+
+/* ----------------------- Recovery codes ----------------------- */
+
+export const hashRecoveryCode = (code) =>
+  crypto.createHash("sha256").update(String(code).toLowerCase().replace(/[^a-z0-9]/g, "")).digest("hex");
+
+/**
+ * @desc Fresh set of one-time recovery codes ("xxxx-xxxx"); store only the hashes
+ */
+export const generateRecoveryCodes = (count = 10) =>
+  Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(4).toString("hex");
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });